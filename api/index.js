@@ -0,0 +1,5 @@
+// Serverless entry point: every /api/* request (see the rewrite in
+// vercel.json) is handled by the same Express app server.cjs runs locally.
+import app from '../server/app.cjs';
+
+export default app;
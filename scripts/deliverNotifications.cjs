@@ -0,0 +1,19 @@
+require('dotenv').config({ path: '.env.local' });
+
+// Emails queued notifications (e.g. back in stock) that haven't been sent
+// yet — see server/notifications.cjs. The app asks for delivery right after
+// stock changes; run this on a schedule to pick up anything missed:
+//
+//   */10 * * * *  cd /srv/capsua && npm run notify:deliver
+
+const { deliverNotificationEmails } = require('../server/notifications.cjs');
+
+deliverNotificationEmails()
+  .then(({ sent, failed }) => {
+    console.log(`Sent ${sent} notification email(s)${failed > 0 ? `, ${failed} failed` : ''}`);
+    if (failed > 0) process.exitCode = 1;
+  })
+  .catch((err) => {
+    console.error('❌ Notification delivery failed:', err.message || err);
+    process.exit(1);
+  });
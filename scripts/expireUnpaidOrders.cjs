@@ -0,0 +1,17 @@
+require('dotenv').config({ path: '.env.local' });
+
+// Cancels card orders that were never paid and puts their stock back — see
+// server/unpaidOrders.cjs. Run it on a schedule:
+//
+//   */10 * * * *  cd /srv/capsua && npm run orders:expire-unpaid
+
+const { expireUnpaidCardOrders } = require('../server/unpaidOrders.cjs');
+
+expireUnpaidCardOrders()
+  .then(({ cancelled, paid, skipped }) => {
+    console.log(`Cancelled ${cancelled} unpaid card order(s)${paid > 0 ? `, ${paid} turned out paid` : ''}${skipped > 0 ? `, ${skipped} left for the next run` : ''}`);
+  })
+  .catch((err) => {
+    console.error('❌ Expiring unpaid orders failed:', err.message || err);
+    process.exit(1);
+  });
@@ -0,0 +1,17 @@
+require('dotenv').config({ path: '.env.local' });
+
+// Emails the open low-stock alerts that haven't been sent yet (see
+// server/lowStockAlerts.cjs). Meant for a scheduler, e.g. hourly cron:
+//
+//   0 * * * *  cd /srv/capsua && npm run stock:digest
+
+const { sendLowStockDigest } = require('../server/lowStockAlerts.cjs');
+
+sendLowStockDigest()
+  .then(({ sent, recipients }) => {
+    console.log(sent > 0 ? `Sent ${sent} alert(s) to ${recipients} recipient(s)` : 'No new low-stock alerts');
+  })
+  .catch((err) => {
+    console.error('❌ Low-stock digest failed:', err.message || err);
+    process.exit(1);
+  });
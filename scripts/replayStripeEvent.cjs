@@ -0,0 +1,90 @@
+require('dotenv').config({ path: '.env.local' });
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Sends a recorded Stripe event (scripts/fixtures/stripe/<type>.json) to the
+// local webhook, signed with STRIPE_WEBHOOK_SECRET exactly like Stripe would,
+// so payment/refund/dispute handling can be exercised without a Stripe account.
+//
+//   node scripts/replayStripeEvent.cjs payment_intent.succeeded --order <order id>
+//   node scripts/replayStripeEvent.cjs charge.refunded --order <order id> --refund 5000
+//   node scripts/replayStripeEvent.cjs charge.dispute.closed --order <order id> --dispute-status lost
+//
+// The order (read with the service role key) supplies the PaymentIntent id,
+// amount and currency; pass --intent and --amount (minor units, e.g. cents) and
+// optionally --currency instead to skip the lookup.
+// Reuse --event-id to check that a redelivered event is not applied twice.
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'stripe');
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) args[argv[i].slice(2)] = argv[++i];
+    else args._.push(argv[i]);
+  }
+  return args;
+}
+
+async function orderDetails(args) {
+  if (args.intent && args.amount) {
+    return { orderId: args.order || '', intentId: args.intent, amount: Number(args.amount), currency: (args.currency || 'usd').toLowerCase() };
+  }
+  if (!args.order) throw new Error('Pass --order <id>, or --intent and --amount');
+  const { db } = require('../server/db.cjs');
+  const { orderCurrency, toMinorUnits } = require('../server/payments.cjs');
+  const { data: order, error } = await db.from('orders').select('id, total, currency, payment_intent_id').eq('id', args.order).maybeSingle();
+  if (error || !order) throw new Error(`Order ${args.order} not found`);
+  return {
+    orderId: order.id,
+    intentId: args.intent || order.payment_intent_id || `pi_replay_${order.id.replace(/-/g, '').slice(0, 16)}`,
+    amount: args.amount ? Number(args.amount) : toMinorUnits(order.total, orderCurrency(order)),
+    currency: orderCurrency(order),
+  };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const type = args._[0];
+  const file = type && path.join(FIXTURES_DIR, `${type}.json`);
+  if (!file || !fs.existsSync(file)) {
+    const available = fs.readdirSync(FIXTURES_DIR).map((f) => f.replace(/\.json$/, ''));
+    console.error(`Usage: node scripts/replayStripeEvent.cjs <${available.join('|')}> --order <id>`);
+    process.exit(1);
+  }
+
+  const secret = process.env.STRIPE_WEBHOOK_SECRET;
+  if (!secret) throw new Error('STRIPE_WEBHOOK_SECRET is not set');
+
+  const { orderId, intentId, amount, currency } = await orderDetails(args);
+  const numbers = { amount, refund_amount: args.refund ? Number(args.refund) : amount };
+  const strings = {
+    event_id: args['event-id'] || `evt_replay_${crypto.randomBytes(8).toString('hex')}`,
+    order_id: orderId,
+    payment_intent: intentId,
+    currency,
+    dispute_status: args['dispute-status'] || 'won',
+  };
+  const payload = fs
+    .readFileSync(file, 'utf8')
+    .replace(/"\{\{(\w+)\}\}"/g, (match, key) => (key in numbers ? String(numbers[key]) : match))
+    .replace(/\{\{(\w+)\}\}/g, (match, key) => (key in strings ? strings[key] : match));
+
+  const { stripe } = require('../server/stripe.cjs');
+  const signature = stripe.webhooks.generateTestHeaderString({ payload, secret });
+  const url = args.url || `http://localhost:${process.env.PORT || 4242}/stripe/webhook`;
+
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature },
+    body: payload,
+  });
+  console.log(`${res.ok ? '✅' : '❌'} ${type} ${strings.event_id} -> ${res.status} ${await res.text()}`);
+  if (!res.ok) process.exit(1);
+}
+
+main().catch((err) => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
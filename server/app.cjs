@@ -0,0 +1,115 @@
+const express = require('express');
+const cors = require('cors');
+const auth = require('./auth.cjs');
+const passwordReset = require('./passwordReset.cjs');
+const emailVerification = require('./emailVerification.cjs');
+const loginThrottle = require('./loginThrottle.cjs');
+const twoFactor = require('./twoFactor.cjs');
+const userSessions = require('./userSessions.cjs');
+const payments = require('./payments.cjs');
+const stripeWebhook = require('./stripeWebhook.cjs');
+const refunds = require('./refunds.cjs');
+const paymentMethods = require('./paymentMethods.cjs');
+const codCollections = require('./codCollections.cjs');
+const lowStockAlerts = require('./lowStockAlerts.cjs');
+const notifications = require('./notifications.cjs');
+
+// The whole API as one Express app. server.cjs listens with it locally; on
+// serverless hosts api/index.js exports it as the function handler, where
+// requests arrive under /api (both prefixes are served).
+
+// Browser origins allowed to call the API (comma-separated); the Vite dev and
+// preview servers by default.
+const ALLOWED_ORIGINS = (process.env.CORS_ALLOWED_ORIGINS || 'http://localhost:5173,http://127.0.0.1:5173,http://localhost:4173')
+  .split(',')
+  .map((o) => o.trim().replace(/\/$/, ''))
+  .filter(Boolean);
+
+// "METHOD /path" -> async (req, payload) => JSON response body
+const routes = {
+  'POST /create-payment-intent': payments.createPaymentIntent,
+  'POST /payments/confirm': payments.confirmPayment,
+  'GET /payment-methods': paymentMethods.listPaymentMethods,
+  'POST /payment-methods/delete': paymentMethods.deletePaymentMethod,
+  'POST /auth/register': auth.register,
+  'POST /auth/login': auth.login,
+  'POST /auth/logout': auth.logout,
+  'POST /auth/refresh': auth.refresh,
+  'POST /auth/login/2fa': twoFactor.completeLogin,
+  'POST /auth/2fa/setup': twoFactor.setup,
+  'POST /auth/2fa/enable': twoFactor.enable,
+  'POST /auth/2fa/disable': twoFactor.disable,
+  'POST /auth/2fa/recovery-codes': twoFactor.regenerateRecoveryCodes,
+  'POST /auth/heartbeat': userSessions.heartbeat,
+  'GET /auth/sessions': userSessions.listSessions,
+  'POST /auth/sessions/revoke': userSessions.revokeSession,
+  'POST /auth/sessions/revoke-others': userSessions.revokeOtherSessions,
+  'POST /auth/forgot-password': passwordReset.forgotPassword,
+  'POST /auth/reset-password': passwordReset.resetPassword,
+  'POST /auth/verify-email': emailVerification.verifyEmail,
+  'POST /auth/resend-verification': emailVerification.resendVerification,
+  'POST /auth/change-email': emailVerification.changeEmail,
+  'GET /admin/lockouts': loginThrottle.listLockouts,
+  'POST /admin/lockouts/unlock': loginThrottle.unlockLockout,
+  'POST /admin/orders/refund': refunds.refundOrder,
+  'POST /admin/orders/cod/collect': codCollections.recordCollection,
+  'GET /admin/cod/remittance': codCollections.remittanceReport,
+  'POST /admin/low-stock/digest': lowStockAlerts.emailDigest,
+  'POST /notifications/deliver': notifications.deliverQueued,
+};
+
+// Routes that get the unparsed body (a Buffer) instead of JSON, for signature checks
+const rawRoutes = {
+  'POST /stripe/webhook': stripeWebhook.handleWebhook,
+};
+
+// Express 5 forwards a rejected handler promise to the error middleware.
+const toMiddleware = (handler, bodyOf) => async (req, res) => {
+  res.json(await handler(req, bodyOf(req)));
+};
+
+function mount(router, table, bodyOf) {
+  for (const [key, handler] of Object.entries(table)) {
+    const [method, path] = key.split(' ');
+    router[method.toLowerCase()](path, toMiddleware(handler, bodyOf));
+  }
+}
+
+function createApp() {
+  const app = express();
+  app.disable('x-powered-by');
+
+  const api = express.Router();
+  api.get('/health', (req, res) => res.json({ ok: true }));
+  // Raw routes first, before the JSON parser consumes the body
+  mount(api, rawRoutes, (req) => (Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0)));
+  mount(api, routes, (req) => req.body || {});
+
+  app.use(
+    cors({
+      // Requests without an Origin (curl, Stripe) are not CORS requests and pass through
+      origin: (origin, done) => done(null, !origin || ALLOWED_ORIGINS.includes(origin)),
+      methods: ['GET', 'POST'],
+      allowedHeaders: ['Content-Type', 'Authorization'],
+    })
+  );
+  const rawPaths = Object.keys(rawRoutes).map((key) => key.split(' ')[1]);
+  app.use([...rawPaths, ...rawPaths.map((p) => `/api${p}`)], express.raw({ type: '*/*' }));
+  app.use(express.json({ limit: '1mb' }));
+  app.use('/api', api);
+  app.use(api);
+
+  app.use((req, res) => res.status(404).json({ error: 'Not found' }));
+
+  // Four arguments mark this as Express's error handler
+  app.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') return res.status(400).json({ error: 'Invalid JSON body' });
+    const status = err.status || err.statusCode || 500;
+    if (status >= 500) console.error(`❌ ${req.method} ${req.path} error:`, err.message || err);
+    res.status(status).json({ error: err.message || 'Internal error' });
+  });
+
+  return app;
+}
+
+module.exports = createApp();
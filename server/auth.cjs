@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { db } = require('./db.cjs');
+const { verifyToken } = require('./tokens.cjs');
+const { httpError, bearerToken, clientIp } = require('./http.cjs');
+const { PUBLIC_USER_COLUMNS, publicUser, issueToken, createSession, loadActiveSession, touchSession } = require('./sessions.cjs');
+const { sendVerificationEmail } = require('./emailVerification.cjs');
+const { assertLoginAllowed, recordLoginFailure, recordLoginSuccess } = require('./loginThrottle.cjs');
+const { mfaChallenge } = require('./twoFactor.cjs');
+
+const INVALID_CREDENTIALS = 'Invalid email or password.';
+// bcrypt hash of a random string; never matches a real password
+const DUMMY_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+function hashPassword(password) {
+  return bcrypt.hash(password, 10);
+}
+
+// ------------------------
+// Handlers
+// ------------------------
+async function register(req, payload) {
+  const full_name = String(payload.full_name || '').trim();
+  const email = String(payload.email || '').trim().toLowerCase();
+  const password = String(payload.password || '');
+  const phone = String(payload.phone || '').trim();
+
+  if (!full_name || !email || !password || !phone) throw httpError(400, 'Please fill in all fields.');
+  if (password.length < 6) throw httpError(400, 'Password must be at least 6 characters long.');
+
+  const { data: existing } = await db.from('users').select('id').eq('email', email).maybeSingle();
+  if (existing) throw httpError(409, 'An account with this email already exists.');
+
+  const password_hash = await hashPassword(password);
+  const { data: user, error } = await db
+    .from('users')
+    .insert([{ full_name, email, password_hash, phone, role: 'customer', agreed_terms: true }])
+    .select(PUBLIC_USER_COLUMNS)
+    .single();
+  if (error || !user) {
+    console.error('❌ Register error:', error);
+    throw httpError(500, 'Registration failed. Please try again.');
+  }
+
+  // New accounts start unverified; a failed email is not fatal since the
+  // customer can resend it from their profile.
+  try {
+    await sendVerificationEmail(user);
+  } catch (err) {
+    console.error('❌ Verification email error:', err.message || err);
+  }
+
+  return { user: publicUser(user) };
+}
+
+async function login(req, payload) {
+  const email = String(payload.email || '').trim().toLowerCase();
+  const password = String(payload.password || '');
+  if (!email || !password) throw httpError(400, 'Please enter both email and password.');
+
+  const ip = clientIp(req);
+  await assertLoginAllowed(email, ip);
+
+  const { data: user, error } = await db.from('users').select('*').eq('email', email).maybeSingle();
+  if (error) {
+    console.error('❌ Login lookup error:', error);
+    throw httpError(500, 'Failed to sign in. Please try again.');
+  }
+
+  // Compare against a dummy hash for unknown emails so both cases take as long
+  const isValid = await bcrypt.compare(password, user?.password_hash || DUMMY_HASH);
+  if (!user || !isValid) {
+    await recordLoginFailure(email, ip);
+    throw httpError(401, INVALID_CREDENTIALS);
+  }
+
+  // Accounts with 2FA get a challenge instead of a session; the session is
+  // created by POST /auth/login/2fa once the code checks out.
+  const challenge = mfaChallenge(user);
+  if (challenge) return challenge;
+
+  await recordLoginSuccess(email);
+  const session = await createSession(user, req);
+  return { ...issueToken(user, session), user: publicUser(user) };
+}
+
+async function logout(req) {
+  const claims = verifyToken(bearerToken(req), { ignoreExpiry: true });
+  if (claims && claims.sid) {
+    await db.from('user_sessions').update({ revoked_at: new Date().toISOString() }).eq('id', claims.sid).is('revoked_at', null);
+  }
+  return { ok: true };
+}
+
+// Exchanges a (possibly expired) access token for a fresh one while its
+// session is still active. Also picks up role/profile changes.
+async function refresh(req) {
+  const claims = verifyToken(bearerToken(req), { ignoreExpiry: true });
+  if (!claims || !claims.sid) throw httpError(401, 'Not signed in');
+
+  const session = await loadActiveSession(claims.sid);
+  if (!session || session.user_id !== claims.sub) throw httpError(401, 'Session expired. Please sign in again.');
+
+  const { data: user } = await db.from('users').select(PUBLIC_USER_COLUMNS).eq('id', session.user_id).maybeSingle();
+  if (!user) throw httpError(401, 'Session expired. Please sign in again.');
+
+  await touchSession(session);
+  return { ...issueToken(user, session), user: publicUser(user) };
+}
+
+module.exports = {
+  hashPassword,
+  register,
+  login,
+  logout,
+  refresh,
+};
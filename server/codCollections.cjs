@@ -0,0 +1,136 @@
+const { db } = require('./db.cjs');
+const { httpError } = require('./http.cjs');
+const { requireRole } = require('./sessions.cjs');
+const { toCents } = require('./payments.cjs');
+
+// Cash on delivery. Nothing tells us a COD order was paid until the courier
+// brings the cash back, so an admin records each hand-over: the amount
+// received and who collected it. Hand-overs are kept as separate
+// cod_collections rows and add up: the payment is `short` until they reach
+// the order total, and the rest can be recorded when it comes in. The
+// remittance report totals a day's hand-overs per collector for passing the
+// cash on, kept apart per currency since cash in different currencies is
+// never added up.
+
+// Payment states a collection may be recorded from
+const COLLECTABLE_STATUSES = ['pending', 'short'];
+
+// POST /admin/orders/cod/collect { orderId, amountReceived, collectedBy, note }
+// amountReceived is this hand-over only, not a running total.
+async function recordCollection(req, payload) {
+  const { user } = await requireRole(req, ['admin']);
+  if (!payload.orderId) throw httpError(400, 'Order id required');
+  const received = Number(payload.amountReceived);
+  if (!Number.isFinite(received) || received <= 0) throw httpError(400, 'Enter the amount of cash received.');
+  const collectedBy = String(payload.collectedBy || '').trim().slice(0, 100);
+  if (!collectedBy) throw httpError(400, 'Enter who collected the cash.');
+
+  const { data: order } = await db.from('orders').select('id, status, total, currency, payments (*)').eq('id', payload.orderId).maybeSingle();
+  if (!order) throw httpError(404, 'Order not found');
+  const payment = (order.payments || [])[0];
+  if (!payment || payment.method !== 'cod') throw httpError(400, 'This order is not cash on delivery.');
+  if ((order.status || '').toLowerCase() === 'cancelled') throw httpError(409, 'This order was cancelled.');
+  if (!COLLECTABLE_STATUSES.includes(payment.status)) throw httpError(409, `This payment is already ${payment.status}.`);
+
+  const { error } = await db.rpc('record_cod_collection', {
+    p_payment_id: payment.id,
+    p_amount: received,
+    p_collected_by: collectedBy,
+    p_note: String(payload.note || '').trim().slice(0, 500) || null,
+    p_recorded_by: user.id,
+  });
+  if (error) {
+    if (error.code === 'P0001' || error.code === 'P0002') throw httpError(409, error.message);
+    throw error;
+  }
+
+  const { data: updated, error: reloadError } = await db.from('payments').select('amount, status, collected_amount').eq('id', payment.id).maybeSingle();
+  if (reloadError) throw reloadError;
+  const shortfall = Math.max(0, toCents(updated.amount) - toCents(updated.collected_amount)) / 100;
+  console.log(`💵 ${user.email} recorded ${received} ${order.currency || 'USD'} collected by ${collectedBy} on order ${order.id}${shortfall > 0 ? ` (short ${shortfall})` : ''}`);
+  return { paymentStatus: updated.status, shortfall };
+}
+
+// GET /admin/cod/remittance?from=<ISO>&to=<ISO> — hand-overs recorded in
+// [from, to), per collector, plus delivered COD orders still waiting for cash.
+// Each hand-over is expected to bring in what was still due on its payment.
+// The browser sends its own local day's bounds.
+async function remittanceReport(req) {
+  await requireRole(req, ['admin']);
+  const from = new Date(req.query?.from || '');
+  const to = new Date(req.query?.to || '');
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || to <= from) {
+    throw httpError(400, 'Pass a valid from/to range.');
+  }
+
+  const { data: rows, error } = await db
+    .from('cod_collections')
+    .select('id, payment_id, order_id, amount, collected_at, collected_by, note, payments (amount, status), orders (currency, tax_total, shipping_full_name, users (full_name, email))')
+    .gte('collected_at', from.toISOString())
+    .lt('collected_at', to.toISOString())
+    .order('collected_at', { ascending: true });
+  if (error) throw error;
+
+  // What was already handed over for the same payments before each row, so a
+  // later hand-over is only expected to bring in what was still due
+  const paymentIds = [...new Set((rows || []).map((c) => c.payment_id))];
+  const { data: history, error: historyError } = paymentIds.length
+    ? await db.from('cod_collections').select('id, payment_id, amount, collected_at').in('payment_id', paymentIds).lt('collected_at', to.toISOString())
+    : { data: [], error: null };
+  if (historyError) throw historyError;
+  const collectedBefore = (row) =>
+    (history || [])
+      .filter((h) => h.payment_id === row.payment_id && h.id !== row.id && (h.collected_at < row.collected_at || (h.collected_at === row.collected_at && h.id < row.id)))
+      .reduce((cents, h) => cents + toCents(h.amount), 0);
+
+  const collections = (rows || []).map((c) => {
+    const due = Math.max(0, toCents(c.payments?.amount) - collectedBefore(c));
+    return {
+      collectionId: c.id,
+      paymentId: c.payment_id,
+      orderId: c.order_id,
+      customer: c.orders?.users?.full_name || c.orders?.shipping_full_name || c.orders?.users?.email || '',
+      currency: c.orders?.currency || 'USD',
+      tax: Number(c.orders?.tax_total || 0),
+      expected: due / 100,
+      collected: Number(c.amount || 0),
+      shortfall: Math.max(0, due - toCents(c.amount)) / 100,
+      status: c.payments?.status,
+      collectedBy: c.collected_by,
+      collectedAt: c.collected_at,
+      note: c.note,
+    };
+  });
+
+  const sum = (list, key) => list.reduce((cents, c) => cents + toCents(c[key]), 0) / 100;
+  const summarize = (list) => ({ count: list.length, expected: sum(list, 'expected'), collected: sum(list, 'collected'), shortfall: sum(list, 'shortfall') });
+  const currencies = [...new Set(collections.map((c) => c.currency))];
+  const byCollector = [];
+  for (const name of new Set(collections.map((c) => c.collectedBy))) {
+    for (const currency of currencies) {
+      const mine = collections.filter((c) => c.collectedBy === name && c.currency === currency);
+      if (mine.length > 0) byCollector.push({ collectedBy: name, currency, ...summarize(mine) });
+    }
+  }
+
+  const { data: waiting, error: waitingError } = await db
+    .from('orders')
+    .select('id, total, currency, created_at, shipping_full_name')
+    .eq('payment_method', 'cod')
+    .ilike('status', 'delivered')
+    .eq('payment_status', 'pending')
+    .order('created_at', { ascending: true });
+  if (waitingError) throw waitingError;
+
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    collections,
+    byCollector,
+    // One entry per currency collected in
+    totals: currencies.map((currency) => ({ currency, ...summarize(collections.filter((c) => c.currency === currency)) })),
+    outstanding: (waiting || []).map((o) => ({ orderId: o.id, customer: o.shipping_full_name || '', amount: Number(o.total || 0), currency: o.currency || 'USD', placedAt: o.created_at })),
+  };
+}
+
+module.exports = { recordCollection, remittanceReport };
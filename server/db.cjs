@@ -0,0 +1,16 @@
+const { createClient } = require('@supabase/supabase-js');
+
+// Server-side Supabase client. Uses the service role key so it can read columns
+// (password_hash, session rows) that must never be exposed to the browser.
+const supabaseUrl = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL || '';
+const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY || '';
+
+if (!supabaseUrl || !serviceKey) {
+  console.warn('⚠️ SUPABASE_URL / SUPABASE_SERVICE_ROLE_KEY not set — auth endpoints will fail');
+}
+
+const db = createClient(supabaseUrl || 'http://localhost:54321', serviceKey || 'missing-service-role-key', {
+  auth: { persistSession: false, autoRefreshToken: false },
+});
+
+module.exports = { db };
@@ -0,0 +1,95 @@
+const { db } = require('./db.cjs');
+const { randomToken, hashToken } = require('./tokens.cjs');
+const { httpError } = require('./http.cjs');
+const { requireSession, PUBLIC_USER_COLUMNS, publicUser } = require('./sessions.cjs');
+const { sendMail, appUrl } = require('./mailer.cjs');
+
+const VERIFY_TOKEN_TTL_HOURS = Number(process.env.VERIFY_TOKEN_TTL_HOURS || 48);
+
+// Creates a fresh verification token for the user and emails the link.
+async function sendVerificationEmail(user) {
+  const token = randomToken();
+  const expiresAt = new Date(Date.now() + VERIFY_TOKEN_TTL_HOURS * 60 * 60 * 1000);
+  const { error } = await db
+    .from('email_verification_tokens')
+    .insert([{ user_id: user.id, token_hash: hashToken(token), expires_at: expiresAt.toISOString() }]);
+  if (error) throw error;
+
+  const link = appUrl(`/verify-email/${token}`);
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your CAPS UA email address',
+    text: `Hi ${user.full_name || ''},\n\nPlease confirm your email address so you can place orders:\n\n${link}\n\nThis link expires in ${VERIFY_TOKEN_TTL_HOURS} hours.`,
+  });
+}
+
+// POST /auth/verify-email { token }
+async function verifyEmail(req, payload) {
+  const token = String(payload.token || '');
+  const { data: row } = token
+    ? await db.from('email_verification_tokens').select('*').eq('token_hash', hashToken(token)).maybeSingle()
+    : { data: null };
+  if (!row || row.used_at || new Date(row.expires_at).getTime() <= Date.now()) {
+    throw httpError(400, 'Verification link is invalid or has expired.');
+  }
+
+  const now = new Date().toISOString();
+  await db.from('email_verification_tokens').update({ used_at: now }).eq('id', row.id);
+  const { error } = await db.from('users').update({ email_verified_at: now }).eq('id', row.user_id).is('email_verified_at', null);
+  if (error) {
+    console.error('❌ Email verify error:', error);
+    throw httpError(500, 'Failed to verify email. Please try again.');
+  }
+
+  return { ok: true };
+}
+
+// POST /auth/resend-verification (signed in)
+async function resendVerification(req) {
+  const { session } = await requireSession(req);
+  const { data: user } = await db.from('users').select('id, full_name, email, email_verified_at').eq('id', session.user_id).maybeSingle();
+  if (!user) throw httpError(401, 'Session expired. Please sign in again.');
+  if (user.email_verified_at) return { ok: true, alreadyVerified: true };
+
+  await sendVerificationEmail(user);
+  return { ok: true };
+}
+
+// POST /auth/change-email { email } (signed in)
+// The new address starts unverified: links sent to the old one stop working
+// and a fresh one goes to the new address.
+async function changeEmail(req, payload) {
+  const { session } = await requireSession(req);
+  const email = String(payload.email || '').trim().toLowerCase();
+  if (!email) throw httpError(400, 'Please enter an email address.');
+
+  const { data: current } = await db.from('users').select(PUBLIC_USER_COLUMNS).eq('id', session.user_id).maybeSingle();
+  if (!current) throw httpError(401, 'Session expired. Please sign in again.');
+  if (current.email === email) return { user: publicUser(current) };
+
+  const { data: existing } = await db.from('users').select('id').eq('email', email).maybeSingle();
+  if (existing) throw httpError(409, 'An account with this email already exists.');
+
+  const { data: user, error } = await db
+    .from('users')
+    .update({ email, email_verified_at: null })
+    .eq('id', current.id)
+    .select(PUBLIC_USER_COLUMNS)
+    .single();
+  if (error?.code === '23505') throw httpError(409, 'An account with this email already exists.');
+  if (error || !user) {
+    console.error('❌ Email change error:', error);
+    throw httpError(500, 'Failed to change email. Please try again.');
+  }
+
+  await db.from('email_verification_tokens').update({ used_at: new Date().toISOString() }).eq('user_id', user.id).is('used_at', null);
+  try {
+    await sendVerificationEmail(user);
+  } catch (err) {
+    console.error('❌ Verification email error:', err.message || err);
+  }
+
+  return { user: publicUser(user) };
+}
+
+module.exports = { sendVerificationEmail, verifyEmail, resendVerification, changeEmail };
@@ -0,0 +1,31 @@
+// Small helpers shared by the API handlers (server/app.cjs).
+
+// Error carrying an HTTP status; the router turns it into { error } JSON.
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Returns the token from an `Authorization: Bearer <token>` header, or null.
+function bearerToken(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+// How many reverse proxies (load balancer, Vercel) sit in front of the API.
+// X-Forwarded-For is only read when this is set, and only the entries those
+// proxies appended count: anything further left was sent by the client.
+const TRUST_PROXY_HOPS = Number(process.env.TRUST_PROXY || 0) || 0;
+
+function clientIp(req) {
+  const peer = req.socket?.remoteAddress || '';
+  if (TRUST_PROXY_HOPS <= 0) return peer;
+  const forwarded = String(req.headers['x-forwarded-for'] || '').split(',').map((ip) => ip.trim()).filter(Boolean);
+  // Nearest first: the connecting proxy, then the forwarded chain right to left
+  const hops = [peer, ...forwarded.reverse()];
+  return hops[Math.min(TRUST_PROXY_HOPS, hops.length - 1)];
+}
+
+module.exports = { httpError, bearerToken, clientIp };
@@ -0,0 +1,102 @@
+const { db } = require('./db.cjs');
+const { httpError } = require('./http.cjs');
+const { requireRole } = require('./sessions.cjs');
+
+// Per-email and per-IP failure tracking. Emails are tracked whether or not an
+// account exists, so throttling behaves the same for every address.
+const MAX_EMAIL_FAILURES = Number(process.env.LOGIN_MAX_FAILURES || 5);
+const MAX_IP_FAILURES = Number(process.env.LOGIN_MAX_IP_FAILURES || 20);
+const LOCK_MINUTES = Number(process.env.LOGIN_LOCK_MINUTES || 15);
+// Failures older than this no longer count towards a lockout.
+const FAILURE_WINDOW_MINUTES = Number(process.env.LOGIN_FAILURE_WINDOW_MINUTES || 15);
+// Exponential backoff starts after this many failures: 1s, 2s, 4s, ... capped.
+const BACKOFF_AFTER = 2;
+const MAX_BACKOFF_SECONDS = 60;
+
+const TOO_MANY_ATTEMPTS = 'Too many sign-in attempts. Please wait and try again later.';
+
+function backoffSeconds(failures) {
+  if (failures <= BACKOFF_AFTER) return 0;
+  return Math.min(2 ** (failures - BACKOFF_AFTER - 1), MAX_BACKOFF_SECONDS);
+}
+
+async function loadThrottle(kind, key) {
+  if (!key) return null;
+  const { data } = await db.from('login_throttles').select('*').eq('kind', kind).eq('key', key).maybeSingle();
+  return data;
+}
+
+function isBlocked(row, now = Date.now()) {
+  if (!row) return false;
+  if (row.locked_until && new Date(row.locked_until).getTime() > now) return true;
+  if (!row.last_failure_at) return false;
+  const sinceLast = now - new Date(row.last_failure_at).getTime();
+  return sinceLast < backoffSeconds(row.failure_count) * 1000;
+}
+
+// Throws 429 when either the email or the IP is locked or still backing off.
+async function assertLoginAllowed(email, ip) {
+  const [emailRow, ipRow] = await Promise.all([loadThrottle('email', email), loadThrottle('ip', ip)]);
+  if (isBlocked(emailRow) || isBlocked(ipRow)) throw httpError(429, TOO_MANY_ATTEMPTS);
+}
+
+async function bumpFailure(kind, key, maxFailures) {
+  if (!key) return;
+  const now = new Date();
+  const row = await loadThrottle(kind, key);
+  const stale = row?.last_failure_at && now - new Date(row.last_failure_at) > FAILURE_WINDOW_MINUTES * 60 * 1000;
+  const failure_count = (row && !stale ? row.failure_count : 0) + 1;
+  const locked_until = failure_count >= maxFailures ? new Date(now.getTime() + LOCK_MINUTES * 60 * 1000).toISOString() : null;
+
+  const { error } = await db
+    .from('login_throttles')
+    .upsert([{ kind, key, failure_count, last_failure_at: now.toISOString(), locked_until }], { onConflict: 'kind,key' });
+  if (error) console.error('❌ Login throttle update error:', error);
+  if (locked_until && kind === 'email') console.warn(`🔒 Sign-in locked for ${key} until ${locked_until}`);
+}
+
+async function recordLoginFailure(email, ip) {
+  await Promise.all([bumpFailure('email', email, MAX_EMAIL_FAILURES), bumpFailure('ip', ip, MAX_IP_FAILURES)]);
+}
+
+// A successful sign-in clears the email's counter (the IP keeps its history).
+async function recordLoginSuccess(email) {
+  await db.from('login_throttles').delete().eq('kind', 'email').eq('key', email);
+}
+
+// ------------------------
+// Admin handlers
+// ------------------------
+// GET /admin/lockouts — currently locked emails/IPs, with the matching account if any
+async function listLockouts(req) {
+  await requireRole(req, ['admin']);
+  const { data: rows, error } = await db
+    .from('login_throttles')
+    .select('*')
+    .gt('locked_until', new Date().toISOString())
+    .order('locked_until', { ascending: false });
+  if (error) throw error;
+
+  const emails = (rows || []).filter((r) => r.kind === 'email').map((r) => r.key);
+  const { data: users } = emails.length > 0
+    ? await db.from('users').select('id, full_name, email, role').in('email', emails)
+    : { data: [] };
+  const byEmail = Object.fromEntries((users || []).map((u) => [u.email, u]));
+
+  return { lockouts: (rows || []).map((r) => ({ ...r, user: r.kind === 'email' ? byEmail[r.key] || null : null })) };
+}
+
+// POST /admin/lockouts/unlock { id }
+async function unlockLockout(req, payload) {
+  const { user } = await requireRole(req, ['admin']);
+  if (!payload.id) throw httpError(400, 'Lockout id required');
+  const { data: row } = await db.from('login_throttles').select('*').eq('id', payload.id).maybeSingle();
+  if (!row) throw httpError(404, 'Lockout not found');
+
+  const { error } = await db.from('login_throttles').delete().eq('id', row.id);
+  if (error) throw error;
+  console.log(`🔓 ${user.email} unlocked ${row.kind} ${row.key}`);
+  return { ok: true };
+}
+
+module.exports = { assertLoginAllowed, recordLoginFailure, recordLoginSuccess, listLockouts, unlockLockout };
@@ -0,0 +1,59 @@
+const { db } = require('./db.cjs');
+const { requireRole } = require('./sessions.cjs');
+const { sendMail, appUrl } = require('./mailer.cjs');
+
+// Low-stock digest. The database opens an alert when a checkout takes a
+// variant below its reorder threshold (low_stock_alerts); this emails the
+// open ones not sent yet as a single message and marks them emailed. Run it
+// on a schedule with `npm run stock:digest`, or from the admin alert feed.
+// Recipients are LOW_STOCK_ALERT_EMAILS (comma-separated), else every admin.
+
+async function digestRecipients() {
+  const configured = (process.env.LOW_STOCK_ALERT_EMAILS || '').split(',').map((e) => e.trim()).filter(Boolean);
+  if (configured.length > 0) return configured;
+  const { data: admins, error } = await db.from('users').select('email').eq('role', 'admin');
+  if (error) throw error;
+  return (admins || []).map((a) => a.email).filter(Boolean);
+}
+
+const alertLine = ({ stock, threshold, variant }) =>
+  `- ${variant.products?.name} (${variant.color} / ${variant.size}): ${stock} left, reorder at ${threshold}`;
+
+// Returns { sent, recipients }: how many alerts went out, to how many addresses
+async function sendLowStockDigest() {
+  const { data: alerts, error } = await db
+    .from('low_stock_alerts')
+    .select('id, stock, threshold, created_at, variant:product_variants (color, size, products (name))')
+    .is('cleared_at', null)
+    .is('emailed_at', null)
+    .order('created_at');
+  if (error) throw error;
+  if (!alerts || alerts.length === 0) return { sent: 0, recipients: 0 };
+
+  const recipients = await digestRecipients();
+  if (recipients.length === 0) {
+    console.warn('⚠️ Low-stock digest: no admin email addresses to send to');
+    return { sent: 0, recipients: 0 };
+  }
+
+  const subject = `Low stock: ${alerts.length} variant${alerts.length === 1 ? '' : 's'} below reorder threshold`;
+  const text = `These variants sold below their reorder threshold:\n\n${alerts.map(alertLine).join('\n')}\n\nReview them in the admin dashboard: ${appUrl('/admin')}`;
+  for (const to of recipients) await sendMail({ to, subject, text });
+
+  const { error: markError } = await db
+    .from('low_stock_alerts')
+    .update({ emailed_at: new Date().toISOString() })
+    .in('id', alerts.map((a) => a.id));
+  if (markError) throw markError;
+
+  console.log(`📉 Low-stock digest: ${alerts.length} alert(s) sent to ${recipients.length} recipient(s)`);
+  return { sent: alerts.length, recipients: recipients.length };
+}
+
+// POST /admin/low-stock/digest — send the digest now
+async function emailDigest(req) {
+  await requireRole(req, ['admin']);
+  return sendLowStockDigest();
+}
+
+module.exports = { sendLowStockDigest, emailDigest };
@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+
+// Pluggable outgoing mail. MAIL_TRANSPORT picks the transport:
+// - smtp:    real delivery through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+// - file:    writes each message as JSON into MAIL_DIR (default ./tmp/mail) for local dev
+// - console: logs the message (default)
+const MAIL_FROM = process.env.MAIL_FROM || 'CAPS UA <no-reply@capsua.local>';
+const APP_URL = (process.env.APP_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+function smtpTransport() {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: String(process.env.SMTP_SECURE || '') === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+  });
+  return (message) => transporter.sendMail(message);
+}
+
+function fileTransport() {
+  const dir = path.resolve(process.env.MAIL_DIR || 'tmp/mail');
+  return async (message) => {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, '_')}.json`);
+    await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+    console.log('📧 Mail written to', file);
+  };
+}
+
+function consoleTransport() {
+  return async (message) => {
+    console.log(`📧 Mail to ${message.to} — ${message.subject}\n${message.text}`);
+  };
+}
+
+const transports = { smtp: smtpTransport, file: fileTransport, console: consoleTransport };
+const transportName = process.env.MAIL_TRANSPORT || 'console';
+if (!transports[transportName]) console.warn(`⚠️ Unknown MAIL_TRANSPORT "${transportName}" — falling back to console`);
+const deliver = (transports[transportName] || consoleTransport)();
+
+// sendMail({ to, subject, text, html? })
+async function sendMail({ to, subject, text, html }) {
+  await deliver({ from: MAIL_FROM, to, subject, text, html });
+}
+
+// Absolute link into the frontend, e.g. appUrl('/reset-password/abc')
+function appUrl(pathname) {
+  return `${APP_URL}${pathname}`;
+}
+
+module.exports = { sendMail, appUrl };
@@ -0,0 +1,59 @@
+const { db } = require('./db.cjs');
+const { requireSession } = require('./sessions.cjs');
+const { sendMail, appUrl } = require('./mailer.cjs');
+
+// Emails for in-app notifications. The database queues notifications (e.g. a
+// back-in-stock trigger on product_variants) but can't send mail, so whoever
+// just changed stock asks the API to deliver what's queued, and
+// `npm run notify:deliver` on a schedule catches anything left behind. Each
+// notification is emailed once: emailed_at claims it before the send (and is
+// cleared again if the send fails, for the next run).
+
+const DELIVERY_BATCH = 100;
+
+// Returns { sent, failed }
+async function deliverNotificationEmails() {
+  const { data: pending, error } = await db
+    .from('notifications')
+    .select('id, title, body, users (email, full_name)')
+    .is('emailed_at', null)
+    .order('created_at')
+    .limit(DELIVERY_BATCH);
+  if (error) throw error;
+
+  let sent = 0;
+  let failed = 0;
+  for (const n of pending || []) {
+    // Claim it first so two deliveries running at once don't both send it
+    const { data: claimed, error: claimError } = await db
+      .from('notifications')
+      .update({ emailed_at: new Date().toISOString() })
+      .eq('id', n.id)
+      .is('emailed_at', null)
+      .select('id');
+    if (claimError) throw claimError;
+    if (!claimed || claimed.length === 0 || !n.users?.email) continue;
+    try {
+      await sendMail({
+        to: n.users.email,
+        subject: n.title,
+        text: `Hi ${n.users.full_name || ''},\n\n${n.body || n.title}\n\n${appUrl('/customer')}`,
+      });
+      sent++;
+    } catch (err) {
+      failed++;
+      console.error(`❌ Notification ${n.id} email failed:`, err.message || err);
+      await db.from('notifications').update({ emailed_at: null }).eq('id', n.id);
+    }
+  }
+  if (sent > 0) console.log(`🔔 Emailed ${sent} notification(s)`);
+  return { sent, failed };
+}
+
+// POST /notifications/deliver (signed in) — sends only what the database queued
+async function deliverQueued(req) {
+  await requireSession(req);
+  return deliverNotificationEmails();
+}
+
+module.exports = { deliverNotificationEmails, deliverQueued };
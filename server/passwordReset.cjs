@@ -0,0 +1,74 @@
+const { db } = require('./db.cjs');
+const { randomToken, hashToken } = require('./tokens.cjs');
+const { httpError } = require('./http.cjs');
+const { hashPassword } = require('./auth.cjs');
+const { sendMail, appUrl } = require('./mailer.cjs');
+
+const RESET_TOKEN_TTL_MINUTES = Number(process.env.RESET_TOKEN_TTL_MINUTES || 30);
+
+// POST /auth/forgot-password { email }
+// Always answers the same way so the endpoint can't be used to probe which
+// emails have accounts.
+async function forgotPassword(req, payload) {
+  const email = String(payload.email || '').trim().toLowerCase();
+  if (!email) throw httpError(400, 'Please enter your email address.');
+
+  const { data: user } = await db.from('users').select('id, full_name, email').eq('email', email).maybeSingle();
+  if (user) {
+    const token = randomToken();
+    const expiresAt = new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000);
+    const { error } = await db
+      .from('password_reset_tokens')
+      .insert([{ user_id: user.id, token_hash: hashToken(token), expires_at: expiresAt.toISOString() }]);
+    if (error) {
+      console.error('❌ Reset token insert error:', error);
+      throw httpError(500, 'Failed to start password reset. Please try again.');
+    }
+
+    const link = appUrl(`/reset-password/${token}`);
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your CAPS UA password',
+      text: `Hi ${user.full_name || ''},\n\nUse the link below to choose a new password. It expires in ${RESET_TOKEN_TTL_MINUTES} minutes and can only be used once.\n\n${link}\n\nIf you didn't ask for this, you can ignore this email.`,
+    });
+  }
+
+  return { ok: true };
+}
+
+// POST /auth/reset-password { token, password }
+async function resetPassword(req, payload) {
+  const token = String(payload.token || '');
+  const password = String(payload.password || '');
+  if (!token) throw httpError(400, 'Reset link is invalid or has expired.');
+  if (password.length < 6) throw httpError(400, 'Password must be at least 6 characters long.');
+
+  const { data: row } = await db.from('password_reset_tokens').select('*').eq('token_hash', hashToken(token)).maybeSingle();
+  if (!row || row.used_at || new Date(row.expires_at).getTime() <= Date.now()) {
+    throw httpError(400, 'Reset link is invalid or has expired.');
+  }
+
+  // Claim the token first so two concurrent submissions can't both succeed
+  const now = new Date().toISOString();
+  const { data: claimed } = await db
+    .from('password_reset_tokens')
+    .update({ used_at: now })
+    .eq('id', row.id)
+    .is('used_at', null)
+    .select('id');
+  if (!claimed || claimed.length === 0) throw httpError(400, 'Reset link is invalid or has expired.');
+
+  const password_hash = await hashPassword(password);
+  const { error } = await db.from('users').update({ password_hash }).eq('id', row.user_id);
+  if (error) {
+    console.error('❌ Password update error:', error);
+    throw httpError(500, 'Failed to reset password. Please try again.');
+  }
+
+  // Sign out every existing session for this account
+  await db.from('user_sessions').update({ revoked_at: now }).eq('user_id', row.user_id).is('revoked_at', null);
+
+  return { ok: true };
+}
+
+module.exports = { forgotPassword, resetPassword };
@@ -0,0 +1,75 @@
+const { db } = require('./db.cjs');
+const { httpError } = require('./http.cjs');
+const { requireSession } = require('./sessions.cjs');
+const { stripe } = require('./stripe.cjs');
+
+// Saved cards. Each shopper gets a Stripe Customer (users.stripe_customer_id,
+// never readable from the browser); cards saved at checkout are attached to
+// it by Stripe, and listing or removing them only ever looks at the caller's
+// own Customer.
+
+async function loadUser(userId) {
+  const { data: user } = await db
+    .from('users')
+    .select('id, email, full_name, stripe_customer_id')
+    .eq('id', userId)
+    .maybeSingle();
+  if (!user) throw httpError(401, 'Session expired. Please sign in again.');
+  return user;
+}
+
+// The signed-in user's row with their Stripe Customer id (null if none yet)
+async function loadCustomerUser(req) {
+  const { session } = await requireSession(req);
+  return loadUser(session.user_id);
+}
+
+// The user's Stripe Customer id, creating the Customer on first use. The
+// idempotency key makes two racing first checkouts end up with one Customer.
+async function ensureCustomer(userId) {
+  const user = await loadUser(userId);
+  if (user.stripe_customer_id) return user.stripe_customer_id;
+  const customer = await stripe.customers.create(
+    { email: user.email, name: user.full_name || undefined, metadata: { userId: user.id } },
+    { idempotencyKey: `customer-${user.id}` }
+  );
+  const { error } = await db
+    .from('users')
+    .update({ stripe_customer_id: customer.id })
+    .eq('id', user.id)
+    .is('stripe_customer_id', null);
+  if (error) throw error;
+  console.log('👤 Stripe customer created:', customer.id, `user=${user.id}`);
+  return customer.id;
+}
+
+const describeCard = (pm) => ({
+  id: pm.id,
+  brand: pm.card?.brand || 'card',
+  last4: pm.card?.last4 || '',
+  expMonth: pm.card?.exp_month || null,
+  expYear: pm.card?.exp_year || null,
+});
+
+// GET /payment-methods — the caller's saved cards
+async function listPaymentMethods(req) {
+  const user = await loadCustomerUser(req);
+  if (!user.stripe_customer_id) return { paymentMethods: [] };
+  const { data } = await stripe.customers.listPaymentMethods(user.stripe_customer_id, { type: 'card', limit: 20 });
+  return { paymentMethods: data.map(describeCard) };
+}
+
+// POST /payment-methods/delete { paymentMethodId }
+async function deletePaymentMethod(req, payload) {
+  const user = await loadCustomerUser(req);
+  if (!payload.paymentMethodId) throw httpError(400, 'Payment method id required');
+  const pm = await stripe.paymentMethods.retrieve(payload.paymentMethodId).catch(() => null);
+  if (!pm || !user.stripe_customer_id || pm.customer !== user.stripe_customer_id) {
+    throw httpError(404, 'Saved card not found');
+  }
+  await stripe.paymentMethods.detach(pm.id);
+  console.log(`🗑️ Saved card ${pm.id} removed for user ${user.id}`);
+  return { ok: true };
+}
+
+module.exports = { ensureCustomer, listPaymentMethods, deletePaymentMethod };
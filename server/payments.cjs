@@ -0,0 +1,184 @@
+const { db } = require('./db.cjs');
+const { httpError } = require('./http.cjs');
+const { requireSession } = require('./sessions.cjs');
+const { stripe } = require('./stripe.cjs');
+const { ensureCustomer } = require('./paymentMethods.cjs');
+
+// Card payments for orders. The browser only says which order it is paying
+// for; the amount always comes from the order's items in the database (priced
+// by place_order() from `products`), never from the request, and is charged
+// in the order's own currency.
+// PaymentIntents in these states can still be confirmed, so they are reused
+// instead of creating a second intent for the same order.
+const REUSABLE_INTENT_STATUSES = ['requires_payment_method', 'requires_confirmation', 'requires_action'];
+
+// Payment states a succeeded PaymentIntent may still move to `paid`
+const UNPAID_STATUSES = ['pending', 'failed'];
+
+// An order with the item fields orderAmounts() needs
+const ORDER_WITH_ITEMS = '*, order_items (quantity, price, tax_amount)';
+
+const toCents = (amount) => Math.round(Number(amount || 0) * 100);
+
+// Currencies Stripe takes in whole units (amount 500 = ¥500, not ¥5.00)
+const ZERO_DECIMAL_CURRENCIES = ['bif', 'clp', 'djf', 'gnf', 'jpy', 'kmf', 'krw', 'mga', 'pyg', 'rwf', 'ugx', 'vnd', 'vuv', 'xaf', 'xof', 'xpf'];
+
+// Lower-case ISO code Stripe expects; orders from before currencies existed are USD
+const orderCurrency = (order) => (order.currency || 'USD').toLowerCase();
+
+// How many Stripe minor units make one unit of `currency`
+const minorUnitFactor = (currency) => (ZERO_DECIMAL_CURRENCIES.includes(String(currency).toLowerCase()) ? 1 : 100);
+
+// An amount in `currency` as Stripe's integer minor units
+const toMinorUnits = (amount, currency) => Math.round(Number(amount || 0) * minorUnitFactor(currency));
+
+// { subtotal, shipping, discount, tax, total } in the order currency's minor
+// units, recomputed from the items. Tax is only added when prices exclude it.
+// An order whose stored total disagrees with its items is never charged.
+function orderAmounts(order) {
+  const currency = orderCurrency(order);
+  const minor = (amount) => toMinorUnits(amount, currency);
+  const subtotal = (order.order_items || []).reduce((sum, it) => sum + minor(it.price) * Number(it.quantity || 0), 0);
+  const shipping = minor(order.shipping_fee);
+  const discount = minor(order.discount_total);
+  const tax = (order.order_items || []).reduce((sum, it) => sum + minor(it.tax_amount), 0);
+  const total = subtotal + shipping - discount + (order.prices_include_tax ? 0 : tax);
+  if (total !== minor(order.total)) {
+    console.error(`❌ Order ${order.id} total ${order.total} does not match its items (${total / minorUnitFactor(currency)} ${currency})`);
+    throw httpError(409, 'This order can no longer be paid. Please contact support.');
+  }
+  return { subtotal, shipping, discount, tax, total };
+}
+
+// The caller's own card order, with its items
+async function loadOwnOrder(req, orderId) {
+  const { session } = await requireSession(req);
+  if (!orderId) throw httpError(400, 'Order id required');
+  const { data: order } = await db
+    .from('orders')
+    .select(ORDER_WITH_ITEMS)
+    .eq('id', orderId)
+    .maybeSingle();
+  if (!order || order.user_id !== session.user_id) throw httpError(404, 'Order not found');
+  if (order.payment_method !== 'card') throw httpError(400, 'This order is not paid by card.');
+  return order;
+}
+
+// Marks the order and its payment row paid once Stripe reports the intent
+// succeeded for the full amount. Safe to call repeatedly, and never moves an
+// order that was since refunded or disputed back to paid. Used by
+// /payments/confirm and the webhook.
+async function recordSucceededIntent(order, intent) {
+  if (intent.status !== 'succeeded') return false;
+  let expected;
+  try {
+    expected = orderAmounts(order).total;
+  } catch {
+    return false;
+  }
+  if (intent.amount_received !== expected || intent.currency !== orderCurrency(order)) {
+    console.error(`❌ PaymentIntent ${intent.id} amount ${intent.amount_received} ${intent.currency} does not match order ${order.id}`);
+    return false;
+  }
+
+  const { error } = await db
+    .from('orders')
+    .update({ payment_status: 'paid', payment_intent_id: intent.id })
+    .eq('id', order.id)
+    .in('payment_status', UNPAID_STATUSES);
+  if (error) throw error;
+  const { error: paymentError } = await db
+    .from('payments')
+    .update({ status: 'paid', transaction_id: intent.id })
+    .eq('order_id', order.id)
+    .in('status', UNPAID_STATUSES);
+  if (paymentError) throw paymentError;
+  // Card orders wait in 'pending' until paid; only then are they fulfilled
+  const { error: statusError } = await db.from('orders').update({ status: 'processing' }).eq('id', order.id).eq('status', 'pending');
+  if (statusError) throw statusError;
+  if ((order.status || '').toLowerCase() === 'cancelled') {
+    console.error(`⚠️ Order ${order.id} was paid after it was cancelled — refund it from the admin order details`);
+  }
+  return true;
+}
+
+// POST /create-payment-intent { orderId, savePaymentMethod } — returns the
+// client secret for the order's PaymentIntent, creating it (and storing its id
+// on the order) if needed. Intents belong to the shopper's Stripe Customer, so
+// a saved card can pay them, and savePaymentMethod keeps the new card on file.
+async function createPaymentIntent(req, payload) {
+  const order = await loadOwnOrder(req, payload.orderId);
+  if ((order.status || '').toLowerCase() === 'cancelled') throw httpError(409, 'This order was cancelled.');
+  if (order.payment_status === 'paid') throw httpError(409, 'This order is already paid.');
+  if (!UNPAID_STATUSES.includes(order.payment_status)) throw httpError(409, 'This order can no longer be paid.');
+
+  const amounts = orderAmounts(order);
+  if (amounts.total <= 0) throw httpError(400, 'Nothing to pay for this order.');
+  const currency = orderCurrency(order);
+  const customer = await ensureCustomer(order.user_id);
+  const setupFutureUsage = payload.savePaymentMethod ? 'off_session' : null;
+
+  let intent = null;
+  if (order.payment_intent_id) {
+    const existing = await stripe.paymentIntents.retrieve(order.payment_intent_id);
+    if (existing.status === 'succeeded' && (await recordSucceededIntent(order, existing))) {
+      throw httpError(409, 'This order is already paid.');
+    }
+    if (REUSABLE_INTENT_STATUSES.includes(existing.status) && existing.amount === amounts.total && existing.currency === currency) {
+      intent = existing;
+      // The shopper may have ticked or unticked "save this card" since
+      if (intent.customer !== customer || (intent.setup_future_usage || null) !== setupFutureUsage) {
+        intent = await stripe.paymentIntents.update(intent.id, { customer, setup_future_usage: setupFutureUsage || '' });
+      }
+    }
+  }
+
+  if (!intent) {
+    // Two concurrent requests for the same order (a retry racing the first
+    // attempt) get the same intent from Stripe. The key moves on once an
+    // intent is stored, so a replacement for an unusable one can be created.
+    intent = await stripe.paymentIntents.create(
+      {
+        amount: amounts.total,
+        currency,
+        payment_method_types: ['card'],
+        customer,
+        ...(setupFutureUsage ? { setup_future_usage: setupFutureUsage } : {}),
+        metadata: { orderId: order.id, userId: order.user_id },
+        description: `Order ${order.id}`,
+      },
+      { idempotencyKey: `order-${order.idempotency_key || order.id}-${order.payment_intent_id || 'first'}-${setupFutureUsage || 'once'}` }
+    );
+    const { error } = await db.from('orders').update({ payment_intent_id: intent.id }).eq('id', order.id);
+    if (error) throw error;
+    await db.from('payments').update({ transaction_id: intent.id }).eq('order_id', order.id);
+    console.log('✅ PaymentIntent created:', intent.id, `amount=${intent.amount}`, `order=${order.id}`);
+  }
+
+  return { clientSecret: intent.client_secret, id: intent.id, currency, ...amounts };
+}
+
+// POST /payments/confirm { orderId } — called after the browser confirms the
+// card. Asks Stripe (not the browser) whether the intent succeeded.
+async function confirmPayment(req, payload) {
+  const order = await loadOwnOrder(req, payload.orderId);
+  if (!UNPAID_STATUSES.includes(order.payment_status)) return { paymentStatus: order.payment_status };
+  if (!order.payment_intent_id) throw httpError(400, 'No payment was started for this order.');
+
+  const intent = await stripe.paymentIntents.retrieve(order.payment_intent_id);
+  const paid = await recordSucceededIntent(order, intent);
+  return { paymentStatus: paid ? 'paid' : order.payment_status, intentStatus: intent.status };
+}
+
+module.exports = {
+  ORDER_WITH_ITEMS,
+  REUSABLE_INTENT_STATUSES,
+  toCents,
+  orderCurrency,
+  minorUnitFactor,
+  toMinorUnits,
+  orderAmounts,
+  recordSucceededIntent,
+  createPaymentIntent,
+  confirmPayment,
+};
@@ -0,0 +1,123 @@
+const { db } = require('./db.cjs');
+const { httpError } = require('./http.cjs');
+const { requireRole } = require('./sessions.cjs');
+const { stripe } = require('./stripe.cjs');
+const { orderCurrency, minorUnitFactor, toMinorUnits } = require('./payments.cjs');
+const { deliverNotificationEmails } = require('./notifications.cjs');
+
+// Refunds from the admin order view. Card refunds go to Stripe against the
+// PaymentIntent stored in payments.transaction_id; cash-on-delivery refunds
+// are handed over in person and only recorded. Either way record_refund()
+// writes the refund rows, the payment's refunded total and status, and puts
+// the items back in stock when asked to.
+const REFUNDABLE_STATUSES = ['paid', 'partially_refunded'];
+
+// Which lines are being refunded, and for how much (minor units of the order's
+// currency). No `items` means everything that is left, shipping included. When
+// tax was added on top of prices, an item's refund includes its share of it.
+function refundLines(order, payment, items) {
+  const currency = orderCurrency(order);
+  const minor = (amount) => toMinorUnits(amount, currency);
+  const major = (units) => units / minorUnitFactor(currency);
+  const lineAmount = (it, qty) =>
+    major(minor(it.price) * qty + (order.prices_include_tax ? 0 : Math.round((minor(it.tax_amount) * qty) / Number(it.quantity))));
+  const remaining = minor(payment.amount) - minor(payment.refunded_amount);
+  if (remaining <= 0) throw httpError(409, 'This order has already been refunded in full.');
+
+  const byId = Object.fromEntries((order.order_items || []).map((it) => [it.id, it]));
+  const left = (it) => Number(it.quantity || 0) - Number(it.refunded_quantity || 0);
+
+  let lines;
+  let amount;
+  if (!items || items.length === 0) {
+    lines = (order.order_items || [])
+      .filter((it) => left(it) > 0)
+      .map((it) => ({ order_item_id: it.id, quantity: left(it), amount: lineAmount(it, left(it)) }));
+    amount = remaining;
+  } else {
+    if (new Set(items.map((i) => i.orderItemId)).size !== items.length) {
+      throw httpError(400, 'Each item can only be listed once per refund.');
+    }
+    lines = items.map(({ orderItemId, quantity }) => {
+      const it = byId[orderItemId];
+      const qty = Number(quantity);
+      if (!it) throw httpError(400, 'That item is not part of this order.');
+      if (!Number.isInteger(qty) || qty <= 0) throw httpError(400, 'Refund quantities must be whole numbers above zero.');
+      if (qty > left(it)) throw httpError(409, `Only ${left(it)} of ${it.name || 'that item'} can still be refunded.`);
+      return { order_item_id: it.id, quantity: qty, amount: lineAmount(it, qty) };
+    });
+    // An order-level discount can leave less to refund than the items' list price
+    amount = Math.min(remaining, lines.reduce((sum, l) => sum + minor(l.amount), 0));
+  }
+  if (amount <= 0) throw httpError(400, 'Nothing to refund.');
+  return { lines, amount };
+}
+
+// POST /admin/orders/refund { orderId, items?: [{ orderItemId, quantity }], restock, reason }
+async function refundOrder(req, payload) {
+  const { user } = await requireRole(req, ['admin']);
+  if (!payload.orderId) throw httpError(400, 'Order id required');
+
+  const { data: order } = await db
+    .from('orders')
+    .select('*, order_items (id, name, quantity, price, tax_amount, refunded_quantity), payments (*)')
+    .eq('id', payload.orderId)
+    .maybeSingle();
+  if (!order) throw httpError(404, 'Order not found');
+  const payment = (order.payments || [])[0];
+  if (!payment || !REFUNDABLE_STATUSES.includes(payment.status)) {
+    throw httpError(409, 'Only paid orders can be refunded.');
+  }
+
+  const { lines, amount } = refundLines(order, payment, payload.items);
+  const currency = orderCurrency(order);
+  const amountMajor = amount / minorUnitFactor(currency);
+  const reason = String(payload.reason || '').trim().slice(0, 500) || null;
+
+  let stripeRefund = null;
+  if (payment.method === 'card') {
+    if (!payment.transaction_id) throw httpError(409, 'This card payment has no Stripe transaction to refund.');
+    // Keyed on what has been refunded so far, so a double-submitted refund is
+    // only issued once by Stripe.
+    stripeRefund = await stripe.refunds.create(
+      {
+        payment_intent: payment.transaction_id,
+        amount,
+        metadata: { orderId: order.id, adminId: user.id },
+      },
+      { idempotencyKey: `refund-${order.id}-${toMinorUnits(payment.refunded_amount, currency)}-${amount}` }
+    );
+    if (['failed', 'canceled'].includes(stripeRefund.status)) {
+      console.error(`❌ Stripe refund ${stripeRefund.id} for order ${order.id} ${stripeRefund.status}`);
+      throw httpError(502, 'Stripe could not issue this refund.');
+    }
+  }
+
+  const { data: refund, error } = await db.rpc('record_refund', {
+    p_order_id: order.id,
+    p_amount: amountMajor,
+    p_items: lines,
+    p_restock: !!payload.restock,
+    p_reason: reason,
+    p_stripe_refund_id: stripeRefund?.id || null,
+    p_status: stripeRefund ? (stripeRefund.status === 'succeeded' ? 'succeeded' : 'pending') : 'succeeded',
+    p_created_by: user.id,
+  });
+  if (error) {
+    if (error.code === '23505') throw httpError(409, 'This refund has already been recorded.');
+    // The money has already left Stripe; the webhook will still bring the payment's totals up to date
+    if (stripeRefund) console.error(`❌ Stripe refund ${stripeRefund.id} for order ${order.id} not recorded:`, error.message);
+    if (error.code === 'P0001' || error.code === 'P0002') throw httpError(409, error.message);
+    throw error;
+  }
+
+  console.log(`💸 ${user.email} refunded ${amountMajor} ${currency.toUpperCase()} on order ${order.id}${stripeRefund ? ` (${stripeRefund.id})` : ''}`);
+  // Restocked items may have been sold out: email whoever asked to be told
+  if (payload.restock) {
+    await deliverNotificationEmails().catch((err) => console.error('❌ Notification delivery failed:', err.message || err));
+  }
+  const { data: updated } = await db.from('orders').select('payment_status').eq('id', order.id).maybeSingle();
+  return { refund, paymentStatus: updated?.payment_status || payment.status };
+}
+
+module.exports = { refundOrder };
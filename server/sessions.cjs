@@ -0,0 +1,126 @@
+const { db } = require('./db.cjs');
+const { signToken, verifyToken } = require('./tokens.cjs');
+const { httpError, bearerToken, clientIp } = require('./http.cjs');
+
+// Access tokens are short-lived; the session row they point at lives longer and
+// can be refreshed until it expires or is revoked.
+const TOKEN_TTL_SECONDS = Number(process.env.TOKEN_TTL_SECONDS || 60 * 60);
+const SESSION_TTL_DAYS = Number(process.env.SESSION_TTL_DAYS || 7);
+// Admin sessions also end after this long without activity (0 disables it).
+const ADMIN_IDLE_TIMEOUT_MINUTES = Number(process.env.ADMIN_IDLE_TIMEOUT_MINUTES ?? 30);
+// last_seen_at is written at most this often per session.
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Columns that are safe to send to the browser (never password_hash).
+const PUBLIC_USER_COLUMNS = 'id, full_name, email, phone, address, avatar_url, role, created_at, email_verified_at, totp_enabled_at';
+
+function publicUser(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    full_name: row.full_name,
+    email: row.email,
+    phone: row.phone,
+    address: row.address,
+    avatar_url: row.avatar_url,
+    role: row.role,
+    created_at: row.created_at,
+    email_verified: !!row.email_verified_at,
+    totp_enabled: !!row.totp_enabled_at,
+  };
+}
+
+// The token doubles as the PostgREST JWT for the browser's Supabase client
+// (role/aud select the `authenticated` database role; RLS keys off sub + sid).
+function issueToken(user, session) {
+  const token = signToken(
+    { sub: user.id, sid: session.id, email: user.email, app_role: user.role, role: 'authenticated', aud: 'authenticated' },
+    TOKEN_TTL_SECONDS
+  );
+  return {
+    token,
+    expiresAt: new Date(Date.now() + TOKEN_TTL_SECONDS * 1000).toISOString(),
+    idleTimeoutMinutes: session.idle_timeout_minutes || null,
+  };
+}
+
+function idleTimeoutFor(user) {
+  return user.role === 'admin' && ADMIN_IDLE_TIMEOUT_MINUTES > 0 ? ADMIN_IDLE_TIMEOUT_MINUTES : null;
+}
+
+// Admin accounts must pass TOTP two-factor authentication; everyone else may opt in.
+const isTwoFactorRequired = (user) => user.role === 'admin';
+
+async function createSession(user, req, { mfaVerified = false } = {}) {
+  const expiresAt = new Date(Date.now() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000);
+  const { data: session, error } = await db
+    .from('user_sessions')
+    .insert([{
+      user_id: user.id,
+      expires_at: expiresAt.toISOString(),
+      user_agent: req.headers['user-agent'] || '',
+      ip_address: clientIp(req),
+      mfa_verified_at: mfaVerified ? new Date().toISOString() : null,
+      idle_timeout_minutes: idleTimeoutFor(user),
+    }])
+    .select()
+    .single();
+  if (error || !session) throw error || new Error('Failed to create session');
+  return session;
+}
+
+async function loadActiveSession(sessionId) {
+  const { data: session } = await db.from('user_sessions').select('*').eq('id', sessionId).maybeSingle();
+  if (!session || session.revoked_at) return null;
+  if (new Date(session.expires_at).getTime() <= Date.now()) return null;
+  if (session.idle_timeout_minutes && session.last_seen_at
+    && new Date(session.last_seen_at).getTime() + session.idle_timeout_minutes * 60 * 1000 <= Date.now()) {
+    return null;
+  }
+  return session;
+}
+
+// Records activity on a session (used for the idle timeout and "last active").
+async function touchSession(session) {
+  if (session.last_seen_at && Date.now() - new Date(session.last_seen_at).getTime() < TOUCH_INTERVAL_MS) return;
+  const now = new Date().toISOString();
+  await db.from('user_sessions').update({ last_seen_at: now }).eq('id', session.id);
+  session.last_seen_at = now;
+}
+
+// Resolves the caller's session from the bearer token, or throws 401.
+// Counts as activity unless touch is false (background checks).
+async function requireSession(req, { touch = true } = {}) {
+  const claims = verifyToken(bearerToken(req));
+  if (!claims || !claims.sid) throw httpError(401, 'Not signed in');
+  const session = await loadActiveSession(claims.sid);
+  if (!session || session.user_id !== claims.sub) throw httpError(401, 'Session expired. Please sign in again.');
+  if (touch) await touchSession(session);
+  return { claims, session };
+}
+
+// Like requireSession, but also checks the caller's current role in `users`
+// (not the role baked into the token) against the allowed list.
+async function requireRole(req, roles) {
+  const ctx = await requireSession(req);
+  const { data: user } = await db.from('users').select(PUBLIC_USER_COLUMNS).eq('id', ctx.session.user_id).maybeSingle();
+  if (!user) throw httpError(401, 'Session expired. Please sign in again.');
+  if (!roles.includes(user.role)) throw httpError(403, 'You do not have access to this action.');
+  if (isTwoFactorRequired(user) && !ctx.session.mfa_verified_at) {
+    throw httpError(403, 'Two-factor authentication is required for this account.');
+  }
+  return { ...ctx, user };
+}
+
+module.exports = {
+  TOKEN_TTL_SECONDS,
+  PUBLIC_USER_COLUMNS,
+  publicUser,
+  isTwoFactorRequired,
+  issueToken,
+  createSession,
+  loadActiveSession,
+  touchSession,
+  requireSession,
+  requireRole,
+};
@@ -0,0 +1,20 @@
+const Stripe = require('stripe');
+
+// Server-side Stripe client, shared by server.cjs and the serverless functions in api/.
+const stripeSecret = process.env.STRIPE_SECRET_KEY || process.env.VITE_STRIPE_SECRET_KEY || '';
+
+if (!stripeSecret) {
+  console.warn('⚠️ STRIPE_SECRET_KEY not set — card payments will fail');
+}
+
+// STRIPE_API_BASE points the client somewhere other than api.stripe.com,
+// e.g. http://localhost:12111 for stripe-mock.
+function apiBaseOptions() {
+  if (!process.env.STRIPE_API_BASE) return {};
+  const url = new URL(process.env.STRIPE_API_BASE);
+  return { host: url.hostname, port: url.port || undefined, protocol: url.protocol.replace(':', '') };
+}
+
+const stripe = Stripe(stripeSecret || 'sk_missing_secret_key', apiBaseOptions());
+
+module.exports = { stripe, stripeSecret };
@@ -0,0 +1,116 @@
+const { db } = require('./db.cjs');
+const { httpError } = require('./http.cjs');
+const { stripe } = require('./stripe.cjs');
+const { ORDER_WITH_ITEMS, orderCurrency, minorUnitFactor, recordSucceededIntent } = require('./payments.cjs');
+
+// POST /stripe/webhook — Stripe, not the browser, decides whether a card order
+// is paid, refunded or disputed. Events must carry a valid Stripe-Signature
+// for STRIPE_WEBHOOK_SECRET. Handled event ids are kept in stripe_events so a
+// redelivery is acknowledged without being applied again, and each handler
+// only moves an order forward from the states it expects, so events arriving
+// out of order can't undo a later one.
+const WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || '';
+
+function verifyEvent(req, rawBody) {
+  if (!WEBHOOK_SECRET) throw httpError(500, 'Stripe webhook secret not configured');
+  const signature = req.headers['stripe-signature'];
+  if (!signature) throw httpError(400, 'Missing Stripe-Signature header');
+  try {
+    return stripe.webhooks.constructEvent(rawBody, signature, WEBHOOK_SECRET);
+  } catch (err) {
+    console.warn('⚠️ Rejected Stripe webhook:', err.message);
+    throw httpError(400, 'Invalid Stripe signature');
+  }
+}
+
+// The order a PaymentIntent belongs to: the one that stored its id, or the
+// one named in the intent's metadata (if that order hasn't moved on to a
+// newer intent).
+async function findOrder(intentId, metadataOrderId) {
+  if (!intentId) return null;
+  const { data: byIntent } = await db.from('orders').select(ORDER_WITH_ITEMS).eq('payment_intent_id', intentId).maybeSingle();
+  if (byIntent) return byIntent;
+  if (!metadataOrderId) return null;
+  const { data: byMetadata } = await db.from('orders').select(ORDER_WITH_ITEMS).eq('id', metadataOrderId).maybeSingle();
+  if (!byMetadata || (byMetadata.payment_intent_id && byMetadata.payment_intent_id !== intentId)) return null;
+  return byMetadata;
+}
+
+// Moves the order and its payment row to `status`, but only from one of `from`.
+async function transition(order, status, from, paymentChanges = {}) {
+  const { data: updated, error } = await db
+    .from('orders')
+    .update({ payment_status: status })
+    .eq('id', order.id)
+    .in('payment_status', from)
+    .select('id');
+  if (error) throw error;
+  const { error: paymentError } = await db
+    .from('payments')
+    .update({ status, ...paymentChanges })
+    .eq('order_id', order.id)
+    .in('status', from);
+  if (paymentError) throw paymentError;
+  return updated && updated.length > 0 ? status : `left ${order.payment_status}`;
+}
+
+const handlers = {
+  'payment_intent.succeeded': async (intent) => {
+    const order = await findOrder(intent.id, intent.metadata?.orderId);
+    if (!order) return 'no matching order';
+    return (await recordSucceededIntent(order, intent)) ? 'paid' : 'not applied (amount mismatch)';
+  },
+
+  // The customer can retry with another card; the same order stays payable.
+  'payment_intent.payment_failed': async (intent) => {
+    const order = await findOrder(intent.id, intent.metadata?.orderId);
+    if (!order) return 'no matching order';
+    return transition(order, 'failed', ['pending']);
+  },
+
+  // amount_refunded is the running total, so an older partial refund event
+  // arriving late never lowers what has already been recorded.
+  'charge.refunded': async (charge) => {
+    const order = await findOrder(charge.payment_intent, null);
+    if (!order) return 'no matching order';
+    const refundedAmount = charge.amount_refunded / minorUnitFactor(orderCurrency(order));
+    const { data: payment } = await db.from('payments').select('refunded_amount').eq('order_id', order.id).maybeSingle();
+    if (payment && Number(payment.refunded_amount || 0) > refundedAmount) return 'stale refund total';
+    const status = charge.refunded || charge.amount_refunded >= charge.amount ? 'refunded' : 'partially_refunded';
+    return transition(order, status, ['paid', 'partially_refunded', 'refunded'], { refunded_amount: refundedAmount });
+  },
+
+  'charge.dispute.created': async (dispute) => {
+    const order = await findOrder(dispute.payment_intent, null);
+    if (!order) return 'no matching order';
+    return transition(order, 'disputed', ['paid', 'partially_refunded']);
+  },
+
+  // won / warning_closed: the money stays with us; lost: it was taken back
+  'charge.dispute.closed': async (dispute) => {
+    const order = await findOrder(dispute.payment_intent, null);
+    if (!order) return 'no matching order';
+    return transition(order, dispute.status === 'lost' ? 'dispute_lost' : 'paid', ['disputed']);
+  },
+};
+
+// Raw-body route: `rawBody` is the unparsed request body (a Buffer).
+// Throwing makes the router answer non-2xx, and Stripe retries the event.
+async function handleWebhook(req, rawBody) {
+  const event = verifyEvent(req, rawBody);
+
+  const { data: seen } = await db.from('stripe_events').select('processed_at').eq('id', event.id).maybeSingle();
+  if (seen?.processed_at) return { received: true, duplicate: true };
+
+  const handler = handlers[event.type];
+  const outcome = handler ? await handler(event.data.object) : 'ignored';
+
+  const { error } = await db
+    .from('stripe_events')
+    .upsert({ id: event.id, type: event.type, livemode: !!event.livemode, processed_at: new Date().toISOString() });
+  if (error) throw error;
+  console.log(`🔔 Stripe ${event.type} ${event.id}: ${outcome}`);
+  return { received: true };
+}
+
+module.exports = { handleWebhook };
@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+
+// Session tokens are compact HS256 JWTs signed with SESSION_SECRET.
+const secret = process.env.SESSION_SECRET || '';
+if (!secret) console.warn('⚠️ SESSION_SECRET not set — using an insecure development secret');
+const signingKey = secret || 'dev-only-session-secret';
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+function hmac(data) {
+  return crypto.createHmac('sha256', signingKey).update(data).digest('base64url');
+}
+
+function signToken(claims, ttlSeconds) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({ ...claims, iat: now, exp: now + ttlSeconds }));
+  return `${header}.${payload}.${hmac(`${header}.${payload}`)}`;
+}
+
+// Returns the decoded claims, or null when the signature is bad or (unless
+// ignoreExpiry is set) the token has expired.
+function verifyToken(token, { ignoreExpiry = false } = {}) {
+  if (!token || typeof token !== 'string') return null;
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+  const [header, payload, signature] = parts;
+
+  const expected = Buffer.from(hmac(`${header}.${payload}`));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!ignoreExpiry && claims.exp && claims.exp < Math.floor(Date.now() / 1000)) return null;
+    return claims;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Opaque single-use tokens (password reset, email verification). Only the
+// SHA-256 hash is stored, so a leaked table can't be replayed.
+function randomToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+module.exports = { signToken, verifyToken, randomToken, hashToken };
@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+
+// RFC 6238 TOTP (SHA-1, 30 second steps, 6 digits) — what authenticator apps expect.
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  let out = '';
+  for (let i = 0; i < bits.length; i += 5) out += BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  return out;
+}
+
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[^A-Z2-7]/g, '');
+  let bits = '';
+  for (const ch of clean) bits += BASE32.indexOf(ch).toString(2).padStart(5, '0');
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+}
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function codeForStep(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const digest = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+// Returns the matching step (allowing one step of clock drift either way), or null.
+function verifyCode(secret, code, { afterStep = null, now = Date.now() } = {}) {
+  const given = String(code || '').replace(/\s/g, '');
+  if (!secret || !/^\d{6}$/.test(given)) return null;
+  const step = currentStep(now);
+  for (const s of [step - 1, step, step + 1]) {
+    if (afterStep !== null && s <= afterStep) continue;
+    const expected = codeForStep(secret, s);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(given))) return s;
+  }
+  return null;
+}
+
+function otpauthUrl({ secret, account, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+}
+
+module.exports = { generateSecret, verifyCode, otpauthUrl, codeForStep, currentStep };
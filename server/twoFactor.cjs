@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { db } = require('./db.cjs');
+const { signToken, verifyToken, hashToken } = require('./tokens.cjs');
+const { httpError, clientIp } = require('./http.cjs');
+const { publicUser, isTwoFactorRequired, issueToken, createSession, requireSession } = require('./sessions.cjs');
+const { assertLoginAllowed, recordLoginFailure, recordLoginSuccess } = require('./loginThrottle.cjs');
+const totp = require('./totp.cjs');
+
+const ISSUER = process.env.TOTP_ISSUER || 'CAPS UA';
+const MFA_TOKEN_TTL_SECONDS = 5 * 60;
+const RECOVERY_CODE_COUNT = 10;
+
+function newRecoveryCode() {
+  const hex = crypto.randomBytes(5).toString('hex');
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+}
+
+async function replaceRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, newRecoveryCode);
+  await db.from('recovery_codes').delete().eq('user_id', userId);
+  const { error } = await db.from('recovery_codes').insert(codes.map((c) => ({ user_id: userId, code_hash: hashToken(c) })));
+  if (error) throw error;
+  return codes;
+}
+
+// Accepts either a current TOTP code or an unused recovery code.
+async function checkSecondFactor(user, { code, recoveryCode }) {
+  if (recoveryCode) {
+    const normalized = String(recoveryCode).trim().toLowerCase();
+    const { data: claimed } = await db
+      .from('recovery_codes')
+      .update({ used_at: new Date().toISOString() })
+      .eq('user_id', user.id)
+      .eq('code_hash', hashToken(normalized))
+      .is('used_at', null)
+      .select('id');
+    return !!(claimed && claimed.length > 0);
+  }
+
+  const step = totp.verifyCode(user.totp_secret, code, { afterStep: user.totp_last_step ?? null });
+  if (step === null) return false;
+  await db.from('users').update({ totp_last_step: step }).eq('id', user.id);
+  return true;
+}
+
+async function loadUser(userId) {
+  const { data: user } = await db.from('users').select('*').eq('id', userId).maybeSingle();
+  if (!user) throw httpError(401, 'Session expired. Please sign in again.');
+  return user;
+}
+
+// Called by auth.login once the password is correct. Returns a short-lived
+// challenge token for the second step when the account has 2FA enabled.
+function mfaChallenge(user) {
+  if (!user.totp_enabled_at) return null;
+  return { mfaRequired: true, mfaToken: signToken({ sub: user.id, purpose: 'mfa' }, MFA_TOKEN_TTL_SECONDS) };
+}
+
+// ------------------------
+// Handlers
+// ------------------------
+// POST /auth/login/2fa { mfaToken, code | recoveryCode }
+async function completeLogin(req, payload) {
+  const claims = verifyToken(payload.mfaToken);
+  if (!claims || claims.purpose !== 'mfa') throw httpError(401, 'Sign-in expired. Please enter your password again.');
+
+  const user = await loadUser(claims.sub);
+  const ip = clientIp(req);
+  await assertLoginAllowed(user.email, ip);
+
+  const ok = await checkSecondFactor(user, payload);
+  if (!ok) {
+    await recordLoginFailure(user.email, ip);
+    throw httpError(401, 'Invalid authentication code.');
+  }
+
+  await recordLoginSuccess(user.email);
+  const session = await createSession(user, req, { mfaVerified: true });
+  return { ...issueToken(user, session), user: publicUser(user) };
+}
+
+// POST /auth/2fa/setup — starts enrollment with a fresh (pending) secret
+async function setup(req) {
+  const { session } = await requireSession(req);
+  const user = await loadUser(session.user_id);
+  if (user.totp_enabled_at) throw httpError(400, 'Two-factor authentication is already enabled.');
+
+  const secret = totp.generateSecret();
+  await db.from('users').update({ totp_pending_secret: secret }).eq('id', user.id);
+
+  const url = totp.otpauthUrl({ secret, account: user.email, issuer: ISSUER });
+  const qrDataUrl = await QRCode.toDataURL(url);
+  return { secret, otpauthUrl: url, qrDataUrl };
+}
+
+// POST /auth/2fa/enable { code } — confirms the pending secret, returns recovery codes once
+async function enable(req, payload) {
+  const { session } = await requireSession(req);
+  const user = await loadUser(session.user_id);
+  if (!user.totp_pending_secret) throw httpError(400, 'Start two-factor setup first.');
+
+  const step = totp.verifyCode(user.totp_pending_secret, payload.code);
+  if (step === null) throw httpError(400, 'Invalid authentication code.');
+
+  const now = new Date().toISOString();
+  const { error } = await db
+    .from('users')
+    .update({ totp_secret: user.totp_pending_secret, totp_pending_secret: null, totp_enabled_at: now, totp_last_step: step })
+    .eq('id', user.id);
+  if (error) throw error;
+
+  // Enrolling proves possession of the authenticator for this session too
+  await db.from('user_sessions').update({ mfa_verified_at: now }).eq('id', session.id);
+
+  const recoveryCodes = await replaceRecoveryCodes(user.id);
+  return { ok: true, recoveryCodes };
+}
+
+// POST /auth/2fa/disable { code | recoveryCode }
+async function disable(req, payload) {
+  const { session } = await requireSession(req);
+  const user = await loadUser(session.user_id);
+  if (isTwoFactorRequired(user)) throw httpError(403, 'Two-factor authentication is required for admin accounts.');
+  if (!user.totp_enabled_at) return { ok: true };
+
+  if (!(await checkSecondFactor(user, payload))) throw httpError(400, 'Invalid authentication code.');
+
+  await db.from('users').update({ totp_secret: null, totp_enabled_at: null, totp_last_step: null }).eq('id', user.id);
+  await db.from('recovery_codes').delete().eq('user_id', user.id);
+  return { ok: true };
+}
+
+// POST /auth/2fa/recovery-codes { code } — replaces all recovery codes
+async function regenerateRecoveryCodes(req, payload) {
+  const { session } = await requireSession(req);
+  const user = await loadUser(session.user_id);
+  if (!user.totp_enabled_at) throw httpError(400, 'Two-factor authentication is not enabled.');
+  if (!(await checkSecondFactor(user, { code: payload.code }))) throw httpError(400, 'Invalid authentication code.');
+
+  const recoveryCodes = await replaceRecoveryCodes(user.id);
+  return { ok: true, recoveryCodes };
+}
+
+module.exports = { mfaChallenge, completeLogin, setup, enable, disable, regenerateRecoveryCodes };
@@ -0,0 +1,71 @@
+const { db } = require('./db.cjs');
+const { stripe } = require('./stripe.cjs');
+const { ORDER_WITH_ITEMS, REUSABLE_INTENT_STATUSES, recordSucceededIntent } = require('./payments.cjs');
+const { deliverNotificationEmails } = require('./notifications.cjs');
+
+// Card orders are placed (and their stock held) before the card is charged.
+// One the shopper never pays for — a declined card, a closed checkout — is
+// cancelled and restocked once it is UNPAID_ORDER_TTL_MINUTES old, by
+// `npm run orders:expire-unpaid` on a schedule. Stripe is asked first: a
+// payment that went through after all is recorded instead, and an intent that
+// could still be paid is cancelled so the shopper can't be charged for an
+// order that no longer exists.
+
+const UNPAID_ORDER_TTL_MINUTES = Number(process.env.UNPAID_ORDER_TTL_MINUTES || 60);
+const EXPIRY_BATCH = 100;
+
+// Where the order's PaymentIntent stands: 'closed' once it can no longer take
+// money (cancelling it if need be), 'paid' if it went through after all (the
+// payment is recorded) or 'open' while the bank is still deciding.
+async function settleIntent(order) {
+  if (!order.payment_intent_id) return 'closed';
+  const intent = await stripe.paymentIntents.retrieve(order.payment_intent_id);
+  if (intent.status === 'succeeded') return (await recordSucceededIntent(order, intent)) ? 'paid' : 'open';
+  if (intent.status === 'canceled') return 'closed';
+  if (!REUSABLE_INTENT_STATUSES.includes(intent.status)) return 'open';
+  await stripe.paymentIntents.cancel(intent.id, { cancellation_reason: 'abandoned' });
+  return 'closed';
+}
+
+// Returns { cancelled, paid, skipped }
+async function expireUnpaidCardOrders() {
+  const cutoff = new Date(Date.now() - UNPAID_ORDER_TTL_MINUTES * 60 * 1000).toISOString();
+  const { data: orders, error } = await db
+    .from('orders')
+    .select(ORDER_WITH_ITEMS)
+    .eq('payment_method', 'card')
+    .eq('status', 'pending')
+    .in('payment_status', ['pending', 'failed'])
+    .lt('created_at', cutoff)
+    .order('created_at')
+    .limit(EXPIRY_BATCH);
+  if (error) throw error;
+
+  let cancelled = 0;
+  let paid = 0;
+  let skipped = 0;
+  for (const order of orders || []) {
+    try {
+      const state = await settleIntent(order);
+      if (state === 'paid') paid += 1;
+      if (state === 'open') skipped += 1;
+      if (state !== 'closed') continue;
+      const { data: expired, error: expireError } = await db.rpc('expire_unpaid_card_order', { p_order_id: order.id });
+      if (expireError) throw expireError;
+      if (expired) cancelled += 1;
+      else skipped += 1;
+    } catch (err) {
+      skipped += 1;
+      console.error(`❌ Could not expire unpaid order ${order.id}:`, err.message || err);
+    }
+  }
+
+  if (cancelled > 0) {
+    console.log(`🕒 Cancelled ${cancelled} unpaid card order(s) older than ${UNPAID_ORDER_TTL_MINUTES} minutes`);
+    // The returned stock may be what someone is waiting for
+    await deliverNotificationEmails();
+  }
+  return { cancelled, paid, skipped };
+}
+
+module.exports = { UNPAID_ORDER_TTL_MINUTES, expireUnpaidCardOrders };
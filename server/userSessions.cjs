@@ -0,0 +1,66 @@
+const { db } = require('./db.cjs');
+const { httpError } = require('./http.cjs');
+const { requireSession } = require('./sessions.cjs');
+
+// "Devices & sessions": lets a signed-in user see where they are signed in
+// and sign other devices out.
+
+// POST /auth/heartbeat { active } — background check from the browser. A
+// revoked, expired or idle session answers 401 so the device signs out.
+async function heartbeat(req, payload) {
+  await requireSession(req, { touch: !!payload.active });
+  return { ok: true };
+}
+
+// GET /auth/sessions
+async function listSessions(req) {
+  const { session: current } = await requireSession(req, { touch: false });
+  const { data: rows, error } = await db
+    .from('user_sessions')
+    .select('id, created_at, last_seen_at, expires_at, user_agent, ip_address, idle_timeout_minutes')
+    .eq('user_id', current.user_id)
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .order('last_seen_at', { ascending: false });
+  if (error) throw error;
+
+  // Idle-expired sessions are already dead even though they aren't revoked
+  const now = Date.now();
+  const sessions = (rows || [])
+    .filter((s) => !s.idle_timeout_minutes || new Date(s.last_seen_at).getTime() + s.idle_timeout_minutes * 60 * 1000 > now)
+    .map(({ idle_timeout_minutes: _ignored, ...s }) => ({ ...s, current: s.id === current.id }));
+  return { sessions };
+}
+
+// POST /auth/sessions/revoke { sessionId }
+async function revokeSession(req, payload) {
+  const { session: current } = await requireSession(req);
+  if (!payload.sessionId) throw httpError(400, 'Session id required');
+
+  const { data: revoked, error } = await db
+    .from('user_sessions')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', payload.sessionId)
+    .eq('user_id', current.user_id)
+    .is('revoked_at', null)
+    .select('id');
+  if (error) throw error;
+  if (!revoked || revoked.length === 0) throw httpError(404, 'Session not found');
+  return { ok: true };
+}
+
+// POST /auth/sessions/revoke-others — sign out everywhere except this device
+async function revokeOtherSessions(req) {
+  const { session: current } = await requireSession(req);
+  const { data: revoked, error } = await db
+    .from('user_sessions')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('user_id', current.user_id)
+    .neq('id', current.id)
+    .is('revoked_at', null)
+    .select('id');
+  if (error) throw error;
+  return { ok: true, revoked: (revoked || []).length };
+}
+
+module.exports = { heartbeat, listSessions, revokeSession, revokeOtherSessions };
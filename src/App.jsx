@@ -3,26 +3,53 @@ import { BrowserRouter, Routes, Route } from "react-router-dom";
 import Landing from "./components/landing";
 import Register from "./components/register";
 import Login from "./components/login";
+import ForgotPassword from "./components/forgotpassword";
+import ResetPassword from "./components/resetpassword";
+import VerifyEmail from "./components/verifyemail";
 import CustomerHomepage from "./components/customerhomepage";
 import Admin from "./components/admin";
+import SessionProvider from "./components/sessionprovider";
+import CurrencyProvider from "./components/currencyprovider";
+import ProtectedRoute from "./components/protectedroute";
 
 function App() {
   return (
     <BrowserRouter>
-      <Routes>
-        {/* Landing page - home */}
-        <Route path="/" element={<Landing />} />
-        
-        {/* Auth routes */}
-        <Route path="/register" element={<Register />} />
-        <Route path="/login" element={<Login />} />
+      <SessionProvider>
+        <CurrencyProvider>
+          <Routes>
+            {/* Landing page - home */}
+            <Route path="/" element={<Landing />} />
 
-        {/* Customer shopping area */}
-        <Route path="/customer" element={<CustomerHomepage />} />
+            {/* Auth routes */}
+            <Route path="/register" element={<Register />} />
+            <Route path="/login" element={<Login />} />
+            <Route path="/forgot-password" element={<ForgotPassword />} />
+            <Route path="/reset-password/:token" element={<ResetPassword />} />
+            <Route path="/verify-email/:token" element={<VerifyEmail />} />
 
-        {/* Admin management area */}
-        <Route path="/admin" element={<Admin />} />
-      </Routes>
+            {/* Customer shopping area (admins may browse the storefront too) */}
+            <Route
+              path="/customer"
+              element={
+                <ProtectedRoute roles={["customer", "admin"]}>
+                  <CustomerHomepage />
+                </ProtectedRoute>
+              }
+            />
+
+            {/* Admin management area */}
+            <Route
+              path="/admin"
+              element={
+                <ProtectedRoute roles={["admin"]}>
+                  <Admin />
+                </ProtectedRoute>
+              }
+            />
+          </Routes>
+        </CurrencyProvider>
+      </SessionProvider>
     </BrowserRouter>
   );
 }
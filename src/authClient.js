@@ -0,0 +1,136 @@
+import { config } from "./config";
+
+// Browser side of the auth endpoints in server.cjs.
+// The session token lives in localStorage("session"); the public user row is
+// kept in localStorage("user") so existing pages can keep reading it.
+
+const API_URL = config.apiUrl;
+
+export function getSession() {
+  try {
+    return JSON.parse(localStorage.getItem("session"));
+  } catch {
+    return null;
+  }
+}
+
+function saveSession({ token, expiresAt, idleTimeoutMinutes, user }) {
+  localStorage.setItem("session", JSON.stringify({ token, expiresAt, idleTimeoutMinutes }));
+  if (user) localStorage.setItem("user", JSON.stringify(user));
+}
+
+export function clearSession() {
+  localStorage.removeItem("session");
+  localStorage.removeItem("user");
+}
+
+// Call the API server with the session token; throws an Error with the
+// server's message on failure. GET requests send no body.
+export async function authRequest(path, body = {}, { method = "POST" } = {}) {
+  const session = getSession();
+  const headers = { "Content-Type": "application/json" };
+  if (session?.token) headers.Authorization = `Bearer ${session.token}`;
+
+  const init = { method, headers };
+  if (method !== "GET") init.body = JSON.stringify(body);
+  const res = await fetch(`${API_URL}${path}`, init);
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const err = new Error(data.error || "Request failed. Please try again.");
+    err.status = res.status;
+    throw err;
+  }
+  return data;
+}
+
+export async function register({ full_name, email, password, phone }) {
+  return authRequest("/auth/register", { full_name, email, password, phone });
+}
+
+// Resolves to { user } when signed in, or { mfaRequired, mfaToken } when the
+// account has two-factor authentication and a code is needed next.
+export async function login(email, password) {
+  const data = await authRequest("/auth/login", { email, password });
+  if (data.mfaRequired) return { mfaRequired: true, mfaToken: data.mfaToken };
+  saveSession(data);
+  return { user: data.user };
+}
+
+// Second sign-in step: { code } from the authenticator app, or { recoveryCode }
+export async function completeTwoFactorLogin(mfaToken, { code, recoveryCode }) {
+  const data = await authRequest("/auth/login/2fa", { mfaToken, code, recoveryCode });
+  saveSession(data);
+  return data.user;
+}
+
+export async function refreshSession() {
+  const data = await authRequest("/auth/refresh");
+  saveSession(data);
+  return data.user;
+}
+
+export async function logout() {
+  try {
+    await authRequest("/auth/logout");
+  } catch (e) {
+    console.debug("logout request failed", e);
+  }
+  clearSession();
+}
+
+// Background session check; `active` tells the server the user did something
+// since the last one (keeps idle-timeout sessions alive).
+export async function heartbeat(active) {
+  return authRequest("/auth/heartbeat", { active });
+}
+
+export async function listSessions() {
+  const data = await authRequest("/auth/sessions", {}, { method: "GET" });
+  return data.sessions || [];
+}
+
+export async function revokeSession(sessionId) {
+  return authRequest("/auth/sessions/revoke", { sessionId });
+}
+
+export async function revokeOtherSessions() {
+  return authRequest("/auth/sessions/revoke-others");
+}
+
+export async function requestPasswordReset(email) {
+  return authRequest("/auth/forgot-password", { email });
+}
+
+export async function resetPassword(token, password) {
+  return authRequest("/auth/reset-password", { token, password });
+}
+
+export async function verifyEmail(token) {
+  return authRequest("/auth/verify-email", { token });
+}
+
+export async function resendVerification() {
+  return authRequest("/auth/resend-verification");
+}
+
+// The new address must be verified again; resolves to the updated public user
+export async function changeEmail(email) {
+  const data = await authRequest("/auth/change-email", { email });
+  return data.user;
+}
+
+export async function setupTwoFactor() {
+  return authRequest("/auth/2fa/setup");
+}
+
+export async function enableTwoFactor(code) {
+  return authRequest("/auth/2fa/enable", { code });
+}
+
+export async function disableTwoFactor({ code, recoveryCode }) {
+  return authRequest("/auth/2fa/disable", { code, recoveryCode });
+}
+
+export async function regenerateRecoveryCodes(code) {
+  return authRequest("/auth/2fa/recovery-codes", { code });
+}
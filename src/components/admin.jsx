@@ -1,5 +1,20 @@
 import { useEffect, useState } from "react";
-import { supabase } from "../supabaseClient";
+import { useSession } from "../session";
+import { useRepository } from "../data";
+import { useCurrency } from "../currency";
+import { authRequest, changeEmail } from "../authClient";
+import { deliverNotificationEmails } from "../notificationsClient";
+import TwoFactorSettings from "./twofactorsettings";
+import SessionsPanel from "./sessionspanel";
+import RefundPanel from "./refundpanel";
+import OrderTotals from "./ordertotals";
+import TaxSettings from "./taxsettings";
+import StockHistoryModal from "./stockhistorymodal";
+import LowStockAlerts from "./lowstockalerts";
+import CodCollectionModal from "./codcollectionmodal";
+import CodRemittanceReport from "./codremittancereport";
+import CurrencySettings from "./currencysettings";
+import PurchaseOrders from "./purchaseorders";
 import { useNavigate } from "react-router-dom";
 import logo from "../assets/logo.png";
 
@@ -8,16 +23,24 @@ import logo from "../assets/logo.png";
 const AVAILABLE_SIZES = ["Kids", "All Fit"];
 const AVAILABLE_COLORS = ["Red", "Black", "White", "Blue", "Green", "Gray"];
 
+// Below its reorder threshold (variants without one never are)
+const isLowStock = (v) => v.reorder_threshold != null && Number(v.stock || 0) < v.reorder_threshold;
+
 export default function Admin() {
   const navigate = useNavigate();
+  const { base, format } = useCurrency();
 
   // Top-level state: products, orders, UI state and currently editing objects
   const [products, setProducts] = useState([]);
   const [orders, setOrders] = useState([]);
   const [viewOrder, setViewOrder] = useState(null); // order shown in modal
-  const [tab, setTab] = useState("products"); // 'products' | 'orders'
+  const [collectOrder, setCollectOrder] = useState(null); // COD order whose cash is being recorded
+  const [tab, setTab] = useState("products"); // 'products' | 'orders' | 'purchasing' | 'cod' | 'currencies' | 'taxes' | 'security'
+  const [lockouts, setLockouts] = useState([]); // sign-in lockouts (security tab)
   const [editingProduct, setEditingProduct] = useState(null);
   const [viewProduct, setViewProduct] = useState(null);
+  const [stockHistoryVariant, setStockHistoryVariant] = useState(null); // variant whose ledger is open
+  const [lowStockOnly, setLowStockOnly] = useState(false); // products list filter
 
   // New product being composed by admin, holds variants array
   const [newProduct, setNewProduct] = useState({
@@ -25,7 +48,7 @@ export default function Admin() {
     description: "",
     price: "",
     category: "latest",
-    variants: [], // variant objects: { id|null, color, size, stock, imgFile?, img_url }
+    variants: [], // variant objects: { id|null, color, size, stock, reorder_threshold, imgFile?, img_url }
   });
 
   // Temporary inputs for adding a single variant in the forms
@@ -33,6 +56,7 @@ export default function Admin() {
     color: AVAILABLE_COLORS[0],
     size: AVAILABLE_SIZES[1],
     stock: "",
+    reorder_threshold: "",
     imgFile: null,
     img_url: "",
   });
@@ -40,27 +64,19 @@ export default function Admin() {
   // ------------------
   // Profile / Auth handling for admin
   // ------------------
-  const [user, setUser] = useState(null);
+  // Session (and the admin role check) comes from <ProtectedRoute roles={["admin"]}>
+  const { user, signOut, updateUser, reloadUser } = useSession();
+  const repo = useRepository();
   const [profileModal, setProfileModal] = useState(false);
   const [profile, setProfile] = useState({ full_name: "", email: "", phone: "", address: "", avatar_url: "" });
   const [avatarFile, setAvatarFile] = useState(null);
 
-  // Load profile from localStorage and ensure user role is admin
+  // Load the admin's editable profile fields
   const loadProfile = async () => {
-    const userLocal = JSON.parse(localStorage.getItem("user"));
-    if (!userLocal) {
-      navigate("/login");
-      return;
-    }
-    setUser(userLocal);
-
-    const { data } = await supabase.from("users").select("*").eq("id", userLocal.id).single();
+    if (!user) return;
+    const data = await repo.users.getProfile(user.id).catch((e) => console.error("loadProfile", e));
     if (data) {
       setProfile({ full_name: data.full_name, email: data.email, phone: data.phone, address: data.address, avatar_url: data.avatar_url });
-      if (data.role !== 'admin') {
-        alert("Access denied. You are not an admin.");
-        navigate("/customer");
-      }
     }
   };
 
@@ -71,19 +87,29 @@ export default function Admin() {
 
     let avatarUrl = profile.avatar_url;
     if (avatarFile) {
-      const filePath = `${user.id}.png`;
-      const { error: uploadErr } = await supabase.storage.from("user-avatars").upload(filePath, avatarFile, { upsert: true });
-      if (uploadErr) return alert("Avatar upload failed.");
-      const { data } = supabase.storage.from("user-avatars").getPublicUrl(filePath);
-      avatarUrl = data.publicUrl;
+      try {
+        avatarUrl = await repo.users.uploadAvatar(user.id, avatarFile);
+      } catch (err) {
+        console.error("avatar upload", err);
+        return alert("Avatar upload failed.");
+      }
     }
 
-    const { error } = await supabase.from("users").update({ full_name: profile.full_name, email: profile.email, phone: profile.phone, address: profile.address, avatar_url: avatarUrl }).eq("id", user.id);
-    if (error) return alert("Profile update failed.");
+    // A new email address is changed through the API and has to be verified again
+    const emailChanged = profile.email.trim().toLowerCase() !== (user.email || "").toLowerCase();
+    let email = user.email;
+    try {
+      await repo.users.updateProfile(user.id, { ...profile, avatar_url: avatarUrl });
+      if (emailChanged) email = (await changeEmail(profile.email)).email;
+    } catch (err) {
+      console.error("updateProfile", err);
+      return alert(err?.status ? err.message : "Profile update failed.");
+    }
 
-    localStorage.setItem("user", JSON.stringify({ ...user, email: profile.email, avatar_url: avatarUrl }));
-    setProfile({ ...profile, avatar_url: avatarUrl });
-    alert("Profile updated!");
+    updateUser({ full_name: profile.full_name, avatar_url: avatarUrl });
+    if (emailChanged) await reloadUser().catch((e) => console.debug("reloadUser failed", e));
+    setProfile({ ...profile, email, avatar_url: avatarUrl });
+    alert(emailChanged ? `Profile updated! We sent a verification link to ${email}.` : "Profile updated!");
     setProfileModal(false);
   };
 
@@ -92,114 +118,101 @@ export default function Admin() {
   // ------------------
   // Load products and include their variants in one query
   const loadProducts = async () => {
-    const { data } = await supabase.from("products").select(`*, variants:product_variants (*)`).order("created_at", { ascending: false });
-    if (data) setProducts(data);
+    try {
+      setProducts(await repo.products.list());
+    } catch (err) {
+      console.error("loadProducts", err);
+    }
   };
 
-  // Load orders and normalize item images (resolve public URLs when needed)
+  // Load orders with customer, payment and items (images resolved to public URLs)
   const loadOrders = async () => {
-    // include payments relationship so admin can see transaction id and payment status/method
-    const { data } = await supabase.from("orders").select(`*, users (full_name, email), payments (*), order_items ( id, name, quantity, price, color, size, products (*), product_variants (*) )`).order("created_at", { ascending: false });
-    if (data) {
-      const normalized = await Promise.all(data.map(async (o) => {
-        const resolvedItems = await Promise.all((o.order_items || []).map(async (it) => {
-          let img = it.img_url || it.product_variants?.img_url || it.products?.img_url || "";
-          if (img && !img.startsWith("http") && supabase && typeof supabase.storage !== 'undefined') {
-            try {
-              const { data: publicData } = supabase.storage.from("products").getPublicUrl(img);
-              img = publicData?.publicUrl || img;
-            } catch (e) {
-              console.debug("getPublicUrl failed", e);
-            }
-          }
-          return { ...it, img_url: img };
-        }));
-        // normalize payments: pick first payment row if present
-        const payment = (o.payments && o.payments.length > 0) ? o.payments[0] : null;
-        return { ...o, order_items: resolvedItems, payment };
-      }));
-      setOrders(normalized);
+    try {
+      const list = await repo.orders.listAll();
+      setOrders(list);
+      return list;
+    } catch (err) {
+      console.error("loadOrders", err);
+      return null;
     }
   };
 
+  // After a refund or COD collection: reload orders (and stock) and keep the details modal on the fresh copy
+  const onOrderPaymentChanged = async (orderId) => {
+    const list = await loadOrders();
+    await loadProducts();
+    if (list) setViewOrder(list.find((o) => o.id === orderId) || null);
+  };
+
   useEffect(() => {
     loadProducts();
     loadOrders();
     loadProfile();
   }, []);
 
+  // Sign-in lockouts are kept server-side; listing/unlocking goes through the API
+  const loadLockouts = async () => {
+    try {
+      const { lockouts: rows } = await authRequest("/admin/lockouts", {}, { method: "GET" });
+      setLockouts(rows || []);
+    } catch (err) {
+      console.error("loadLockouts", err);
+      alert(err.message || "Failed to load locked accounts");
+    }
+  };
+
+  const handleUnlock = async (lockout) => {
+    if (!confirm(`Unlock ${lockout.key}?`)) return;
+    try {
+      await authRequest("/admin/lockouts/unlock", { id: lockout.id });
+      await loadLockouts();
+    } catch (err) {
+      console.error("unlock", err);
+      alert(err.message || "Failed to unlock");
+    }
+  };
+
   // Logout helper
   const handleLogout = async () => {
-    await supabase.auth.signOut();
-    localStorage.removeItem("user");
+    await signOut();
     navigate("/login");
   };
 
-  // Update order status and optionally restock items when cancelling early orders
+  // Update order status; cancelling an early (pending/processing) order restocks its items
   async function updateStatus(orderId, newStatus) {
+    const order = orders.find((o) => o.id === orderId);
+    if (
+      newStatus === "Cancelled" &&
+      ["paid", "partially_refunded"].includes(order?.payment?.status) &&
+      !window.confirm("This order has been paid. Cancelling does not refund it — use Refund in the order details. Cancel anyway?")
+    ) {
+      return;
+    }
     try {
-      const { data: currentOrder, error: fetchErr } = await supabase.from("orders").select("*").eq("id", orderId).single();
-      if (fetchErr || !currentOrder) throw fetchErr || new Error("Order not found");
-
-      const prevStatus = (currentOrder.status || "").toLowerCase();
-      const targetStatus = (newStatus || "").toLowerCase();
-
-      // Persist the new status
-      const { error } = await supabase.from("orders").update({ status: newStatus }).eq("id", orderId);
-      if (error) throw error;
-
-      // If cancelling while order was still pending/processing, restore variant/product stock
-      if (targetStatus === "cancelled" && (prevStatus === "pending" || prevStatus === "processing")) {
-        const { data: items } = await supabase.from("order_items").select("*").eq("order_id", orderId);
-        const productIdsToRecalc = new Set();
-        for (const it of items || []) {
-          const { data: variant } = await supabase.from("product_variants").select("*").eq("id", it.product_variant_id).single();
-          if (!variant) continue;
-          const newStock = Number(variant.stock || 0) + Number(it.quantity || 0);
-          await supabase.from("product_variants").update({ stock: newStock }).eq("id", variant.id);
-          productIdsToRecalc.add(variant.product_id);
-        }
-        for (const pid of productIdsToRecalc) {
-          const { data: vars } = await supabase.from("product_variants").select("stock").eq("product_id", pid);
-          const total = (vars || []).reduce((s, v) => s + Number(v.stock || 0), 0);
-          await supabase.from("products").update({ stock: total }).eq("id", pid);
-        }
-      }
-
-      alert("Status updated");
+      await repo.orders.updateStatus(orderId, newStatus);
+      // Restocked items may be back in stock for someone waiting on them
+      if (newStatus === "Cancelled") deliverNotificationEmails();
+      // Delivered COD orders: confirm the cash the courier collected
+      if (newStatus === "Delivered" && isCodAwaitingCash(order)) setCollectOrder(order);
+      else alert("Status updated");
       await loadOrders();
       await loadProducts();
-      return;
     } catch (err) {
       console.error(err);
       alert("Failed to update status");
     }
   }
 
-  // Delete an order; if the order is early (pending/processing) restore stock similar to updateStatus
+  const isAwaitingCardPayment = (order) =>
+    order?.payment_method === "card" && ["pending", "failed"].includes(order.payment?.status || order.payment_status) && (order.status || "").toLowerCase() !== "cancelled";
+
+  const isCodAwaitingCash = (order) => order?.payment?.method === "cod" && ["pending", "short"].includes(order.payment.status);
+
+  // Delete an order; early (pending/processing) orders are restocked first
   async function deleteOrder(orderId) {
     try {
-      const { data: order } = await supabase.from("orders").select("*").eq("id", orderId).single();
-      const st = (order?.status || "").toLowerCase();
-      if (order && (st === "pending" || st === "processing")) {
-        const { data: items } = await supabase.from("order_items").select("*").eq("order_id", orderId);
-        const productIdsToRecalc = new Set();
-        for (const it of items || []) {
-          const { data: variant } = await supabase.from("product_variants").select("*").eq("id", it.product_variant_id).single();
-          if (!variant) continue;
-          const newStock = Number(variant.stock || 0) + Number(it.quantity || 0);
-          await supabase.from("product_variants").update({ stock: newStock }).eq("id", variant.id);
-          productIdsToRecalc.add(variant.product_id);
-        }
-        for (const pid of productIdsToRecalc) {
-          const { data: vars } = await supabase.from("product_variants").select("stock").eq("product_id", pid);
-          const total = (vars || []).reduce((s, v) => s + Number(v.stock || 0), 0);
-          await supabase.from("products").update({ stock: total }).eq("id", pid);
-        }
-      }
-
-      const { error } = await supabase.from("orders").delete().eq("id", orderId);
-      if (error) throw error;
+      await repo.orders.remove(orderId);
+      deliverNotificationEmails();
       alert("Order deleted");
       await loadOrders();
       await loadProducts();
@@ -227,7 +240,7 @@ export default function Admin() {
       const newVariants = [...prevProduct.variants, variantToAdd];
 
       // Reset the temporary newVariant inputs
-      setNewVariant({ color: AVAILABLE_COLORS[0], size: AVAILABLE_SIZES[1], stock: "", imgFile: null, img_url: "" });
+      setNewVariant({ color: AVAILABLE_COLORS[0], size: AVAILABLE_SIZES[1], stock: "", reorder_threshold: "", imgFile: null, img_url: "" });
 
       return { ...prevProduct, variants: newVariants };
     });
@@ -250,36 +263,36 @@ export default function Admin() {
     for (const variant of variants) {
       let variantImgUrl = variant.img_url;
       if (variant.imgFile) {
-        const filePath = `products/${Date.now()}-${variant.imgFile.name}`;
-        const { error: uploadErr } = await supabase.storage.from("products").upload(filePath, variant.imgFile, { upsert: true });
-        if (uploadErr) return alert(`Image upload failed for ${variant.color} ${variant.size}: ${uploadErr.message || JSON.stringify(uploadErr)}`);
-        const { data } = supabase.storage.from("products").getPublicUrl(filePath);
-        variantImgUrl = data.publicUrl;
+        try {
+          variantImgUrl = await repo.products.uploadImage(variant.imgFile);
+        } catch (err) {
+          return alert(`Image upload failed for ${variant.color} ${variant.size}: ${err.message}`);
+        }
       }
-      uploadedVariants.push({ color: variant.color, size: variant.size, stock: variant.stock, img_url: variantImgUrl });
+      uploadedVariants.push({ color: variant.color, size: variant.size, stock: variant.stock, reorder_threshold: variant.reorder_threshold, img_url: variantImgUrl });
     }
 
-    const totalStock = uploadedVariants.reduce((sum, v) => sum + Number(v.stock), 0);
-    const mainImgUrl = uploadedVariants[0]?.img_url || "";
-
-    const { data: productInsertData, error: productError } = await supabase.from("products").insert([{ ...productData, img_url: mainImgUrl, stock: totalStock }]).select().single();
-    if (productError || !productInsertData) return alert(`Failed to add main product: ${productError?.message || JSON.stringify(productError) || "Unknown"}`);
-
-    const newProductId = productInsertData.id;
-    const variantsPayload = uploadedVariants.map((v) => ({ ...v, product_id: newProductId }));
-    const { error: variantsError } = await supabase.from("product_variants").insert(variantsPayload);
-    if (variantsError) return alert(`Product added, but failed to add variants: ${variantsError.message || JSON.stringify(variantsError)}`);
+    try {
+      await repo.products.create(productData, uploadedVariants);
+    } catch (err) {
+      console.error("createProduct", err);
+      return alert(`${err.message}: ${err.cause?.message || "Unknown"}`);
+    }
 
     alert("Product and variants added successfully!");
     setNewProduct({ name: "", description: "", price: "", category: "latest", variants: [] });
-    setNewVariant({ color: AVAILABLE_COLORS[0], size: AVAILABLE_SIZES[1], stock: "", imgFile: null, img_url: "" });
+    setNewVariant({ color: AVAILABLE_COLORS[0], size: AVAILABLE_SIZES[1], stock: "", reorder_threshold: "", imgFile: null, img_url: "" });
     loadProducts();
   };
 
   const handleDeleteProduct = async (id) => {
     if (!confirm("Are you sure? This will also delete all variants.")) return;
-    const { error } = await supabase.from("products").delete().eq("id", id);
-    if (!error) loadProducts();
+    try {
+      await repo.products.remove(id);
+      loadProducts();
+    } catch (err) {
+      console.error("deleteProduct", err);
+    }
   };
 
   // ------------------
@@ -290,61 +303,40 @@ export default function Admin() {
     if (editingProduct.variants.length === 0) return alert("Please ensure the product has at least one variant.");
 
     const { variants, id: productId, ...productData } = editingProduct;
-    const variantsToInsert = [];
-    const existingVariantIds = [];
+    const uploadedVariants = [];
 
     for (const variant of variants) {
-      let finalUrl = variant.img_url;
+      let variantImgUrl = variant.img_url;
       if (variant.imgFile) {
-        const filePath = `products/${Date.now()}-${variant.imgFile.name}`;
-        const { error: uploadErr } = await supabase.storage.from("products").upload(filePath, variant.imgFile, { upsert: true });
-        if (uploadErr) return alert(`Image upload failed for variant ${variant.color} ${variant.size}`);
-        const { data } = supabase.storage.from("products").getPublicUrl(filePath);
-        finalUrl = data.publicUrl;
-        variant.img_url = finalUrl;
-      }
-
-      const variantPayload = { product_id: productId, color: variant.color, size: variant.size, stock: Number(variant.stock), img_url: finalUrl };
-      if (variant.id) {
-        const { error: updateError } = await supabase.from("product_variants").update(variantPayload).eq("id", variant.id);
-        if (updateError) return alert(`Failed to update variant ${variant.color} ${variant.size}.`);
-        existingVariantIds.push(variant.id);
-      } else {
-        variantsToInsert.push(variantPayload);
+        try {
+          variantImgUrl = await repo.products.uploadImage(variant.imgFile);
+        } catch (err) {
+          console.error("uploadImage", err);
+          return alert(`Image upload failed for variant ${variant.color} ${variant.size}`);
+        }
       }
-    }
-
-    const mainImgUrl = variants[0]?.img_url || variantsToInsert[0]?.img_url || "";
-    const { error: productUpdateError } = await supabase.from("products").update({ ...productData, img_url: mainImgUrl }).eq("id", productId);
-    if (productUpdateError) return alert("Failed to update main product details.");
-
-    // delete removed variants
-    const { data: currentVariantIds } = await supabase.from("product_variants").select('id').eq('product_id', productId);
-    const idsToDelete = currentVariantIds.map(v => v.id).filter(id => !existingVariantIds.includes(id));
-    if (idsToDelete.length > 0) await supabase.from("product_variants").delete().in("id", idsToDelete);
-
-    if (variantsToInsert.length > 0) {
-      const { error: insertNewError } = await supabase.from("product_variants").insert(variantsToInsert);
-      if (insertNewError) return alert("Product updated, but failed to add new variants.");
+      uploadedVariants.push({ ...variant, img_url: variantImgUrl });
     }
 
     try {
-      const { data: remainingVariants } = await supabase.from("product_variants").select("stock").eq("product_id", productId);
-      const totalStock = (remainingVariants || []).reduce((s, v) => s + Number(v.stock || 0), 0);
-      await supabase.from("products").update({ stock: totalStock }).eq("id", productId);
+      await repo.products.update(productId, productData, uploadedVariants);
     } catch (err) {
-      console.warn("Failed to recompute product stock after edit", err);
+      console.error("updateProduct", err);
+      return alert(err.message);
     }
 
+    // Subscribers to variants that were sold out and now have stock get their email
+    deliverNotificationEmails();
     alert("Product updated successfully!");
     setEditingProduct(null);
-    setNewVariant({ color: AVAILABLE_COLORS[0], size: AVAILABLE_SIZES[1], stock: "", imgFile: null, img_url: "" });
+    setNewVariant({ color: AVAILABLE_COLORS[0], size: AVAILABLE_SIZES[1], stock: "", reorder_threshold: "", imgFile: null, img_url: "" });
     loadProducts();
   };
 
-  // Prepare a product for editing in the modal - add imgFile field for UI previews
+  // Prepare a product for editing in the modal - add imgFile field for UI previews,
+  // and loaded_stock so saving sends stock edits as a change to the current count
   const handleEditClick = (product) => {
-    const variantsWithFiles = product.variants.map(v => ({ ...v, imgFile: null }));
+    const variantsWithFiles = product.variants.map(v => ({ ...v, imgFile: null, loaded_stock: v.stock }));
     setEditingProduct({ ...product, variants: variantsWithFiles });
   };
 
@@ -418,6 +410,46 @@ export default function Admin() {
         >
           Orders
         </button>
+
+        <button
+          onClick={() => setTab("purchasing")}
+          className={`px-4 py-2 rounded ${tab === "purchasing" ? "bg-black text-white" : "bg-gray-200"
+            }`}
+        >
+          Purchase orders
+        </button>
+
+        <button
+          onClick={() => setTab("cod")}
+          className={`px-4 py-2 rounded ${tab === "cod" ? "bg-black text-white" : "bg-gray-200"
+            }`}
+        >
+          COD
+        </button>
+
+        <button
+          onClick={() => setTab("currencies")}
+          className={`px-4 py-2 rounded ${tab === "currencies" ? "bg-black text-white" : "bg-gray-200"
+            }`}
+        >
+          Currencies
+        </button>
+
+        <button
+          onClick={() => setTab("taxes")}
+          className={`px-4 py-2 rounded ${tab === "taxes" ? "bg-black text-white" : "bg-gray-200"
+            }`}
+        >
+          Taxes
+        </button>
+
+        <button
+          onClick={() => { setTab("security"); loadLockouts(); }}
+          className={`px-4 py-2 rounded ${tab === "security" ? "bg-black text-white" : "bg-gray-200"
+            }`}
+        >
+          Security
+        </button>
       </div>
 
       {/* PRODUCTS TAB */}
@@ -445,7 +477,7 @@ export default function Admin() {
 
                 <input
                   required
-                  placeholder="Price"
+                  placeholder={`Price (${base?.code || "base currency"})`}
                   type="number"
                   min="0"
                   value={newProduct.price}
@@ -485,7 +517,7 @@ export default function Admin() {
               <div className="border p-4 rounded bg-gray-50 space-y-3">
                 <h3 className="font-semibold text-md">Product Variants (Color/Size/Stock)</h3>
 
-                <div className="grid grid-cols-1 sm:grid-cols-4 gap-3">
+                <div className="grid grid-cols-1 sm:grid-cols-5 gap-3">
                   <select
                     value={newVariant.color}
                     onChange={(e) =>
@@ -518,6 +550,18 @@ export default function Admin() {
                     className="border p-2 rounded"
                   />
 
+                  <input
+                    placeholder="Reorder at (optional)"
+                    title="Alert when a sale takes stock below this"
+                    type="number"
+                    min="0"
+                    value={newVariant.reorder_threshold}
+                    onChange={(e) =>
+                      setNewVariant({ ...newVariant, reorder_threshold: e.target.value })
+                    }
+                    className="border p-2 rounded"
+                  />
+
                   <input
                     type="file"
                     required={newProduct.variants.length === 0} // Require image on first variant
@@ -552,6 +596,9 @@ export default function Admin() {
                         <div>
                           <span className="font-medium">{v.color} / {v.size}</span>
                           <span className="ml-2 text-gray-500">Stock: {v.stock}</span>
+                          {v.reorder_threshold !== "" && (
+                            <span className="ml-2 text-gray-500">Reorder at: {v.reorder_threshold}</span>
+                          )}
                         </div>
                       </div>
                       <button
@@ -588,9 +635,22 @@ export default function Admin() {
             </form>
           </div>
 
+          <LowStockAlerts
+            refreshKey={products}
+            onOpenProduct={(id) => {
+              const product = products.find((p) => p.id === id);
+              if (product) handleEditClick(product);
+            }}
+          />
+
+          <label className="inline-flex items-center gap-2 bg-white px-3 py-2 rounded border text-sm">
+            <input type="checkbox" checked={lowStockOnly} onChange={(e) => setLowStockOnly(e.target.checked)} />
+            Low stock only ({products.filter((p) => p.variants?.some(isLowStock)).length})
+          </label>
+
           {/* PRODUCT GRID (UPDATED to use handleEditClick) */}
           <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-4">
-            {products.map((p) => (
+            {(lowStockOnly ? products.filter((p) => p.variants?.some(isLowStock)) : products).map((p) => (
               <div key={p.id} className="bg-white border rounded shadow p-3">
                 <img
                   src={p.img_url || "https://via.placeholder.com/150"}
@@ -599,11 +659,19 @@ export default function Admin() {
                 />
 
                 <div className="font-bold">{p.name}</div>
+                {p.variants?.some(isLowStock) && (
+                  <div
+                    className="inline-block text-xs font-semibold bg-red-100 text-red-700 px-2 py-0.5 rounded"
+                    title={p.variants.filter(isLowStock).map((v) => `${v.color} / ${v.size}: ${v.stock} (reorder at ${v.reorder_threshold})`).join("\n")}
+                  >
+                    Low stock
+                  </div>
+                )}
                 <div className="text-sm text-gray-500">{p.category}</div>
                 <div className="text-sm truncate">{p.description}</div>
 
                 <div className="font-bold text-green-700 mt-1">
-                  ${p.price}
+                  {format(p.price, base?.code)}
                 </div>
                 <div className="text-xs text-gray-700 mt-1">
                   Variants: {p.variants?.length || 0}
@@ -710,7 +778,7 @@ export default function Admin() {
               <h3 className="font-semibold text-md">Manage Variants</h3>
 
               {/* New Variant Input */}
-              <div className="grid grid-cols-1 sm:grid-cols-4 gap-3">
+              <div className="grid grid-cols-1 sm:grid-cols-5 gap-3">
                 <select
                   value={newVariant.color}
                   onChange={(e) =>
@@ -742,6 +810,18 @@ export default function Admin() {
                   className="border p-2 rounded"
                 />
 
+                <input
+                  placeholder="Reorder at (optional)"
+                  title="Alert when a sale takes stock below this"
+                  type="number"
+                  min="0"
+                  value={newVariant.reorder_threshold}
+                  onChange={(e) =>
+                    setNewVariant({ ...newVariant, reorder_threshold: e.target.value })
+                  }
+                  className="border p-2 rounded"
+                />
+
                 <input
                   type="file"
                   onChange={(e) =>
@@ -777,15 +857,26 @@ export default function Admin() {
                         />
                         <div className="font-medium">{v.color} / {v.size}</div>
                       </div>
-                      <button
-                        type="button"
-                        onClick={() => handleRemoveVariant(index, setEditingProduct)}
-                        className="text-red-500 hover:text-red-700"
-                      >
-                        Remove
-                      </button>
+                      <div className="flex items-center gap-3">
+                        {v.id && (
+                          <button
+                            type="button"
+                            onClick={() => setStockHistoryVariant(v)}
+                            className="text-blue-600 hover:text-blue-800"
+                          >
+                            History
+                          </button>
+                        )}
+                        <button
+                          type="button"
+                          onClick={() => handleRemoveVariant(index, setEditingProduct)}
+                          className="text-red-500 hover:text-red-700"
+                        >
+                          Remove
+                        </button>
+                      </div>
                     </div>
-                    <div className="mt-2 grid grid-cols-2 gap-3">
+                    <div className="mt-2 grid grid-cols-3 gap-3">
                       {/* Stock input for existing variant */}
                       <input
                         type="number"
@@ -803,6 +894,24 @@ export default function Admin() {
                         }}
                         className="border p-2 rounded w-full text-xs"
                       />
+                      {/* Reorder threshold: a sale taking stock below it raises a low-stock alert (blank = none) */}
+                      <input
+                        type="number"
+                        min="0"
+                        placeholder="Reorder at"
+                        title="Alert when a sale takes stock below this"
+                        value={v.reorder_threshold ?? ""}
+                        onChange={(e) => {
+                          const threshold = e.target.value;
+                          setEditingProduct(prev => ({
+                            ...prev,
+                            variants: prev.variants.map((variant, i) =>
+                              i === index ? { ...variant, reorder_threshold: threshold } : variant
+                            )
+                          }))
+                        }}
+                        className="border p-2 rounded w-full text-xs"
+                      />
                       {/* File input for existing variant (to change image) */}
                       <input
                         type="file"
@@ -836,6 +945,7 @@ export default function Admin() {
                     color: AVAILABLE_COLORS[0],
                     size: "All Fit",
                     stock: "",
+                    reorder_threshold: "",
                     imgFile: null,
                     img_url: "",
                   });
@@ -881,7 +991,7 @@ export default function Admin() {
                 </div>
               </div>
 
-              <div className="mt-2 font-bold">Total: ${order.total}</div>
+              <div className="mt-2 font-bold">Total: {format(order.total, order.currency)}</div>
 
               <div className="mt-1 text-sm">
                 <strong>Payment:</strong>
@@ -903,13 +1013,18 @@ export default function Admin() {
                   {(() => {
                     const st = (order.status || "").toLowerCase();
                     const isLocked = st === "delivered" || st === "cancelled";
+                    // Card orders are only fulfilled once Stripe reports the payment
+                    const awaitingCard = isAwaitingCardPayment(order);
+                    const canFulfil = !isLocked && !awaitingCard;
                     return (
                       <>
+                        {awaitingCard && <div className="w-full text-sm text-yellow-700">Awaiting card payment — cancelled automatically if it isn't paid.</div>}
+
                         {/* PROCESS */}
                         <button
                           onClick={() => updateStatus(order.id, "Processing")}
-                          disabled={isLocked}
-                          className={`px-3 py-1 rounded ${isLocked ? "bg-gray-400 text-gray-700 cursor-not-allowed" : "bg-yellow-500 text-white"}`}
+                          disabled={!canFulfil}
+                          className={`px-3 py-1 rounded ${!canFulfil ? "bg-gray-400 text-gray-700 cursor-not-allowed" : "bg-yellow-500 text-white"}`}
                         >
                           Process
                         </button>
@@ -917,8 +1032,8 @@ export default function Admin() {
                         {/* SHIPPING */}
                         <button
                           onClick={() => updateStatus(order.id, "Shipping")}
-                          disabled={isLocked}
-                          className={`px-3 py-1 rounded ${isLocked ? "bg-gray-400 text-gray-700 cursor-not-allowed" : "bg-blue-500 text-white"}`}
+                          disabled={!canFulfil}
+                          className={`px-3 py-1 rounded ${!canFulfil ? "bg-gray-400 text-gray-700 cursor-not-allowed" : "bg-blue-500 text-white"}`}
                         >
                           Shipping
                         </button>
@@ -926,8 +1041,8 @@ export default function Admin() {
                         {/* DELIVERED */}
                         <button
                           onClick={() => updateStatus(order.id, "Delivered")}
-                          disabled={isLocked}
-                          className={`px-3 py-1 rounded ${isLocked ? "bg-gray-400 text-gray-700 cursor-not-allowed" : "bg-green-600 text-white"}`}
+                          disabled={!canFulfil}
+                          className={`px-3 py-1 rounded ${!canFulfil ? "bg-gray-400 text-gray-700 cursor-not-allowed" : "bg-green-600 text-white"}`}
                         >
                           Delivered
                         </button>
@@ -977,7 +1092,7 @@ export default function Admin() {
                     </div>
 
                     <div className="text-sm text-gray-700 text-right">
-                      <div className="font-semibold">${Number(item.price || 0).toFixed(2)}</div>
+                      <div className="font-semibold">{format(item.price, viewOrder.currency)}</div>
                       <div className="text-xs text-gray-500">Qty: {item.quantity}</div>
                     </div>
                   </div>
@@ -997,6 +1112,27 @@ export default function Admin() {
                       <div><strong>Status:</strong> {viewOrder.status}</div>
                       <div><strong>Customer:</strong> {viewOrder.users?.full_name} ({viewOrder.users?.email})</div>
                       <div><strong>Payment:</strong> {viewOrder.payment?.method || viewOrder.payment_method || "—"} • {viewOrder.payment?.status || viewOrder.payment_status || "—"}{viewOrder.payment?.transaction_id ? ` • Txn: ${viewOrder.payment.transaction_id}` : ""}</div>
+                      {viewOrder.payment?.cod_collections?.length > 0 && (
+                        <div>
+                          <strong>Cash collected:</strong> {format(viewOrder.payment.collected_amount, viewOrder.currency)}
+                          {viewOrder.payment.status === "short" && <span className="ml-1 text-orange-600 font-semibold">• short {format(Number(viewOrder.payment.amount || 0) - Number(viewOrder.payment.collected_amount || 0), viewOrder.currency)}</span>}
+                          <ul className="ml-4 list-disc">
+                            {[...viewOrder.payment.cod_collections]
+                              .sort((a, b) => a.collected_at.localeCompare(b.collected_at))
+                              .map((c) => (
+                                <li key={c.id}>
+                                  {format(c.amount, viewOrder.currency)} by {c.collected_by} on {new Date(c.collected_at).toLocaleString()}
+                                  {c.note ? ` • ${c.note}` : ""}
+                                </li>
+                              ))}
+                          </ul>
+                        </div>
+                      )}
+                      {isCodAwaitingCash(viewOrder) && (viewOrder.status || "").toLowerCase() !== "cancelled" && (
+                        <button type="button" onClick={() => setCollectOrder(viewOrder)} className="mt-1 px-2 py-1 text-xs border border-green-600 text-green-700 rounded">
+                          Record cash collection
+                        </button>
+                      )}
                     </div>
 
                     <div className="mb-3">
@@ -1022,16 +1158,28 @@ export default function Admin() {
                               <div className="text-xs text-gray-600">{it.color || '—'} / {it.size || '—'}</div>
                               <div className="text-xs text-gray-500">Product: {it.products?.name || '—'}</div>
                             </div>
-                            <div className="text-sm font-semibold">x{it.quantity} • ${Number(it.price || 0).toFixed(2)}</div>
+                            <div className="text-sm font-semibold text-right">
+                              x{it.quantity} • {format(it.price, viewOrder.currency)}
+                              {Number(it.tax_amount || 0) > 0 && (
+                                <div className="text-xs font-normal text-gray-500">
+                                  tax {format(it.tax_amount, viewOrder.currency)} ({Number(it.tax_rate)}%)
+                                </div>
+                              )}
+                              {Number(it.refunded_quantity || 0) > 0 && (
+                                <div className="text-xs font-normal text-orange-600">{it.refunded_quantity} refunded</div>
+                              )}
+                            </div>
                           </div>
                         ))}
                       </div>
                     </div>
 
-                    <div className="mt-4 flex items-center justify-between">
+                    <div className="mt-4 flex items-start justify-between gap-4">
                       <div className="text-sm text-gray-600">Order ID: {viewOrder.id}</div>
-                      <div className="font-bold">Total: ${Number(viewOrder.total || 0).toFixed(2)}</div>
+                      <div className="w-64"><OrderTotals order={viewOrder} /></div>
                     </div>
+
+                    <RefundPanel order={viewOrder} onRefunded={() => onOrderPaymentChanged(viewOrder.id)} />
                   </div>
                 </div>
               )}
@@ -1040,6 +1188,100 @@ export default function Admin() {
         </div>
       )}
 
+      {/* COD TAB - end-of-day cash remittance */}
+      {tab === "cod" && (
+        <div className="bg-white p-4 border rounded">
+          <CodRemittanceReport />
+        </div>
+      )}
+
+      {/* PURCHASE ORDERS TAB - suppliers, POs and receiving stock */}
+      {tab === "purchasing" && (
+        <div className="bg-white p-4 border rounded">
+          <PurchaseOrders
+            products={products}
+            onStockChanged={() => {
+              loadProducts();
+              // Received stock may be what back-in-stock subscribers were waiting for
+              deliverNotificationEmails();
+            }}
+          />
+        </div>
+      )}
+
+      {/* CURRENCIES TAB - base currency and exchange rates */}
+      {tab === "currencies" && (
+        <div className="bg-white p-4 border rounded">
+          <CurrencySettings />
+        </div>
+      )}
+
+      {stockHistoryVariant && editingProduct && (
+        <StockHistoryModal
+          variant={stockHistoryVariant}
+          productName={editingProduct.name}
+          onClose={() => setStockHistoryVariant(null)}
+          onAdjusted={(stock) => {
+            // Keep the open form in step, or saving it would apply the adjustment again
+            setEditingProduct((prev) => ({
+              ...prev,
+              variants: prev.variants.map((variant) =>
+                variant.id === stockHistoryVariant.id ? { ...variant, stock, loaded_stock: stock } : variant
+              ),
+            }));
+            loadProducts();
+            deliverNotificationEmails();
+          }}
+        />
+      )}
+
+      {/* TAXES TAB - tax rates and price mode */}
+      {tab === "taxes" && (
+        <div className="bg-white p-4 border rounded">
+          <TaxSettings />
+        </div>
+      )}
+
+      {collectOrder && (
+        <CodCollectionModal
+          order={collectOrder}
+          onClose={() => setCollectOrder(null)}
+          onRecorded={() => onOrderPaymentChanged(collectOrder.id)}
+        />
+      )}
+
+      {/* SECURITY TAB - locked sign-ins */}
+      {tab === "security" && (
+        <div className="bg-white p-4 border rounded space-y-3">
+          <div className="flex items-center justify-between">
+            <h2 className="text-lg font-bold">Locked Sign-ins</h2>
+            <button onClick={loadLockouts} className="text-sm px-2 py-1 border rounded">Refresh</button>
+          </div>
+
+          {lockouts.length === 0 ? (
+            <p className="text-gray-500 text-sm">No accounts or IP addresses are currently locked.</p>
+          ) : (
+            <div className="divide-y">
+              {lockouts.map((l) => (
+                <div key={l.id} className="py-2 flex items-center justify-between gap-3 text-sm">
+                  <div>
+                    <div className="font-medium">
+                      {l.kind === "ip" ? `IP ${l.key}` : l.key}
+                      {l.user && <span className="ml-2 text-gray-500">({l.user.full_name} • {l.user.role})</span>}
+                      {l.kind === "email" && !l.user && <span className="ml-2 text-gray-400">(no account)</span>}
+                    </div>
+                    <div className="text-xs text-gray-600">
+                      {l.failure_count} failed attempts • locked until {new Date(l.locked_until).toLocaleString()}
+                    </div>
+                  </div>
+                  <button onClick={() => handleUnlock(l)} className="px-3 py-1 bg-emerald-600 text-white rounded">Unlock</button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
       {/* PROFILE MODAL - (UNCHANGED) */}
       {profileModal && (
         <div className="fixed inset-0 bg-black bg-opacity-40 flex justify-center items-center p-4">
@@ -1100,6 +1342,9 @@ export default function Admin() {
               className="border p-2 rounded w-full"
             />
 
+            <TwoFactorSettings user={user} onChange={reloadUser} />
+            <SessionsPanel onSignedOut={handleLogout} />
+
             <div className="flex justify-end gap-2">
               <button
                 type="button"
@@ -1130,6 +1375,8 @@ function AdminProductViewModal({ product, onClose }) {
   const [mainImg, setMainImg] = useState(product.img_url || (product.variants && product.variants[0] && product.variants[0].img_url) || "");
   const [soldCount, setSoldCount] = useState(0);
   const [reviews, setReviews] = useState([]);
+  const repo = useRepository();
+  const { base, format } = useCurrency();
 
   useEffect(() => {
     if (!product) return;
@@ -1138,27 +1385,22 @@ function AdminProductViewModal({ product, onClose }) {
     let mounted = true;
     async function loadMeta() {
       try {
-        const { data: items } = await supabase.from("order_items").select("quantity").eq("product_id", product.id);
-        const total = (items || []).reduce((s, it) => s + Number(it.quantity || 0), 0);
+        const total = await repo.products.soldCount(product.id);
         if (mounted) setSoldCount(total);
       } catch (e) {
         console.debug("Failed to load sold count", e);
       }
 
       try {
-        const { data: rev } = await supabase
-          .from("product_reviews")
-          .select(`id, rating, comment, created_at, users (full_name, avatar_url)`)
-          .eq("product_id", product.id)
-          .order("created_at", { ascending: false });
-        if (mounted) setReviews(rev || []);
+        const rev = await repo.products.reviews(product.id);
+        if (mounted) setReviews(rev);
       } catch (e) {
         console.debug("No product_reviews table or failed to load reviews", e);
       }
     }
     loadMeta();
     return () => { mounted = false; };
-  }, [product]);
+  }, [product, repo]);
 
   return (
     <div className="bg-white w-full max-w-3xl p-4 rounded shadow-lg grid grid-cols-1 md:grid-cols-3 gap-4">
@@ -1175,7 +1417,7 @@ function AdminProductViewModal({ product, onClose }) {
             <p className="text-sm text-gray-600 mt-1">{product.category}</p>
           </div>
           <div className="text-right">
-            <div className="text-lg font-semibold text-emerald-600">${Number(product.price || 0).toFixed(2)}</div>
+            <div className="text-lg font-semibold text-emerald-600">{format(product.price, base?.code)}</div>
           </div>
         </div>
 
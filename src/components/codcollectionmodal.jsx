@@ -0,0 +1,77 @@
+import { useState } from "react";
+import { recordCodCollection } from "../paymentsClient";
+import { useCurrency } from "../currency";
+
+/* -------------------------
+  CodCollectionModal (admin)
+  - records one hand-over of cash a courier brought back for a cash-on-delivery order
+  - hand-overs add up: until they reach the order total the payment is "short",
+    and the rest is recorded as another hand-over when it comes in
+  - onRecorded is called after saving, onClose when dismissed
+--------------------------*/
+export default function CodCollectionModal({ order, onClose, onRecorded }) {
+  const { format } = useCurrency();
+  const money = (n) => format(n, order.currency);
+  const expected = Number(order.payment?.amount ?? order.total ?? 0);
+  const alreadyReceived = Number(order.payment?.collected_amount || 0);
+  const due = Math.max(0, expected - alreadyReceived);
+  const [amount, setAmount] = useState(due.toFixed(2));
+  const [collectedBy, setCollectedBy] = useState(order.payment?.collected_by_name || "");
+  const [note, setNote] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const shortfall = Math.max(0, due - Number(amount || 0));
+
+  async function submit(e) {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const { paymentStatus } = await recordCodCollection(order.id, { amountReceived: Number(amount), collectedBy, note });
+      alert(paymentStatus === "short" ? `Recorded — ${money(shortfall)} still due` : "Cash collection recorded");
+      if (onRecorded) await onRecorded();
+      onClose();
+    } catch (err) {
+      alert(err?.message || "Failed to record collection");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4">
+      <form onSubmit={submit} className="bg-white w-full max-w-md p-4 rounded shadow-lg space-y-3 text-sm">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-bold">Cash collected — #{order.id?.slice(0, 8)}</h3>
+          <button type="button" onClick={onClose} className="text-gray-600">Close</button>
+        </div>
+        <div>
+          Order total: <strong>{money(expected)}</strong>
+          {alreadyReceived > 0 && (
+            <span className="ml-1 text-orange-600">({money(alreadyReceived)} already received, {money(due)} still due)</span>
+          )}
+        </div>
+
+        <label className="block">
+          Amount received in this hand-over
+          <input type="number" min="0.01" step="0.01" required value={amount} onChange={(e) => setAmount(e.target.value)} className="mt-1 w-full border rounded px-2 py-1" />
+        </label>
+        {shortfall > 0 && <div className="text-orange-600">{money(shortfall)} will still be due</div>}
+        <label className="block">
+          Collected by
+          <input required maxLength={100} value={collectedBy} onChange={(e) => setCollectedBy(e.target.value)} placeholder="Courier or staff name" className="mt-1 w-full border rounded px-2 py-1" />
+        </label>
+        <label className="block">
+          Note
+          <input maxLength={500} value={note} onChange={(e) => setNote(e.target.value)} placeholder="Optional" className="mt-1 w-full border rounded px-2 py-1" />
+        </label>
+
+        <div className="flex justify-end gap-2">
+          <button type="button" onClick={onClose} className="px-3 py-1 border rounded">Not yet</button>
+          <button type="submit" disabled={busy} className="px-3 py-1 bg-green-600 text-white rounded disabled:opacity-50">
+            Record collection
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
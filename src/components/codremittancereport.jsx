@@ -0,0 +1,159 @@
+import { useCallback, useEffect, useState } from "react";
+import { codRemittanceReport } from "../paymentsClient";
+import { useCurrency } from "../currency";
+
+// "2026-10-19" for a Date, in local time (what <input type="date"> uses)
+function localDay(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function downloadCsv(day, report) {
+  const header = ["order_id", "customer", "collected_by", "collected_at", "currency", "expected", "tax", "collected", "shortfall", "note"];
+  const quote = (v) => `"${String(v ?? "").replace(/"/g, '""')}"`;
+  const lines = report.collections.map((c) =>
+    [c.orderId, c.customer, c.collectedBy, c.collectedAt, c.currency, c.expected, c.tax, c.collected, c.shortfall, c.note].map(quote).join(",")
+  );
+  const blob = new Blob([[header.join(","), ...lines].join("\n")], { type: "text/csv" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `cod-remittance-${day}.csv`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/* -------------------------
+  CodRemittanceReport (admin "COD" tab)
+  - cash-on-delivery hand-overs recorded on a day (local time), per collector and currency;
+    each one is expected to bring in what was still due on its order
+  - shortfalls are highlighted; delivered COD orders without a collection are listed below
+  - CSV download for handing the day's cash over
+--------------------------*/
+export default function CodRemittanceReport() {
+  const [day, setDay] = useState(() => localDay(new Date()));
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const { format } = useCurrency();
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      const from = new Date(`${day}T00:00:00`);
+      const to = new Date(from);
+      to.setDate(to.getDate() + 1);
+      setReport(await codRemittanceReport(from, to));
+    } catch (e) {
+      console.error("codRemittanceReport", e);
+      alert(e?.message || "Failed to load COD report");
+    } finally {
+      setLoading(false);
+    }
+  }, [day]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  return (
+    <div className="space-y-4 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <h2 className="text-xl font-bold mr-auto">COD remittance</h2>
+        <input type="date" value={day} onChange={(e) => e.target.value && setDay(e.target.value)} className="border rounded px-2 py-1" />
+        <button type="button" onClick={load} disabled={loading} className="px-3 py-1 border rounded disabled:opacity-50">
+          {loading ? "Loading..." : "Refresh"}
+        </button>
+        <button
+          type="button"
+          disabled={!report || report.collections.length === 0}
+          onClick={() => downloadCsv(day, report)}
+          className="px-3 py-1 bg-black text-white rounded disabled:opacity-50"
+        >
+          Download CSV
+        </button>
+      </div>
+
+      {report && (
+        <>
+          {report.totals.length === 0 && (
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+              <div className="border rounded p-2">Collections<div className="text-lg font-bold">0</div></div>
+            </div>
+          )}
+          {report.totals.map((t) => (
+            <div key={t.currency} className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+              <div className="border rounded p-2">Collections ({t.currency})<div className="text-lg font-bold">{t.count}</div></div>
+              <div className="border rounded p-2">Expected<div className="text-lg font-bold">{format(t.expected, t.currency)}</div></div>
+              <div className="border rounded p-2">Collected<div className="text-lg font-bold">{format(t.collected, t.currency)}</div></div>
+              <div className={`border rounded p-2 ${t.shortfall > 0 ? "border-orange-400 text-orange-700" : ""}`}>
+                Shortfall<div className="text-lg font-bold">{format(t.shortfall, t.currency)}</div>
+              </div>
+            </div>
+          ))}
+
+          <div>
+            <h3 className="font-semibold mb-1">By collector</h3>
+            {report.byCollector.length === 0 ? (
+              <div className="text-gray-500">No cash collected on this day.</div>
+            ) : (
+              <table className="w-full border text-left">
+                <thead className="bg-gray-100">
+                  <tr><th className="p-2">Collected by</th><th className="p-2">Orders</th><th className="p-2">Expected</th><th className="p-2">Collected</th><th className="p-2">Shortfall</th></tr>
+                </thead>
+                <tbody>
+                  {report.byCollector.map((row) => (
+                    <tr key={`${row.collectedBy}-${row.currency}`} className="border-t">
+                      <td className="p-2">{row.collectedBy}</td>
+                      <td className="p-2">{row.count}</td>
+                      <td className="p-2">{format(row.expected, row.currency)}</td>
+                      <td className="p-2">{format(row.collected, row.currency)}</td>
+                      <td className={`p-2 ${row.shortfall > 0 ? "text-orange-600 font-semibold" : ""}`}>{format(row.shortfall, row.currency)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          {report.collections.length > 0 && (
+            <div>
+              <h3 className="font-semibold mb-1">Collections</h3>
+              <table className="w-full border text-left">
+                <thead className="bg-gray-100">
+                  <tr><th className="p-2">Order</th><th className="p-2">Customer</th><th className="p-2">Collected by</th><th className="p-2">Time</th><th className="p-2">Collected</th><th className="p-2">Shortfall</th></tr>
+                </thead>
+                <tbody>
+                  {report.collections.map((c) => (
+                    <tr key={c.collectionId} className={`border-t ${c.shortfall > 0 ? "bg-orange-50" : ""}`}>
+                      <td className="p-2">#{c.orderId.slice(0, 8)}</td>
+                      <td className="p-2">{c.customer || "—"}</td>
+                      <td className="p-2">{c.collectedBy}</td>
+                      <td className="p-2">{new Date(c.collectedAt).toLocaleTimeString()}</td>
+                      <td className="p-2">{format(c.collected, c.currency)} / {format(c.expected, c.currency)}</td>
+                      <td className="p-2">{c.shortfall > 0 ? format(c.shortfall, c.currency) : "—"}{c.note ? ` • ${c.note}` : ""}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <div>
+            <h3 className="font-semibold mb-1">Delivered, cash not recorded yet</h3>
+            {report.outstanding.length === 0 ? (
+              <div className="text-gray-500">None.</div>
+            ) : (
+              <ul className="space-y-1">
+                {report.outstanding.map((o) => (
+                  <li key={o.orderId}>
+                    #{o.orderId.slice(0, 8)} • {o.customer || "—"} • {format(o.amount, o.currency)} • placed {new Date(o.placedAt).toLocaleDateString()}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,17 @@
+// ConfigError: shown instead of the app when required VITE_* settings are
+// missing or invalid, so a misconfigured deploy fails loudly at startup.
+export default function ConfigError({ errors, appEnv }) {
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-slate-100 p-4">
+      <div className="bg-white p-6 rounded shadow max-w-lg w-full space-y-3">
+        <h1 className="text-xl font-bold text-red-700">App configuration error</h1>
+        <p className="text-sm text-gray-600">
+          This build ({appEnv}) is missing required settings. Set them in the environment (see <code>.env.example</code>) and rebuild.
+        </p>
+        <ul className="list-disc pl-5 text-sm text-gray-800 space-y-1">
+          {errors.map((e) => <li key={e}>{e}</li>)}
+        </ul>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,51 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { CurrencyContext, convertAmount, formatMoney } from "../currency";
+import { useRepository } from "../data";
+
+const STORAGE_KEY = "currency";
+
+// CurrencyProvider: loads the store's currencies and remembers which one the
+// shopper picked (localStorage "currency"), falling back to the base currency
+// when nothing valid was picked.
+export default function CurrencyProvider({ children }) {
+  const repo = useRepository();
+  const [currencies, setCurrencies] = useState([]);
+  const [selected, setSelected] = useState(() => localStorage.getItem(STORAGE_KEY));
+
+  // Also called after an admin edits the currencies
+  const reload = useCallback(
+    () =>
+      repo.products
+        .currencies()
+        .then(setCurrencies)
+        .catch((err) => console.error("listCurrencies", err)),
+    [repo]
+  );
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  const setCurrency = useCallback((code) => {
+    localStorage.setItem(STORAGE_KEY, code);
+    setSelected(code);
+  }, []);
+
+  const value = useMemo(() => {
+    const base = currencies.find((c) => c.is_base) || null;
+    const currency = currencies.find((c) => c.code === selected && (c.enabled || c.is_base)) || base;
+    const convert = (amount) => convertAmount(amount, currency);
+    return {
+      currencies,
+      base,
+      currency,
+      setCurrency,
+      reload,
+      convert,
+      price: (amount) => formatMoney(convert(amount), currency?.code, currency?.minor_units ?? 2),
+      format: (amount, code) => formatMoney(amount, code, currencies.find((c) => c.code === code)?.minor_units ?? 2),
+    };
+  }, [currencies, selected, setCurrency, reload]);
+
+  return <CurrencyContext.Provider value={value}>{children}</CurrencyContext.Provider>;
+}
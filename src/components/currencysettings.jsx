@@ -0,0 +1,104 @@
+import { useState } from "react";
+import { useCurrency } from "../currency";
+import { useRepository } from "../data";
+
+const EMPTY = { code: "", name: "", minor_units: 2, rate: "", enabled: true };
+
+/* -------------------------
+  CurrencySettings (admin "Currencies" tab)
+  - catalog prices are in the base currency; other currencies are priced at their rate
+  - rate = units of the currency per 1 unit of the base currency
+  - a disabled currency disappears from the shopper's switcher; existing orders keep theirs
+  - orders are priced at the rate in force when they are placed
+--------------------------*/
+export default function CurrencySettings() {
+  const repo = useRepository();
+  const { currencies, base, reload } = useCurrency();
+  const [edits, setEdits] = useState({}); // code -> { rate, enabled } being edited
+  const [draft, setDraft] = useState(EMPTY);
+  const [busy, setBusy] = useState(false);
+
+  const edited = (c) => ({ ...c, ...edits[c.code] });
+  const edit = (code, change) => setEdits((e) => ({ ...e, [code]: { ...e[code], ...change } }));
+
+  async function save(row) {
+    const rate = Number(row.rate);
+    if (!/^[A-Z]{3}$/.test(String(row.code).toUpperCase())) return alert("Use a 3-letter ISO currency code, e.g. EUR");
+    if (!(rate > 0)) return alert("Enter a rate above zero");
+    setBusy(true);
+    try {
+      await repo.currencies.save({ ...row, rate, minor_units: Number(row.minor_units) });
+      setEdits((e) => ({ ...e, [String(row.code).toUpperCase()]: undefined }));
+      await reload();
+      return true;
+    } catch (e) {
+      alert(e?.message || "Failed to save currency");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function add(e) {
+    e.preventDefault();
+    if (currencies.some((c) => c.code === draft.code.toUpperCase())) return alert(`${draft.code.toUpperCase()} already exists`);
+    if (await save(draft)) setDraft(EMPTY);
+  }
+
+  return (
+    <div className="space-y-4 text-sm">
+      <div>
+        <h2 className="text-xl font-bold">Currencies</h2>
+        <div className="text-gray-600">
+          Product prices are entered in {base ? `${base.name} (${base.code})` : "the base currency"}. Rates are how much
+          of a currency one {base?.code || "base unit"} buys; orders keep the rate they were placed at.
+        </div>
+      </div>
+
+      <table className="w-full border text-left">
+        <thead className="bg-gray-100">
+          <tr><th className="p-2">Code</th><th className="p-2">Name</th><th className="p-2">Decimals</th><th className="p-2">Rate</th><th className="p-2">Enabled</th><th className="p-2"></th></tr>
+        </thead>
+        <tbody>
+          {currencies.map((c) => {
+            const row = edited(c);
+            return (
+              <tr key={c.code} className="border-t">
+                <td className="p-2 font-semibold">{c.code}{c.is_base && <span className="ml-1 text-xs text-gray-500">(base)</span>}</td>
+                <td className="p-2">{c.name}</td>
+                <td className="p-2">{c.minor_units}</td>
+                <td className="p-2">
+                  {c.is_base ? "1" : (
+                    <input type="number" min="0" step="any" value={row.rate} onChange={(e) => edit(c.code, { rate: e.target.value })} className="w-28 border rounded px-2 py-1" />
+                  )}
+                </td>
+                <td className="p-2">
+                  {c.is_base ? "Always" : (
+                    <input type="checkbox" checked={!!row.enabled} onChange={(e) => edit(c.code, { enabled: e.target.checked })} />
+                  )}
+                </td>
+                <td className="p-2 text-right">
+                  {!c.is_base && edits[c.code] && (
+                    <button type="button" disabled={busy} onClick={() => save(row)} className="px-3 py-1 bg-black text-white rounded disabled:opacity-50">Save</button>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <form onSubmit={add} className="flex flex-wrap items-end gap-2">
+        <label>Code<input required maxLength={3} value={draft.code} onChange={(e) => setDraft({ ...draft, code: e.target.value.toUpperCase() })} placeholder="EUR" className="block w-20 border rounded px-2 py-1" /></label>
+        <label>Name<input required maxLength={60} value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} placeholder="Euro" className="block border rounded px-2 py-1" /></label>
+        <label>Decimals
+          <select value={draft.minor_units} onChange={(e) => setDraft({ ...draft, minor_units: Number(e.target.value) })} className="block border rounded px-2 py-1">
+            <option value={2}>2</option>
+            <option value={0}>0 (e.g. JPY)</option>
+          </select>
+        </label>
+        <label>Rate<input required type="number" min="0" step="any" value={draft.rate} onChange={(e) => setDraft({ ...draft, rate: e.target.value })} className="block w-28 border rounded px-2 py-1" /></label>
+        <button type="submit" disabled={busy} className="px-3 py-1 bg-green-600 text-white rounded disabled:opacity-50">Add currency</button>
+      </form>
+    </div>
+  );
+}
@@ -1,51 +1,86 @@
 // src/pages/CustomerHomePage.jsx
-import React, { useEffect, useState, useMemo } from "react";
-import { supabase } from "../supabaseClient";
+import React, { useEffect, useState, useMemo, useRef } from "react";
+import { useRepository } from "../data";
+import { config } from "../config";
+import { useSession } from "../session";
+import { useCurrency } from "../currency";
+import { changeEmail, resendVerification } from "../authClient";
+import { deliverNotificationEmails } from "../notificationsClient";
+import { createPaymentIntent, confirmPayment, listPaymentMethods, cardLabel } from "../paymentsClient";
+import TwoFactorSettings from "./twofactorsettings";
+import SessionsPanel from "./sessionspanel";
+import SavedCardsPanel from "./savedcardspanel";
+import OrderTotals from "./ordertotals";
+import NotificationBell from "./notificationbell";
+import { calculateTax, ratesFor } from "../tax";
 import { useNavigate } from "react-router-dom";
 import { loadStripe } from "@stripe/stripe-js";
 import { Elements, CardElement, useStripe, useElements } from "@stripe/react-stripe-js";
 
-// Use publishable key from Vite env so frontend and backend use the same account
-const publishableKey = import.meta.env.VITE_STRIPE_PUBLIC_KEY || "";
-if (!publishableKey) console.warn("VITE_STRIPE_PUBLIC_KEY not set — Stripe Elements may not initialize correctly");
-const stripePromise = loadStripe(publishableKey || "pk_test_51Sb0kCHo5FuayGoc3ktzmzdbQuKirALL7hp00tZlA77qTu5N3MuRnIb8LdxYzVeEqed2BSUz3JZKxTnwrfCqJvVp00WvYi9FRJ");
+// Publishable key comes from the runtime config so frontend and backend use the same account
+const stripePromise = loadStripe(config.stripePublishableKey);
+
+// The cart priced like place_order() will price it, in the order shape
+// <OrderTotals> takes. Each unit is converted and rounded on its own; tax
+// depends on the shipping province (none yet: the store-wide rates).
+function estimateOrder(cartItems, { convert, currency, taxConfig, province = null }) {
+  const lineAmounts = cartItems.map((it) => convert(it.products?.price) * (it.quantity || 1));
+  const subtotal = lineAmounts.reduce((sum, amount) => sum + amount, 0);
+  const pricesIncludeTax = !!taxConfig?.pricesIncludeTax;
+  const { tax, lines } = calculateTax(lineAmounts, ratesFor(taxConfig?.rates, province), {
+    pricesIncludeTax,
+    minorUnits: currency?.minor_units ?? 2,
+  });
+  return {
+    currency: currency?.code,
+    subtotal,
+    shipping_fee: 0,
+    tax_total: tax,
+    tax_lines: lines.filter((line) => line.amount > 0),
+    prices_include_tax: pricesIncludeTax,
+    total: pricesIncludeTax ? subtotal : subtotal + tax,
+  };
+}
 
-const CardPaymentForm = React.memo(function CardPaymentForm({ amountCents, onSucceeded, onFailed, userEmail = "", userName = "" }) {
+// Card checkout: places the order first (stock is held for it), then pays
+// that order. A failed card leaves the order unpaid, and retrying pays the
+// same order instead of placing a new one. With `paymentMethodId` (a saved
+// card) no card details are asked for; a new card can be saved for next time.
+// `initialOrder` pays an order placed earlier (e.g. "Pay now" in the orders list).
+const CardPaymentForm = React.memo(function CardPaymentForm({ amount, paymentMethodId = null, initialOrder = null, onCreateOrder, onSucceeded, onFailed }) {
   const stripe = useStripe();
+  const { currency, format } = useCurrency();
   const elements = useElements();
   const [loading, setLoading] = useState(false);
+  const [order, setOrder] = useState(initialOrder);
+  const [saveCard, setSaveCard] = useState(false);
   const cardOptions = useMemo(() => ({ hidePostalCode: true }), []);
+  // Once placed, the order's own total and currency are what gets charged
+  const displayAmount = order ? format(order.total, order.currency) : format(amount, currency?.code);
 
   async function handleCardPay(e) {
     e.preventDefault();
     if (!stripe || !elements) return alert("Stripe not ready");
     setLoading(true);
     try {
-      const apiUrl = import.meta.env.VITE_STRIPE_SERVER_URL || "/api";
-      const payload = { 
-        amount: amountCents, 
-        currency: "usd",
-        email: userEmail,
-        fullName: userName,
-      };
-      console.log("🔵 Sending to Stripe backend:", payload);
-      const res = await fetch(`${apiUrl}/create-payment-intent`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload),
-      });
-      const data = await res.json();
-      if (!data.clientSecret) throw new Error(data.error || "Failed creating payment intent");
+      let payingFor = order;
+      if (!payingFor) {
+        payingFor = await onCreateOrder();
+        if (!payingFor) return;
+        setOrder(payingFor);
+      }
 
-      const cardEl = elements.getElement(CardElement);
+      const data = await createPaymentIntent(payingFor.id, { savePaymentMethod: !paymentMethodId && saveCard });
       const result = await stripe.confirmCardPayment(data.clientSecret, {
-        payment_method: { card: cardEl },
+        payment_method: paymentMethodId || { card: elements.getElement(CardElement) },
       });
 
       if (result.error) {
         onFailed(result.error);
       } else if (result.paymentIntent && result.paymentIntent.status === "succeeded") {
-        onSucceeded(result.paymentIntent);
+        // The server checks the intent with Stripe before marking the order paid
+        const { paymentStatus } = await confirmPayment(payingFor.id);
+        onSucceeded(payingFor, paymentStatus);
       } else {
         onFailed(new Error("Payment not completed"));
       }
@@ -58,11 +93,21 @@ const CardPaymentForm = React.memo(function CardPaymentForm({ amountCents, onSuc
 
   return (
     <form onSubmit={handleCardPay} className="space-y-3">
-      <div className="border rounded p-2">
-        <CardElement options={cardOptions} />
-      </div>
+      {!paymentMethodId && (
+        <>
+          <div className="border rounded p-2">
+            <CardElement options={cardOptions} />
+          </div>
+          <label className="flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={saveCard} onChange={(e) => setSaveCard(e.target.checked)} /> Save this card for next time
+          </label>
+        </>
+      )}
+      {order && !initialOrder && (
+        <div className="text-xs text-gray-600">Order placed — waiting for payment. You can try another card, or pay later from Your Orders.</div>
+      )}
       <div className="flex justify-end">
-        <button type="submit" disabled={!stripe || loading} className="px-4 py-2 bg-blue-600 text-white rounded">{loading ? "Processing..." : `Pay $${(amountCents/100).toFixed(2)}`}</button>
+        <button type="submit" disabled={!stripe || loading} className="px-4 py-2 bg-blue-600 text-white rounded">{loading ? "Processing..." : `Pay ${displayAmount}`}</button>
       </div>
     </form>
   );
@@ -76,13 +121,16 @@ import logo from "../assets/logo.png";
 // CustomerHomePage: main shopping UI for customers.
 // - Data model (Supabase): products, product_variants, users, cart, cart_items, orders, order_items, payments, user_addresses
 // - Storage buckets: 'products' (product images), 'user-avatars' (profile images)
-// - This file contains React state, Supabase CRUD helpers, and small presentational components.
+// - Data access goes through the role-scoped repository in src/data (useRepository).
+// - This file contains React state, UI handlers, and small presentational components.
 
 export default function CustomerHomePage() {
   const navigate = useNavigate();
 
-  // user / profile
-  const [user, setUser] = useState(null);
+  // user / profile (session is guaranteed by <ProtectedRoute>)
+  const { user, signOut, updateUser, reloadUser } = useSession();
+  const repo = useRepository();
+  const { currencies, currency, setCurrency, convert, price, format } = useCurrency();
   const [profile, setProfile] = useState({
     full_name: "",
     email: "",
@@ -124,58 +172,43 @@ export default function CustomerHomePage() {
   const [cartItems, setCartItems] = useState([]);
   const [cartOpen, setCartOpen] = useState(false);
   const [cartCount, setCartCount] = useState(0);
+  const [taxConfig, setTaxConfig] = useState(null); // { pricesIncludeTax, rates }
+  const cartEstimate = estimateOrder(cartItems, { convert, currency, taxConfig });
 
   // orders
   const [orders, setOrders] = useState([]);
   const [ordersOpen, setOrdersOpen] = useState(false);
+  const [payOrder, setPayOrder] = useState(null); // unpaid card order being paid from OrdersModal
 
   // addresses & checkout
   const [addresses, setAddresses] = useState([]);
   const [checkoutOpen, setCheckoutOpen] = useState(false);
+  const [checkoutHoldUntil, setCheckoutHoldUntil] = useState(null); // when the cart's stock hold runs out
 
-  // Initial load: check auth, then fetch profile, products, cart, addresses, orders
+  // Initial load: fetch profile, products, cart, addresses, orders for the session user
   useEffect(() => {
-    const u = JSON.parse(localStorage.getItem("user"));
-    if (!u) {
-      navigate("/login");
-      return;
-    }
-    setUser(u);
+    const u = user;
+    if (!u) return;
     loadProfile(u.id);
     loadProducts();
     ensureCart(u.id).then(() => loadCartItemsForUser(u.id));
     loadAddresses(u.id);
     loadOrders(u.id);
+    repo.products.taxes().then(setTaxConfig).catch((e) => console.error("taxes", e));
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
+  }, [user?.id]);
 
   // Realtime subscription: listen for changes to this user's orders and refresh relevant data
   useEffect(() => {
-    if (!user || !user.id || !supabase) return;
-
-    const channel = supabase
-      .channel(`orders_user_${user.id}`)
-      .on(
-        "postgres_changes",
-        { event: "*", schema: "public", table: "orders", filter: `user_id=eq.${user.id}` },
-        (payload) => {
-          // When an order for this user changes (update/delete/insert), reload orders and products
-          console.debug("realtime orders change", payload);
-          loadOrders(user.id).catch(() => {});
-          // also refresh products in case stock or snapshots changed
-          loadProducts().catch(() => {});
-        }
-      )
-      .subscribe();
-
-    return () => {
-      try {
-        supabase.removeChannel(channel);
-      } catch (e) {
-        // fallback: unsubscribe
-        try { channel.unsubscribe(); } catch (err) {}
-      }
-    };
+    if (!user || !user.id) return;
+
+    return repo.orders.subscribeMine(user.id, (payload) => {
+      // When an order for this user changes (update/delete/insert), reload orders and products
+      console.debug("realtime orders change", payload);
+      loadOrders(user.id).catch(() => {});
+      // also refresh products in case stock or snapshots changed
+      loadProducts().catch(() => {});
+    });
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [user?.id]);
 
@@ -203,7 +236,7 @@ export default function CustomerHomePage() {
   async function loadProfile(userId) {
     if (!userId) return;
     try {
-      const { data } = await supabase.from("users").select("*").eq("id", userId).single();
+      const data = await repo.users.getProfile(userId);
       if (data) {
         setProfile({
           full_name: data.full_name || "",
@@ -273,15 +306,15 @@ export default function CustomerHomePage() {
                     <div className="font-medium">{it.name}</div>
                     <div className="text-xs text-gray-600">{it.color || '—'} / {it.size || '—'}</div>
                   </div>
-                  <div className="text-sm font-semibold">x{it.quantity} • ${Number(it.price || 0).toFixed(2)}</div>
+                  <div className="text-sm font-semibold">x{it.quantity} • {format(it.price, order.currency)}</div>
                 </div>
               ))}
             </div>
           </div>
 
-          <div className="mt-4 flex items-center justify-between">
+          <div className="mt-4 flex items-start justify-between gap-4">
             <div className="text-sm text-gray-600">Order ID: {order.id}</div>
-            <div className="font-bold">Total: ${Number(order.total || 0).toFixed(2)}</div>
+            <div className="w-64"><OrderTotals order={order} /></div>
           </div>
         </div>
       </div>
@@ -298,45 +331,40 @@ export default function CustomerHomePage() {
 
       if (avatarFile) {
         // upload to user-avatars bucket, path user.id.png
-        const filePath = `${user.id}.png`;
-        const { error: uploadErr } = await supabase.storage
-          .from("user-avatars")
-          .upload(filePath, avatarFile, { upsert: true });
-
-        if (uploadErr) {
+        try {
+          avatarUrl = await repo.users.uploadAvatar(user.id, avatarFile);
+        } catch (uploadErr) {
           console.error("avatar upload err", uploadErr);
           return alert("Failed uploading avatar");
         }
-
-        const { data } = supabase.storage.from("user-avatars").getPublicUrl(filePath);
-        avatarUrl = data.publicUrl;
       }
 
-      const { error } = await supabase
-        .from("users")
-        .update({
-          full_name: profile.full_name,
-          email: profile.email,
-          phone: profile.phone,
-          address: profile.address,
-          avatar_url: avatarUrl,
-        })
-        .eq("id", user.id);
-
-      if (error) {
-        console.error("saveProfile error", error);
-        return alert("Failed saving profile");
-      }
+      await repo.users.updateProfile(user.id, { ...profile, avatar_url: avatarUrl });
+
+      // A new email address is changed through the API and has to be verified again
+      const emailChanged = profile.email.trim().toLowerCase() !== (user.email || "").toLowerCase();
+      const email = emailChanged ? (await changeEmail(profile.email)).email : user.email;
 
-      // update local storage user (so other pages pick it up)
-      localStorage.setItem("user", JSON.stringify({ ...user, full_name: profile.full_name, email: profile.email, avatar_url: avatarUrl }));
-      setProfile((p) => ({ ...p, avatar_url: avatarUrl }));
+      // update the session user (so other pages pick it up)
+      updateUser({ full_name: profile.full_name, avatar_url: avatarUrl });
+      if (emailChanged) await reloadUser().catch((e) => console.debug("reloadUser failed", e));
+      setProfile((p) => ({ ...p, email, avatar_url: avatarUrl }));
       setAvatarFile(null);
       setProfileModalOpen(false);
-      alert("Profile saved");
+      alert(emailChanged ? `Profile saved. We sent a verification link to ${email}.` : "Profile saved");
     } catch (e) {
       console.error("saveProfile", e);
-      alert("Failed saving profile");
+      alert(e?.status ? e.message : "Failed saving profile");
+    }
+  }
+
+  async function handleResendVerification() {
+    try {
+      const res = await resendVerification();
+      alert(res.alreadyVerified ? "Your email is already verified." : `Verification email sent to ${user.email}.`);
+    } catch (e) {
+      console.error("resendVerification", e);
+      alert(e?.message || "Failed to send verification email");
     }
   }
 
@@ -349,59 +377,25 @@ export default function CustomerHomePage() {
     await loadFilterOptions().catch((e) => console.debug("filter options load failed", e));
     setLoadingProducts(true);
     try {
-      // select products and include product_variants (aliased as variants)
-      let query = supabase.from("products").select(`*, variants:product_variants (*)`);
-      // If any size/color filters are provided, derive the matching product ids from variants first
-      const appliedSizes = Array.isArray(sizeQ) ? sizeQ : [];
-      const appliedColors = Array.isArray(colorQ) ? colorQ : [];
-
-      if ((appliedSizes && appliedSizes.length > 0) || (appliedColors && appliedColors.length > 0)) {
-        // build variant query: variant must match selected sizes AND selected colors (if both provided)
-        let variantQ = supabase.from("product_variants").select("product_id");
-        if (appliedSizes && appliedSizes.length > 0) variantQ = variantQ.in("size", appliedSizes);
-        if (appliedColors && appliedColors.length > 0) variantQ = variantQ.in("color", appliedColors);
-        const { data: matched } = await variantQ;
-        const ids = (matched || []).map((r) => r.product_id).filter(Boolean);
-        // If no variants matched, short-circuit and return empty list
-          if (!ids || ids.length === 0) {
-          console.debug("loadProducts — variant filters returned 0 product ids", { appliedSizes, appliedColors });
-          setProducts([]);
-          setLoadingProducts(false);
-          return;
-        }
-        // restrict product query to these product ids
-        query = query.in("id", ids);
-      }
-      if (categoryQ) query = query.eq("category", categoryQ);
-      if (searchQ) {
-        const q = `%${searchQ.trim()}%`;
-        // search on name and description (use OR)
-        query = query.or(`name.ilike.${q},description.ilike.${q}`);
-      }
-      const { data } = await query.order("created_at", { ascending: false });
+      const data = await repo.products.list({
+        search: searchQ,
+        category: categoryQ,
+        sizes: Array.isArray(sizeQ) ? sizeQ : [],
+        colors: Array.isArray(colorQ) ? colorQ : [],
+      });
 
-      if (data) {
-        // Ensure img_url fallback and normalize variants
-        const fixed = data.map((p) => ({
-          ...p,
-          img_url: p.img_url || "",
-          variants: (p.variants || []).map((v) => ({ ...v, img_url: v.img_url || p.img_url || "" })),
-        }));
-        setProducts(fixed);
-        // fetch sold counts for the loaded products
-        try {
-          const ids = fixed.map((p) => p.id).filter(Boolean);
-          if (ids.length > 0) {
-            const { data: soldItems } = await supabase.from("order_items").select("product_id, quantity").in("product_id", ids);
-            const map = {};
-            (soldItems || []).forEach((it) => { map[it.product_id] = (map[it.product_id] || 0) + Number(it.quantity || 0); });
-            setSoldMap(map);
-          }
-        } catch (e) {
-          console.debug("Failed to load sold counts", e);
-        }
-      } else {
-        setProducts([]);
+      // Ensure img_url fallback and normalize variants
+      const fixed = data.map((p) => ({
+        ...p,
+        img_url: p.img_url || "",
+        variants: (p.variants || []).map((v) => ({ ...v, img_url: v.img_url || p.img_url || "" })),
+      }));
+      setProducts(fixed);
+      // fetch sold counts for the loaded products
+      try {
+        setSoldMap(await repo.products.soldCounts(fixed.map((p) => p.id).filter(Boolean)));
+      } catch (e) {
+        console.debug("Failed to load sold counts", e);
       }
     } catch (e) {
       console.error("loadProducts", e);
@@ -414,8 +408,7 @@ export default function CustomerHomePage() {
   // Load distinct size and color values from `product_variants` so filter UI matches DB
   async function loadFilterOptions() {
     try {
-      const { data } = await supabase.from("product_variants").select("size, color");
-      if (!data) return;
+      const data = await repo.products.variantOptions();
 
       const sizes = Array.from(new Set(data.map((d) => (d.size || "").trim()).filter(Boolean)));
       const colors = Array.from(new Set(data.map((d) => (d.color || "").trim()).filter(Boolean)));
@@ -436,35 +429,19 @@ export default function CustomerHomePage() {
   async function ensureCart(userId) {
     if (!userId) return;
     try {
-      const { data, error } = await supabase.from("cart").select("*").eq("user_id", userId).limit(1).single();
-      if (data) {
-        setCartId(data.id);
-        return data.id;
-      } else {
-        const created = await supabase.from("cart").insert([{ user_id: userId }]).select().single();
-        // supabase returns { data: {...} } sometimes; handle both
-        const cid = created?.data?.id ?? created?.id ?? (created[0] && created[0].id);
-        setCartId(cid);
-        return cid;
-      }
+      const cid = await repo.carts.ensure(userId);
+      setCartId(cid);
+      return cid;
     } catch (e) {
-      // fallback: try to create
-      try {
-        const created = await supabase.from("cart").insert([{ user_id: userId }]).select().single();
-        const cid = created?.data?.id ?? created?.id ?? (created[0] && created[0].id);
-        setCartId(cid);
-        return cid;
-      } catch (ee) {
-        console.error("ensureCart fatal", ee);
-        return null;
-      }
+      console.error("ensureCart fatal", e);
+      return null;
     }
   }
 
   async function loadCartItemsForUser(userId) {
     if (!userId) return;
     try {
-      const { data: cart } = await supabase.from("cart").select("*").eq("user_id", userId).single();
+      const cart = await repo.carts.get(userId);
       if (!cart) {
         setCartItems([]);
         setCartCount(0);
@@ -472,14 +449,8 @@ export default function CustomerHomePage() {
         return;
       }
       setCartId(cart.id);
-      // Select cart_items and join product and variant
-      const { data: items } = await supabase
-        .from("cart_items")
-        .select("*, products(*), product_variants(*)")
-        .eq("cart_id", cart.id)
-        .order("created_at", { ascending: true });
-
-      const list = items || [];
+      // cart_items with product and variant joined
+      const list = await repo.carts.items(cart.id);
       setCartItems(list);
       setCartCount(list.reduce((s, it) => s + (it.quantity || 1), 0));
     } catch (e) {
@@ -492,9 +463,8 @@ export default function CustomerHomePage() {
     if (!user) return alert("Please log in");
     const qty = Number(opts.quantity || 1);
     // ensure cart exists
-    if (!cartId) {
-      await ensureCart(user.id);
-    }
+    const activeCartId = cartId || (await ensureCart(user.id));
+    if (!activeCartId) return alert("Failed to add to cart");
 
     // determine variant id
     let variantId = opts.variantId;
@@ -508,39 +478,19 @@ export default function CustomerHomePage() {
 
     try {
       // verify live variant stock before adding
-      const { data: variantLive, error: varErr } = await supabase.from("product_variants").select("*").eq("id", variantId).single();
-      if (varErr || !variantLive) {
+      let variantLive;
+      try {
+        variantLive = await repo.products.getVariant(variantId);
+      } catch (varErr) {
         console.error("variant lookup failed", varErr);
         return alert("Failed to validate variant availability");
       }
-      const existingQty = (await supabase.from("cart_items").select("quantity").eq("cart_id", cartId).eq("product_variant_id", variantId).single())?.data?.quantity || 0;
-      if ((existingQty || 0) + qty > Number(variantLive.stock || 0)) {
-        return alert(`Not enough stock for ${product.name}. available: ${variantLive.stock}`);
-      }
-      // check existing cart item with same variant
-      const { data: existing } = await supabase
-        .from("cart_items")
-        .select("*")
-        .eq("cart_id", cartId)
-        .eq("product_variant_id", variantId)
-        .limit(1)
-        .single();
-
-      if (existing) {
-        const newQty = (existing.quantity || 0) + qty;
-        // double-check stock before updating
-        if (newQty > Number(variantLive.stock || 0)) return alert(`Not enough stock. available: ${variantLive.stock}`);
-        await supabase.from("cart_items").update({ quantity: newQty }).eq("id", existing.id);
-      } else {
-        await supabase.from("cart_items").insert([
-          {
-            cart_id: cartId,
-            product_id: product.id,
-            product_variant_id: variantId,
-            quantity: qty,
-          },
-        ]);
+      const existing = await repo.carts.findItem(activeCartId, variantId);
+      // Stock held by other shoppers' checkouts isn't available
+      if ((existing?.quantity || 0) + qty > Number(variantLive.available ?? variantLive.stock ?? 0)) {
+        return alert(`Not enough stock for ${product.name}. available: ${variantLive.available ?? variantLive.stock}`);
       }
+      await repo.carts.addItem(activeCartId, { productId: product.id, variantId, quantity: qty });
 
       await loadCartItemsForUser(user.id);
       setCartOpen(true);
@@ -552,11 +502,7 @@ export default function CustomerHomePage() {
 
   async function updateCartQty(itemId, qty) {
     try {
-      if (qty <= 0) {
-        await supabase.from("cart_items").delete().eq("id", itemId);
-      } else {
-        await supabase.from("cart_items").update({ quantity: qty }).eq("id", itemId);
-      }
+      await repo.carts.setQuantity(itemId, qty);
       await loadCartItemsForUser(user.id);
     } catch (e) {
       console.error("updateCartQty", e);
@@ -565,7 +511,7 @@ export default function CustomerHomePage() {
 
   async function removeCartItem(itemId) {
     try {
-      await supabase.from("cart_items").delete().eq("id", itemId);
+      await repo.carts.removeItem(itemId);
       await loadCartItemsForUser(user.id);
     } catch (e) {
       console.error("removeCartItem", e);
@@ -575,64 +521,37 @@ export default function CustomerHomePage() {
   // ------------------------
   // Orders
   // ------------------------
-  // Load orders for user and attach their order_items (including product and variant info)
+  // Load orders for user with their order_items (including product and variant info)
   async function loadOrders(userId) {
     if (!userId) return;
     try {
-      const { data: ordersData } = await supabase
-        .from("orders")
-        .select("*")
-        .eq("user_id", userId)
-        .order("created_at", { ascending: false });
-
-      if (!ordersData) {
-        setOrders([]);
-        return;
-      }
-
-      // For each order fetch its items (including product and variant data)
-      const ordersWithItems = await Promise.all(
-        ordersData.map(async (o) => {
-          const { data: items } = await supabase
-            .from("order_items")
-            .select("*, products(*), product_variants(*)")
-            .eq("order_id", o.id);
-          // normalize and resolve any storage paths to public URLs
-          const normalized = await Promise.all((items || []).map(async (it) => {
-            let img = it.img_url || it.product_variants?.img_url || it.products?.img_url || "";
-            // if img looks like a storage path (no http) and likely in products bucket, convert
-            if (img && !img.startsWith("http") && supabase && typeof supabase.storage !== 'undefined') {
-              try {
-                const { data: publicData } = supabase.storage.from("products").getPublicUrl(img);
-                img = publicData?.publicUrl || img;
-              } catch (e) {
-                console.debug("getPublicUrl failed", e);
-              }
-            }
-            return {
-              ...it,
-              img_url: img,
-            };
-          }));
-          return { ...o, order_items: normalized };
-        })
-      );
-
-      setOrders(ordersWithItems);
+      setOrders(await repo.orders.listMine(userId));
     } catch (e) {
       console.error("loadOrders", e);
       setOrders([]);
     }
   }
 
-  // Cancel an order: set status to 'cancelled' and attempt to restore variant/product stock when appropriate
+  // Opens a product from elsewhere (e.g. a notification), even if the current filters hide it
+  async function openProductById(productId) {
+    try {
+      const product = products.find((p) => p.id === productId) || (await repo.products.list()).find((p) => p.id === productId);
+      if (product) setViewProduct(product);
+      else alert("This product is no longer available");
+    } catch (e) {
+      console.error("openProductById", e);
+    }
+  }
+
+  // Cancel an order: the cancel_order() database function sets it to 'cancelled'
+  // and restores variant/product stock in one step
   async function cancelOrder(orderId) {
     if (!orderId) return;
     const ok = window.confirm("Are you sure you want to cancel this order?");
     if (!ok) return;
     try {
       // fetch order to check status
-      const { data: ord } = await supabase.from("orders").select("status").eq("id", orderId).single();
+      const ord = await repo.orders.get(orderId);
       const current = (ord?.status || "").toLowerCase();
 
       // allow cancel only if not shipped/delivered/cancelled already
@@ -640,37 +559,9 @@ export default function CustomerHomePage() {
         return alert("This order cannot be cancelled");
       }
 
-      // update to cancelled
-      const { error } = await supabase.from("orders").update({ status: "cancelled" }).eq("id", orderId);
-      if (error) throw error;
-
-      // Restore stock for items in this order (only if the order items exist and this cancellation hasn't already been processed)
-      try {
-        const { data: items } = await supabase.from("order_items").select("*").eq("order_id", orderId);
-        const productIdsToRecalc = new Set();
-
-        for (const it of items || []) {
-          if (!it.product_variant_id) continue;
-          // fetch variant
-          const { data: variant } = await supabase.from("product_variants").select("*").eq("id", it.product_variant_id).single();
-          if (!variant) continue;
-          const newStock = Number(variant.stock || 0) + Number(it.quantity || 0);
-          await supabase.from("product_variants").update({ stock: newStock }).eq("id", variant.id);
-          productIdsToRecalc.add(variant.product_id);
-        }
-
-        // recompute product totals for affected products
-        for (const pid of productIdsToRecalc) {
-          const { data: vars } = await supabase.from("product_variants").select("stock").eq("product_id", pid);
-          const total = (vars || []).reduce((s, v) => s + Number(v.stock || 0), 0);
-          await supabase.from("products").update({ stock: total }).eq("id", pid);
-        }
-      } catch (err) {
-        // Log but don't stop; order is still cancelled
-        console.warn("Failed to restore stock after cancelling order", err);
-      }
-
-      // optional: insert a payment/refund note - skipped for now
+      await repo.orders.cancel(orderId);
+      // The returned stock may be what someone was waiting for
+      deliverNotificationEmails();
 
       await loadOrders(user.id);
       await loadProducts();
@@ -682,156 +573,98 @@ export default function CustomerHomePage() {
   }
 
   // ------------------------
-  // Checkout: create order, snapshot items, create payment, clear cart
+  // Checkout: the cart becomes an order in one server-side transaction (place_order)
   // ------------------------
-  async function placeOrder({ shipping_address_id = null, profile_address = null, payment_method = "cod", paymentDetails = null } = {}) {
-    if (!user) return alert("No user");
-    if (!cartItems || cartItems.length === 0) return alert("Cart empty");
+  // Unverified accounts can browse and fill a cart but not check out
+  function requireVerifiedEmail() {
+    if (user?.email_verified) return true;
+    alert("Please verify your email address before checking out. You can resend the verification link from your profile.");
+    return false;
+  }
 
-    try {
-      // 1) verify we have enough stock for every cart item (fetch live values)
-      const variantChecks = await Promise.all(
-        cartItems.map((ci) =>
-          supabase.from("product_variants").select("*, products(*)").eq("id", ci.product_variant_id).single()
-        )
-      );
-
-      for (let i = 0; i < variantChecks.length; i++) {
-        const { data: variant, error } = variantChecks[i];
-        const ci = cartItems[i];
-        if (error || !variant) {
-          console.error("Failed to fetch variant for cart item", ci, error);
-          return alert("Failed to validate stock for an item. Try again.");
-        }
-        if ((variant.stock || 0) < (ci.quantity || 0)) {
-          return alert(`Not enough stock for ${ci.products?.name || "an item"}. Available: ${variant.stock}, requested: ${ci.quantity}`);
-        }
-      }
+  // Idempotency key of the current checkout attempt: double clicks and card
+  // retries reuse it, so place_order() hands back the same order.
+  const checkoutKeyRef = useRef(null);
 
-      // 2) Deduct stock for each variant and recompute product stock totals
-      const productIdsToRecalc = new Set();
+  // Nothing was ordered or held; show what's short and refresh stock/cart so the shopper can adjust
+  async function reportOutOfStock(e) {
+    const lines = (e.items || []).map((it) =>
+      `• ${it.name || "An item that's no longer sold"}${it.color || it.size ? ` (${[it.color, it.size].filter(Boolean).join(", ")})` : ""}: ${it.available} left, ${it.requested} in cart`
+    );
+    await loadCartItemsForUser(user.id);
+    await loadProducts();
+    alert(`Some items in your cart are out of stock:\n${lines.join("\n")}`);
+  }
 
-      // Deduct variant stocks one by one
-      for (let i = 0; i < cartItems.length; i++) {
-        const ci = cartItems[i];
-        const { data: variant } = await supabase.from("product_variants").select("*").eq("id", ci.product_variant_id).single();
-        if (!variant) {
-          console.error("variant missing during deduct", ci);
-          continue;
-        }
-        const newStock = Math.max(0, (variant.stock || 0) - (ci.quantity || 0));
-        await supabase.from("product_variants").update({ stock: newStock }).eq("id", variant.id);
-        productIdsToRecalc.add(variant.product_id);
-      }
+  // Holds the cart's stock while the shopper checks out (released on close,
+  // or by itself when the hold runs out). False if it couldn't be held.
+  async function holdCartStock() {
+    try {
+      setCheckoutHoldUntil(await repo.carts.reserve(cartId));
+      return true;
+    } catch (e) {
+      console.error("reserveCart", e);
+      if (e.code === "out_of_stock") await reportOutOfStock(e);
+      else alert(e?.message || "Failed to reserve your items");
+      return false;
+    }
+  }
 
-      // recompute total stock for affected products
-      for (const pid of productIdsToRecalc) {
-        const { data: variantsList } = await supabase.from("product_variants").select("stock").eq("product_id", pid);
-        const totalProductStock = (variantsList || []).reduce((sum, v) => sum + Number(v.stock || 0), 0);
-        await supabase.from("products").update({ stock: totalProductStock }).eq("id", pid);
-      }
+  async function openCheckout() {
+    if (!requireVerifiedEmail()) return;
+    if (!(await holdCartStock())) return;
+    checkoutKeyRef.current = crypto.randomUUID();
+    setCheckoutOpen(true);
+  }
 
-      // 3) compute total and create order (snapshot items)
-      const total = cartItems.reduce((s, it) => s + Number(it.products?.price || 0) * (it.quantity || 1), 0);
-
-      // Prepare shipping snapshot: either use a saved address id or the profile_address passed from checkout
-      let shippingSnapshot = {
-        shipping_address_id: null,
-        shipping_label: null,
-        shipping_full_name: null,
-        shipping_phone: null,
-        shipping_address_line: null,
-        shipping_city: null,
-        shipping_province: null,
-        shipping_postal_code: null,
-      };
-
-      if (shipping_address_id) {
-        // fetch the chosen address to snapshot into the order
-        const { data: addr } = await supabase.from("user_addresses").select("*").eq("id", shipping_address_id).single();
-        if (addr) {
-          shippingSnapshot = {
-            shipping_address_id: addr.id,
-            shipping_label: addr.label,
-            shipping_full_name: addr.full_name,
-            shipping_phone: addr.phone,
-            shipping_address_line: addr.address_line,
-            shipping_city: addr.city,
-            shipping_province: addr.province,
-            shipping_postal_code: addr.postal_code,
-          };
-        }
-      } else if (profile_address) {
-        shippingSnapshot = {
-          ...shippingSnapshot,
-          shipping_full_name: profile_address.full_name,
-          shipping_phone: profile_address.phone,
-          shipping_address_line: profile_address.address_line,
-        };
-      }
+  function closeCheckout() {
+    setCheckoutOpen(false);
+    setCheckoutHoldUntil(null);
+    repo.carts.release(cartId).catch((e) => console.error("releaseCart", e));
+  }
 
-      const { data: order } = await supabase
-        .from("orders")
-        .insert([
-          {
-            user_id: user.id,
-            total,
-            status: "processing",
-            payment_status: paymentDetails && paymentDetails.status === "succeeded" ? "paid" : "pending",
-            payment_method,
-            // snapshot shipping info
-            shipping_address_id: shippingSnapshot.shipping_address_id,
-            shipping_label: shippingSnapshot.shipping_label,
-            shipping_full_name: shippingSnapshot.shipping_full_name,
-            shipping_phone: shippingSnapshot.shipping_phone,
-            shipping_address_line: shippingSnapshot.shipping_address_line,
-            shipping_city: shippingSnapshot.shipping_city,
-            shipping_province: shippingSnapshot.shipping_province,
-            shipping_postal_code: shippingSnapshot.shipping_postal_code,
-          },
-        ])
-        .select()
-        .single();
-
-      if (!order) throw new Error("order creation failed");
-
-      const itemsPayload = cartItems.map((ci) => ({
-        order_id: order.id,
-        product_id: ci.product_id,
-        product_variant_id: ci.product_variant_id,
-        quantity: ci.quantity,
-        price: ci.products?.price || 0,
-        name: ci.products?.name || "",
-        color: ci.product_variants?.color || "",
-        size: ci.product_variants?.size || "",
-        img_url: ci.product_variants?.img_url || ci.products?.img_url || "https://via.placeholder.com/100",
-      }));
+  // Resolves to the new order, or null if it couldn't be placed (already reported to the user)
+  async function placeOrder({ shipping_address_id = null, profile_address = null, payment_method = "cod" } = {}) {
+    if (!user) {
+      alert("No user");
+      return null;
+    }
+    if (!requireVerifiedEmail()) return null;
+    if (!cartItems || cartItems.length === 0) {
+      alert("Cart empty");
+      return null;
+    }
+
+    try {
+      // One database transaction: stock is checked and deducted, the order,
+      // item snapshots and payment row are created and the cart is emptied.
+      // Orders always start unpaid; card orders are paid next (CardPaymentForm).
+      const order = await repo.orders.place(cartId, {
+        shippingAddressId: shipping_address_id,
+        shipping: shipping_address_id ? null : profile_address,
+        paymentMethod: payment_method,
+        idempotencyKey: checkoutKeyRef.current,
+        currency: currency?.code,
+      });
 
-      await supabase.from("order_items").insert(itemsPayload);
-
-      // 4) create payment row (include transaction id/status for card payments)
-      await supabase.from("payments").insert([
-        {
-          order_id: order.id,
-          amount: total,
-          method: payment_method,
-          status: paymentDetails && paymentDetails.status === "succeeded" ? "paid" : "pending",
-          transaction_id: paymentDetails?.id || null,
-        },
-      ]);
-
-      // 5) clear cart and refresh UI
-      await supabase.from("cart_items").delete().eq("cart_id", cartId);
       await loadCartItemsForUser(user.id);
       await loadOrders(user.id);
       await loadProducts();
+      if (payment_method === "card") return order;
 
       setCartOpen(false);
       setCheckoutOpen(false);
+      setCheckoutHoldUntil(null);
       alert("Order placed successfully — stock updated.");
+      return order;
     } catch (e) {
       console.error("placeOrder", e);
-      alert("Failed to place order");
+      if (e.code === "out_of_stock") {
+        await reportOutOfStock(e);
+        return null;
+      }
+      alert(e?.message || "Failed to place order");
+      return null;
     }
   }
 
@@ -841,8 +674,7 @@ export default function CustomerHomePage() {
   async function loadAddresses(userId) {
     if (!userId) return;
     try {
-      const { data } = await supabase.from("user_addresses").select("*").eq("user_id", userId).order("created_at", { ascending: false });
-      setAddresses(data || []);
+      setAddresses(await repo.addresses.list(userId));
     } catch (e) {
       console.error("loadAddresses", e);
       setAddresses([]);
@@ -851,13 +683,7 @@ export default function CustomerHomePage() {
 
   async function addAddress(addr) {
     if (!user) throw new Error("No user");
-    // Validate required fields
-    const required = ["full_name", "phone", "address_line", "city", "province", "postal_code"];
-    for (const f of required) {
-      if (!addr[f] || String(addr[f]).trim() === "") throw new Error(`Missing required field: ${f}`);
-    }
-
-    const { data } = await supabase.from("user_addresses").insert([{ user_id: user.id, ...addr }]).select().single();
+    const data = await repo.addresses.create(user.id, addr);
     await loadAddresses(user.id);
     return data;
   }
@@ -865,13 +691,7 @@ export default function CustomerHomePage() {
   // update an existing address
   async function updateAddress(addr) {
     if (!user) throw new Error("No user");
-    if (!addr?.id) throw new Error("Address id required");
-    const required = ["full_name", "phone", "address_line", "city", "province", "postal_code"];
-    for (const f of required) {
-      if (!addr[f] || String(addr[f]).trim() === "") throw new Error(`Missing required field: ${f}`);
-    }
-    const { error } = await supabase.from("user_addresses").update({ ...addr }).eq("id", addr.id);
-    if (error) throw error;
+    await repo.addresses.update(addr);
     await loadAddresses(user.id);
     return true;
   }
@@ -879,9 +699,7 @@ export default function CustomerHomePage() {
   // delete an address
   async function deleteAddress(addressId) {
     if (!user) throw new Error("No user");
-    if (!addressId) throw new Error("address id required");
-    const { error } = await supabase.from("user_addresses").delete().eq("id", addressId);
-    if (error) throw error;
+    await repo.addresses.remove(addressId);
     await loadAddresses(user.id);
     return true;
   }
@@ -919,10 +737,8 @@ export default function CustomerHomePage() {
   // Logout
   // ------------------------
   async function handleLogout() {
-    try {
-      if (supabase.auth) await supabase.auth.signOut();
-    } catch (e) {}
-    localStorage.removeItem("user");
+    // revokes the server session and clears local session/user
+    await signOut();
     navigate("/login");
   }
 
@@ -971,6 +787,22 @@ export default function CustomerHomePage() {
           <div className="flex items-center gap-3">
             {/* (removed mobile nav filter - filters are available in the Latest header below on all sizes) */}
           <div className="flex items-center gap-3">
+            {currencies.filter((c) => c.enabled || c.is_base).length > 1 && (
+              <div className="flex flex-col items-center">
+                <select
+                  value={currency?.code || ""}
+                  onChange={(e) => setCurrency(e.target.value)}
+                  className="bg-slate-700 text-white text-sm rounded-lg px-2 py-1"
+                  aria-label="Currency"
+                  title="Currency"
+                >
+                  {currencies.filter((c) => c.enabled || c.is_base).map((c) => (
+                    <option key={c.code} value={c.code}>{c.code}</option>
+                  ))}
+                </select>
+                <span className="text-xs text-slate-300 mt-1">Currency</span>
+              </div>
+            )}
             <div className="flex flex-col items-center">
               <button onClick={() => setProfileModalOpen(true)} className="profile-icon-button p-2 hover:bg-slate-700 rounded-lg transition-colors" title="Profile">
                 <img src={profile.avatar_url || "https://via.placeholder.com/40"} alt="avatar" className="w-6 h-6 object-cover rounded-full" />
@@ -978,6 +810,8 @@ export default function CustomerHomePage() {
               <span className="profile-label text-xs text-slate-300 mt-1">Profile</span>
             </div>
 
+            <NotificationBell onOpenProduct={openProductById} />
+
             <div className="flex flex-col items-center relative">
               <button onClick={() => setOrdersOpen(true)} className="orders-icon-button p-2 hover:bg-slate-700 rounded-lg transition-colors" aria-label="Open orders" title="Orders">
                 <svg xmlns="http://www.w3.org/2000/svg" className="w-6 h-6 text-white" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -1188,7 +1022,7 @@ export default function CustomerHomePage() {
             <div className="flex items-center justify-between mb-4">
               <h3 className="font-bold text-lg">Your Cart</h3>
               <div className="flex items-center gap-2">
-                <button onClick={() => { setCheckoutOpen(true); }} className="px-3 py-1 bg-green-600 text-white rounded">Checkout</button>
+                <button onClick={openCheckout} className="px-3 py-1 bg-green-600 text-white rounded">Checkout</button>
                 <button onClick={() => setCartOpen(false)} className="text-gray-600">Close</button>
               </div>
             </div>
@@ -1206,7 +1040,7 @@ export default function CustomerHomePage() {
                     <div className="flex-1">
                       <div className="font-semibold">{it.products?.name}</div>
                       <div className="text-xs text-gray-600">{it.product_variants?.color || "—"} • {it.product_variants?.size || "—"}</div>
-                      <div className="text-sm font-semibold text-green-700">${Number(it.products?.price || 0).toFixed(2)}</div>
+                      <div className="text-sm font-semibold text-green-700">{price(it.products?.price)}</div>
 
                       <div className="mt-2 flex items-center gap-2">
                         <button onClick={() => updateCartQty(it.id, Math.max(1, (it.quantity || 1) - 1))} className="w-8 h-8 border rounded">-</button>
@@ -1219,13 +1053,12 @@ export default function CustomerHomePage() {
                   </div>
                 ))}
 
-                <div className="pt-3 border-t flex items-center justify-between">
-                  <div className="font-bold">Total</div>
-                  <div className="font-bold">${cartItems.reduce((s, it) => s + Number(it.products?.price || 0) * (it.quantity || 1), 0).toFixed(2)}</div>
+                <div className="pt-3 border-t">
+                  <OrderTotals order={cartEstimate} estimate />
                 </div>
 
                 <div className="flex gap-2 mt-3">
-                  <button onClick={() => { setCheckoutOpen(true); }} className="flex-1 bg-green-600 text-white rounded py-2">Checkout</button>
+                  <button onClick={openCheckout} className="flex-1 bg-green-600 text-white rounded py-2">Checkout</button>
                   <button onClick={() => setCartOpen(false)} className="flex-1 border rounded py-2">Continue</button>
                 </div>
               </div>
@@ -1240,14 +1073,16 @@ export default function CustomerHomePage() {
       {checkoutOpen && (
           <CheckoutModal
           open={checkoutOpen}
-          onClose={() => setCheckoutOpen(false)}
+          onClose={closeCheckout}
+          holdUntil={checkoutHoldUntil}
+          onRenewHold={holdCartStock}
           addresses={addresses}
           onAddAddress={addAddress}
           onUpdateAddress={updateAddress}
           onDeleteAddress={deleteAddress}
             onPlaceOrder={(opts) => placeOrder(opts)}
             cartItems={cartItems}
-            total={cartItems.reduce((s, it) => s + Number(it.products?.price || 0) * (it.quantity || 1), 0)}
+            taxConfig={taxConfig}
           user={user}
           profile={profile}
         />
@@ -1268,6 +1103,13 @@ export default function CustomerHomePage() {
           <form onSubmit={saveProfile} className="bg-white p-5 rounded space-y-3 max-w-sm w-full">
             <h2 className="text-lg font-bold">Edit Profile</h2>
 
+            {!user.email_verified && (
+              <div className="flex items-center justify-between gap-2 p-2 rounded bg-yellow-50 border border-yellow-200 text-sm text-yellow-800">
+                <span>Email not verified — checkout is disabled.</span>
+                <button type="button" onClick={handleResendVerification} className="px-2 py-1 text-xs border border-yellow-400 rounded">Resend verification</button>
+              </div>
+            )}
+
             <div className="flex flex-col items-center">
               <img src={avatarFile ? URL.createObjectURL(avatarFile) : profile.avatar_url || "https://via.placeholder.com/80"} className="w-20 h-20 rounded-full border object-cover" alt="avatar" />
               <input type="file" className="mt-2" onChange={(e) => setAvatarFile(e.target.files[0])} />
@@ -1278,6 +1120,10 @@ export default function CustomerHomePage() {
             <input type="tel" placeholder="Phone" value={profile.phone} onChange={(e) => setProfile({ ...profile, phone: e.target.value })} className="border p-2 rounded w-full" />
             <textarea placeholder="Address" value={profile.address} onChange={(e) => setProfile({ ...profile, address: e.target.value })} className="border p-2 rounded w-full" />
 
+            <TwoFactorSettings user={user} onChange={reloadUser} />
+            <SessionsPanel onSignedOut={handleLogout} />
+            <SavedCardsPanel />
+
             <div className="flex justify-end gap-2">
               <button type="button" onClick={() => setProfileModalOpen(false)} className="px-3 py-1 bg-gray-500 text-white rounded">Cancel</button>
               <button type="submit" className="px-3 py-1 bg-black text-white rounded">Save Profile</button>
@@ -1294,6 +1140,18 @@ export default function CustomerHomePage() {
           orders={orders}
           onCancelOrder={cancelOrder}
           onViewDetails={(o) => setViewOrder(o)}
+          onPayOrder={(o) => setPayOrder(o)}
+        />
+      )}
+
+      {payOrder && (
+        <PayOrderModal
+          order={payOrder}
+          onClose={() => setPayOrder(null)}
+          onPaid={() => {
+            setPayOrder(null);
+            loadOrders(user.id);
+          }}
         />
       )}
 
@@ -1308,6 +1166,7 @@ export default function CustomerHomePage() {
   SectionRow: horizontal scroll row for a category
 --------------------------*/
 function SectionRow({ title, products = [], onView, onAdd, variantImageFn, soldMap = {} }) {
+  const { price } = useCurrency();
   return (
     <section className="bg-white border rounded p-3">
       <div className="flex items-center justify-between mb-3">
@@ -1338,7 +1197,7 @@ function SectionRow({ title, products = [], onView, onAdd, variantImageFn, soldM
 
   {/* PRICE + VARIANT COUNT */}
   <div className="mt-2 flex items-center justify-between">
-    <div className="font-semibold text-green-700">${Number(p.price).toFixed(2)}</div>
+    <div className="font-semibold text-green-700">{price(p.price)}</div>
     <div className="text-xs text-gray-600">
       {p.variants?.length || 0} variants
     </div>
@@ -1346,7 +1205,7 @@ function SectionRow({ title, products = [], onView, onAdd, variantImageFn, soldM
 
   {/* ⭐ TOTAL STOCK DISPLAY */}
   <div className="text-xs text-gray-700 mt-1 space-y-1">
-    <div>Total Stock: {p.variants?.reduce((sum, v) => sum + Number(v.stock), 0) || 0}</div>
+    <div>Total Stock: {p.variants?.reduce((sum, v) => sum + Number(v.available ?? v.stock), 0) || 0}</div>
     <div>Sold: {soldMap[p.id] || 0}</div>
   </div>
 
@@ -1372,6 +1231,7 @@ function SectionRow({ title, products = [], onView, onAdd, variantImageFn, soldM
   Product card used in grid (simple)
 --------------------------*/
 function ProductCard({ p, onView, onAdd, variantImageFn }) {
+  const { price } = useCurrency();
   return (
     <div className="bg-white border rounded shadow p-3 flex flex-col">
       <div className="w-full h-40 overflow-hidden rounded mb-2 cursor-pointer" onClick={onView}>
@@ -1383,7 +1243,7 @@ function ProductCard({ p, onView, onAdd, variantImageFn }) {
       <div className="text-xs text-gray-500 mt-1">{p.description ? (p.description.length > 80 ? p.description.slice(0, 80) + "…" : p.description) : ""}</div>
 
       <div className="mt-2 flex items-center justify-between">
-        <div className="font-semibold text-green-700">${Number(p.price).toFixed(2)}</div>
+        <div className="font-semibold text-green-700">{price(p.price)}</div>
         <div className="text-xs text-gray-600">Variants: {(p.variants || []).length}</div>
       </div>
 
@@ -1401,11 +1261,15 @@ function ProductCard({ p, onView, onAdd, variantImageFn }) {
   - swapping variant updates main image
 --------------------------*/
 function ProductViewModal({ product, onClose, onAdd }) {
+  const { price } = useCurrency();
   const [variantId, setVariantId] = useState(null);
   const [qty, setQty] = useState(1);
   const [mainImg, setMainImg] = useState(product.img_url || (product.variants && product.variants[0] && product.variants[0].img_url) || "");
   const [soldCount, setSoldCount] = useState(0);
   const [reviews, setReviews] = useState([]);
+  const [subscribedIds, setSubscribedIds] = useState([]); // sold-out variants the user asked to hear about
+  const repo = useRepository();
+  const { user } = useSession();
 
   useEffect(() => {
     if (product) {
@@ -1421,9 +1285,8 @@ function ProductViewModal({ product, onClose, onAdd }) {
     let mounted = true;
     async function loadMeta() {
       try {
-        // Sold count from order_items (sum quantities)
-        const { data: items } = await supabase.from("order_items").select("quantity").eq("product_id", product.id);
-        const total = (items || []).reduce((s, it) => s + Number(it.quantity || 0), 0);
+        // Units sold (product_sales view)
+        const total = await repo.products.soldCount(product.id);
         if (mounted) setSoldCount(total);
       } catch (e) {
         console.debug("Failed to load sold count", e);
@@ -1431,12 +1294,8 @@ function ProductViewModal({ product, onClose, onAdd }) {
 
       try {
         // Product reviews table (optional)
-        const { data: rev } = await supabase
-          .from("product_reviews")
-          .select(`id, rating, comment, created_at, users (full_name, avatar_url)`)
-          .eq("product_id", product.id)
-          .order("created_at", { ascending: false });
-        if (mounted) setReviews(rev || []);
+        const rev = await repo.products.reviews(product.id);
+        if (mounted) setReviews(rev);
       } catch (e) {
         // If table doesn't exist, ignore
         console.debug("No product_reviews table or failed to load reviews", e);
@@ -1444,7 +1303,15 @@ function ProductViewModal({ product, onClose, onAdd }) {
     }
     loadMeta();
     return () => { mounted = false; };
-  }, [product]);
+  }, [product, repo]);
+
+  useEffect(() => {
+    if (!user?.id) return;
+    repo.notifications
+      .stockSubscriptions(user.id)
+      .then(setSubscribedIds)
+      .catch((e) => console.debug("Failed to load stock subscriptions", e));
+  }, [repo, user?.id]);
 
   useEffect(() => {
     // when variantId changes, update mainImg to that variant's img
@@ -1455,6 +1322,26 @@ function ProductViewModal({ product, onClose, onAdd }) {
 
   if (!product) return null;
 
+  const selectedVariant = (product.variants || []).find((v) => v.id === variantId);
+  const soldOut = !!selectedVariant && Number(selectedVariant.stock || 0) <= 0;
+  const subscribed = soldOut && subscribedIds.includes(selectedVariant.id);
+
+  async function toggleBackInStock() {
+    if (!user) return alert("Please log in");
+    try {
+      if (subscribed) {
+        await repo.notifications.unsubscribeFromVariant(user.id, selectedVariant.id);
+        setSubscribedIds((ids) => ids.filter((id) => id !== selectedVariant.id));
+      } else {
+        await repo.notifications.subscribeToVariant(user.id, selectedVariant.id);
+        setSubscribedIds((ids) => [...ids, selectedVariant.id]);
+      }
+    } catch (e) {
+      console.error("backInStock", e);
+      alert(e?.message || "Failed to update notification");
+    }
+  }
+
   return (
     <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4">
       <div className="bg-white w-full max-w-3xl p-4 rounded shadow-lg grid grid-cols-1 md:grid-cols-3 gap-4">
@@ -1471,7 +1358,7 @@ function ProductViewModal({ product, onClose, onAdd }) {
               <p className="text-sm text-gray-600 mt-1">{product.category}</p>
             </div>
             <div className="text-right">
-              <div className="text-lg font-semibold text-green-700">${Number(product.price).toFixed(2)}</div>
+              <div className="text-lg font-semibold text-green-700">{price(product.price)}</div>
             </div>
           </div>
 
@@ -1523,7 +1410,9 @@ function ProductViewModal({ product, onClose, onAdd }) {
                       </div>
                       <div>
                         <div className="font-medium">{v.color} • {v.size}</div>
-                        <div className="text-xs text-gray-600">Stock: {v.stock}</div>
+                        <div className="text-xs text-gray-600">
+                          {Number(v.stock || 0) <= 0 ? <span className="text-red-600 font-medium">Sold out</span> : `Stock: ${v.available ?? v.stock}`}
+                        </div>
                       </div>
                     </div>
                   </button>
@@ -1542,16 +1431,26 @@ function ProductViewModal({ product, onClose, onAdd }) {
           </div>
 
           <div className="mt-4 flex gap-2">
-            <button
-              onClick={() => {
-                if (!variantId) return alert("Choose a variant");
-                onAdd({ variantId, quantity: qty });
-                onClose();
-              }}
-              className="bg-blue-600 text-white px-4 py-2 rounded"
-            >
-              Add to cart
-            </button>
+            {soldOut ? (
+              <button
+                onClick={toggleBackInStock}
+                className={`px-4 py-2 rounded ${subscribed ? "border border-blue-600 text-blue-700" : "bg-blue-600 text-white"}`}
+                title={subscribed ? "Stop notifying me" : "Email and notify me when this is back in stock"}
+              >
+                {subscribed ? "We'll notify you ✓" : "Notify me"}
+              </button>
+            ) : (
+              <button
+                onClick={() => {
+                  if (!variantId) return alert("Choose a variant");
+                  onAdd({ variantId, quantity: qty });
+                  onClose();
+                }}
+                className="bg-blue-600 text-white px-4 py-2 rounded"
+              >
+                Add to cart
+              </button>
+            )}
             <button onClick={onClose} className="px-4 py-2 border rounded">Close</button>
           </div>
 
@@ -1583,14 +1482,32 @@ function ProductViewModal({ product, onClose, onAdd }) {
   );
 }
 
+// Whole seconds left until `until` (a Date), ticking every second; 0 once passed
+function useCountdown(until) {
+  const secondsLeft = () => (until ? Math.max(0, Math.ceil((until.getTime() - Date.now()) / 1000)) : 0);
+  const [left, setLeft] = useState(secondsLeft);
+  useEffect(() => {
+    setLeft(secondsLeft());
+    if (!until) return;
+    const t = setInterval(() => setLeft(secondsLeft()), 1000);
+    return () => clearInterval(t);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [until]);
+  return left;
+}
+
 /* -------------------------
   CheckoutModal component
 --------------------------*/
-function CheckoutModal({ open, onClose, addresses = [], onAddAddress, onUpdateAddress, onDeleteAddress, onPlaceOrder, user, profile, cartItems = [], total = 0 }) {
+function CheckoutModal({ open, onClose, addresses = [], onAddAddress, onUpdateAddress, onDeleteAddress, onPlaceOrder, user, profile, cartItems = [], taxConfig = null, holdUntil = null, onRenewHold }) {
+  const { convert, currency } = useCurrency();
+  const holdLeft = useCountdown(holdUntil);
   const [selected, setSelected] = useState(null);
   const [creating, setCreating] = useState(false);
   const [editingId, setEditingId] = useState(null);
   const [paymentOption, setPaymentOption] = useState("cod");
+  const [savedCards, setSavedCards] = useState(null); // reloaded whenever card payment is picked
+  const [cardChoice, setCardChoice] = useState("new"); // saved card id or "new"
   const [newAddr, setNewAddr] = useState({
     label: "Home",
     full_name: user?.full_name || profile.full_name || "",
@@ -1601,6 +1518,19 @@ function CheckoutModal({ open, onClose, addresses = [], onAddAddress, onUpdateAd
     postal_code: "",
   });
 
+  useEffect(() => {
+    if (!open || paymentOption !== "card") return;
+    listPaymentMethods()
+      .then((cards) => {
+        setSavedCards(cards);
+        setCardChoice(cards.length > 0 ? cards[0].id : "new");
+      })
+      .catch((e) => {
+        console.error("listPaymentMethods", e);
+        setSavedCards([]);
+      });
+  }, [open, paymentOption]);
+
   useEffect(() => {
     setSelected(addresses[0] || null);
     console.log("🟡 CheckoutModal opened - user:", user, "profile:", profile);
@@ -1608,7 +1538,8 @@ function CheckoutModal({ open, onClose, addresses = [], onAddAddress, onUpdateAd
 
   if (!open) return null;
 
-  
+  // Saved addresses carry a province; the profile address doesn't
+  const estimate = estimateOrder(cartItems, { convert, currency, taxConfig, province: selected?.province });
 
   async function handleSave() {
     setCreating(true);
@@ -1703,6 +1634,24 @@ function CheckoutModal({ open, onClose, addresses = [], onAddAddress, onUpdateAd
           </div>
         </div>
 
+        {holdUntil && (
+          <div className={`mt-4 p-2 rounded text-sm ${holdLeft > 0 ? "bg-green-50 text-green-800" : "bg-orange-50 text-orange-800"}`}>
+            {holdLeft > 0 ? (
+              <>Your items are reserved for {Math.floor(holdLeft / 60)}:{String(holdLeft % 60).padStart(2, "0")}.</>
+            ) : (
+              <>
+                Your reservation has expired, so these items may sell out.{" "}
+                <button type="button" onClick={onRenewHold} className="underline font-semibold">Reserve again</button>
+              </>
+            )}
+          </div>
+        )}
+
+        <div className="mt-4 border-t pt-3">
+          <h4 className="font-semibold mb-2">Order summary</h4>
+          <OrderTotals order={estimate} estimate />
+        </div>
+
         <div className="mt-4">
           <h4 className="font-semibold mb-2">Payment</h4>
           <div className="flex items-center gap-4 mb-3">
@@ -1712,27 +1661,38 @@ function CheckoutModal({ open, onClose, addresses = [], onAddAddress, onUpdateAd
 
           {paymentOption === 'card' ? (
             <div className="mb-3">
+              {savedCards && savedCards.length > 0 && (
+                <div className="mb-2 space-y-1 text-sm">
+                  {savedCards.map((pm) => (
+                    <label key={pm.id} className="flex items-center gap-2">
+                      <input type="radio" name="card" checked={cardChoice === pm.id} onChange={() => setCardChoice(pm.id)} /> {cardLabel(pm)}
+                    </label>
+                  ))}
+                  <label className="flex items-center gap-2">
+                    <input type="radio" name="card" checked={cardChoice === "new"} onChange={() => setCardChoice("new")} /> Use a new card
+                  </label>
+                </div>
+              )}
               <Elements stripe={stripePromise}>
                 <CardPaymentForm
-                  amountCents={Math.round((total || 0) * 100)}
-                  userEmail={user?.email || profile?.email || ""}
-                  userName={user?.full_name || profile?.full_name || ""}
-                  onSucceeded={async (paymentIntent) => {
-                    try {
-                      // determine shipping selection
-                      if (!selected) return alert('Select or add an address');
-                      if (selected.id === 'profile') {
-                        const profileAddress = { full_name: profile.full_name, phone: profile.phone, address_line: profile.address };
-                        await onPlaceOrder({ profile_address: profileAddress, payment_method: 'card', paymentDetails: { id: paymentIntent.id, status: paymentIntent.status } });
-                      } else {
-                        await onPlaceOrder({ shipping_address_id: selected.id, payment_method: 'card', paymentDetails: { id: paymentIntent.id, status: paymentIntent.status } });
-                      }
-                      onClose();
-                      alert('Payment succeeded and order placed');
-                    } catch (err) {
-                      console.error('post-payment placeOrder', err);
-                      alert('Payment succeeded but failed to create order');
+                  amount={estimate.total}
+                  paymentMethodId={cardChoice === "new" ? null : cardChoice}
+                  onCreateOrder={async () => {
+                    if (!selected) {
+                      alert('Select or add an address');
+                      return null;
+                    }
+                    if (selected.id === 'profile') {
+                      const profileAddress = { full_name: profile.full_name, phone: profile.phone, address_line: profile.address };
+                      return onPlaceOrder({ profile_address: profileAddress, payment_method: 'card' });
                     }
+                    return onPlaceOrder({ shipping_address_id: selected.id, payment_method: 'card' });
+                  }}
+                  onSucceeded={(order, paymentStatus) => {
+                    onClose();
+                    alert(paymentStatus === 'paid'
+                      ? 'Payment succeeded and order placed'
+                      : 'Order placed. Your payment is still being confirmed and will show on the order shortly.');
                   }}
                   onFailed={(err) => { alert(err?.message || 'Payment failed'); }}
                 />
@@ -1758,13 +1718,72 @@ function CheckoutModal({ open, onClose, addresses = [], onAddAddress, onUpdateAd
   );
 }
 
+/* -------------------------
+  PayOrderModal: pays a card order placed earlier whose payment didn't go
+  through ("Pay now" in OrdersModal). The server reuses the order's
+  PaymentIntent, so nothing is charged twice.
+--------------------------*/
+function PayOrderModal({ order, onClose, onPaid }) {
+  const { format } = useCurrency();
+  const [savedCards, setSavedCards] = useState([]);
+  const [cardChoice, setCardChoice] = useState("new"); // saved card id or "new"
+
+  useEffect(() => {
+    listPaymentMethods()
+      .then((cards) => {
+        setSavedCards(cards);
+        setCardChoice(cards.length > 0 ? cards[0].id : "new");
+      })
+      .catch((e) => console.error("listPaymentMethods", e));
+  }, []);
+
+  return (
+    <div className="fixed inset-0 z-70 flex items-center justify-center bg-black bg-opacity-50 p-4">
+      <div className="bg-white w-full max-w-md p-4 rounded shadow-lg">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-lg font-bold">Pay for order #{order.id?.slice(0, 8)}</h3>
+          <button onClick={onClose} className="text-gray-600">Close</button>
+        </div>
+        <div className="mb-3 text-sm text-gray-700">Total: <span className="font-semibold">{format(order.total, order.currency)}</span></div>
+        {savedCards.length > 0 && (
+          <div className="mb-2 space-y-1 text-sm">
+            {savedCards.map((pm) => (
+              <label key={pm.id} className="flex items-center gap-2">
+                <input type="radio" name="pay-card" checked={cardChoice === pm.id} onChange={() => setCardChoice(pm.id)} /> {cardLabel(pm)}
+              </label>
+            ))}
+            <label className="flex items-center gap-2">
+              <input type="radio" name="pay-card" checked={cardChoice === "new"} onChange={() => setCardChoice("new")} /> Use a new card
+            </label>
+          </div>
+        )}
+        <Elements stripe={stripePromise}>
+          <CardPaymentForm
+            amount={order.total}
+            initialOrder={order}
+            paymentMethodId={cardChoice === "new" ? null : cardChoice}
+            onSucceeded={(paidOrder, paymentStatus) => {
+              onPaid();
+              alert(paymentStatus === "paid"
+                ? "Payment succeeded"
+                : "Your payment is still being confirmed and will show on the order shortly.");
+            }}
+            onFailed={(err) => { alert(err?.message || "Payment failed"); }}
+          />
+        </Elements>
+      </div>
+    </div>
+  );
+}
+
 /* -------------------------
   OrdersModal: shows user's orders grouped by status
   - displays item images
   - has Cancel button (if allowed)
   - shows simple status step UI: processing -> shipping -> delivered
 --------------------------*/
-function OrdersModal({ open, onClose, orders = [], onCancelOrder, onViewDetails }) {
+function OrdersModal({ open, onClose, orders = [], onCancelOrder, onViewDetails, onPayOrder }) {
+  const { format } = useCurrency();
   if (!open) return null;
 
   // Helper to format status label
@@ -1797,6 +1816,10 @@ function OrdersModal({ open, onClose, orders = [], onCancelOrder, onViewDetails
     return st !== "shipping" && st !== "delivered" && st !== "cancelled" && st !== "canceled";
   };
 
+  // Card orders whose payment hasn't gone through yet can be paid again
+  const awaitingCardPayment = (o) =>
+    o.payment_method === "card" && ["pending", "failed"].includes(o.payment_status) && !["cancelled", "canceled"].includes((o.status || "").toLowerCase());
+
   const orderStatuses = ["processing", "shipping", "cancelled", "delivered"]; // for header counts
 
   return (
@@ -1838,7 +1861,7 @@ function OrdersModal({ open, onClose, orders = [], onCancelOrder, onViewDetails
                           <div className="text-xs text-gray-600">Placed: {new Date(o.created_at).toLocaleString()}</div>
                         </div>
                         <div className="text-right">
-                          <div className="font-semibold">${Number(o.total).toFixed(2)}</div>
+                          <div className="font-semibold">{format(o.total, o.currency)}</div>
                           <div className="text-xs text-gray-600">{statusLabel(o.status)}</div>
                         </div>
                       </div>
@@ -1883,13 +1906,22 @@ function OrdersModal({ open, onClose, orders = [], onCancelOrder, onViewDetails
                                 <div className="font-medium text-sm">{it.name}</div>
                                 <div className="text-xs text-gray-600">{it.color || "—"} / {it.size || "—"} • x{it.quantity}</div>
                               </div>
-                              <div className="ml-auto text-sm font-semibold">${Number(it.price || 0).toFixed(2)}</div>
+                              <div className="ml-auto text-sm font-semibold">{format(it.price, o.currency)}</div>
                             </div>
                           ))}
                         </div>
                       </div>
 
+                      {awaitingCardPayment(o) && (
+                        <div className="mt-3 p-2 rounded bg-yellow-50 border border-yellow-200 text-sm text-yellow-800">
+                          {o.payment_status === "failed" ? "Your card payment failed." : "Waiting for your card payment."} Unpaid orders are cancelled after a while.
+                        </div>
+                      )}
+
                       <div className="mt-3 flex items-center gap-2">
+                        {awaitingCardPayment(o) && onPayOrder && (
+                          <button onClick={() => onPayOrder(o)} className="px-3 py-1 bg-blue-600 text-white rounded text-sm">Pay now</button>
+                        )}
                         {canCancel(o.status) && (
                           <button onClick={() => onCancelOrder(o.id)} className="px-3 py-1 bg-red-600 text-white rounded text-sm">Cancel Order</button>
                         )}
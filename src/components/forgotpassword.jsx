@@ -0,0 +1,91 @@
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import { requestPasswordReset } from "../authClient";
+import logo from "../assets/logo.png";
+
+export default function ForgotPassword() {
+  const [email, setEmail] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [errorMsg, setErrorMsg] = useState("");
+  const [sent, setSent] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setErrorMsg("");
+    if (!email) {
+      setErrorMsg("Please enter your email address.");
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await requestPasswordReset(email.toLowerCase());
+      // Same message whether or not the account exists
+      setSent(true);
+    } catch (err) {
+      console.error("Forgot password error", err);
+      setErrorMsg(err.status ? err.message : "Network error. Please check your connection and try again.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-900 via-blue-900 to-slate-900 flex items-center justify-center p-4 py-12">
+      <form
+        onSubmit={handleSubmit}
+        className="w-full max-w-sm bg-white/95 backdrop-blur-md rounded-3xl shadow-2xl p-8 space-y-6 border border-white/20"
+      >
+        <div className="flex justify-center">
+          <div className="bg-gradient-to-br from-blue-600 to-indigo-700 rounded-2xl p-4">
+            <img src={logo} alt="CAPS UA" className="h-16 w-16 object-contain" />
+          </div>
+        </div>
+
+        <div className="text-center">
+          <p className="text-lg font-semibold text-slate-900 mb-1">Forgot Password</p>
+          <p className="text-slate-600 text-sm">We'll email you a link to choose a new password.</p>
+        </div>
+
+        {errorMsg && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-sm">{errorMsg}</div>
+        )}
+
+        {sent ? (
+          <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg text-sm">
+            If an account exists for {email}, a reset link is on its way. Check your inbox.
+          </div>
+        ) : (
+          <>
+            <div className="space-y-2">
+              <label htmlFor="email" className="block text-sm font-semibold text-slate-700">
+                📧 Email Address
+              </label>
+              <input
+                id="email"
+                type="email"
+                required
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="you@example.com"
+                className="w-full px-4 py-3 border-2 border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition bg-slate-50 text-slate-900 placeholder-slate-400"
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full py-3 bg-gradient-to-r from-blue-600 via-indigo-600 to-blue-700 text-white font-bold rounded-xl disabled:opacity-50 disabled:cursor-not-allowed uppercase tracking-wider"
+            >
+              {loading ? "Sending..." : "Send Reset Link"}
+            </button>
+          </>
+        )}
+
+        <p className="text-center text-sm">
+          <Link to="/login" className="text-blue-600 hover:text-blue-700 font-medium">Back to Sign In</Link>
+        </p>
+      </form>
+    </div>
+  );
+}
@@ -2,7 +2,7 @@
 import { useEffect, useState } from "react";
 import { useNavigate } from "react-router-dom";
 import { ShoppingCart, Menu, X, Truck, Shield, Headphones, Zap } from "lucide-react";
-import { supabase } from "../supabaseClient";
+import { useRepository } from "../data";
 import logo from "../assets/logo.png";
 
 export default function Landing() {
@@ -11,29 +11,14 @@ export default function Landing() {
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
   const [customerCount, setCustomerCount] = useState(0);
   const [productCount, setProductCount] = useState(0);
+  const repo = useRepository();
 
   // Fetch stats from Supabase
   useEffect(() => {
     const fetchStats = async () => {
       try {
-        // Count registered customers (role = 'customer')
-        const { count: custCount, error: custError } = await supabase
-          .from("users")
-          .select("id", { count: "exact", head: true })
-          .eq("role", "customer");
-
-        if (custError) {
-          console.error("Error fetching customer count:", custError);
-        }
-
-        // Count all products in the products table
-        const { count: prodCount, error: prodError } = await supabase
-          .from("products")
-          .select("id", { count: "exact", head: true });
-
-        if (prodError) {
-          console.error("Error fetching product count:", prodError);
-        }
+        // Registered customers and products (storefront_stats view)
+        const { customerCount: custCount, productCount: prodCount } = await repo.products.stats();
 
         console.log("Customer count:", custCount, "Product count:", prodCount);
 
@@ -48,7 +33,7 @@ export default function Landing() {
     };
 
     fetchStats();
-  }, []);
+  }, [repo]);
 
   // Simulate loading for 2 seconds
   useEffect(() => {
@@ -1,7 +1,6 @@
 import { useState } from "react";
-import { Link, useNavigate } from "react-router-dom";
-import { supabase } from "../supabaseClient";
-import bcrypt from "bcryptjs";
+import { Link, useLocation, useNavigate } from "react-router-dom";
+import { useSession, homePathForRole } from "../session";
 import logo from "../assets/logo.png";
 
 export default function Login() {
@@ -10,7 +9,20 @@ export default function Login() {
   const [loading, setLoading] = useState(false);
   const [errorMsg, setErrorMsg] = useState("");
   const [showPassword, setShowPassword] = useState(false);
+  const [mfaToken, setMfaToken] = useState("");
+  const [code, setCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
   const navigate = useNavigate();
+  const location = useLocation();
+  const { notice, signIn, verifySecondFactor } = useSession();
+
+  // Back to the page that required login, otherwise redirect based on role
+  const goHome = (user) => navigate(location.state?.from || homePathForRole(user.role), { replace: true });
+
+  const showError = (err) => {
+    console.error("Login error", err);
+    setErrorMsg(err.status ? err.message : "Network error. Please check your connection and try again.");
+  };
 
   const handleLogin = async (e) => {
     e.preventDefault();
@@ -22,56 +34,32 @@ export default function Login() {
 
     setLoading(true);
     try {
-      // Fetch user row
-      const { data: user, error } = await supabase
-        .from("users")
-        .select("*")
-        .eq("email", email.toLowerCase())
-        .single();
-
-      if (error) {
-        // network or server error
-        console.error("Supabase error on login fetch:", error);
-        setErrorMsg(error.message || "Failed to fetch user. Please try again.");
-        setLoading(false);
-        return;
-      }
-
-      if (!user) {
-        setErrorMsg("Invalid email or password.");
-        setLoading(false);
-        return;
-      }
-
-      // Validate password hash
-      let isValid = false;
-      try {
-        isValid = bcrypt.compareSync(password, user.password_hash || "");
-      } catch (err) {
-        console.error("bcrypt error", err);
-        setErrorMsg("Failed to validate credentials. Please try again.");
-        setLoading(false);
-        return;
-      }
-
-      if (!isValid) {
-        setErrorMsg("Invalid email or password.");
-        setLoading(false);
+      // Credentials are checked on the server; only the public user row comes back
+      const result = await signIn(email, password);
+      if (result.mfaRequired) {
+        setMfaToken(result.mfaToken);
         return;
       }
+      goHome(result.user);
+    } catch (err) {
+      showError(err);
+    } finally {
+      setLoading(false);
+    }
+  };
 
-      // Save user session
-      localStorage.setItem("user", JSON.stringify(user));
-
-      // Redirect based on role
-      if (user.role === "admin") {
-        navigate("/admin", { replace: true });
-      } else {
-        navigate("/customer", { replace: true });
-      }
+  const handleVerifyCode = async (e) => {
+    e.preventDefault();
+    setErrorMsg("");
+    setLoading(true);
+    try {
+      const factor = useRecoveryCode ? { recoveryCode: code } : { code };
+      goHome(await verifySecondFactor(mfaToken, factor));
     } catch (err) {
-      console.error("Login error", err);
-      setErrorMsg("Network error. Please check your connection and try again.");
+      // An expired challenge means starting over from the password step
+      if (err.status === 401) setMfaToken("");
+      setCode("");
+      showError(err);
     } finally {
       setLoading(false);
     }
@@ -127,7 +115,7 @@ export default function Login() {
         {/* Right Side - Login Form */}
         <div className="w-full max-w-sm mx-auto lg:mx-0">
           <form
-            onSubmit={handleLogin}
+            onSubmit={mfaToken ? handleVerifyCode : handleLogin}
             className="bg-white/95 backdrop-blur-md rounded-3xl shadow-2xl p-8 space-y-6 border border-white/20 hover:shadow-3xl transition-shadow duration-300"
           >
             {/* Logo on Mobile */}
@@ -140,9 +128,18 @@ export default function Login() {
             <div className="text-center mb-8">
               <h2 className="text-4xl font-bold bg-gradient-to-r from-blue-600 to-indigo-600 bg-clip-text text-transparent mb-2 uppercase tracking-wider">CAPS UA</h2>
               <p className="text-lg font-semibold text-slate-900 mb-1">Sign In</p>
-              <p className="text-slate-600">Access your premium shopping account</p>
+              <p className="text-slate-600">
+                {mfaToken ? "Enter the code from your authenticator app" : "Access your premium shopping account"}
+              </p>
             </div>
 
+            {/* Why the previous session ended (idle timeout, signed out elsewhere) */}
+            {notice && !errorMsg && (
+              <div className="bg-blue-50 border border-blue-200 text-blue-700 px-4 py-3 rounded-lg text-sm">
+                {notice}
+              </div>
+            )}
+
             {/* Error Message */}
             {errorMsg && (
               <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-sm flex items-start">
@@ -153,85 +150,134 @@ export default function Login() {
               </div>
             )}
 
-            {/* Email Field */}
-            <div className="space-y-2">
-              <label htmlFor="email" className="block text-sm font-semibold text-slate-700">
-                📧 Email Address
-              </label>
-              <input
-                id="email"
-                type="email"
-                required
-                value={email}
-                onChange={(e) => setEmail(e.target.value)}
-                placeholder="you@example.com"
-                className="w-full px-4 py-3 border-2 border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition bg-slate-50 text-slate-900 placeholder-slate-400 hover:border-blue-300 duration-200"
-              />
-            </div>
+            {mfaToken ? (
+              <>
+                {/* Second step: authenticator or recovery code */}
+                <div className="space-y-2">
+                  <label htmlFor="mfa-code" className="block text-sm font-semibold text-slate-700">
+                    🔒 {useRecoveryCode ? "Recovery Code" : "Authentication Code"}
+                  </label>
+                  <input
+                    id="mfa-code"
+                    required
+                    autoFocus
+                    inputMode={useRecoveryCode ? "text" : "numeric"}
+                    autoComplete="one-time-code"
+                    value={code}
+                    onChange={(e) => setCode(e.target.value)}
+                    placeholder={useRecoveryCode ? "xxxxx-xxxxx" : "6-digit code from your app"}
+                    className="w-full px-4 py-3 border-2 border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition bg-slate-50 text-slate-900 placeholder-slate-400 hover:border-blue-300 duration-200"
+                  />
+                </div>
+
+                <div className="flex justify-between text-sm">
+                  <button
+                    type="button"
+                    onClick={() => { setUseRecoveryCode(!useRecoveryCode); setCode(""); }}
+                    className="text-blue-600 hover:text-blue-700 font-medium transition"
+                  >
+                    {useRecoveryCode ? "Use authenticator app" : "Use a recovery code"}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => { setMfaToken(""); setCode(""); setErrorMsg(""); }}
+                    className="text-slate-500 hover:text-slate-700 font-medium transition"
+                  >
+                    Back
+                  </button>
+                </div>
 
-            {/* Password Field */}
-            <div className="space-y-2">
-              <label htmlFor="password" className="block text-sm font-semibold text-slate-700">
-                🔐 Password
-              </label>
-              <div className="relative">
-                <input
-                  id="password"
-                  type={showPassword ? "text" : "password"}
-                  required
-                  value={password}
-                  onChange={(e) => setPassword(e.target.value)}
-                  placeholder="Enter your password"
-                  className="w-full px-4 py-3 border-2 border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition bg-slate-50 text-slate-900 placeholder-slate-400 hover:border-blue-300 duration-200"
-                />
                 <button
-                  type="button"
-                  onClick={() => setShowPassword(!showPassword)}
-                  className="absolute right-3 top-1/2 -translate-y-1/2 text-slate-500 hover:text-slate-700 transition"
+                  type="submit"
+                  disabled={loading}
+                  className="w-full py-3 bg-gradient-to-r from-blue-600 via-indigo-600 to-blue-700 text-white font-bold rounded-xl hover:from-blue-700 hover:via-indigo-700 hover:to-blue-800 transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2 shadow-lg hover:shadow-blue-500/50 transform hover:scale-105 uppercase tracking-wider"
                 >
-                  {showPassword ? (
-                    <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
-                      <path d="M10 12a2 2 0 100-4 2 2 0 000 4z" />
-                      <path fillRule="evenodd" d="M.458 10C1.732 5.943 5.522 3 10 3s8.268 2.943 9.542 7c-1.274 4.057-5.064 7-9.542 7S1.732 14.057.458 10zM14 10a4 4 0 11-8 0 4 4 0 018 0z" clipRule="evenodd" />
-                    </svg>
-                  ) : (
-                    <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
-                      <path fillRule="evenodd" d="M3.707 2.293a1 1 0 00-1.414 1.414l14 14a1 1 0 001.414-1.414l-1.473-1.473A10.014 10.014 0 0019.542 10C18.268 5.943 14.478 3 10 3a9.958 9.958 0 00-4.512 1.074l-1.78-1.781zm4.261 4.26l1.514 1.515a2.003 2.003 0 012.45 2.45l1.514 1.514a4 4 0 00-5.478-5.478z" clipRule="evenodd" />
-                      <path d="M15.171 13.591l1.172 1.172a1 1 0 01-1.414 1.414l-12-12a1 1 0 011.414-1.414l12 12zM6.02 6.612l1.08 1.081A3 3 0 008.822 9.88l1.08 1.081a5 5 0 01-3.882-3.348zM15.12 3.636l-3.476 3.476a5 5 0 00-5.748 5.307l-2.539 2.54A9.963 9.963 0 0110 3c4.478 0 8.268 2.943 9.542 7-.842 1.733-1.959 3.282-3.422 4.564l-2 2a1 1 0 01-1.414-1.414l2-2z" />
-                    </svg>
-                  )}
+                  {loading ? "Verifying..." : "Verify"}
                 </button>
-              </div>
-            </div>
+              </>
+            ) : (
+              <>
+                {/* Email Field */}
+                <div className="space-y-2">
+                  <label htmlFor="email" className="block text-sm font-semibold text-slate-700">
+                    📧 Email Address
+                  </label>
+                  <input
+                    id="email"
+                    type="email"
+                    required
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    placeholder="you@example.com"
+                    className="w-full px-4 py-3 border-2 border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition bg-slate-50 text-slate-900 placeholder-slate-400 hover:border-blue-300 duration-200"
+                  />
+                </div>
 
-            {/* Forgot Password Link */}
-            <div className="text-right">
-              <Link
-                to="#"
-                className="text-sm text-blue-600 hover:text-blue-700 font-medium transition"
-              >
-                Forgot Password?
-              </Link>
-            </div>
+                {/* Password Field */}
+                <div className="space-y-2">
+                  <label htmlFor="password" className="block text-sm font-semibold text-slate-700">
+                    🔐 Password
+                  </label>
+                  <div className="relative">
+                    <input
+                      id="password"
+                      type={showPassword ? "text" : "password"}
+                      required
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                      placeholder="Enter your password"
+                      className="w-full px-4 py-3 border-2 border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition bg-slate-50 text-slate-900 placeholder-slate-400 hover:border-blue-300 duration-200"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setShowPassword(!showPassword)}
+                      className="absolute right-3 top-1/2 -translate-y-1/2 text-slate-500 hover:text-slate-700 transition"
+                    >
+                      {showPassword ? (
+                        <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
+                          <path d="M10 12a2 2 0 100-4 2 2 0 000 4z" />
+                          <path fillRule="evenodd" d="M.458 10C1.732 5.943 5.522 3 10 3s8.268 2.943 9.542 7c-1.274 4.057-5.064 7-9.542 7S1.732 14.057.458 10zM14 10a4 4 0 11-8 0 4 4 0 018 0z" clipRule="evenodd" />
+                        </svg>
+                      ) : (
+                        <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
+                          <path fillRule="evenodd" d="M3.707 2.293a1 1 0 00-1.414 1.414l14 14a1 1 0 001.414-1.414l-1.473-1.473A10.014 10.014 0 0019.542 10C18.268 5.943 14.478 3 10 3a9.958 9.958 0 00-4.512 1.074l-1.78-1.781zm4.261 4.26l1.514 1.515a2.003 2.003 0 012.45 2.45l1.514 1.514a4 4 0 00-5.478-5.478z" clipRule="evenodd" />
+                          <path d="M15.171 13.591l1.172 1.172a1 1 0 01-1.414 1.414l-12-12a1 1 0 011.414-1.414l12 12zM6.02 6.612l1.08 1.081A3 3 0 008.822 9.88l1.08 1.081a5 5 0 01-3.882-3.348zM15.12 3.636l-3.476 3.476a5 5 0 00-5.748 5.307l-2.539 2.54A9.963 9.963 0 0110 3c4.478 0 8.268 2.943 9.542 7-.842 1.733-1.959 3.282-3.422 4.564l-2 2a1 1 0 01-1.414-1.414l2-2z" />
+                        </svg>
+                      )}
+                    </button>
+                  </div>
+                </div>
 
-            {/* Login Button */}
-            <button
-              type="submit"
-              disabled={loading}
-              className="w-full py-3 bg-gradient-to-r from-blue-600 via-indigo-600 to-blue-700 text-white font-bold rounded-xl hover:from-blue-700 hover:via-indigo-700 hover:to-blue-800 transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2 shadow-lg hover:shadow-blue-500/50 transform hover:scale-105 uppercase tracking-wider"
-            >
-              {loading ? (
-                <>
-                  <svg className="animate-spin h-5 w-5" fill="none" viewBox="0 0 24 24">
-                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
-                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z" />
-                  </svg>
-                  Signing In...
-                </>
-              ) : (
-                'Sign In'
-              )}
-            </button>
+                {/* Forgot Password Link */}
+                <div className="text-right">
+                  <Link
+                    to="/forgot-password"
+                    className="text-sm text-blue-600 hover:text-blue-700 font-medium transition"
+                  >
+                    Forgot Password?
+                  </Link>
+                </div>
+
+                {/* Login Button */}
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="w-full py-3 bg-gradient-to-r from-blue-600 via-indigo-600 to-blue-700 text-white font-bold rounded-xl hover:from-blue-700 hover:via-indigo-700 hover:to-blue-800 transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2 shadow-lg hover:shadow-blue-500/50 transform hover:scale-105 uppercase tracking-wider"
+                >
+                  {loading ? (
+                    <>
+                      <svg className="animate-spin h-5 w-5" fill="none" viewBox="0 0 24 24">
+                        <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
+                        <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z" />
+                      </svg>
+                      Signing In...
+                    </>
+                  ) : (
+                    'Sign In'
+                  )}
+                </button>
+              </>
+            )}
 
             {/* Divider */}
             <div className="relative flex items-center gap-4 my-2">
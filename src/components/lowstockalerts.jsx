@@ -0,0 +1,95 @@
+import { useCallback, useEffect, useState } from "react";
+import { useRepository } from "../data";
+import { useSession } from "../session";
+import { authRequest } from "../authClient";
+
+/* -------------------------
+  LowStockAlerts (admin "Products" tab)
+  - variants a checkout took below their reorder threshold, newest first
+  - "Acknowledge" dismisses one; restocking above the threshold clears it by itself
+  - "Email digest" sends the alerts not emailed yet now (also run on a schedule: npm run stock:digest)
+  - reloads whenever `refreshKey` changes (e.g. after products are reloaded)
+--------------------------*/
+export default function LowStockAlerts({ refreshKey, onOpenProduct }) {
+  const repo = useRepository();
+  const { user } = useSession();
+  const [alerts, setAlerts] = useState([]);
+  const [sending, setSending] = useState(false);
+
+  const load = useCallback(async () => {
+    try {
+      setAlerts(await repo.inventory.lowStockAlerts());
+    } catch (e) {
+      console.error("lowStockAlerts", e);
+    }
+  }, [repo]);
+
+  useEffect(() => {
+    load();
+  }, [load, refreshKey]);
+
+  async function acknowledge(alertId) {
+    try {
+      await repo.inventory.acknowledgeAlert(alertId, user.id);
+      await load();
+    } catch (e) {
+      alert(e?.message || "Failed to acknowledge alert");
+    }
+  }
+
+  async function emailDigest() {
+    setSending(true);
+    try {
+      const { sent, recipients } = await authRequest("/admin/low-stock/digest", {});
+      alert(sent > 0 ? `Emailed ${sent} alert(s) to ${recipients} recipient(s)` : "No new alerts to email");
+      await load();
+    } catch (e) {
+      alert(e?.message || "Failed to send digest");
+    } finally {
+      setSending(false);
+    }
+  }
+
+  if (alerts.length === 0) return null;
+
+  return (
+    <div className="bg-amber-50 border border-amber-300 p-4 rounded space-y-2 text-sm">
+      <div className="flex items-center justify-between gap-2">
+        <h2 className="text-lg font-bold">Low stock alerts ({alerts.length})</h2>
+        <button
+          onClick={emailDigest}
+          disabled={sending}
+          className="px-3 py-1 bg-amber-600 text-white rounded hover:bg-amber-700 disabled:opacity-50"
+        >
+          {sending ? "Sending…" : "Email digest"}
+        </button>
+      </div>
+      <ul className="divide-y divide-amber-200">
+        {alerts.map((a) => (
+          <li key={a.id} className="py-2 flex flex-wrap items-center gap-x-3 gap-y-1">
+            <span className="font-medium">
+              {a.variant?.products?.name} — {a.variant?.color} / {a.variant?.size}
+            </span>
+            <span className="text-red-700">
+              {a.variant?.stock ?? a.stock} left (reorder at {a.variant?.reorder_threshold ?? a.threshold})
+            </span>
+            <span className="text-gray-500">
+              since {new Date(a.created_at).toLocaleString()}
+              {a.emailed_at && " · emailed"}
+            </span>
+            <span className="ml-auto flex gap-3">
+              {onOpenProduct && a.variant?.products && (
+                <button onClick={() => onOpenProduct(a.variant.products.id)} className="text-blue-600 hover:text-blue-800">
+                  Edit product
+                </button>
+              )}
+              <button onClick={() => acknowledge(a.id)} className="text-gray-600 hover:text-gray-800">
+                Acknowledge
+              </button>
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
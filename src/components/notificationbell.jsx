@@ -0,0 +1,88 @@
+import { useCallback, useEffect, useState } from "react";
+import { useRepository } from "../data";
+import { useSession } from "../session";
+
+/* -------------------------
+  NotificationBell (customer nav)
+  - the signed-in user's latest notifications (e.g. back in stock), live via realtime
+  - badge counts unread ones; opening the list marks them read
+  - onOpenProduct(productId) lets a notification open the product it is about
+--------------------------*/
+export default function NotificationBell({ onOpenProduct }) {
+  const repo = useRepository();
+  const { user } = useSession();
+  const userId = user?.id;
+  const [notifications, setNotifications] = useState([]);
+  const [open, setOpen] = useState(false);
+
+  const load = useCallback(
+    () =>
+      userId
+        ? repo.notifications
+            .list(userId)
+            .then(setNotifications)
+            .catch((e) => console.error("loadNotifications", e))
+        : Promise.resolve(),
+    [repo, userId]
+  );
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  useEffect(() => {
+    if (!userId) return;
+    return repo.notifications.subscribe(userId, () => load());
+  }, [load, repo, userId]);
+
+  const unread = notifications.filter((n) => !n.read_at).length;
+
+  async function toggle() {
+    const opening = !open;
+    setOpen(opening);
+    if (opening && unread > 0) {
+      try {
+        await repo.notifications.markRead(userId);
+        await load();
+      } catch (e) {
+        console.error("markNotificationsRead", e);
+      }
+    }
+  }
+
+  return (
+    <div className="flex flex-col items-center relative">
+      <button onClick={toggle} className="notifications-icon-button p-2 hover:bg-slate-700 rounded-lg transition-colors" aria-label="Open notifications" title="Notifications">
+        <svg xmlns="http://www.w3.org/2000/svg" className="w-6 h-6 text-white" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.8} d="M15 17h5l-1.4-1.4A2 2 0 0118 14.2V11a6 6 0 00-4-5.7V5a2 2 0 10-4 0v.3A6 6 0 006 11v3.2a2 2 0 01-.6 1.4L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+        </svg>
+      </button>
+      {unread > 0 && <span className="notifications-badge absolute -top-1 -right-1 bg-red-500 text-white text-xs font-bold w-5 h-5 rounded-full flex items-center justify-center">{unread}</span>}
+      <span className="notifications-label text-xs text-slate-300 mt-1">Alerts</span>
+
+      {open && (
+        <div className="absolute right-0 top-full mt-2 w-72 max-h-96 overflow-y-auto bg-white text-gray-800 rounded-lg shadow-lg border z-50 text-sm">
+          <div className="flex items-center justify-between px-3 py-2 border-b">
+            <span className="font-semibold">Notifications</span>
+            <button onClick={() => setOpen(false)} className="text-gray-500 hover:text-gray-700" aria-label="Close notifications">✕</button>
+          </div>
+          {notifications.length === 0 && <div className="px-3 py-4 text-gray-500 text-center">No notifications yet.</div>}
+          {notifications.map((n) => (
+            <button
+              key={n.id}
+              onClick={() => {
+                if (onOpenProduct && n.product_id) onOpenProduct(n.product_id);
+                setOpen(false);
+              }}
+              className="block w-full text-left px-3 py-2 border-b last:border-b-0 hover:bg-gray-50"
+            >
+              <div className="font-medium">{n.title}</div>
+              {n.body && <div className="text-gray-600">{n.body}</div>}
+              <div className="text-xs text-gray-400 mt-1">{new Date(n.created_at).toLocaleString()}</div>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
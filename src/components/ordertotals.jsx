@@ -0,0 +1,37 @@
+import { useCurrency } from "../currency";
+import { taxLabel } from "../tax";
+
+/* -------------------------
+  OrderTotals
+  - subtotal, shipping, discount, each tax applied and the total, in the order's currency
+  - takes an order row, or an estimate of the same shape at checkout
+  - with tax-inclusive prices the tax lines are shown as "included" and not added again
+--------------------------*/
+export default function OrderTotals({ order, estimate = false }) {
+  const { format } = useCurrency();
+  const money = (n) => format(n, order.currency);
+  const taxLines = order.tax_lines || [];
+  const row = (label, value, className = "", key = label) => (
+    <div key={key} className={`flex items-center justify-between ${className}`}>
+      <span>{label}</span>
+      <span>{value}</span>
+    </div>
+  );
+
+  return (
+    <div className="space-y-1 text-sm">
+      {row("Subtotal", money(order.subtotal ?? order.total))}
+      {Number(order.shipping_fee || 0) > 0 && row("Shipping", money(order.shipping_fee))}
+      {Number(order.discount_total || 0) > 0 && row("Discount", `−${money(order.discount_total)}`)}
+      {taxLines.map((line) =>
+        row(
+          `${estimate ? "Estimated " : ""}${taxLabel(line)}${order.prices_include_tax ? " (included)" : ""}`,
+          money(line.amount),
+          "text-gray-600",
+          `${line.name}-${line.rate}`
+        )
+      )}
+      {row("Total", money(order.total), "font-bold")}
+    </div>
+  );
+}
@@ -1,7 +1,8 @@
 // src/components/ProductPage.jsx
 import { useEffect, useState } from "react";
 import { useParams, useNavigate } from "react-router-dom";
-import { supabase } from "../supabaseClient";
+import { useRepository } from "../data";
+import { useCurrency } from "../currency";
 
 /**
  * ProductPage.jsx
@@ -20,6 +21,8 @@ export default function ProductPage() {
   const [loading, setLoading] = useState(true);
   const [qty, setQty] = useState(1);
   const [adding, setAdding] = useState(false);
+  const repo = useRepository();
+  const { price } = useCurrency();
 
   useEffect(() => {
     if (!id) return;
@@ -30,22 +33,12 @@ export default function ProductPage() {
   const loadProduct = async () => {
     setLoading(true);
     try {
-      const { data, error } = await supabase
-        .from("products")
-        .select("*")
-        .eq("id", id)
-        .single();
-
-      if (error) {
-        console.error("Failed to load product:", error);
-        setProduct(null);
-      } else {
-        setProduct(data);
-        // ensure qty default within stock
-        if (data?.stock && qty > data.stock) setQty(Math.max(1, data.stock));
-      }
+      const data = await repo.products.get(id);
+      setProduct(data);
+      // ensure qty default within stock
+      if (data?.stock && qty > data.stock) setQty(Math.max(1, data.stock));
     } catch (err) {
-      console.error("Unexpected error:", err);
+      console.error("Failed to load product:", err);
       setProduct(null);
     } finally {
       setLoading(false);
@@ -151,7 +144,7 @@ export default function ProductPage() {
               </div>
 
               <div className="text-right">
-                <div className="text-2xl font-bold text-gray-900">${product.price}</div>
+                <div className="text-2xl font-bold text-gray-900">{price(product.price)}</div>
                 <div className="text-sm text-gray-500 mt-1">Stock: {product.stock ?? 0}</div>
               </div>
             </div>
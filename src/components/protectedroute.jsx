@@ -0,0 +1,37 @@
+import { Navigate, useLocation } from "react-router-dom";
+import { useSession, homePathForRole } from "../session";
+import TwoFactorSettings from "./twofactorsettings";
+
+// ProtectedRoute: renders children only for a server-confirmed session whose
+// role is in `roles`. Anonymous visitors go to /login (and come back after);
+// signed-in users with the wrong role are sent to their own home page.
+// Admins must finish two-factor enrollment before any protected page renders.
+export default function ProtectedRoute({ roles = [], children }) {
+  const { status, user, reloadUser, signOut } = useSession();
+  const location = useLocation();
+
+  if (status === "loading") return <div className="p-8 text-center">Loading...</div>;
+
+  if (status !== "authenticated" || !user) {
+    return <Navigate to="/login" replace state={{ from: location.pathname }} />;
+  }
+
+  if (roles.length > 0 && !roles.includes(user.role)) {
+    return <Navigate to={homePathForRole(user.role)} replace />;
+  }
+
+  if (user.role === "admin" && !user.totp_enabled) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-slate-100 p-4">
+        <div className="bg-white p-5 rounded space-y-3 max-w-sm w-full">
+          <h2 className="text-lg font-bold">Set up two-factor authentication</h2>
+          <p className="text-sm text-gray-600">Admin accounts must use an authenticator app before continuing.</p>
+          <TwoFactorSettings user={user} onChange={reloadUser} />
+          <button type="button" onClick={signOut} className="w-full px-3 py-1 bg-gray-500 text-white rounded">Sign out</button>
+        </div>
+      </div>
+    );
+  }
+
+  return children;
+}
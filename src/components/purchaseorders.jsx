@@ -0,0 +1,366 @@
+import { Fragment, useCallback, useEffect, useState } from "react";
+import { useRepository } from "../data";
+import { useCurrency } from "../currency";
+
+const STATUS_LABELS = { open: "Open", partially_received: "Partially received", closed: "Closed" };
+const STATUS_STYLES = {
+  open: "bg-blue-100 text-blue-800",
+  partially_received: "bg-amber-100 text-amber-800",
+  closed: "bg-gray-200 text-gray-700",
+};
+const EMPTY_LINE = { variantId: "", quantity: "", unitCost: "" };
+const EMPTY_PO = { supplierId: "", expectedAt: "", notes: "", lines: [EMPTY_LINE] };
+const EMPTY_SUPPLIER = { name: "", contact_name: "", email: "", phone: "" };
+
+// "2026-10-19" for today, local time (what <input type="date"> and expected_at use)
+function today() {
+  const d = new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+const sumBy = (items, key) => (items || []).reduce((sum, i) => sum + Number(i[key] || 0), 0);
+
+/* -------------------------
+  PurchaseOrders (admin "Purchase orders" tab)
+  - POs by status (open, partially received, closed), overdue ones flagged by expected date
+  - "Details" shows the lines and receipts; receiving (all or part) adds stock as a
+    restock in the inventory ledger and moves the PO along; "Close" ends a short shipment
+  - new POs pick variants from the catalog (`products`); suppliers are managed below
+  - onStockChanged() runs after goods are received
+--------------------------*/
+export default function PurchaseOrders({ products = [], onStockChanged }) {
+  const repo = useRepository();
+  const { base, format } = useCurrency();
+  const [orders, setOrders] = useState(null);
+  const [suppliers, setSuppliers] = useState([]);
+  const [statusFilter, setStatusFilter] = useState(""); // "" = all
+  const [expandedId, setExpandedId] = useState(null);
+  const [receiving, setReceiving] = useState({}); // purchase_order_item id -> quantity arriving now
+  const [receiveNote, setReceiveNote] = useState("");
+  const [draft, setDraft] = useState(EMPTY_PO);
+  const [supplierDraft, setSupplierDraft] = useState(EMPTY_SUPPLIER);
+  const [busy, setBusy] = useState(false);
+
+  const load = useCallback(
+    () =>
+      Promise.all([repo.purchasing.orders({ status: statusFilter || null }), repo.purchasing.suppliers()])
+        .then(([pos, sups]) => {
+          setOrders(pos);
+          setSuppliers(sups);
+        })
+        .catch((e) => {
+          console.error("purchaseOrders", e);
+          alert(e?.message || "Failed to load purchase orders");
+          setOrders([]);
+        }),
+    [repo, statusFilter]
+  );
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  async function run(action, failure) {
+    setBusy(true);
+    try {
+      await action();
+      await load();
+      return true;
+    } catch (e) {
+      alert(e?.message || failure);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const variantOptions = products.flatMap((p) =>
+    (p.variants || []).map((v) => ({ id: v.id, label: `${p.name} — ${v.color} / ${v.size} (stock ${v.stock ?? 0})` }))
+  );
+
+  function toggleDetails(po) {
+    setExpandedId(expandedId === po.id ? null : po.id);
+    setReceiving({});
+    setReceiveNote("");
+  }
+
+  function receiveAllRemaining(po) {
+    setReceiving(Object.fromEntries(po.items.map((i) => [i.id, String(i.quantity_ordered - i.quantity_received)])));
+  }
+
+  async function receive(po) {
+    const items = Object.entries(receiving)
+      .map(([itemId, quantity]) => ({ itemId, quantity: Number(quantity) }))
+      .filter((i) => i.quantity !== 0);
+    if (items.length === 0) return alert("Enter the quantities that arrived");
+    if (items.some((i) => !Number.isInteger(i.quantity) || i.quantity < 0)) return alert("Quantities must be whole numbers");
+    const ok = await run(() => repo.purchasing.receive(po.id, items, receiveNote.trim()), "Failed to receive goods");
+    if (ok) {
+      setReceiving({});
+      setReceiveNote("");
+      if (onStockChanged) onStockChanged();
+    }
+  }
+
+  function close(po) {
+    const due = sumBy(po.items, "quantity_ordered") - sumBy(po.items, "quantity_received");
+    if (!window.confirm(`Close ${po.reference}? ${due} unit(s) still due will no longer be expected.`)) return;
+    run(() => repo.purchasing.close(po.id), "Failed to close purchase order");
+  }
+
+  const setLine = (index, changes) =>
+    setDraft((d) => ({ ...d, lines: d.lines.map((line, i) => (i === index ? { ...line, ...changes } : line)) }));
+
+  async function createOrder(e) {
+    e.preventDefault();
+    const lines = draft.lines.filter((l) => l.variantId);
+    if (!draft.supplierId) return alert("Choose a supplier");
+    if (lines.length === 0) return alert("Add at least one variant");
+    if (lines.some((l) => !(Number.isInteger(Number(l.quantity)) && Number(l.quantity) > 0))) {
+      return alert("Quantities must be whole numbers above zero");
+    }
+    const ok = await run(
+      () => repo.purchasing.createOrder({ supplierId: draft.supplierId, expectedAt: draft.expectedAt, notes: draft.notes, items: lines }),
+      "Failed to create purchase order"
+    );
+    if (ok) setDraft(EMPTY_PO);
+  }
+
+  async function addSupplier(e) {
+    e.preventDefault();
+    if (await run(() => repo.purchasing.saveSupplier(supplierDraft), "Failed to add supplier")) setSupplierDraft(EMPTY_SUPPLIER);
+  }
+
+  if (!orders) return <div className="text-sm text-gray-500">Loading...</div>;
+
+  const activeSuppliers = suppliers.filter((s) => s.active);
+
+  return (
+    <div className="space-y-6 text-sm">
+      <div className="space-y-2">
+        <div className="flex flex-wrap items-center gap-2">
+          <h2 className="text-xl font-bold mr-auto">Purchase orders</h2>
+          <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className="border rounded px-2 py-1" aria-label="Status">
+            <option value="">All</option>
+            {Object.entries(STATUS_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        <table className="w-full border text-left">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="p-2">PO</th><th className="p-2">Supplier</th><th className="p-2">Status</th>
+              <th className="p-2">Expected</th><th className="p-2">Received</th><th className="p-2">Created</th><th className="p-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {orders.length === 0 && (
+              <tr><td colSpan={7} className="p-2 text-gray-500">No purchase orders{statusFilter ? ` ${STATUS_LABELS[statusFilter].toLowerCase()}` : ""}.</td></tr>
+            )}
+            {orders.map((po) => {
+              const overdue = po.status !== "closed" && po.expected_at && po.expected_at < today();
+              const expanded = expandedId === po.id;
+              return (
+                <Fragment key={po.id}>
+                  <tr className="border-t">
+                    <td className="p-2 font-medium">{po.reference}</td>
+                    <td className="p-2">{po.supplier?.name}</td>
+                    <td className="p-2">
+                      <span className={`px-2 py-0.5 rounded text-xs font-semibold ${STATUS_STYLES[po.status]}`}>{STATUS_LABELS[po.status]}</span>
+                    </td>
+                    <td className={`p-2 ${overdue ? "text-red-600 font-medium" : ""}`}>
+                      {po.expected_at ? new Date(`${po.expected_at}T00:00:00`).toLocaleDateString() : "—"}
+                      {overdue && " (overdue)"}
+                    </td>
+                    <td className="p-2">{sumBy(po.items, "quantity_received")} / {sumBy(po.items, "quantity_ordered")}</td>
+                    <td className="p-2">{new Date(po.created_at).toLocaleDateString()}</td>
+                    <td className="p-2 text-right">
+                      <button type="button" onClick={() => toggleDetails(po)} className="text-blue-600 hover:text-blue-800">
+                        {expanded ? "Hide" : "Details"}
+                      </button>
+                    </td>
+                  </tr>
+                  {expanded && (
+                    <tr className="bg-gray-50">
+                      <td colSpan={7} className="p-3 space-y-3">
+                        {po.notes && <div className="text-gray-600">Notes: {po.notes}</div>}
+                        <table className="w-full text-left">
+                          <thead>
+                            <tr className="text-gray-600">
+                              <th className="p-1">Item</th><th className="p-1">Unit cost</th><th className="p-1">Ordered</th>
+                              <th className="p-1">Received</th><th className="p-1">Due</th>
+                              {po.status !== "closed" && <th className="p-1">Arrived now</th>}
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {po.items.map((item) => {
+                              const due = item.quantity_ordered - item.quantity_received;
+                              return (
+                                <tr key={item.id} className="border-t">
+                                  <td className="p-1">
+                                    {item.name} — {item.color} / {item.size}
+                                    {!item.product_variant_id && <span className="ml-1 text-red-600">(variant deleted)</span>}
+                                  </td>
+                                  <td className="p-1">{item.unit_cost == null ? "—" : format(item.unit_cost, base?.code)}</td>
+                                  <td className="p-1">{item.quantity_ordered}</td>
+                                  <td className="p-1">{item.quantity_received}</td>
+                                  <td className="p-1">{due}</td>
+                                  {po.status !== "closed" && (
+                                    <td className="p-1">
+                                      <input
+                                        type="number"
+                                        min="0"
+                                        max={due}
+                                        disabled={due === 0 || !item.product_variant_id}
+                                        value={receiving[item.id] ?? ""}
+                                        onChange={(e) => setReceiving({ ...receiving, [item.id]: e.target.value })}
+                                        className="w-20 border rounded px-2 py-1 disabled:bg-gray-100"
+                                      />
+                                    </td>
+                                  )}
+                                </tr>
+                              );
+                            })}
+                          </tbody>
+                        </table>
+
+                        {po.status !== "closed" && (
+                          <div className="flex flex-wrap items-center gap-2">
+                            <input
+                              value={receiveNote}
+                              onChange={(e) => setReceiveNote(e.target.value)}
+                              maxLength={200}
+                              placeholder="Note (delivery slip, damage…)"
+                              className="border rounded px-2 py-1 flex-1 min-w-[12rem]"
+                            />
+                            <button type="button" disabled={busy} onClick={() => receiveAllRemaining(po)} className="px-3 py-1 border rounded disabled:opacity-50">
+                              Fill remaining
+                            </button>
+                            <button type="button" disabled={busy} onClick={() => receive(po)} className="px-3 py-1 bg-green-600 text-white rounded disabled:opacity-50">
+                              Receive
+                            </button>
+                            <button type="button" disabled={busy} onClick={() => close(po)} className="px-3 py-1 bg-gray-600 text-white rounded disabled:opacity-50">
+                              Close PO
+                            </button>
+                          </div>
+                        )}
+
+                        {po.receipts.length > 0 && (
+                          <div>
+                            <div className="font-semibold">Receipts</div>
+                            <ul className="text-gray-700">
+                              {[...po.receipts]
+                                .sort((a, b) => a.received_at.localeCompare(b.received_at))
+                                .map((r) => {
+                                  const item = po.items.find((i) => i.id === r.purchase_order_item_id);
+                                  return (
+                                    <li key={r.id}>
+                                      {new Date(r.received_at).toLocaleString()}: {r.quantity} × {item ? `${item.name} — ${item.color} / ${item.size}` : "item"}
+                                      {r.note && <span className="text-gray-500"> ({r.note})</span>}
+                                    </li>
+                                  );
+                                })}
+                            </ul>
+                          </div>
+                        )}
+                        {po.closed_at && <div className="text-gray-500">Closed {new Date(po.closed_at).toLocaleString()}</div>}
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <form onSubmit={createOrder} className="border rounded p-3 space-y-2">
+        <h3 className="font-semibold text-base">New purchase order</h3>
+        {activeSuppliers.length === 0 && <div className="text-gray-500">Add a supplier below first.</div>}
+        <div className="flex flex-wrap items-end gap-2">
+          <label>Supplier
+            <select required value={draft.supplierId} onChange={(e) => setDraft({ ...draft, supplierId: e.target.value })} className="block border rounded px-2 py-1">
+              <option value="">Choose…</option>
+              {activeSuppliers.map((s) => <option key={s.id} value={s.id}>{s.name}</option>)}
+            </select>
+          </label>
+          <label>Expected arrival
+            <input type="date" value={draft.expectedAt} onChange={(e) => setDraft({ ...draft, expectedAt: e.target.value })} className="block border rounded px-2 py-1" />
+          </label>
+          <label className="flex-1 min-w-[12rem]">Notes
+            <input maxLength={500} value={draft.notes} onChange={(e) => setDraft({ ...draft, notes: e.target.value })} className="block w-full border rounded px-2 py-1" />
+          </label>
+        </div>
+
+        {draft.lines.map((line, index) => (
+          <div key={index} className="flex flex-wrap items-end gap-2">
+            <label className="flex-1 min-w-[16rem]">Variant
+              <select value={line.variantId} onChange={(e) => setLine(index, { variantId: e.target.value })} className="block w-full border rounded px-2 py-1">
+                <option value="">Choose…</option>
+                {variantOptions.map((o) => <option key={o.id} value={o.id}>{o.label}</option>)}
+              </select>
+            </label>
+            <label>Quantity
+              <input type="number" min="1" value={line.quantity} onChange={(e) => setLine(index, { quantity: e.target.value })} className="block w-24 border rounded px-2 py-1" />
+            </label>
+            <label>Unit cost ({base?.code || "base"})
+              <input type="number" min="0" step="0.01" value={line.unitCost} onChange={(e) => setLine(index, { unitCost: e.target.value })} placeholder="Optional" className="block w-28 border rounded px-2 py-1" />
+            </label>
+            {draft.lines.length > 1 && (
+              <button type="button" onClick={() => setDraft((d) => ({ ...d, lines: d.lines.filter((_, i) => i !== index) }))} className="text-red-600 py-1">
+                Remove
+              </button>
+            )}
+          </div>
+        ))}
+        <div className="flex gap-2">
+          <button type="button" onClick={() => setDraft((d) => ({ ...d, lines: [...d.lines, EMPTY_LINE] }))} className="px-3 py-1 border rounded">
+            Add line
+          </button>
+          <button type="submit" disabled={busy || activeSuppliers.length === 0} className="px-3 py-1 bg-green-600 text-white rounded disabled:opacity-50">
+            Create purchase order
+          </button>
+        </div>
+      </form>
+
+      <div className="space-y-2">
+        <h3 className="font-semibold text-base">Suppliers</h3>
+        <table className="w-full border text-left">
+          <thead className="bg-gray-100">
+            <tr><th className="p-2">Name</th><th className="p-2">Contact</th><th className="p-2">Email</th><th className="p-2">Phone</th><th className="p-2">Active</th></tr>
+          </thead>
+          <tbody>
+            {suppliers.length === 0 && (
+              <tr><td colSpan={5} className="p-2 text-gray-500">No suppliers yet.</td></tr>
+            )}
+            {suppliers.map((s) => (
+              <tr key={s.id} className="border-t">
+                <td className="p-2">{s.name}</td>
+                <td className="p-2">{s.contact_name || "—"}</td>
+                <td className="p-2">{s.email || "—"}</td>
+                <td className="p-2">{s.phone || "—"}</td>
+                <td className="p-2">
+                  <input
+                    type="checkbox"
+                    checked={s.active}
+                    disabled={busy}
+                    onChange={(e) => run(() => repo.purchasing.saveSupplier({ ...s, active: e.target.checked }), "Failed to save supplier")}
+                  />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <form onSubmit={addSupplier} className="flex flex-wrap items-end gap-2">
+          <label>Name<input required maxLength={100} value={supplierDraft.name} onChange={(e) => setSupplierDraft({ ...supplierDraft, name: e.target.value })} className="block border rounded px-2 py-1" /></label>
+          <label>Contact<input maxLength={100} value={supplierDraft.contact_name} onChange={(e) => setSupplierDraft({ ...supplierDraft, contact_name: e.target.value })} className="block border rounded px-2 py-1" /></label>
+          <label>Email<input type="email" maxLength={200} value={supplierDraft.email} onChange={(e) => setSupplierDraft({ ...supplierDraft, email: e.target.value })} className="block border rounded px-2 py-1" /></label>
+          <label>Phone<input maxLength={50} value={supplierDraft.phone} onChange={(e) => setSupplierDraft({ ...supplierDraft, phone: e.target.value })} className="block border rounded px-2 py-1" /></label>
+          <button type="submit" disabled={busy} className="px-3 py-1 bg-green-600 text-white rounded disabled:opacity-50">Add supplier</button>
+        </form>
+      </div>
+    </div>
+  );
+}
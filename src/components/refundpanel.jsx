@@ -0,0 +1,146 @@
+import { useState } from "react";
+import { refundOrder } from "../paymentsClient";
+import { useCurrency } from "../currency";
+
+const REFUNDABLE_STATUSES = ["paid", "partially_refunded"];
+
+/* -------------------------
+  RefundPanel (admin order details)
+  - refunds chosen quantities per item, or everything that is left (shipping included)
+  - card payments are refunded through Stripe; cash on delivery is only recorded
+  - "Put items back in stock" restocks what was refunded, unless the order was already restocked
+  - onRefunded is called after a refund so the caller can reload the order
+--------------------------*/
+export default function RefundPanel({ order, onRefunded }) {
+  const [quantities, setQuantities] = useState({}); // order_item_id -> quantity to refund
+  const [restock, setRestock] = useState(true);
+  const [reason, setReason] = useState("");
+  const [busy, setBusy] = useState(false);
+  const { format } = useCurrency();
+  const money = (n) => format(n, order.currency);
+
+  const payment = order.payment;
+  const refunds = order.refunds || [];
+  const refundedAmount = Number(payment?.refunded_amount || 0);
+  const remaining = Math.max(0, Number(payment?.amount || 0) - refundedAmount);
+  const refundable = !!payment && REFUNDABLE_STATUSES.includes(payment.status) && remaining > 0;
+  const left = (it) => Number(it.quantity || 0) - Number(it.refunded_quantity || 0);
+
+  const selected = (order.order_items || [])
+    .filter((it) => Number(quantities[it.id] || 0) > 0)
+    .map((it) => ({ orderItemId: it.id, quantity: Number(quantities[it.id]) }));
+  // Tax added on top of prices is refunded with the item (the server works out the exact figure)
+  const unitTax = (it) => (order.prices_include_tax ? 0 : Number(it.tax_amount || 0) / Number(it.quantity || 1));
+  const selectedAmount = (order.order_items || []).reduce(
+    (sum, it) => sum + (Number(it.price || 0) + unitTax(it)) * Number(quantities[it.id] || 0),
+    0
+  );
+
+  async function submit(items) {
+    const amount = items ? Math.min(selectedAmount, remaining) : remaining;
+    const how = payment.method === "card" ? "to the customer's card" : "as cash (record only)";
+    if (!window.confirm(`Refund ${money(amount)} ${how}?`)) return;
+    setBusy(true);
+    try {
+      const { paymentStatus } = await refundOrder(order.id, { items, restock, reason });
+      alert(`Refund issued — payment is now ${paymentStatus.replace("_", " ")}`);
+      setQuantities({});
+      setReason("");
+      if (onRefunded) await onRefunded();
+    } catch (e) {
+      alert(e?.message || "Failed to issue refund");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="mt-4 border rounded p-3 space-y-2 text-sm">
+      <div className="flex items-center justify-between">
+        <h4 className="font-semibold">Refunds</h4>
+        {refundedAmount > 0 && (
+          <span className="text-xs text-gray-600">
+            Refunded {money(refundedAmount)} of {money(payment?.amount)}
+          </span>
+        )}
+      </div>
+
+      {refunds.length > 0 && (
+        <ul className="space-y-1 text-xs text-gray-600">
+          {refunds.map((r) => (
+            <li key={r.id}>
+              {new Date(r.created_at).toLocaleString()} • {money(r.amount)} • {r.status}
+              {r.restocked ? " • restocked" : ""}
+              {r.reason ? ` • ${r.reason}` : ""}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {!refundable ? (
+        <div className="text-xs text-gray-500">
+          {payment && remaining <= 0 ? "This order has been refunded in full." : "Only paid orders can be refunded."}
+        </div>
+      ) : (
+        <>
+          <div className="space-y-1">
+            {(order.order_items || []).map((it) => (
+              <label key={it.id} className="flex items-center justify-between gap-2">
+                <span>
+                  {it.name} <span className="text-xs text-gray-500">({it.color || "—"} / {it.size || "—"})</span>
+                  {Number(it.refunded_quantity || 0) > 0 && (
+                    <span className="ml-1 text-xs text-orange-600">• {it.refunded_quantity} refunded</span>
+                  )}
+                </span>
+                <input
+                  type="number"
+                  min="0"
+                  max={left(it)}
+                  disabled={busy || left(it) <= 0}
+                  value={quantities[it.id] || ""}
+                  onChange={(e) =>
+                    setQuantities((q) => ({ ...q, [it.id]: Math.min(left(it), Math.max(0, parseInt(e.target.value, 10) || 0)) }))
+                  }
+                  placeholder={`0–${left(it)}`}
+                  className="w-20 border rounded px-2 py-1"
+                />
+              </label>
+            ))}
+          </div>
+
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={restock} onChange={(e) => setRestock(e.target.checked)} disabled={busy} />
+            Put refunded items back in stock
+          </label>
+          <input
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="Reason (optional)"
+            maxLength={500}
+            disabled={busy}
+            className="w-full border rounded px-2 py-1"
+          />
+
+          <div className="flex gap-2">
+            <button
+              type="button"
+              disabled={busy || selected.length === 0}
+              onClick={() => submit(selected)}
+              className="px-3 py-1 border border-orange-500 text-orange-600 rounded disabled:opacity-50"
+            >
+              Refund selected ({money(Math.min(selectedAmount, remaining))})
+            </button>
+            <button
+              type="button"
+              disabled={busy}
+              onClick={() => submit(null)}
+              className="px-3 py-1 bg-red-500 text-white rounded disabled:opacity-50"
+            >
+              Refund all ({money(remaining)})
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
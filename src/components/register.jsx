@@ -1,7 +1,6 @@
 import { useState } from "react";
 import { useNavigate, Link } from "react-router-dom";
-import { supabase } from "../supabaseClient";
-import bcrypt from "bcryptjs";
+import { register } from "../authClient";
 import logo from "../assets/logo.png";
 
 export default function Register() {
@@ -34,38 +33,16 @@ export default function Register() {
     setLoading(true);
 
     try {
-      // Hash password before saving
-      const salt = bcrypt.genSaltSync(10);
-      const password_hash = bcrypt.hashSync(password, salt);
+      // Password is hashed on the server before the users row is created
+      await register({ full_name, email, password, phone });
 
-      const { data, error } = await supabase
-        .from("users")
-        .insert([
-          {
-            full_name,
-            email: email.toLowerCase(),
-            password_hash,
-            phone,
-            role: "customer",
-            agreed_terms: true,
-          },
-        ])
-        .select()
-        .single();
-
-      if (error) {
-        setErrorMsg(error.message || "Registration failed. Please try again.");
-        setLoading(false);
-        return;
-      }
-
-      setSuccessMsg("Registration successful! Redirecting to login...");
+      setSuccessMsg("Registration successful! Check your email to verify your account. Redirecting to login...");
       setTimeout(() => {
         navigate("/login");
-      }, 2000);
+      }, 3000);
     } catch (err) {
       console.error("Register error", err);
-      setErrorMsg("Network error. Please check your connection and try again.");
+      setErrorMsg(err.status ? err.message : "Network error. Please check your connection and try again.");
       setLoading(false);
     }
   };
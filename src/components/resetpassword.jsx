@@ -0,0 +1,93 @@
+import { useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { resetPassword } from "../authClient";
+import logo from "../assets/logo.png";
+
+export default function ResetPassword() {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const [password, setPassword] = useState("");
+  const [confirm, setConfirm] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [errorMsg, setErrorMsg] = useState("");
+  const [successMsg, setSuccessMsg] = useState("");
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setErrorMsg("");
+    if (password.length < 6) {
+      setErrorMsg("Password must be at least 6 characters long.");
+      return;
+    }
+    if (password !== confirm) {
+      setErrorMsg("Passwords do not match.");
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await resetPassword(token, password);
+      setSuccessMsg("Password updated! Redirecting to login...");
+      setTimeout(() => navigate("/login", { replace: true }), 2000);
+    } catch (err) {
+      console.error("Reset password error", err);
+      setErrorMsg(err.status ? err.message : "Network error. Please check your connection and try again.");
+      setLoading(false);
+    }
+  };
+
+  const inputClass = "w-full px-4 py-3 border-2 border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition bg-slate-50 text-slate-900 placeholder-slate-400";
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-900 via-blue-900 to-slate-900 flex items-center justify-center p-4 py-12">
+      <form
+        onSubmit={handleSubmit}
+        className="w-full max-w-sm bg-white/95 backdrop-blur-md rounded-3xl shadow-2xl p-8 space-y-6 border border-white/20"
+      >
+        <div className="flex justify-center">
+          <div className="bg-gradient-to-br from-blue-600 to-indigo-700 rounded-2xl p-4">
+            <img src={logo} alt="CAPS UA" className="h-16 w-16 object-contain" />
+          </div>
+        </div>
+
+        <div className="text-center">
+          <p className="text-lg font-semibold text-slate-900 mb-1">Choose a New Password</p>
+          <p className="text-slate-600 text-sm">This link can only be used once.</p>
+        </div>
+
+        {errorMsg && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-sm">{errorMsg}</div>
+        )}
+        {successMsg && (
+          <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg text-sm">{successMsg}</div>
+        )}
+
+        <div className="space-y-2">
+          <label htmlFor="password" className="block text-sm font-semibold text-slate-700">
+            🔐 New Password
+          </label>
+          <input id="password" type="password" required value={password} onChange={(e) => setPassword(e.target.value)} placeholder="Min. 6 characters" className={inputClass} />
+        </div>
+
+        <div className="space-y-2">
+          <label htmlFor="confirm" className="block text-sm font-semibold text-slate-700">
+            🔐 Confirm Password
+          </label>
+          <input id="confirm" type="password" required value={confirm} onChange={(e) => setConfirm(e.target.value)} placeholder="Repeat password" className={inputClass} />
+        </div>
+
+        <button
+          type="submit"
+          disabled={loading || !!successMsg}
+          className="w-full py-3 bg-gradient-to-r from-blue-600 via-indigo-600 to-blue-700 text-white font-bold rounded-xl disabled:opacity-50 disabled:cursor-not-allowed uppercase tracking-wider"
+        >
+          {loading ? "Saving..." : "Reset Password"}
+        </button>
+
+        <p className="text-center text-sm">
+          <Link to="/forgot-password" className="text-blue-600 hover:text-blue-700 font-medium">Request a new link</Link>
+        </p>
+      </form>
+    </div>
+  );
+}
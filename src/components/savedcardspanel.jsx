@@ -0,0 +1,62 @@
+import { useCallback, useEffect, useState } from "react";
+import { listPaymentMethods, deletePaymentMethod, cardLabel } from "../paymentsClient";
+
+/* -------------------------
+  SavedCardsPanel ("Saved cards")
+  - lists the cards the shopper chose to save at checkout (kept by Stripe, not by us)
+  - removing one detaches it from the shopper's Stripe customer
+--------------------------*/
+export default function SavedCardsPanel() {
+  const [cards, setCards] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const load = useCallback(
+    () =>
+      listPaymentMethods()
+        .then(setCards)
+        .catch((e) => {
+          console.error("listPaymentMethods", e);
+          setCards([]);
+        }),
+    []
+  );
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  async function remove(card) {
+    if (!window.confirm(`Remove ${cardLabel(card)}?`)) return;
+    setBusy(true);
+    try {
+      await deletePaymentMethod(card.id);
+      await load();
+    } catch (e) {
+      alert(e?.message || "Failed to remove card");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="border rounded p-3 space-y-2 text-sm">
+      <div className="font-semibold">Saved cards</div>
+      {cards === null ? (
+        <div className="text-xs text-gray-500">Loading...</div>
+      ) : cards.length === 0 ? (
+        <div className="text-xs text-gray-500">No saved cards. Tick "Save this card" when paying by card.</div>
+      ) : (
+        <ul className="space-y-2">
+          {cards.map((card) => (
+            <li key={card.id} className="flex items-center justify-between gap-2">
+              <span>{cardLabel(card)}</span>
+              <button type="button" disabled={busy} onClick={() => remove(card)} className="px-2 py-1 text-xs border rounded disabled:opacity-50">
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
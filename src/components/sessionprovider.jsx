@@ -0,0 +1,151 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { SessionContext } from "../session";
+import { getSession, clearSession, login, completeTwoFactorLogin, logout, refreshSession, heartbeat } from "../authClient";
+
+// Refresh the access token this long before it expires.
+const REFRESH_MARGIN_MS = 60 * 1000;
+// How often an open tab asks the server whether its session is still alive
+// (so a device revoked elsewhere signs out within a minute).
+const SESSION_CHECK_INTERVAL_MS = 60 * 1000;
+const ACTIVITY_EVENTS = ["mousedown", "keydown", "scroll", "touchstart"];
+
+// SessionProvider: validates the stored session with the server on load and keeps
+// the access token fresh. The role exposed here always comes from the server's
+// refresh response, never from whatever is sitting in localStorage("user").
+export default function SessionProvider({ children }) {
+  const [status, setStatus] = useState(() => (getSession()?.token ? "loading" : "anonymous"));
+  const [user, setUser] = useState(null);
+  const [expiresAt, setExpiresAt] = useState(null);
+  // Why the last session ended on its own (idle timeout, revoked elsewhere)
+  const [notice, setNotice] = useState("");
+
+  const applyServerUser = useCallback((serverUser) => {
+    setUser(serverUser);
+    setStatus(serverUser ? "authenticated" : "anonymous");
+    setExpiresAt(getSession()?.expiresAt || null);
+    if (serverUser) setNotice("");
+  }, []);
+
+  // Initial check: only trust a stored session after the server confirms it
+  useEffect(() => {
+    if (!getSession()?.token) return;
+    let cancelled = false;
+    refreshSession()
+      .then((u) => { if (!cancelled) applyServerUser(u); })
+      .catch((err) => {
+        console.debug("session refresh failed", err);
+        if (err.status) clearSession();
+        if (!cancelled) applyServerUser(null);
+      });
+    return () => { cancelled = true; };
+  }, [applyServerUser]);
+
+  // Keep the token fresh while the app is open
+  useEffect(() => {
+    if (status !== "authenticated" || !expiresAt) return;
+    const delay = Math.max(5000, new Date(expiresAt).getTime() - Date.now() - REFRESH_MARGIN_MS);
+    const t = setTimeout(() => {
+      refreshSession()
+        .then(applyServerUser)
+        .catch((err) => {
+          console.debug("scheduled refresh failed", err);
+          if (err.status) {
+            clearSession();
+            applyServerUser(null);
+          }
+        });
+    }, delay);
+    return () => clearTimeout(t);
+  }, [status, expiresAt, applyServerUser]);
+
+  // Watch for revocation from another device and, for sessions with an idle
+  // timeout (admins), sign out after that long without user activity.
+  useEffect(() => {
+    if (status !== "authenticated") return;
+    const idleMs = (getSession()?.idleTimeoutMinutes || 0) * 60 * 1000;
+    let lastActivity = Date.now();
+    let lastCheck = Date.now();
+    const markActive = () => { lastActivity = Date.now(); };
+    ACTIVITY_EVENTS.forEach((ev) => window.addEventListener(ev, markActive, { passive: true }));
+
+    const endSession = (message) => {
+      clearSession();
+      applyServerUser(null);
+      setNotice(message);
+    };
+
+    const t = setInterval(async () => {
+      const now = Date.now();
+      if (idleMs && now - lastActivity >= idleMs) {
+        await logout();
+        endSession("You were signed out after a period of inactivity.");
+        return;
+      }
+      const active = lastActivity > lastCheck;
+      lastCheck = now;
+      try {
+        await heartbeat(active);
+      } catch (err) {
+        if (err.status !== 401) {
+          console.debug("session check failed", err);
+          return;
+        }
+        // The access token may simply have expired (e.g. the laptop slept);
+        // only a failed refresh means the session itself is gone.
+        refreshSession()
+          .then(applyServerUser)
+          .catch((refreshErr) => {
+            if (refreshErr.status) endSession("You were signed out on this device.");
+          });
+      }
+    }, SESSION_CHECK_INTERVAL_MS);
+
+    return () => {
+      clearInterval(t);
+      ACTIVITY_EVENTS.forEach((ev) => window.removeEventListener(ev, markActive));
+    };
+  }, [status, applyServerUser]);
+
+  // Resolves to { user } or, for 2FA accounts, { mfaRequired, mfaToken }
+  const signIn = useCallback(async (email, password) => {
+    const result = await login(email, password);
+    if (result.user) applyServerUser(result.user);
+    return result;
+  }, [applyServerUser]);
+
+  const verifySecondFactor = useCallback(async (mfaToken, factor) => {
+    const u = await completeTwoFactorLogin(mfaToken, factor);
+    applyServerUser(u);
+    return u;
+  }, [applyServerUser]);
+
+  const signOut = useCallback(async () => {
+    await logout();
+    applyServerUser(null);
+  }, [applyServerUser]);
+
+  // Re-read the user from the server (e.g. after verifying the email address)
+  const reloadUser = useCallback(async () => {
+    const u = await refreshSession();
+    applyServerUser(u);
+    return u;
+  }, [applyServerUser]);
+
+  // Merge profile edits into the session user (role is not editable here)
+  const updateUser = useCallback((changes) => {
+    setUser((prev) => {
+      if (!prev) return prev;
+      const { role: _ignored, ...rest } = changes || {};
+      const next = { ...prev, ...rest };
+      localStorage.setItem("user", JSON.stringify(next));
+      return next;
+    });
+  }, []);
+
+  const value = useMemo(
+    () => ({ status, user, notice, signIn, verifySecondFactor, signOut, updateUser, reloadUser }),
+    [status, user, notice, signIn, verifySecondFactor, signOut, updateUser, reloadUser]
+  );
+
+  return <SessionContext.Provider value={value}>{children}</SessionContext.Provider>;
+}
@@ -0,0 +1,99 @@
+import { useCallback, useEffect, useState } from "react";
+import { listSessions, revokeSession, revokeOtherSessions } from "../authClient";
+
+// "Chrome on Windows" from a user-agent string; good enough for a device list
+function describeDevice(userAgent = "") {
+  const browser = [["Edg/", "Edge"], ["OPR/", "Opera"], ["Firefox/", "Firefox"], ["Chrome/", "Chrome"], ["Safari/", "Safari"]]
+    .find(([token]) => userAgent.includes(token))?.[1] || "Browser";
+  const os = [["Windows", "Windows"], ["Android", "Android"], ["iPhone", "iPhone"], ["iPad", "iPad"], ["Mac OS", "macOS"], ["Linux", "Linux"]]
+    .find(([token]) => userAgent.includes(token))?.[1] || "unknown device";
+  return `${browser} on ${os}`;
+}
+
+/* -------------------------
+  SessionsPanel ("Devices & sessions")
+  - lists the user's active sessions, newest activity first
+  - revoking a session signs that device out on its next check (within a minute)
+  - onSignedOut is called when the user revokes the session they are using
+--------------------------*/
+export default function SessionsPanel({ onSignedOut }) {
+  const [sessions, setSessions] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const load = useCallback(
+    () =>
+      listSessions()
+        .then(setSessions)
+        .catch((e) => {
+          console.error("listSessions", e);
+          setSessions([]);
+        }),
+    []
+  );
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  async function revoke(session) {
+    if (session.current && !window.confirm("Sign out of this device?")) return;
+    setBusy(true);
+    try {
+      await revokeSession(session.id);
+      if (session.current) {
+        if (onSignedOut) await onSignedOut();
+        return;
+      }
+      await load();
+    } catch (e) {
+      alert(e?.message || "Failed to sign out that device");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function revokeOthers() {
+    setBusy(true);
+    try {
+      await revokeOtherSessions();
+      await load();
+    } catch (e) {
+      alert(e?.message || "Failed to sign out other devices");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="border rounded p-3 space-y-2 text-sm">
+      <div className="font-semibold">Devices & sessions</div>
+      {sessions === null ? (
+        <div className="text-xs text-gray-500">Loading...</div>
+      ) : (
+        <ul className="space-y-2 max-h-48 overflow-auto">
+          {sessions.map((s) => (
+            <li key={s.id} className="flex items-center justify-between gap-2">
+              <div>
+                <div>
+                  {describeDevice(s.user_agent)}
+                  {s.current && <span className="ml-1 text-xs text-green-700">• This device</span>}
+                </div>
+                <div className="text-xs text-gray-500">
+                  {s.ip_address || "unknown IP"} · active {new Date(s.last_seen_at).toLocaleString()}
+                </div>
+              </div>
+              <button type="button" disabled={busy} onClick={() => revoke(s)} className="px-2 py-1 text-xs border rounded disabled:opacity-50">
+                Sign out
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {sessions && sessions.length > 1 && (
+        <button type="button" disabled={busy} onClick={revokeOthers} className="w-full px-3 py-1 border border-red-400 text-red-600 rounded disabled:opacity-50">
+          Sign out all other devices
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,122 @@
+import { useCallback, useEffect, useState } from "react";
+import { useRepository } from "../data";
+
+const REASONS = {
+  opening: "Opening balance",
+  sale: "Sale",
+  cancel: "Order cancelled",
+  restock: "Restock",
+  manual_adjust: "Manual adjustment",
+  return: "Return",
+};
+
+/* -------------------------
+  StockHistoryModal (admin product edit → variant "History")
+  - every stock change of one variant from the inventory ledger, newest first
+  - "Adjust stock" adds or removes units with a reason (restock, return, manual adjustment)
+  - warns when the variant's stock doesn't match its ledger
+  - onAdjusted(newStock) lets the product form pick up the new figure
+--------------------------*/
+export default function StockHistoryModal({ variant, productName, onClose, onAdjusted }) {
+  const repo = useRepository();
+  const [movements, setMovements] = useState(null);
+  const [drift, setDrift] = useState(null); // { stock, ledger_stock } when they disagree
+  const [adjust, setAdjust] = useState({ delta: "", reason: "restock", note: "" });
+  const [busy, setBusy] = useState(false);
+
+  const load = useCallback(async () => {
+    try {
+      const [rows, drifting] = await Promise.all([repo.inventory.history(variant.id), repo.inventory.drift()]);
+      setMovements(rows);
+      setDrift(drifting.find((d) => d.product_variant_id === variant.id) || null);
+    } catch (e) {
+      console.error("stockHistory", e);
+      alert(e?.message || "Failed to load stock history");
+      setMovements([]);
+    }
+  }, [repo, variant.id]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  async function submit(e) {
+    e.preventDefault();
+    const delta = parseInt(adjust.delta, 10);
+    if (!Number.isInteger(delta) || delta === 0) return alert("Enter a whole number of units to add (or negative to remove)");
+    setBusy(true);
+    try {
+      const stock = await repo.inventory.adjust(variant.id, { delta, reason: adjust.reason, note: adjust.note.trim() || null });
+      setAdjust({ delta: "", reason: adjust.reason, note: "" });
+      if (onAdjusted) onAdjusted(stock);
+      await load();
+    } catch (err) {
+      alert(err?.message || "Failed to adjust stock");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4">
+      <div className="bg-white w-full max-w-2xl p-4 rounded shadow-lg space-y-3 text-sm max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-bold">Stock history — {productName} ({variant.color} / {variant.size})</h3>
+          <button type="button" onClick={onClose} className="text-gray-600">Close</button>
+        </div>
+
+        {drift && (
+          <div className="p-2 rounded bg-orange-50 text-orange-800">
+            Stock is {drift.stock} but the ledger adds up to {drift.ledger_stock}.
+          </div>
+        )}
+
+        <form onSubmit={submit} className="flex flex-wrap items-end gap-2 border rounded p-2">
+          <label>Units (+/−)
+            <input type="number" step="1" required value={adjust.delta} onChange={(e) => setAdjust({ ...adjust, delta: e.target.value })} className="block w-24 border rounded px-2 py-1" />
+          </label>
+          <label>Reason
+            <select value={adjust.reason} onChange={(e) => setAdjust({ ...adjust, reason: e.target.value })} className="block border rounded px-2 py-1">
+              <option value="restock">{REASONS.restock}</option>
+              <option value="return">{REASONS.return}</option>
+              <option value="manual_adjust">{REASONS.manual_adjust}</option>
+            </select>
+          </label>
+          <label className="flex-1">Note
+            <input maxLength={200} value={adjust.note} onChange={(e) => setAdjust({ ...adjust, note: e.target.value })} placeholder="Optional" className="block w-full border rounded px-2 py-1" />
+          </label>
+          <button type="submit" disabled={busy} className="px-3 py-1 bg-black text-white rounded disabled:opacity-50">Adjust stock</button>
+        </form>
+
+        {movements === null ? (
+          <div className="text-gray-500">Loading...</div>
+        ) : movements.length === 0 ? (
+          <div className="text-gray-500">No stock changes recorded yet.</div>
+        ) : (
+          <table className="w-full border text-left">
+            <thead className="bg-gray-100">
+              <tr><th className="p-2">When</th><th className="p-2">Reason</th><th className="p-2">Change</th><th className="p-2">Stock</th><th className="p-2">Details</th></tr>
+            </thead>
+            <tbody>
+              {movements.map((m) => (
+                <tr key={m.id} className="border-t">
+                  <td className="p-2">{new Date(m.created_at).toLocaleString()}</td>
+                  <td className="p-2">{REASONS[m.reason] || m.reason}</td>
+                  <td className={`p-2 font-semibold ${m.delta < 0 ? "text-red-600" : "text-green-700"}`}>{m.delta > 0 ? `+${m.delta}` : m.delta}</td>
+                  <td className="p-2">{m.stock_after}</td>
+                  <td className="p-2 text-xs text-gray-600">
+                    {[
+                      m.order_id && `Order #${m.order_id.slice(0, 8)}`,
+                      m.actor && (m.actor.full_name || m.actor.email),
+                      m.note,
+                    ].filter(Boolean).join(" • ") || "—"}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,127 @@
+import { useCallback, useEffect, useState } from "react";
+import { useRepository } from "../data";
+
+const EMPTY = { name: "", province: "", rate: "", enabled: true };
+
+/* -------------------------
+  TaxSettings (admin "Taxes" tab)
+  - whether catalog prices already include tax or tax is added at checkout
+  - tax rates in percent; several can apply at once (they are added up)
+  - a rate with a province applies to addresses there; a province with rates of its
+    own doesn't get the store-wide ones (no province)
+  - placed orders keep the tax they were charged
+--------------------------*/
+export default function TaxSettings() {
+  const repo = useRepository();
+  const [config, setConfig] = useState(null); // { pricesIncludeTax, rates }
+  const [draft, setDraft] = useState(EMPTY);
+  const [busy, setBusy] = useState(false);
+
+  const load = useCallback(
+    () =>
+      repo.products
+        .taxes()
+        .then(setConfig)
+        .catch((e) => {
+          console.error("taxes", e);
+          alert(e?.message || "Failed to load tax settings");
+        }),
+    [repo]
+  );
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  async function run(action, failure) {
+    setBusy(true);
+    try {
+      await action();
+      await load();
+      return true;
+    } catch (e) {
+      alert(e?.message || failure);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function add(e) {
+    e.preventDefault();
+    const rate = Number(draft.rate);
+    if (!(rate >= 0 && rate <= 100)) return alert("Enter a rate between 0 and 100 (percent)");
+    if (await run(() => repo.taxes.saveRate({ ...draft, rate }), "Failed to add tax rate")) setDraft(EMPTY);
+  }
+
+  function remove(rate) {
+    if (!window.confirm(`Delete ${rate.name} (${rate.province || "all provinces"})?`)) return;
+    run(() => repo.taxes.removeRate(rate.id), "Failed to delete tax rate");
+  }
+
+  if (!config) return <div className="text-sm text-gray-500">Loading...</div>;
+
+  return (
+    <div className="space-y-4 text-sm">
+      <h2 className="text-xl font-bold">Taxes</h2>
+
+      <div className="space-y-1">
+        <label className="flex items-center gap-2">
+          <input
+            type="radio"
+            name="taxMode"
+            checked={!config.pricesIncludeTax}
+            disabled={busy}
+            onChange={() => run(() => repo.taxes.setPricesIncludeTax(false), "Failed to save tax settings")}
+          />
+          Prices exclude tax — tax is added to the order total at checkout
+        </label>
+        <label className="flex items-center gap-2">
+          <input
+            type="radio"
+            name="taxMode"
+            checked={config.pricesIncludeTax}
+            disabled={busy}
+            onChange={() => run(() => repo.taxes.setPricesIncludeTax(true), "Failed to save tax settings")}
+          />
+          Prices include tax — the total stays the same and shows the tax it contains
+        </label>
+      </div>
+
+      <table className="w-full border text-left">
+        <thead className="bg-gray-100">
+          <tr><th className="p-2">Name</th><th className="p-2">Province</th><th className="p-2">Rate</th><th className="p-2">Enabled</th><th className="p-2"></th></tr>
+        </thead>
+        <tbody>
+          {config.rates.length === 0 && (
+            <tr><td colSpan={5} className="p-2 text-gray-500">No tax rates — orders are not taxed.</td></tr>
+          )}
+          {config.rates.map((r) => (
+            <tr key={r.id} className="border-t">
+              <td className="p-2">{r.name}</td>
+              <td className="p-2">{r.province || <span className="text-gray-500">All others</span>}</td>
+              <td className="p-2">{Number(r.rate)}%</td>
+              <td className="p-2">
+                <input
+                  type="checkbox"
+                  checked={r.enabled}
+                  disabled={busy}
+                  onChange={(e) => run(() => repo.taxes.saveRate({ ...r, enabled: e.target.checked }), "Failed to save tax rate")}
+                />
+              </td>
+              <td className="p-2 text-right">
+                <button type="button" disabled={busy} onClick={() => remove(r)} className="text-red-600 disabled:opacity-50">Delete</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <form onSubmit={add} className="flex flex-wrap items-end gap-2">
+        <label>Name<input required maxLength={60} value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} placeholder="VAT" className="block border rounded px-2 py-1" /></label>
+        <label>Province<input maxLength={100} value={draft.province} onChange={(e) => setDraft({ ...draft, province: e.target.value })} placeholder="Blank for all others" className="block border rounded px-2 py-1" /></label>
+        <label>Rate (%)<input required type="number" min="0" max="100" step="0.0001" value={draft.rate} onChange={(e) => setDraft({ ...draft, rate: e.target.value })} className="block w-24 border rounded px-2 py-1" /></label>
+        <button type="submit" disabled={busy} className="px-3 py-1 bg-green-600 text-white rounded disabled:opacity-50">Add rate</button>
+      </form>
+    </div>
+  );
+}
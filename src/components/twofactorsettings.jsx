@@ -0,0 +1,125 @@
+import { useState } from "react";
+import { setupTwoFactor, enableTwoFactor, disableTwoFactor, regenerateRecoveryCodes } from "../authClient";
+
+/* -------------------------
+  TwoFactorSettings
+  - TOTP enrollment (QR code + manual secret), recovery codes, disable
+  - used in both profile modals and on the admin enrollment screen
+  - onChange is called after 2FA is switched on/off so the session user can be reloaded
+--------------------------*/
+export default function TwoFactorSettings({ user, onChange }) {
+  const [setupData, setSetupData] = useState(null); // { qrDataUrl, secret }
+  const [code, setCode] = useState("");
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const isAdmin = user?.role === "admin";
+
+  async function run(action) {
+    setBusy(true);
+    try {
+      await action();
+    } catch (e) {
+      console.error("two-factor", e);
+      alert(e?.message || "Two-factor request failed");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const startSetup = () => run(async () => {
+    setSetupData(await setupTwoFactor());
+    setCode("");
+  });
+
+  const confirmSetup = () => run(async () => {
+    const res = await enableTwoFactor(code);
+    setRecoveryCodes(res.recoveryCodes || []);
+    setSetupData(null);
+    setCode("");
+  });
+
+  const newRecoveryCodes = () => run(async () => {
+    const res = await regenerateRecoveryCodes(code);
+    setRecoveryCodes(res.recoveryCodes || []);
+    setCode("");
+  });
+
+  const turnOff = () => run(async () => {
+    if (!window.confirm("Turn off two-factor authentication?")) return;
+    await disableTwoFactor({ code });
+    setCode("");
+    if (onChange) await onChange();
+  });
+
+  // Recovery codes are shown exactly once, right after they are generated
+  if (recoveryCodes.length > 0) {
+    return (
+      <div className="border rounded p-3 space-y-2 text-sm">
+        <div className="font-semibold">Save your recovery codes</div>
+        <p className="text-xs text-gray-600">Each code signs you in once if you lose your authenticator. They won't be shown again.</p>
+        <div className="grid grid-cols-2 gap-1 font-mono text-xs bg-gray-50 p-2 rounded">
+          {recoveryCodes.map((c) => <div key={c}>{c}</div>)}
+        </div>
+        <button
+          type="button"
+          onClick={async () => { setRecoveryCodes([]); if (onChange) await onChange(); }}
+          className="w-full px-3 py-1 bg-black text-white rounded"
+        >
+          I've saved these codes
+        </button>
+      </div>
+    );
+  }
+
+  const codeInput = (
+    <input
+      inputMode="numeric"
+      autoComplete="one-time-code"
+      placeholder="6-digit code"
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+      className="border p-2 rounded w-full"
+    />
+  );
+
+  if (setupData) {
+    return (
+      <div className="border rounded p-3 space-y-2 text-sm">
+        <div className="font-semibold">Scan with your authenticator app</div>
+        <img src={setupData.qrDataUrl} alt="Two-factor QR code" className="w-40 h-40 mx-auto" />
+        <div className="text-xs text-gray-600 break-all">Or enter this key: <span className="font-mono">{setupData.secret}</span></div>
+        {codeInput}
+        <div className="flex gap-2">
+          <button type="button" onClick={() => setSetupData(null)} className="flex-1 px-3 py-1 border rounded">Cancel</button>
+          <button type="button" disabled={busy || !code} onClick={confirmSetup} className="flex-1 px-3 py-1 bg-black text-white rounded disabled:opacity-50">Confirm</button>
+        </div>
+      </div>
+    );
+  }
+
+  if (!user?.totp_enabled) {
+    return (
+      <div className="border rounded p-3 space-y-2 text-sm">
+        <div className="font-semibold">Two-factor authentication</div>
+        <p className="text-xs text-gray-600">
+          {isAdmin ? "Required for admin accounts." : "Add a one-time code from an authenticator app to your sign-in."}
+        </p>
+        <button type="button" disabled={busy} onClick={startSetup} className="w-full px-3 py-1 bg-black text-white rounded disabled:opacity-50">Set up two-factor</button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="border rounded p-3 space-y-2 text-sm">
+      <div className="font-semibold">Two-factor authentication <span className="text-green-700">• On</span></div>
+      <p className="text-xs text-gray-600">Enter a current code to get new recovery codes{isAdmin ? "." : " or turn two-factor off."}</p>
+      {codeInput}
+      <div className="flex gap-2">
+        <button type="button" disabled={busy || !code} onClick={newRecoveryCodes} className="flex-1 px-3 py-1 border rounded disabled:opacity-50">New recovery codes</button>
+        {!isAdmin && (
+          <button type="button" disabled={busy || !code} onClick={turnOff} className="flex-1 px-3 py-1 bg-red-600 text-white rounded disabled:opacity-50">Turn off</button>
+        )}
+      </div>
+    </div>
+  );
+}
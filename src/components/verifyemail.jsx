@@ -0,0 +1,65 @@
+import { useEffect, useRef, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { verifyEmail } from "../authClient";
+import { useSession, homePathForRole } from "../session";
+import logo from "../assets/logo.png";
+
+// Landing page for the emailed verification link: /verify-email/:token
+export default function VerifyEmail() {
+  const { token } = useParams();
+  const { status: sessionStatus, user, reloadUser } = useSession();
+  const [state, setState] = useState("verifying"); // 'verifying' | 'done' | 'error'
+  const [errorMsg, setErrorMsg] = useState("");
+  const started = useRef(false);
+
+  useEffect(() => {
+    // tokens are single-use, so never submit twice (StrictMode re-runs effects)
+    if (started.current) return;
+    started.current = true;
+    verifyEmail(token)
+      .then(() => setState("done"))
+      .catch((err) => {
+        setErrorMsg(err.status ? err.message : "Network error. Please check your connection and try again.");
+        setState("error");
+      });
+  }, [token]);
+
+  // Pick up the verified flag if this browser is signed in
+  const needsReload = state === "done" && sessionStatus === "authenticated" && user && !user.email_verified;
+  useEffect(() => {
+    if (needsReload) reloadUser().catch((e) => console.debug("reloadUser failed", e));
+  }, [needsReload, reloadUser]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-900 via-emerald-900 to-slate-900 flex items-center justify-center p-4 py-12">
+      <div className="w-full max-w-sm bg-white/95 backdrop-blur-md rounded-3xl shadow-2xl p-8 space-y-6 border border-white/20 text-center">
+        <div className="flex justify-center">
+          <div className="bg-gradient-to-br from-emerald-600 to-teal-700 rounded-2xl p-4">
+            <img src={logo} alt="CAPS UA" className="h-16 w-16 object-contain" />
+          </div>
+        </div>
+
+        <p className="text-lg font-semibold text-slate-900">Email Verification</p>
+
+        {state === "verifying" && <p className="text-slate-600">Verifying your email address...</p>}
+        {state === "done" && (
+          <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg text-sm">
+            Your email address is verified. You can now place orders.
+          </div>
+        )}
+        {state === "error" && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-sm">
+            {errorMsg} You can request a new link from your profile.
+          </div>
+        )}
+
+        <Link
+          to={user ? homePathForRole(user.role) : "/login"}
+          className="inline-block text-emerald-600 hover:text-emerald-700 font-medium"
+        >
+          {user ? "Continue shopping" : "Go to Sign In"}
+        </Link>
+      </div>
+    </div>
+  );
+}
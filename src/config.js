@@ -0,0 +1,58 @@
+// Runtime configuration for the browser bundle.
+//
+// Everything environment-specific comes from Vite env variables (VITE_*), so the
+// same source builds for local dev, staging and production:
+//   vite build --mode staging   -> reads .env.staging / .env.staging.local
+// See .env.example for the full list.
+
+const env = import.meta.env;
+
+const problems = [];
+
+function read(name, { required = true, check, fallback = "" } = {}) {
+  const value = String(env[name] ?? "").trim();
+  if (!value) {
+    if (required) problems.push(`${name} is not set.`);
+    return fallback;
+  }
+  const message = check ? check(value) : null;
+  if (message) problems.push(`${name} ${message}`);
+  return value;
+}
+
+const isHttpUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:" ? null : "must be an http(s) URL.";
+  } catch {
+    return `must be a URL (got "${value}").`;
+  }
+};
+
+export const config = Object.freeze({
+  // development | staging | production; defaults to the Vite mode
+  appEnv: read("VITE_APP_ENV", { required: false, fallback: env.MODE }),
+
+  // Supabase project (or a local stand-in such as `supabase start` on http://127.0.0.1:54321)
+  supabaseUrl: read("VITE_SUPABASE_URL", { check: isHttpUrl }).replace(/\/$/, ""),
+  supabaseAnonKey: read("VITE_SUPABASE_ANON_KEY", {
+    check: (v) => (v.split(".").length === 3 ? null : "does not look like a Supabase anon key (expected a JWT)."),
+  }),
+
+  stripePublishableKey: read("VITE_STRIPE_PUBLIC_KEY", {
+    check: (v) => {
+      if (v.startsWith("sk_")) return "is a Stripe SECRET key. Use the publishable key (pk_...) here and keep sk_ keys on the server.";
+      return v.startsWith("pk_") ? null : "must be a Stripe publishable key (pk_...).";
+    },
+  }),
+
+  // API server (server.cjs); "/api" when it is served from the same origin
+  apiUrl: read("VITE_STRIPE_SERVER_URL", { required: false, fallback: "/api" }).replace(/\/$/, ""),
+});
+
+// Human-readable list of missing/invalid settings; empty when the config is usable.
+export const configErrors = Object.freeze([...problems]);
+
+if (configErrors.length > 0) {
+  console.error(`❌ Invalid app configuration (${config.appEnv}):\n- ${configErrors.join("\n- ")}`);
+}
@@ -0,0 +1,50 @@
+import { createContext, useContext } from "react";
+
+// Shared currency state provided by <CurrencyProvider> (see components/currencyprovider.jsx).
+// Catalog prices are stored in the base currency; `currency` is the one the
+// shopper picked to browse and pay in. Orders carry their own currency.
+export const CurrencyContext = createContext({
+  currencies: [],
+  base: null,
+  currency: null,
+  setCurrency: () => {},
+  reload: async () => {},
+  // A base-currency catalog price in the shopper's currency, as a number / as text
+  convert: (amount) => Number(amount || 0),
+  price: (amount) => formatMoney(amount),
+  // An amount already in `code` (e.g. an order total), as text
+  format: (amount, code) => formatMoney(amount, code),
+});
+
+export function useCurrency() {
+  return useContext(CurrencyContext);
+}
+
+// `amount` in `code` as text ("$1,234.50", "₱58,000.00"). Falls back to a
+// plain dollar figure while currencies are still loading.
+export function formatMoney(amount, code = "USD", minorUnits = 2) {
+  const value = Number(amount || 0);
+  try {
+    return new Intl.NumberFormat(undefined, {
+      style: "currency",
+      currency: code || "USD",
+      minimumFractionDigits: minorUnits,
+      maximumFractionDigits: minorUnits,
+    }).format(value);
+  } catch {
+    return `${code || "$"} ${value.toFixed(minorUnits)}`;
+  }
+}
+
+// A base-currency amount converted at `currency.rate` and rounded to its minor
+// units, exactly like place_order() does in SQL: integer maths on cents and
+// millionths of the rate, so float error can't tip a half-unit either way.
+export function convertAmount(amount, currency) {
+  if (!currency || currency.is_base) return Number(amount || 0);
+  const minorUnits = Number(currency.minor_units ?? 2);
+  const cents = BigInt(Math.round(Number(amount || 0) * 100));
+  const micros = BigInt(Math.round(Number(currency.rate) * 1e6));
+  const divisor = 10n ** BigInt(8 - minorUnits);
+  const units = (cents * micros + divisor / 2n) / divisor;
+  return Number(units) / 10 ** minorUnits;
+}
@@ -0,0 +1,39 @@
+import { supabase } from "../supabaseClient";
+import { unwrap } from "./shared";
+
+// Saved shipping addresses (owner-only under RLS).
+
+export const REQUIRED_ADDRESS_FIELDS = ["full_name", "phone", "address_line", "city", "province", "postal_code"];
+
+function validate(addr) {
+  for (const f of REQUIRED_ADDRESS_FIELDS) {
+    if (!addr[f] || String(addr[f]).trim() === "") throw new Error(`Missing required field: ${f}`);
+  }
+}
+
+export async function listAddresses(userId) {
+  return unwrap(
+    await supabase.from("user_addresses").select("*").eq("user_id", userId).order("created_at", { ascending: false })
+  ) || [];
+}
+
+export async function getAddress(addressId) {
+  return unwrap(await supabase.from("user_addresses").select("*").eq("id", addressId).maybeSingle());
+}
+
+export async function createAddress(userId, addr) {
+  validate(addr);
+  return unwrap(await supabase.from("user_addresses").insert([{ ...addr, user_id: userId }]).select().single());
+}
+
+export async function updateAddress(addr) {
+  if (!addr?.id) throw new Error("Address id required");
+  validate(addr);
+  const { id, user_id: _owner, ...changes } = addr;
+  unwrap(await supabase.from("user_addresses").update(changes).eq("id", id));
+}
+
+export async function deleteAddress(addressId) {
+  if (!addressId) throw new Error("address id required");
+  unwrap(await supabase.from("user_addresses").delete().eq("id", addressId));
+}
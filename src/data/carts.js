@@ -0,0 +1,71 @@
+import { supabase } from "../supabaseClient";
+import { unwrap, unwrapStockCheck } from "./shared";
+
+// The signed-in customer's cart (cart + cart_items, owner-only under RLS).
+
+export async function getCart(userId) {
+  return unwrap(await supabase.from("cart").select("*").eq("user_id", userId).limit(1).maybeSingle());
+}
+
+// Returns the user's cart id, creating the cart on first use.
+export async function ensureCart(userId) {
+  const existing = await getCart(userId);
+  if (existing) return existing.id;
+  const created = unwrap(await supabase.from("cart").insert([{ user_id: userId }]).select().single());
+  return created.id;
+}
+
+// Items with their product and variant joined, oldest first
+export async function listItems(cartId) {
+  return unwrap(
+    await supabase
+      .from("cart_items")
+      .select("*, products(*), product_variants(*)")
+      .eq("cart_id", cartId)
+      .order("created_at", { ascending: true })
+  ) || [];
+}
+
+export async function findItem(cartId, variantId) {
+  return unwrap(
+    await supabase.from("cart_items").select("*").eq("cart_id", cartId).eq("product_variant_id", variantId).limit(1).maybeSingle()
+  );
+}
+
+// Adds `quantity` of a variant, merging into an existing line for that variant.
+export async function addItem(cartId, { productId, variantId, quantity }) {
+  const existing = await findItem(cartId, variantId);
+  if (existing) {
+    unwrap(await supabase.from("cart_items").update({ quantity: (existing.quantity || 0) + quantity }).eq("id", existing.id));
+    return;
+  }
+  unwrap(
+    await supabase.from("cart_items").insert([{ cart_id: cartId, product_id: productId, product_variant_id: variantId, quantity }])
+  );
+}
+
+// A quantity of zero or less removes the line.
+export async function setItemQuantity(itemId, quantity) {
+  if (quantity <= 0) return removeItem(itemId);
+  unwrap(await supabase.from("cart_items").update({ quantity }).eq("id", itemId));
+}
+
+export async function removeItem(itemId) {
+  unwrap(await supabase.from("cart_items").delete().eq("id", itemId));
+}
+
+export async function clearCart(cartId) {
+  unwrap(await supabase.from("cart_items").delete().eq("cart_id", cartId));
+}
+
+// Holds the cart's quantities for checkout (reserve_cart) and returns when the
+// hold expires, as a Date. Calling it again renews the hold for the current
+// cart. Throws an "out_of_stock" error (see unwrapStockCheck) if it can't.
+export async function reserveCart(cartId) {
+  return new Date(unwrapStockCheck(await supabase.rpc("reserve_cart", { p_cart_id: cartId }), "Failed to reserve your items"));
+}
+
+// Releases the checkout hold early; it also lapses by itself
+export async function releaseCart(cartId) {
+  unwrap(await supabase.rpc("release_cart", { p_cart_id: cartId }));
+}
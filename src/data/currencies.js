@@ -0,0 +1,27 @@
+import { supabase } from "../supabaseClient";
+import { unwrap } from "./shared";
+
+// Currencies the store sells in. Reads are public (disabled ones are only
+// visible to admins); writes need an admin session (currencies RLS policies).
+// `rate` is units of the currency per one unit of the base currency.
+
+// Base currency first, then by code
+export async function listCurrencies() {
+  return (
+    unwrap(
+      await supabase.from("currencies").select("*").order("is_base", { ascending: false }).order("code")
+    ) || []
+  );
+}
+
+// Adds or updates a non-base currency: { code, name, minor_units, rate, enabled }
+export async function saveCurrency({ code, name, minor_units = 2, rate, enabled = true }) {
+  return unwrap(
+    await supabase
+      .from("currencies")
+      .upsert({ code: String(code).toUpperCase(), name, minor_units, rate, enabled, updated_at: new Date().toISOString() })
+      .select()
+      .single(),
+    "Failed to save currency"
+  );
+}
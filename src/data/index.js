@@ -0,0 +1,127 @@
+import { useMemo } from "react";
+import { useSession } from "../session";
+import * as products from "./products";
+import * as carts from "./carts";
+import * as orders from "./orders";
+import * as addresses from "./addresses";
+import * as users from "./users";
+import * as currencies from "./currencies";
+import * as taxes from "./taxes";
+import * as inventory from "./inventory";
+import * as notifications from "./notifications";
+import * as purchasing from "./purchasing";
+
+// Data access for components, scoped to the caller's role: each role only
+// gets the operations it is allowed to perform. The RLS policies in
+// supabase/migrations enforce the same rules on the database side, so this is
+// about keeping components honest, not about security on its own.
+
+const catalog = Object.freeze({
+  list: products.listProducts,
+  get: products.getProduct,
+  stats: products.storefrontStats,
+  variantOptions: products.listVariantOptions,
+  getVariant: products.getVariant,
+  soldCounts: products.soldCounts,
+  soldCount: products.soldCount,
+  reviews: products.listReviews,
+  currencies: currencies.listCurrencies,
+  taxes: taxes.getTaxConfig,
+});
+
+const anonymousRepository = Object.freeze({ products: catalog });
+
+const customerRepository = Object.freeze({
+  products: catalog,
+  carts: Object.freeze({
+    ensure: carts.ensureCart,
+    get: carts.getCart,
+    items: carts.listItems,
+    findItem: carts.findItem,
+    addItem: carts.addItem,
+    setQuantity: carts.setItemQuantity,
+    removeItem: carts.removeItem,
+    clear: carts.clearCart,
+    reserve: carts.reserveCart,
+    release: carts.releaseCart,
+  }),
+  orders: Object.freeze({
+    listMine: orders.listOrdersForUser,
+    subscribeMine: orders.subscribeToUserOrders,
+    get: orders.getOrder,
+    place: orders.placeOrder,
+    cancel: orders.cancelOrder,
+  }),
+  notifications: Object.freeze({
+    list: notifications.listNotifications,
+    subscribe: notifications.subscribeToNotifications,
+    markRead: notifications.markNotificationsRead,
+    stockSubscriptions: notifications.listStockSubscriptions,
+    subscribeToVariant: notifications.subscribeToVariant,
+    unsubscribeFromVariant: notifications.unsubscribeFromVariant,
+  }),
+  addresses: Object.freeze({
+    list: addresses.listAddresses,
+    get: addresses.getAddress,
+    create: addresses.createAddress,
+    update: addresses.updateAddress,
+    remove: addresses.deleteAddress,
+  }),
+  users: Object.freeze({
+    getProfile: users.getProfile,
+    updateProfile: users.updateProfile,
+    uploadAvatar: users.uploadAvatar,
+  }),
+});
+
+const adminRepository = Object.freeze({
+  ...customerRepository,
+  products: Object.freeze({
+    ...catalog,
+    uploadImage: products.uploadProductImage,
+    create: products.createProduct,
+    update: products.updateProduct,
+    remove: products.deleteProduct,
+  }),
+  orders: Object.freeze({
+    ...customerRepository.orders,
+    listAll: orders.listAllOrders,
+    updateStatus: orders.updateOrderStatus,
+    remove: orders.deleteOrder,
+  }),
+  taxes: Object.freeze({
+    setPricesIncludeTax: taxes.setPricesIncludeTax,
+    saveRate: taxes.saveTaxRate,
+    removeRate: taxes.deleteTaxRate,
+  }),
+  currencies: Object.freeze({
+    save: currencies.saveCurrency,
+  }),
+  inventory: Object.freeze({
+    history: inventory.listStockMovements,
+    adjust: inventory.adjustStock,
+    drift: inventory.inventoryDrift,
+    lowStockAlerts: inventory.listLowStockAlerts,
+    acknowledgeAlert: inventory.acknowledgeLowStockAlert,
+  }),
+  purchasing: Object.freeze({
+    suppliers: purchasing.listSuppliers,
+    saveSupplier: purchasing.saveSupplier,
+    orders: purchasing.listPurchaseOrders,
+    createOrder: purchasing.createPurchaseOrder,
+    receive: purchasing.receivePurchaseOrder,
+    close: purchasing.closePurchaseOrder,
+  }),
+});
+
+export function repositoryFor(role) {
+  if (role === "admin") return adminRepository;
+  if (role === "customer") return customerRepository;
+  return anonymousRepository;
+}
+
+// Repository for the signed-in user's role (from the server-confirmed session)
+export function useRepository() {
+  const { user } = useSession();
+  return useMemo(() => repositoryFor(user?.role), [user?.role]);
+}
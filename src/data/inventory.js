@@ -0,0 +1,61 @@
+import { supabase } from "../supabaseClient";
+import { unwrap } from "./shared";
+
+// The inventory ledger (inventory_movements): one row per stock change, written
+// by the database whenever a variant's stock changes. Admin-only and read-only;
+// stock changes with a reason go through adjust_stock().
+
+// Newest first, with `actor` ({ full_name, email }) resolved where known
+export async function listStockMovements(variantId, { limit = 100 } = {}) {
+  const rows =
+    unwrap(
+      await supabase
+        .from("inventory_movements")
+        .select("*")
+        .eq("product_variant_id", variantId)
+        .order("created_at", { ascending: false })
+        .limit(limit)
+    ) || [];
+  const actorIds = [...new Set(rows.map((r) => r.actor_id).filter(Boolean))];
+  if (actorIds.length === 0) return rows;
+  const users = unwrap(await supabase.from("users").select("id, full_name, email").in("id", actorIds)) || [];
+  const byId = Object.fromEntries(users.map((u) => [u.id, u]));
+  return rows.map((r) => ({ ...r, actor: byId[r.actor_id] || null }));
+}
+
+// Adds (or with a negative delta removes) stock with a reason: "restock",
+// "return" or "manual_adjust". Returns the variant's new stock.
+export async function adjustStock(variantId, { delta, reason = "manual_adjust", note = null }) {
+  return unwrap(await supabase.rpc("adjust_stock", { p_variant_id: variantId, p_delta: delta, p_reason: reason, p_note: note }));
+}
+
+// Variants whose stock doesn't add up to their ledger: [{ product_variant_id, stock, ledger_stock }]
+export async function inventoryDrift() {
+  return unwrap(await supabase.rpc("inventory_drift")) || [];
+}
+
+// Open low-stock alerts (low_stock_alerts), newest first, each with its
+// variant and product name. Opened by the database when a sale takes a variant
+// below its reorder_threshold; they clear themselves once it's restocked.
+export async function listLowStockAlerts() {
+  return (
+    unwrap(
+      await supabase
+        .from("low_stock_alerts")
+        .select("*, variant:product_variants (id, color, size, stock, reorder_threshold, products (id, name))")
+        .is("cleared_at", null)
+        .order("created_at", { ascending: false })
+    ) || []
+  );
+}
+
+// Dismisses an alert before the variant is restocked
+export async function acknowledgeLowStockAlert(alertId, userId) {
+  unwrap(
+    await supabase
+      .from("low_stock_alerts")
+      .update({ cleared_at: new Date().toISOString(), cleared_by: userId })
+      .eq("id", alertId)
+      .is("cleared_at", null)
+  );
+}
@@ -0,0 +1,64 @@
+import { supabase } from "../supabaseClient";
+import { unwrap } from "./shared";
+
+// In-app notifications and back-in-stock subscriptions (both owner-only under
+// RLS). The database writes notifications: when a sold-out variant is
+// restocked, everyone subscribed to it gets one and the subscriptions go.
+
+// Newest first
+export async function listNotifications(userId, { limit = 20 } = {}) {
+  return (
+    unwrap(
+      await supabase
+        .from("notifications")
+        .select("*")
+        .eq("user_id", userId)
+        .order("created_at", { ascending: false })
+        .limit(limit)
+    ) || []
+  );
+}
+
+// Calls onChange whenever one of the user's notifications is added or
+// changes; returns the unsubscribe function.
+export function subscribeToNotifications(userId, onChange) {
+  const channel = supabase
+    .channel(`notifications_user_${userId}`)
+    .on("postgres_changes", { event: "*", schema: "public", table: "notifications", filter: `user_id=eq.${userId}` }, onChange)
+    .subscribe();
+
+  return () => {
+    try {
+      supabase.removeChannel(channel);
+    } catch (e) {
+      console.debug("removeChannel failed, unsubscribing", e);
+      channel.unsubscribe();
+    }
+  };
+}
+
+export async function markNotificationsRead(userId) {
+  unwrap(
+    await supabase.from("notifications").update({ read_at: new Date().toISOString() }).eq("user_id", userId).is("read_at", null)
+  );
+}
+
+// Ids of the variants the user wants to hear about
+export async function listStockSubscriptions(userId) {
+  const rows = unwrap(await supabase.from("stock_subscriptions").select("product_variant_id").eq("user_id", userId)) || [];
+  return rows.map((r) => r.product_variant_id);
+}
+
+// Only sold-out variants can be subscribed to; subscribing twice is a no-op
+export async function subscribeToVariant(userId, variantId) {
+  unwrap(
+    await supabase
+      .from("stock_subscriptions")
+      .upsert([{ user_id: userId, product_variant_id: variantId }], { onConflict: "user_id,product_variant_id", ignoreDuplicates: true }),
+    "Could not subscribe — the item may be back in stock already."
+  );
+}
+
+export async function unsubscribeFromVariant(userId, variantId) {
+  unwrap(await supabase.from("stock_subscriptions").delete().eq("user_id", userId).eq("product_variant_id", variantId));
+}
@@ -0,0 +1,104 @@
+import { supabase } from "../supabaseClient";
+import { unwrap, unwrapStockCheck, resolveImageUrl } from "./shared";
+
+// Orders and their items. Customers see their own orders and create them only
+// through the place_order() database function; status changes and deletes are
+// admin-only, except cancellation which goes through cancel_order() so stock
+// is restored in one step.
+
+const withResolvedImages = (items) =>
+  (items || []).map((it) => ({
+    ...it,
+    img_url: resolveImageUrl(it.img_url || it.product_variants?.img_url || it.products?.img_url || ""),
+  }));
+
+// The user's orders, newest first, with items (product + variant joined)
+export async function listOrdersForUser(userId) {
+  const rows = unwrap(
+    await supabase
+      .from("orders")
+      .select("*, order_items (*, products(*), product_variants(*))")
+      .eq("user_id", userId)
+      .order("created_at", { ascending: false })
+  ) || [];
+  return rows.map((o) => ({ ...o, order_items: withResolvedImages(o.order_items) }));
+}
+
+// Calls onChange for every insert/update/delete on the user's orders (RLS
+// limits the realtime feed to rows the user can read). Returns an unsubscribe.
+export function subscribeToUserOrders(userId, onChange) {
+  const channel = supabase
+    .channel(`orders_user_${userId}`)
+    .on("postgres_changes", { event: "*", schema: "public", table: "orders", filter: `user_id=eq.${userId}` }, onChange)
+    .subscribe();
+
+  return () => {
+    try {
+      supabase.removeChannel(channel);
+    } catch (e) {
+      console.debug("removeChannel failed, unsubscribing", e);
+      channel.unsubscribe();
+    }
+  };
+}
+
+export async function getOrder(orderId) {
+  return unwrap(await supabase.from("orders").select("*").eq("id", orderId).single(), "Order not found");
+}
+
+// Checks out the cart in one database transaction (place_order): the order,
+// its item snapshots and the payment row are created, stock is deducted and
+// the cart emptied, or nothing changes at all. The order starts unpaid (card
+// orders are paid through server/payments.cjs). Stock held for other
+// shoppers' checkouts doesn't count; short items throw an "out_of_stock" error
+// (see unwrapStockCheck).
+// Calls repeated with the same `idempotencyKey` (one per checkout attempt)
+// return the order the first one placed. `currency` is the code the order is
+// priced in; the store's base currency when null.
+export async function placeOrder(cartId, { shippingAddressId = null, shipping = null, paymentMethod = "cod", idempotencyKey = null, currency = null } = {}) {
+  const res = await supabase.rpc("place_order", {
+    p_cart_id: cartId,
+    p_shipping_address_id: shippingAddressId,
+    p_shipping: shipping,
+    p_payment_method: paymentMethod,
+    p_idempotency_key: idempotencyKey,
+    p_currency: currency,
+  });
+  return unwrapStockCheck(res, res.error?.code === "P0001" ? res.error.message : "Order creation failed");
+}
+
+export async function cancelOrder(orderId) {
+  unwrap(await supabase.rpc("cancel_order", { p_order_id: orderId }));
+}
+
+// ------------------------
+// Admin
+// ------------------------
+// All orders with customer, payments, refunds and items; `payment` is the first payment row
+export async function listAllOrders() {
+  const rows = unwrap(
+    await supabase
+      .from("orders")
+      .select(`*, users (full_name, email), payments (*, cod_collections (*)), refunds (*), order_items ( id, name, quantity, price, tax_rate, tax_amount, color, size, img_url, refunded_quantity, restocked_quantity, products (*), product_variants (*) )`)
+      .order("created_at", { ascending: false })
+  ) || [];
+  return rows.map((o) => ({
+    ...o,
+    order_items: withResolvedImages(o.order_items),
+    payment: o.payments && o.payments.length > 0 ? o.payments[0] : null,
+  }));
+}
+
+// Cancelling restocks early (pending/processing) orders; other statuses are a plain update.
+export async function updateOrderStatus(orderId, status) {
+  if ((status || "").toLowerCase() === "cancelled") return cancelOrder(orderId);
+  unwrap(await supabase.from("orders").update({ status }).eq("id", orderId));
+}
+
+// Early orders are cancelled first so their stock goes back on the shelf.
+export async function deleteOrder(orderId) {
+  const order = await getOrder(orderId);
+  const st = (order.status || "").toLowerCase();
+  if (st === "pending" || st === "processing") await cancelOrder(orderId);
+  unwrap(await supabase.from("orders").delete().eq("id", orderId));
+}
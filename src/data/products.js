@@ -0,0 +1,171 @@
+import { supabase } from "../supabaseClient";
+import { unwrap, uploadPublicFile } from "./shared";
+import { adjustStock } from "./inventory";
+
+// Products and their variants. Reads are public; writes need an admin session
+// (enforced by the products / product_variants RLS policies).
+
+const PRODUCT_WITH_VARIANTS = "*, variants:product_variants (*)";
+
+// Adds `available` to each variant: its stock minus what other shoppers'
+// checkouts are holding (held_stock). `stock` stays the real count.
+async function withAvailability(variants) {
+  const ids = variants.map((v) => v.id).filter(Boolean);
+  if (ids.length === 0) return variants;
+  const rows = unwrap(await supabase.rpc("held_stock", { p_variant_ids: ids })) || [];
+  const held = Object.fromEntries(rows.map((r) => [r.product_variant_id, Number(r.held || 0)]));
+  return variants.map((v) => ({ ...v, available: Math.max(0, Number(v.stock || 0) - (held[v.id] || 0)) }));
+}
+
+// Newest first. Size/color filters match products with at least one variant
+// in the selected sizes AND colors.
+export async function listProducts({ search = null, category = null, sizes = [], colors = [] } = {}) {
+  let query = supabase.from("products").select(PRODUCT_WITH_VARIANTS);
+
+  if (sizes.length > 0 || colors.length > 0) {
+    let variantQ = supabase.from("product_variants").select("product_id");
+    if (sizes.length > 0) variantQ = variantQ.in("size", sizes);
+    if (colors.length > 0) variantQ = variantQ.in("color", colors);
+    const ids = (unwrap(await variantQ) || []).map((r) => r.product_id).filter(Boolean);
+    if (ids.length === 0) return [];
+    query = query.in("id", ids);
+  }
+  if (category) query = query.eq("category", category);
+  if (search) {
+    const q = `%${search.trim()}%`;
+    query = query.or(`name.ilike.${q},description.ilike.${q}`);
+  }
+
+  const products = unwrap(await query.order("created_at", { ascending: false })) || [];
+  const variants = await withAvailability(products.flatMap((p) => p.variants || []));
+  const byId = Object.fromEntries(variants.map((v) => [v.id, v]));
+  return products.map((p) => ({ ...p, variants: (p.variants || []).map((v) => byId[v.id] || v) }));
+}
+
+export async function getProduct(productId) {
+  return unwrap(await supabase.from("products").select("*").eq("id", productId).single());
+}
+
+// { customerCount, productCount } for the landing page
+export async function storefrontStats() {
+  const row = unwrap(await supabase.from("storefront_stats").select("customer_count, product_count").single());
+  return { customerCount: row?.customer_count || 0, productCount: row?.product_count || 0 };
+}
+
+// Every variant's size/color, for building the filter UI
+export async function listVariantOptions() {
+  return unwrap(await supabase.from("product_variants").select("size, color")) || [];
+}
+
+export async function getVariant(variantId, { withProduct = false } = {}) {
+  const variant = unwrap(
+    await supabase.from("product_variants").select(withProduct ? "*, products(*)" : "*").eq("id", variantId).single()
+  );
+  return (await withAvailability([variant]))[0];
+}
+
+// { [productId]: units sold } from the public product_sales view
+export async function soldCounts(productIds) {
+  if (!productIds || productIds.length === 0) return {};
+  const rows = unwrap(await supabase.from("product_sales").select("product_id, sold").in("product_id", productIds)) || [];
+  return Object.fromEntries(rows.map((r) => [r.product_id, Number(r.sold || 0)]));
+}
+
+export async function soldCount(productId) {
+  return (await soldCounts([productId]))[productId] || 0;
+}
+
+export async function listReviews(productId) {
+  return unwrap(
+    await supabase
+      .from("product_reviews")
+      .select(`id, rating, comment, created_at, users:user_profiles (full_name, avatar_url)`)
+      .eq("product_id", productId)
+      .order("created_at", { ascending: false })
+  ) || [];
+}
+
+// ------------------------
+// Admin
+// ------------------------
+export function uploadProductImage(file) {
+  return uploadPublicFile("products", `products/${Date.now()}-${file.name}`, file);
+}
+
+async function recalcStock(productId) {
+  const variants = unwrap(await supabase.from("product_variants").select("stock").eq("product_id", productId)) || [];
+  const total = variants.reduce((s, v) => s + Number(v.stock || 0), 0);
+  unwrap(await supabase.from("products").update({ stock: total }).eq("id", productId));
+  return total;
+}
+
+// Blank means no reorder threshold, i.e. no low-stock alerts for the variant
+const reorderThreshold = (value) => (value === "" || value == null ? null : Number(value));
+
+// variants: [{ color, size, stock, reorder_threshold, img_url }]
+export async function createProduct(productData, variants) {
+  const totalStock = variants.reduce((sum, v) => sum + Number(v.stock), 0);
+  const product = unwrap(
+    await supabase.from("products").insert([{ ...productData, img_url: variants[0]?.img_url || "", stock: totalStock }]).select().single(),
+    "Failed to add main product"
+  );
+  unwrap(
+    await supabase.from("product_variants").insert(variants.map((v) => ({ ...v, reorder_threshold: reorderThreshold(v.reorder_threshold), product_id: product.id }))),
+    "Product added, but failed to add variants."
+  );
+  return product;
+}
+
+// Saves the product and syncs its variants: rows with an id are updated, new
+// ones inserted, and variants no longer in the list deleted.
+//
+// An existing variant's stock is never written as-is: sales made while the form
+// was open would be undone. Its change from `loaded_stock` (the stock when the
+// form was opened) goes through adjust_stock() on top of the current count.
+export async function updateProduct(productId, productData, variants) {
+  const keepIds = [];
+  const toInsert = [];
+  for (const variant of variants) {
+    const payload = {
+      product_id: productId,
+      color: variant.color,
+      size: variant.size,
+      reorder_threshold: reorderThreshold(variant.reorder_threshold),
+      img_url: variant.img_url,
+    };
+    if (variant.id) {
+      unwrap(
+        await supabase.from("product_variants").update(payload).eq("id", variant.id),
+        `Failed to update variant ${variant.color} ${variant.size}.`
+      );
+      keepIds.push(variant.id);
+      const delta = Number(variant.stock) - Number(variant.loaded_stock ?? variant.stock);
+      if (delta !== 0) await adjustStock(variant.id, { delta, note: "Edited in the product form" });
+    } else {
+      toInsert.push({ ...payload, stock: Number(variant.stock) });
+    }
+  }
+
+  unwrap(
+    await supabase.from("products").update({ ...productData, img_url: variants[0]?.img_url || "" }).eq("id", productId),
+    "Failed to update main product details."
+  );
+
+  const current = unwrap(await supabase.from("product_variants").select("id").eq("product_id", productId)) || [];
+  const idsToDelete = current.map((v) => v.id).filter((id) => !keepIds.includes(id));
+  if (idsToDelete.length > 0) unwrap(await supabase.from("product_variants").delete().in("id", idsToDelete));
+
+  if (toInsert.length > 0) {
+    unwrap(await supabase.from("product_variants").insert(toInsert), "Product updated, but failed to add new variants.");
+  }
+
+  try {
+    await recalcStock(productId);
+  } catch (err) {
+    console.warn("Failed to recompute product stock after edit", err);
+  }
+}
+
+export async function deleteProduct(productId) {
+  unwrap(await supabase.from("products").delete().eq("id", productId), "Failed to delete product");
+}
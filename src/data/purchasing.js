@@ -0,0 +1,65 @@
+import { supabase } from "../supabaseClient";
+import { unwrap } from "./shared";
+
+// Suppliers and purchase orders (admin only). Suppliers are edited directly;
+// purchase orders are created, received and closed through database functions
+// (create_purchase_order, receive_purchase_order, close_purchase_order) so
+// receiving and the stock it adds always go together.
+
+export async function listSuppliers() {
+  return unwrap(await supabase.from("suppliers").select("*").order("name")) || [];
+}
+
+// Adds a supplier, or updates it when `id` is given:
+// { id?, name, contact_name, email, phone, notes, active }
+export async function saveSupplier({ id, name, contact_name, email, phone, notes, active = true }) {
+  const clean = (v) => String(v || "").trim() || null;
+  const row = { name: String(name || "").trim(), contact_name: clean(contact_name), email: clean(email), phone: clean(phone), notes: clean(notes), active };
+  const query = id ? supabase.from("suppliers").update(row).eq("id", id) : supabase.from("suppliers").insert(row);
+  const res = await query.select().single();
+  return unwrap(res, res.error?.code === "23505" ? "A supplier with that name already exists" : "Failed to save supplier");
+}
+
+// Newest first, with supplier, lines and receipts. `status`: open |
+// partially_received | closed, or null for all.
+export async function listPurchaseOrders({ status = null } = {}) {
+  let q = supabase
+    .from("purchase_orders")
+    .select("*, supplier:suppliers (id, name, email), items:purchase_order_items (*), receipts:purchase_order_receipts (*)")
+    .order("created_at", { ascending: false });
+  if (status) q = q.eq("status", status);
+  return unwrap(await q) || [];
+}
+
+// items: [{ variantId, quantity, unitCost? }]. Resolves to the new purchase order.
+export async function createPurchaseOrder({ supplierId, expectedAt = null, notes = "", items }) {
+  return unwrap(
+    await supabase.rpc("create_purchase_order", {
+      p_supplier_id: supplierId,
+      p_expected_at: expectedAt || null,
+      p_notes: notes,
+      p_items: items.map((i) => ({
+        product_variant_id: i.variantId,
+        quantity: Number(i.quantity),
+        unit_cost: i.unitCost === "" || i.unitCost == null ? null : Number(i.unitCost),
+      })),
+    })
+  );
+}
+
+// items: [{ itemId, quantity }] — quantities arriving now, adding to stock.
+// Resolves to the purchase order with its new status.
+export async function receivePurchaseOrder(purchaseOrderId, items, note = "") {
+  return unwrap(
+    await supabase.rpc("receive_purchase_order", {
+      p_purchase_order_id: purchaseOrderId,
+      p_items: items.map((i) => ({ purchase_order_item_id: i.itemId, quantity: Number(i.quantity) })),
+      p_note: note,
+    })
+  );
+}
+
+// For POs whose remaining quantities won't arrive
+export async function closePurchaseOrder(purchaseOrderId) {
+  return unwrap(await supabase.rpc("close_purchase_order", { p_purchase_order_id: purchaseOrderId }));
+}
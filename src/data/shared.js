@@ -0,0 +1,53 @@
+import { supabase } from "../supabaseClient";
+
+// Returns `data` from a Supabase response, or throws its error. `message`
+// replaces the raw PostgREST text for errors shown to users.
+export function unwrap({ data, error }, message) {
+  if (error) {
+    const err = new Error(message || error.message || "Request failed");
+    err.cause = error;
+    err.code = error.code;
+    throw err;
+  }
+  return data;
+}
+
+// unwrap() for the calls that check stock (place_order, reserve_cart). Short
+// items make them throw an error with code "out_of_stock" and `items`:
+// [{ cart_item_id, product_id, product_variant_id, name, color, size, requested, available }].
+export function unwrapStockCheck(res, message) {
+  if (res.error?.hint === "out_of_stock") {
+    const err = new Error(res.error.message);
+    err.code = "out_of_stock";
+    err.cause = res.error;
+    try {
+      err.items = JSON.parse(res.error.details || "[]");
+    } catch {
+      err.items = [];
+    }
+    throw err;
+  }
+  return unwrap(res, message);
+}
+
+// Uploads a file to a public bucket and returns its public URL.
+export async function uploadPublicFile(bucket, path, file) {
+  const { error } = await supabase.storage.from(bucket).upload(path, file, { upsert: true });
+  if (error) {
+    const err = new Error(error.message || "Upload failed");
+    err.cause = error;
+    throw err;
+  }
+  return supabase.storage.from(bucket).getPublicUrl(path).data.publicUrl;
+}
+
+// Item images may be stored as paths inside the `products` bucket; turn those into URLs.
+export function resolveImageUrl(img) {
+  if (!img || img.startsWith("http")) return img || "";
+  try {
+    return supabase.storage.from("products").getPublicUrl(img).data?.publicUrl || img;
+  } catch (e) {
+    console.debug("getPublicUrl failed", e);
+    return img;
+  }
+}
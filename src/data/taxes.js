@@ -0,0 +1,40 @@
+import { supabase } from "../supabaseClient";
+import { unwrap } from "./shared";
+
+// Tax rates and whether catalog prices include tax. Reads are public (disabled
+// rates are only visible to admins); writes need an admin session (tax_rates /
+// tax_settings RLS policies). `rate` is a percent; a null `province` applies
+// wherever a province has no rates of its own.
+
+// { pricesIncludeTax, rates: [...] }
+export async function getTaxConfig() {
+  const [settings, rates] = await Promise.all([
+    supabase.from("tax_settings").select("prices_include_tax").maybeSingle(),
+    supabase.from("tax_rates").select("*").order("province", { nullsFirst: true }).order("name"),
+  ]);
+  return {
+    pricesIncludeTax: !!unwrap(settings)?.prices_include_tax,
+    rates: unwrap(rates) || [],
+  };
+}
+
+export async function setPricesIncludeTax(pricesIncludeTax) {
+  return unwrap(
+    await supabase
+      .from("tax_settings")
+      .update({ prices_include_tax: !!pricesIncludeTax, updated_at: new Date().toISOString() })
+      .eq("id", true),
+    "Failed to save tax settings"
+  );
+}
+
+// Adds a rate, or updates it when `id` is given: { id?, name, province, rate, enabled }
+export async function saveTaxRate({ id, name, province, rate, enabled = true }) {
+  const row = { name: String(name).trim(), province: String(province || "").trim() || null, rate, enabled };
+  const query = id ? supabase.from("tax_rates").update(row).eq("id", id) : supabase.from("tax_rates").insert(row);
+  return unwrap(await query.select().single(), "Failed to save tax rate");
+}
+
+export async function deleteTaxRate(id) {
+  return unwrap(await supabase.from("tax_rates").delete().eq("id", id), "Failed to delete tax rate");
+}
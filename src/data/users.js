@@ -0,0 +1,21 @@
+import { supabase } from "../supabaseClient";
+import { unwrap, uploadPublicFile } from "./shared";
+
+// Profile fields a user may read and edit on their own row. Everything else
+// on `users` (password, 2FA secrets, role) is server-only, and the email is
+// changed through the API (authClient changeEmail) so it gets verified again.
+
+const PROFILE_COLUMNS = "id, full_name, email, phone, address, avatar_url, role";
+
+export async function getProfile(userId) {
+  return unwrap(await supabase.from("users").select(PROFILE_COLUMNS).eq("id", userId).single());
+}
+
+export async function updateProfile(userId, { full_name, phone, address, avatar_url }) {
+  unwrap(await supabase.from("users").update({ full_name, phone, address, avatar_url }).eq("id", userId));
+}
+
+// Avatars live at user-avatars/<user id>.png; returns the public URL
+export function uploadAvatar(userId, file) {
+  return uploadPublicFile("user-avatars", `${userId}.png`, file);
+}
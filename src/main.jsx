@@ -1,10 +1,22 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
-import App from './App.jsx'
+import { config, configErrors } from './config'
+import ConfigError from './components/configerror.jsx'
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <App />
-  </StrictMode>,
-)
+const root = createRoot(document.getElementById('root'))
+
+// The app (and the Supabase/Stripe clients it creates on import) is only
+// loaded once the runtime config is known to be valid.
+if (configErrors.length > 0) {
+  root.render(<ConfigError errors={configErrors} appEnv={config.appEnv} />)
+} else {
+  import('./App.jsx').then((mod) => {
+    const App = mod.default
+    root.render(
+      <StrictMode>
+        <App />
+      </StrictMode>,
+    )
+  })
+}
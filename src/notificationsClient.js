@@ -0,0 +1,14 @@
+import { authRequest } from "./authClient";
+
+// Asks the API to email the notifications the database has queued (e.g. back
+// in stock after a restock or cancellation). Call it after changing stock;
+// failures are only logged, since a scheduled `npm run notify:deliver` picks
+// up whatever is left.
+export async function deliverNotificationEmails() {
+  try {
+    return await authRequest("/notifications/deliver", {});
+  } catch (err) {
+    console.warn("Notification emails not delivered yet", err);
+    return null;
+  }
+}
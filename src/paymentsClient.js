@@ -0,0 +1,52 @@
+import { authRequest } from "./authClient";
+
+// Browser side of the card payment endpoints in server.cjs. Amounts are never
+// sent from here: the server charges whatever the order in the database totals.
+
+// { clientSecret, id, currency, subtotal, shipping, discount, total } (amounts in
+// the order currency's minor units, e.g. cents).
+// savePaymentMethod keeps the card the shopper enters on file for next time.
+export async function createPaymentIntent(orderId, { savePaymentMethod = false } = {}) {
+  return authRequest("/create-payment-intent", { orderId, savePaymentMethod });
+}
+
+// Asks the server to check the order's PaymentIntent with Stripe; resolves to
+// { paymentStatus, intentStatus }.
+export async function confirmPayment(orderId) {
+  return authRequest("/payments/confirm", { orderId });
+}
+
+// The shopper's saved cards: [{ id, brand, last4, expMonth, expYear }]
+export async function listPaymentMethods() {
+  const { paymentMethods } = await authRequest("/payment-methods", {}, { method: "GET" });
+  return paymentMethods;
+}
+
+export async function deletePaymentMethod(paymentMethodId) {
+  return authRequest("/payment-methods/delete", { paymentMethodId });
+}
+
+// Admin only. `items` is [{ orderItemId, quantity }]; leave it out to refund
+// everything that is left. Resolves to { refund, paymentStatus }.
+export async function refundOrder(orderId, { items, restock = false, reason = "" } = {}) {
+  return authRequest("/admin/orders/refund", { orderId, items, restock, reason });
+}
+
+// Admin only: cash received for a COD order. Resolves to { paymentStatus, shortfall }.
+export async function recordCodCollection(orderId, { amountReceived, collectedBy, note = "" }) {
+  return authRequest("/admin/orders/cod/collect", { orderId, amountReceived, collectedBy, note });
+}
+
+// Admin only: COD cash collected in [from, to) (Dates), per collector, plus
+// delivered COD orders still waiting for cash.
+export async function codRemittanceReport(from, to) {
+  const query = new URLSearchParams({ from: from.toISOString(), to: to.toISOString() });
+  return authRequest(`/admin/cod/remittance?${query}`, {}, { method: "GET" });
+}
+
+// "Visa •••• 4242 (exp 04/27)"
+export function cardLabel(pm) {
+  const brand = pm.brand ? pm.brand.charAt(0).toUpperCase() + pm.brand.slice(1) : "Card";
+  const exp = pm.expMonth && pm.expYear ? ` (exp ${String(pm.expMonth).padStart(2, "0")}/${String(pm.expYear).slice(-2)})` : "";
+  return `${brand} •••• ${pm.last4}${exp}`;
+}
@@ -0,0 +1,24 @@
+import { createContext, useContext } from "react";
+
+// Shared session state provided by <SessionProvider> (see components/sessionprovider.jsx).
+// status: "loading" | "authenticated" | "anonymous"
+// notice: message explaining why the session ended on its own (idle, revoked)
+export const SessionContext = createContext({
+  status: "loading",
+  user: null,
+  notice: "",
+  signIn: async () => null,
+  verifySecondFactor: async () => null,
+  signOut: async () => {},
+  updateUser: () => {},
+  reloadUser: async () => null,
+});
+
+export function useSession() {
+  return useContext(SessionContext);
+}
+
+// Where a signed-in user lands by default.
+export function homePathForRole(role) {
+  return role === "admin" ? "/admin" : "/customer";
+}
@@ -0,0 +1,45 @@
+// Tax estimates for the cart and checkout, worked out the same way
+// place_order() does in SQL so the figure shown is the figure charged: per
+// line and per rate, rounded to the currency's decimals, shipping untaxed.
+// The order's own tax_total / tax_lines are what count once it is placed.
+
+// The enabled rates for an address in `province`: the province's own rates
+// if it has any, otherwise the ones without a province (tax_rates_for()).
+export function ratesFor(rates = [], province) {
+  const key = (p) => String(p || "").trim().toLowerCase();
+  const enabled = rates.filter((r) => r.enabled);
+  const own = enabled.filter((r) => r.province && key(r.province) === key(province));
+  return own.length > 0 ? own : enabled.filter((r) => !r.province);
+}
+
+// Half-up rounding of num / den for positive BigInts
+const divRound = (num, den) => (2n * num + den) / (2n * den);
+
+// `lineAmounts` are price x quantity per line, in the order currency.
+// Returns { tax, lines: [{ name, rate, amount }], perLine: [tax per line] }.
+export function calculateTax(lineAmounts, rates, { pricesIncludeTax = false, minorUnits = 2 } = {}) {
+  const scale = 10 ** minorUnits;
+  // Percent rates in ten-thousandths, as stored (numeric(7, 4))
+  const bps = rates.map((r) => BigInt(Math.round(Number(r.rate) * 10000)));
+  const combined = bps.reduce((sum, r) => sum + r, 0n);
+  const den = pricesIncludeTax ? 1000000n + combined : 1000000n;
+
+  const byRate = rates.map(() => 0n);
+  const perLine = lineAmounts.map((amount) => {
+    const units = BigInt(Math.round(Number(amount || 0) * scale));
+    return bps.reduce((sum, r, i) => {
+      const tax = divRound(units * r, den);
+      byRate[i] += tax;
+      return sum + tax;
+    }, 0n);
+  });
+
+  const major = (units) => Number(units) / scale;
+  const lines = rates.map((r, i) => ({ name: r.name, rate: Number(r.rate), amount: major(byRate[i]) }));
+  return { tax: major(perLine.reduce((sum, t) => sum + t, 0n)), lines, perLine: perLine.map(major) };
+}
+
+// "VAT 12%" for a tax line
+export function taxLabel(line) {
+  return `${line.name} ${Number(line.rate)}%`;
+}
@@ -0,0 +1,68 @@
+-- Minimal stand-in for the parts of a Supabase database the migrations rely
+-- on, so they also apply to a plain Postgres (docker compose, CI). Run by
+-- scripts/db.cjs before the migrations; every statement checks first, so on a
+-- real Supabase database (or `supabase start`) this changes nothing.
+
+-- API roles: PostgREST switches to anon/authenticated from the token's `role`
+-- claim; the server's service role key bypasses RLS.
+do $$
+begin
+  if not exists (select 1 from pg_roles where rolname = 'anon') then
+    create role anon nologin noinherit;
+  end if;
+  if not exists (select 1 from pg_roles where rolname = 'authenticated') then
+    create role authenticated nologin noinherit;
+  end if;
+  if not exists (select 1 from pg_roles where rolname = 'service_role') then
+    create role service_role nologin noinherit bypassrls;
+  end if;
+end;
+$$;
+
+grant usage on schema public to anon, authenticated, service_role;
+alter default privileges in schema public grant all on tables to anon, authenticated, service_role;
+alter default privileges in schema public grant all on sequences to anon, authenticated, service_role;
+alter default privileges in schema public grant execute on functions to anon, authenticated, service_role;
+
+-- auth.jwt() / auth.uid(): the verified token claims, as PostgREST exposes them
+create schema if not exists auth;
+grant usage on schema auth to anon, authenticated, service_role;
+
+do $$
+begin
+  if to_regprocedure('auth.jwt()') is null then
+    create function auth.jwt() returns jsonb language sql stable as $fn$
+      select coalesce(nullif(current_setting('request.jwt.claims', true), ''), '{}')::jsonb
+    $fn$;
+  end if;
+  if to_regprocedure('auth.uid()') is null then
+    create function auth.uid() returns uuid language sql stable as $fn$
+      select nullif(auth.jwt() ->> 'sub', '')::uuid
+    $fn$;
+  end if;
+end;
+$$;
+
+-- storage.buckets / storage.objects: just enough for bucket rows and policies
+create schema if not exists storage;
+grant usage on schema storage to anon, authenticated, service_role;
+
+create table if not exists storage.buckets (
+  id text primary key,
+  name text not null unique,
+  public boolean not null default false,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists storage.objects (
+  id uuid primary key default gen_random_uuid(),
+  bucket_id text references storage.buckets (id),
+  name text,
+  owner uuid,
+  metadata jsonb,
+  created_at timestamptz not null default now()
+);
+
+alter table storage.objects enable row level security;
+grant select on storage.buckets to anon, authenticated, service_role;
+grant all on storage.objects to anon, authenticated, service_role;
@@ -0,0 +1,173 @@
+-- Baseline schema: the tables and storage buckets the app was built on before
+-- migrations were checked in. Later migrations add auth, sessions and RLS on
+-- top of these. Everything is `if not exists` so this is a no-op on projects
+-- that already have the tables.
+
+-- ------------------------------------------------------------
+-- Accounts (managed by server.cjs, not Supabase Auth)
+-- ------------------------------------------------------------
+create table if not exists public.users (
+  id uuid primary key default gen_random_uuid(),
+  full_name text,
+  email text not null unique,
+  password_hash text,
+  phone text,
+  -- Free-text profile address, used at checkout when no saved address is picked
+  address text,
+  avatar_url text,
+  role text not null default 'customer' check (role in ('customer', 'admin')),
+  agreed_terms boolean not null default false,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.user_addresses (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  label text,
+  full_name text,
+  phone text,
+  address_line text,
+  city text,
+  province text,
+  postal_code text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists user_addresses_user_id_idx on public.user_addresses (user_id);
+
+-- ------------------------------------------------------------
+-- Catalog. products.stock is the sum of its variants' stock.
+-- ------------------------------------------------------------
+create table if not exists public.products (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  description text,
+  price numeric(10, 2) not null default 0 check (price >= 0),
+  category text,
+  img_url text,
+  stock integer not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists products_category_idx on public.products (category);
+
+create table if not exists public.product_variants (
+  id uuid primary key default gen_random_uuid(),
+  product_id uuid not null references public.products (id) on delete cascade,
+  color text,
+  size text,
+  stock integer not null default 0 check (stock >= 0),
+  img_url text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists product_variants_product_id_idx on public.product_variants (product_id);
+
+create table if not exists public.product_reviews (
+  id uuid primary key default gen_random_uuid(),
+  product_id uuid not null references public.products (id) on delete cascade,
+  user_id uuid references public.users (id) on delete set null,
+  rating integer not null check (rating between 1 and 5),
+  comment text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists product_reviews_product_id_idx on public.product_reviews (product_id);
+
+-- ------------------------------------------------------------
+-- Cart: one per user
+-- ------------------------------------------------------------
+create table if not exists public.cart (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null unique references public.users (id) on delete cascade,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.cart_items (
+  id uuid primary key default gen_random_uuid(),
+  cart_id uuid not null references public.cart (id) on delete cascade,
+  product_id uuid references public.products (id) on delete cascade,
+  product_variant_id uuid references public.product_variants (id) on delete cascade,
+  quantity integer not null default 1 check (quantity > 0),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists cart_items_cart_id_idx on public.cart_items (cart_id);
+
+-- ------------------------------------------------------------
+-- Orders. Items and the shipping address are snapshots taken at checkout, so
+-- editing or deleting a product or address later doesn't rewrite history.
+-- ------------------------------------------------------------
+create table if not exists public.orders (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid references public.users (id) on delete set null,
+  total numeric(10, 2) not null default 0,
+  -- pending | processing | shipping | delivered | cancelled
+  status text not null default 'pending',
+  -- pending | paid
+  payment_status text not null default 'pending',
+  -- cod | card
+  payment_method text,
+  shipping_address_id uuid references public.user_addresses (id) on delete set null,
+  shipping_label text,
+  shipping_full_name text,
+  shipping_phone text,
+  shipping_address_line text,
+  shipping_city text,
+  shipping_province text,
+  shipping_postal_code text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists orders_user_id_idx on public.orders (user_id);
+create index if not exists orders_created_at_idx on public.orders (created_at desc);
+
+create table if not exists public.order_items (
+  id uuid primary key default gen_random_uuid(),
+  order_id uuid not null references public.orders (id) on delete cascade,
+  product_id uuid references public.products (id) on delete set null,
+  product_variant_id uuid references public.product_variants (id) on delete set null,
+  quantity integer not null check (quantity > 0),
+  price numeric(10, 2) not null default 0,
+  name text,
+  color text,
+  size text,
+  img_url text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists order_items_order_id_idx on public.order_items (order_id);
+create index if not exists order_items_product_id_idx on public.order_items (product_id);
+
+create table if not exists public.payments (
+  id uuid primary key default gen_random_uuid(),
+  order_id uuid not null references public.orders (id) on delete cascade,
+  amount numeric(10, 2) not null default 0,
+  method text,
+  status text not null default 'pending',
+  -- Stripe PaymentIntent id for card payments
+  transaction_id text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists payments_order_id_idx on public.payments (order_id);
+
+-- ------------------------------------------------------------
+-- Storage: product images and avatars are served from public buckets
+-- ------------------------------------------------------------
+insert into storage.buckets (id, name, public)
+values ('products', 'products', true), ('user-avatars', 'user-avatars', true)
+on conflict (id) do nothing;
+
+-- Customers' order lists update live (src/data/orders.js subscribeToUserOrders)
+do $$
+begin
+  if exists (select 1 from pg_publication where pubname = 'supabase_realtime')
+     and not exists (
+       select 1 from pg_publication_tables
+       where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'orders'
+     ) then
+    alter publication supabase_realtime add table public.orders;
+  end if;
+end;
+$$;
@@ -0,0 +1,16 @@
+-- Server-issued login sessions. Each access token carries the session id (sid)
+-- so logout and refresh can be checked against this table.
+create table if not exists public.user_sessions (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  revoked_at timestamptz,
+  user_agent text,
+  ip_address text
+);
+
+create index if not exists user_sessions_user_id_idx on public.user_sessions (user_id);
+
+-- Only the server (service role) touches sessions.
+alter table public.user_sessions enable row level security;
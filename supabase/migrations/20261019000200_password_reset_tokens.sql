@@ -0,0 +1,13 @@
+-- One-time password reset tokens. Only a SHA-256 hash of the emailed token is stored.
+create table if not exists public.password_reset_tokens (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  token_hash text not null unique,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  used_at timestamptz
+);
+
+create index if not exists password_reset_tokens_user_id_idx on public.password_reset_tokens (user_id);
+
+alter table public.password_reset_tokens enable row level security;
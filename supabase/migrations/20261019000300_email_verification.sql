@@ -0,0 +1,18 @@
+-- Email verification for new accounts.
+alter table public.users add column if not exists email_verified_at timestamptz;
+
+-- Accounts created before verification existed are treated as verified.
+update public.users set email_verified_at = coalesce(created_at, now()) where email_verified_at is null;
+
+create table if not exists public.email_verification_tokens (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  token_hash text not null unique,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  used_at timestamptz
+);
+
+create index if not exists email_verification_tokens_user_id_idx on public.email_verification_tokens (user_id);
+
+alter table public.email_verification_tokens enable row level security;
@@ -0,0 +1,16 @@
+-- Failed sign-in tracking for brute-force protection. One row per email
+-- address (whether or not an account exists) and one per client IP.
+create table if not exists public.login_throttles (
+  id uuid primary key default gen_random_uuid(),
+  kind text not null check (kind in ('email', 'ip')),
+  key text not null,
+  failure_count integer not null default 0,
+  last_failure_at timestamptz,
+  locked_until timestamptz,
+  created_at timestamptz not null default now(),
+  unique (kind, key)
+);
+
+create index if not exists login_throttles_locked_until_idx on public.login_throttles (locked_until);
+
+alter table public.login_throttles enable row level security;
@@ -0,0 +1,21 @@
+-- TOTP two-factor authentication (optional for customers, mandatory for admins).
+alter table public.users add column if not exists totp_secret text;
+alter table public.users add column if not exists totp_pending_secret text;
+alter table public.users add column if not exists totp_enabled_at timestamptz;
+-- Last accepted 30-second step, so a code can't be replayed within its window.
+alter table public.users add column if not exists totp_last_step bigint;
+
+-- Set when the session passed the second factor (2FA login or enrollment).
+alter table public.user_sessions add column if not exists mfa_verified_at timestamptz;
+
+create table if not exists public.recovery_codes (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  code_hash text not null,
+  created_at timestamptz not null default now(),
+  used_at timestamptz
+);
+
+create index if not exists recovery_codes_user_id_idx on public.recovery_codes (user_id);
+
+alter table public.recovery_codes enable row level security;
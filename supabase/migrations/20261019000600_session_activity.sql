@@ -0,0 +1,5 @@
+-- Activity tracking for sessions: powers the admin idle timeout and the
+-- "Devices & sessions" panel.
+alter table public.user_sessions add column if not exists last_seen_at timestamptz not null default now();
+-- Minutes without activity before the session ends; null means no idle timeout.
+alter table public.user_sessions add column if not exists idle_timeout_minutes integer;
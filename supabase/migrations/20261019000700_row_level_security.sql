@@ -0,0 +1,281 @@
+-- Row level security for every table the browser touches.
+--
+-- The browser talks to PostgREST with the session token issued by server.cjs
+-- (SESSION_SECRET must be the project's JWT secret). The token carries
+-- role=authenticated, sub=<users.id> and sid=<user_sessions.id>; policies only
+-- trust it while that session row is still active, so revoking a session or
+-- hitting the admin idle timeout cuts off data access as well.
+
+-- ------------------------------------------------------------
+-- Helpers
+-- ------------------------------------------------------------
+create or replace function public.app_user_id() returns uuid
+language sql stable security definer set search_path = public as $$
+  select s.user_id
+  from public.user_sessions s
+  where s.id = nullif(auth.jwt() ->> 'sid', '')::uuid
+    and s.user_id = auth.uid()
+    and s.revoked_at is null
+    and s.expires_at > now()
+    and (s.idle_timeout_minutes is null or s.last_seen_at + make_interval(mins => s.idle_timeout_minutes) > now())
+$$;
+
+-- Admin = admin role in users (not the token claim) on a session that passed 2FA.
+create or replace function public.app_is_admin() returns boolean
+language sql stable security definer set search_path = public as $$
+  select exists (
+    select 1
+    from public.users u
+    join public.user_sessions s on s.user_id = u.id
+    where u.id = public.app_user_id()
+      and u.role = 'admin'
+      and s.id = nullif(auth.jwt() ->> 'sid', '')::uuid
+      and s.mfa_verified_at is not null
+  )
+$$;
+
+grant execute on function public.app_user_id() to anon, authenticated;
+grant execute on function public.app_is_admin() to anon, authenticated;
+
+-- ------------------------------------------------------------
+-- Catalog: public read, admin write
+-- ------------------------------------------------------------
+alter table public.products enable row level security;
+drop policy if exists products_read on public.products;
+create policy products_read on public.products for select to anon, authenticated using (true);
+drop policy if exists products_admin_write on public.products;
+create policy products_admin_write on public.products for all to authenticated
+  using (public.app_is_admin()) with check (public.app_is_admin());
+
+alter table public.product_variants enable row level security;
+drop policy if exists product_variants_read on public.product_variants;
+create policy product_variants_read on public.product_variants for select to anon, authenticated using (true);
+drop policy if exists product_variants_admin_write on public.product_variants;
+create policy product_variants_admin_write on public.product_variants for all to authenticated
+  using (public.app_is_admin()) with check (public.app_is_admin());
+
+-- ------------------------------------------------------------
+-- Users: own row (and admins), never the secret columns
+-- ------------------------------------------------------------
+alter table public.users enable row level security;
+drop policy if exists users_read on public.users;
+create policy users_read on public.users for select to authenticated
+  using (id = public.app_user_id() or public.app_is_admin());
+drop policy if exists users_update on public.users;
+create policy users_update on public.users for update to authenticated
+  using (id = public.app_user_id() or public.app_is_admin())
+  with check (id = public.app_user_id() or public.app_is_admin());
+
+-- Column privileges keep password_hash / totp_* unreadable and role unwritable.
+revoke all on public.users from anon, authenticated;
+grant select (id, full_name, email, phone, address, avatar_url, role, created_at, email_verified_at, totp_enabled_at)
+  on public.users to authenticated;
+grant update (full_name, email, phone, address, avatar_url) on public.users to authenticated;
+
+-- Name + avatar only, for showing review authors to everyone.
+create or replace view public.user_profiles as
+  select id, full_name, avatar_url from public.users;
+grant select on public.user_profiles to anon, authenticated;
+
+-- Public counters for the landing page (users itself is not readable anonymously).
+create or replace view public.storefront_stats as
+  select
+    (select count(*) from public.users where role = 'customer')::integer as customer_count,
+    (select count(*) from public.products)::integer as product_count;
+grant select on public.storefront_stats to anon, authenticated;
+
+-- ------------------------------------------------------------
+-- Addresses and carts: owner only
+-- ------------------------------------------------------------
+alter table public.user_addresses enable row level security;
+drop policy if exists user_addresses_owner on public.user_addresses;
+create policy user_addresses_owner on public.user_addresses for all to authenticated
+  using (user_id = public.app_user_id()) with check (user_id = public.app_user_id());
+drop policy if exists user_addresses_admin_read on public.user_addresses;
+create policy user_addresses_admin_read on public.user_addresses for select to authenticated using (public.app_is_admin());
+
+alter table public.cart enable row level security;
+drop policy if exists cart_owner on public.cart;
+create policy cart_owner on public.cart for all to authenticated
+  using (user_id = public.app_user_id()) with check (user_id = public.app_user_id());
+
+alter table public.cart_items enable row level security;
+drop policy if exists cart_items_owner on public.cart_items;
+create policy cart_items_owner on public.cart_items for all to authenticated
+  using (exists (select 1 from public.cart c where c.id = cart_items.cart_id and c.user_id = public.app_user_id()))
+  with check (exists (select 1 from public.cart c where c.id = cart_items.cart_id and c.user_id = public.app_user_id()));
+
+-- ------------------------------------------------------------
+-- Orders, items, payments: customers read and create their own; only admins
+-- change them afterwards (customer cancellation goes through cancel_order()).
+-- ------------------------------------------------------------
+-- Set once the order's items have been taken out of stock.
+alter table public.orders add column if not exists stock_deducted_at timestamptz;
+-- Orders placed before this column existed had their stock deducted by the client.
+update public.orders set stock_deducted_at = coalesce(created_at, now()) where stock_deducted_at is null;
+
+alter table public.orders enable row level security;
+drop policy if exists orders_read on public.orders;
+create policy orders_read on public.orders for select to authenticated
+  using (user_id = public.app_user_id() or public.app_is_admin());
+drop policy if exists orders_customer_insert on public.orders;
+create policy orders_customer_insert on public.orders for insert to authenticated
+  with check (user_id = public.app_user_id() and status in ('pending', 'processing') and stock_deducted_at is null);
+drop policy if exists orders_admin_write on public.orders;
+create policy orders_admin_write on public.orders for all to authenticated
+  using (public.app_is_admin()) with check (public.app_is_admin());
+
+alter table public.order_items enable row level security;
+drop policy if exists order_items_read on public.order_items;
+create policy order_items_read on public.order_items for select to authenticated
+  using (public.app_is_admin() or exists (select 1 from public.orders o where o.id = order_items.order_id and o.user_id = public.app_user_id()));
+drop policy if exists order_items_customer_insert on public.order_items;
+create policy order_items_customer_insert on public.order_items for insert to authenticated
+  with check (exists (
+    select 1 from public.orders o
+    where o.id = order_items.order_id and o.user_id = public.app_user_id() and o.stock_deducted_at is null
+  ));
+drop policy if exists order_items_admin_write on public.order_items;
+create policy order_items_admin_write on public.order_items for all to authenticated
+  using (public.app_is_admin()) with check (public.app_is_admin());
+
+alter table public.payments enable row level security;
+drop policy if exists payments_read on public.payments;
+create policy payments_read on public.payments for select to authenticated
+  using (public.app_is_admin() or exists (select 1 from public.orders o where o.id = payments.order_id and o.user_id = public.app_user_id()));
+drop policy if exists payments_customer_insert on public.payments;
+create policy payments_customer_insert on public.payments for insert to authenticated
+  with check (exists (select 1 from public.orders o where o.id = payments.order_id and o.user_id = public.app_user_id()));
+drop policy if exists payments_admin_write on public.payments;
+create policy payments_admin_write on public.payments for all to authenticated
+  using (public.app_is_admin()) with check (public.app_is_admin());
+
+-- Units sold per product, for the storefront (order_items itself is private).
+create or replace view public.product_sales as
+  select product_id, sum(quantity)::integer as sold from public.order_items group by product_id;
+grant select on public.product_sales to anon, authenticated;
+
+-- ------------------------------------------------------------
+-- Stock changes customers are allowed to trigger
+-- ------------------------------------------------------------
+create or replace function public.recalc_product_stock(p_product_ids uuid[]) returns void
+language sql security definer set search_path = public as $$
+  update public.products p
+  set stock = coalesce((select sum(v.stock) from public.product_variants v where v.product_id = p.id), 0)
+  where p.id = any (p_product_ids)
+$$;
+revoke execute on function public.recalc_product_stock(uuid[]) from public, anon, authenticated;
+
+-- Takes a freshly placed order's items out of stock (once).
+create or replace function public.deduct_order_stock(p_order_id public.orders.id%type) returns void
+language plpgsql security definer set search_path = public as $$
+declare
+  v_order public.orders;
+begin
+  select * into v_order from public.orders where id = p_order_id for update;
+  if v_order.id is null or (v_order.user_id is distinct from public.app_user_id() and not public.app_is_admin()) then
+    raise exception 'Order not found' using errcode = 'P0002';
+  end if;
+  if v_order.stock_deducted_at is not null then
+    return;
+  end if;
+
+  update public.product_variants v
+  set stock = greatest(0, coalesce(v.stock, 0) - i.qty)
+  from (
+    select product_variant_id, sum(quantity) as qty
+    from public.order_items where order_id = p_order_id and product_variant_id is not null
+    group by product_variant_id
+  ) i
+  where v.id = i.product_variant_id;
+
+  perform public.recalc_product_stock(array(
+    select distinct product_id from public.order_items where order_id = p_order_id and product_id is not null
+  ));
+  update public.orders set stock_deducted_at = now() where id = p_order_id;
+end;
+$$;
+
+-- Cancels an order and puts its items back in stock. Customers may cancel
+-- their own orders until they ship; admins may cancel any order.
+create or replace function public.cancel_order(p_order_id public.orders.id%type) returns void
+language plpgsql security definer set search_path = public as $$
+declare
+  v_order public.orders;
+  v_admin boolean := public.app_is_admin();
+  v_status text;
+begin
+  select * into v_order from public.orders where id = p_order_id for update;
+  if v_order.id is null or (v_order.user_id is distinct from public.app_user_id() and not v_admin) then
+    raise exception 'Order not found' using errcode = 'P0002';
+  end if;
+
+  v_status := lower(coalesce(v_order.status, ''));
+  if v_status = 'cancelled' then
+    return;
+  end if;
+  if not v_admin and v_status in ('shipping', 'delivered') then
+    raise exception 'This order cannot be cancelled' using errcode = 'P0001';
+  end if;
+
+  -- Only orders that have not left the warehouse go back on the shelf
+  if v_order.stock_deducted_at is not null and v_status in ('pending', 'processing') then
+    update public.product_variants v
+    set stock = coalesce(v.stock, 0) + i.qty
+    from (
+      select product_variant_id, sum(quantity) as qty
+      from public.order_items where order_id = p_order_id and product_variant_id is not null
+      group by product_variant_id
+    ) i
+    where v.id = i.product_variant_id;
+
+    perform public.recalc_product_stock(array(
+      select distinct product_id from public.order_items where order_id = p_order_id and product_id is not null
+    ));
+  end if;
+
+  update public.orders
+  set status = 'cancelled',
+      stock_deducted_at = case when v_status in ('pending', 'processing') then null else stock_deducted_at end
+  where id = p_order_id;
+end;
+$$;
+
+grant execute on function public.deduct_order_stock(public.orders.id%type) to authenticated;
+grant execute on function public.cancel_order(public.orders.id%type) to authenticated;
+
+-- ------------------------------------------------------------
+-- Reviews (optional table)
+-- ------------------------------------------------------------
+do $$
+begin
+  if to_regclass('public.product_reviews') is not null then
+    execute 'alter table public.product_reviews enable row level security';
+    execute 'drop policy if exists product_reviews_read on public.product_reviews';
+    execute 'create policy product_reviews_read on public.product_reviews for select to anon, authenticated using (true)';
+    execute 'drop policy if exists product_reviews_author on public.product_reviews';
+    execute 'create policy product_reviews_author on public.product_reviews for all to authenticated
+      using (user_id = public.app_user_id() or public.app_is_admin())
+      with check (user_id = public.app_user_id() or public.app_is_admin())';
+  end if;
+end;
+$$;
+
+-- ------------------------------------------------------------
+-- Storage: product images (admin), avatars (<user id>.png, owner)
+-- ------------------------------------------------------------
+drop policy if exists "products bucket read" on storage.objects;
+create policy "products bucket read" on storage.objects for select to anon, authenticated
+  using (bucket_id = 'products');
+drop policy if exists "products bucket admin write" on storage.objects;
+create policy "products bucket admin write" on storage.objects for all to authenticated
+  using (bucket_id = 'products' and public.app_is_admin())
+  with check (bucket_id = 'products' and public.app_is_admin());
+
+drop policy if exists "user-avatars read" on storage.objects;
+create policy "user-avatars read" on storage.objects for select to anon, authenticated
+  using (bucket_id = 'user-avatars');
+drop policy if exists "user-avatars owner write" on storage.objects;
+create policy "user-avatars owner write" on storage.objects for all to authenticated
+  using (bucket_id = 'user-avatars' and name = public.app_user_id()::text || '.png')
+  with check (bucket_id = 'user-avatars' and name = public.app_user_id()::text || '.png');
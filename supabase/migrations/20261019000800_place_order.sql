@@ -0,0 +1,145 @@
+-- Checkout in one transaction: place_order() turns the caller's cart into an
+-- order, its item snapshots and a payment row, and takes the items out of
+-- stock. The variant rows are locked first, so two shoppers can't both buy
+-- the last unit, and any failure rolls back everything.
+
+create or replace function public.place_order(
+  p_cart_id public.cart.id%type,
+  p_shipping_address_id public.user_addresses.id%type default null,
+  -- Used when no saved address is picked: { full_name, phone, address_line, city, province, postal_code }
+  p_shipping jsonb default null,
+  p_payment_method text default 'cod',
+  p_payment_status text default 'pending',
+  p_transaction_id text default null
+) returns public.orders
+language plpgsql security definer set search_path = public as $$
+declare
+  v_user_id uuid := public.app_user_id();
+  v_address public.user_addresses;
+  v_shipping jsonb := coalesce(p_shipping, '{}'::jsonb);
+  v_out_of_stock jsonb;
+  v_total numeric;
+  v_order public.orders;
+begin
+  if v_user_id is null then
+    raise exception 'Not signed in' using errcode = '42501';
+  end if;
+  if not exists (select 1 from public.cart where id = p_cart_id and user_id = v_user_id) then
+    raise exception 'Cart not found' using errcode = 'P0002';
+  end if;
+  if not exists (select 1 from public.users where id = v_user_id and email_verified_at is not null) then
+    raise exception 'Please verify your email address before placing an order.' using errcode = 'P0001';
+  end if;
+  if p_payment_method not in ('cod', 'card') or coalesce(p_payment_status, 'pending') not in ('pending', 'paid') then
+    raise exception 'Unsupported payment method or status' using errcode = '22023';
+  end if;
+
+  -- Lock the variants being bought (in a fixed order, so concurrent checkouts
+  -- can't deadlock) before reading their stock.
+  perform 1
+  from public.product_variants v
+  where v.id in (select ci.product_variant_id from public.cart_items ci where ci.cart_id = p_cart_id)
+  order by v.id
+  for update;
+
+  create temporary table checkout_lines on commit drop as
+    select
+      ci.id as cart_item_id,
+      ci.product_id,
+      ci.product_variant_id,
+      ci.quantity,
+      p.name,
+      coalesce(p.price, 0) as price,
+      v.color,
+      v.size,
+      coalesce(nullif(v.img_url, ''), p.img_url) as img_url,
+      coalesce(v.stock, 0) as available,
+      sum(ci.quantity) over (partition by ci.product_variant_id) as requested
+    from public.cart_items ci
+    left join public.product_variants v on v.id = ci.product_variant_id
+    left join public.products p on p.id = coalesce(v.product_id, ci.product_id)
+    where ci.cart_id = p_cart_id;
+
+  if not exists (select 1 from checkout_lines) then
+    raise exception 'Your cart is empty' using errcode = 'P0001';
+  end if;
+
+  -- Everything short on stock (or no longer sold) is reported at once; the
+  -- PT409 code makes PostgREST answer 409 with the list in `details`.
+  select jsonb_agg(jsonb_build_object(
+           'cart_item_id', cart_item_id,
+           'product_id', product_id,
+           'product_variant_id', product_variant_id,
+           'name', name,
+           'color', color,
+           'size', size,
+           'requested', requested,
+           'available', available
+         ) order by name)
+  into v_out_of_stock
+  from checkout_lines
+  where name is null or product_variant_id is null or requested > available;
+
+  if v_out_of_stock is not null then
+    raise exception 'Some items in your cart are out of stock'
+      using errcode = 'PT409', detail = v_out_of_stock::text, hint = 'out_of_stock';
+  end if;
+
+  if p_shipping_address_id is not null then
+    select * into v_address from public.user_addresses where id = p_shipping_address_id and user_id = v_user_id;
+    if v_address.id is null then
+      raise exception 'Address not found' using errcode = 'P0002';
+    end if;
+    v_shipping := jsonb_build_object(
+      'label', v_address.label,
+      'full_name', v_address.full_name,
+      'phone', v_address.phone,
+      'address_line', v_address.address_line,
+      'city', v_address.city,
+      'province', v_address.province,
+      'postal_code', v_address.postal_code
+    );
+  end if;
+
+  select sum(price * quantity) into v_total from checkout_lines;
+
+  insert into public.orders (
+    user_id, total, status, payment_status, payment_method, stock_deducted_at,
+    shipping_address_id, shipping_label, shipping_full_name, shipping_phone,
+    shipping_address_line, shipping_city, shipping_province, shipping_postal_code
+  ) values (
+    v_user_id, v_total, 'processing', coalesce(p_payment_status, 'pending'), p_payment_method, now(),
+    p_shipping_address_id, v_shipping ->> 'label', v_shipping ->> 'full_name', v_shipping ->> 'phone',
+    v_shipping ->> 'address_line', v_shipping ->> 'city', v_shipping ->> 'province', v_shipping ->> 'postal_code'
+  )
+  returning * into v_order;
+
+  insert into public.order_items (order_id, product_id, product_variant_id, quantity, price, name, color, size, img_url)
+  select v_order.id, product_id, product_variant_id, quantity, price, name, color, size, img_url
+  from checkout_lines;
+
+  update public.product_variants v
+  set stock = v.stock - l.qty
+  from (select product_variant_id, sum(quantity) as qty from checkout_lines group by product_variant_id) l
+  where v.id = l.product_variant_id;
+
+  perform public.recalc_product_stock(array(select distinct product_id from checkout_lines where product_id is not null));
+
+  insert into public.payments (order_id, amount, method, status, transaction_id)
+  values (v_order.id, v_total, p_payment_method, coalesce(p_payment_status, 'pending'), p_transaction_id);
+
+  delete from public.cart_items where cart_id = p_cart_id;
+
+  return v_order;
+end;
+$$;
+
+revoke execute on function public.place_order(uuid, uuid, jsonb, text, text, text) from public, anon;
+grant execute on function public.place_order(uuid, uuid, jsonb, text, text, text) to authenticated;
+
+-- Customers no longer write orders, items or payments directly; place_order()
+-- is the only way in. Admin policies are unchanged.
+drop policy if exists orders_customer_insert on public.orders;
+drop policy if exists order_items_customer_insert on public.order_items;
+drop policy if exists payments_customer_insert on public.payments;
+revoke execute on function public.deduct_order_stock(public.orders.id%type) from authenticated;
@@ -0,0 +1,157 @@
+-- Card payments are no longer vouched for by the browser. Orders carry their
+-- own price breakdown, place_order() always starts them unpaid, and the
+-- server creates the Stripe PaymentIntent for the order's total and records
+-- its id here (server/payments.cjs).
+
+alter table public.orders add column if not exists subtotal numeric(10, 2);
+alter table public.orders add column if not exists shipping_fee numeric(10, 2) not null default 0;
+alter table public.orders add column if not exists discount_total numeric(10, 2) not null default 0;
+alter table public.orders add column if not exists payment_intent_id text;
+update public.orders set subtotal = total where subtotal is null;
+
+create unique index if not exists orders_payment_intent_id_key on public.orders (payment_intent_id);
+
+-- Shipping charged on an order with this subtotal. Free for now; change the
+-- rate here and both checkout and the PaymentIntent amount follow.
+create or replace function public.shipping_fee_for(p_subtotal numeric) returns numeric
+language sql immutable as $$
+  select 0::numeric
+$$;
+
+drop function if exists public.place_order(uuid, uuid, jsonb, text, text, text);
+
+-- As before, minus the browser-supplied payment status and transaction id,
+-- and with the subtotal / shipping / total breakdown filled in.
+create or replace function public.place_order(
+  p_cart_id public.cart.id%type,
+  p_shipping_address_id public.user_addresses.id%type default null,
+  -- Used when no saved address is picked: { full_name, phone, address_line, city, province, postal_code }
+  p_shipping jsonb default null,
+  p_payment_method text default 'cod'
+) returns public.orders
+language plpgsql security definer set search_path = public as $$
+declare
+  v_user_id uuid := public.app_user_id();
+  v_address public.user_addresses;
+  v_shipping jsonb := coalesce(p_shipping, '{}'::jsonb);
+  v_out_of_stock jsonb;
+  v_subtotal numeric;
+  v_shipping_fee numeric;
+  v_order public.orders;
+begin
+  if v_user_id is null then
+    raise exception 'Not signed in' using errcode = '42501';
+  end if;
+  if not exists (select 1 from public.cart where id = p_cart_id and user_id = v_user_id) then
+    raise exception 'Cart not found' using errcode = 'P0002';
+  end if;
+  if not exists (select 1 from public.users where id = v_user_id and email_verified_at is not null) then
+    raise exception 'Please verify your email address before placing an order.' using errcode = 'P0001';
+  end if;
+  if p_payment_method not in ('cod', 'card') then
+    raise exception 'Unsupported payment method' using errcode = '22023';
+  end if;
+
+  -- Lock the variants being bought (in a fixed order, so concurrent checkouts
+  -- can't deadlock) before reading their stock.
+  perform 1
+  from public.product_variants v
+  where v.id in (select ci.product_variant_id from public.cart_items ci where ci.cart_id = p_cart_id)
+  order by v.id
+  for update;
+
+  create temporary table checkout_lines on commit drop as
+    select
+      ci.id as cart_item_id,
+      ci.product_id,
+      ci.product_variant_id,
+      ci.quantity,
+      p.name,
+      coalesce(p.price, 0) as price,
+      v.color,
+      v.size,
+      coalesce(nullif(v.img_url, ''), p.img_url) as img_url,
+      coalesce(v.stock, 0) as available,
+      sum(ci.quantity) over (partition by ci.product_variant_id) as requested
+    from public.cart_items ci
+    left join public.product_variants v on v.id = ci.product_variant_id
+    left join public.products p on p.id = coalesce(v.product_id, ci.product_id)
+    where ci.cart_id = p_cart_id;
+
+  if not exists (select 1 from checkout_lines) then
+    raise exception 'Your cart is empty' using errcode = 'P0001';
+  end if;
+
+  -- Everything short on stock (or no longer sold) is reported at once; the
+  -- PT409 code makes PostgREST answer 409 with the list in `details`.
+  select jsonb_agg(jsonb_build_object(
+           'cart_item_id', cart_item_id,
+           'product_id', product_id,
+           'product_variant_id', product_variant_id,
+           'name', name,
+           'color', color,
+           'size', size,
+           'requested', requested,
+           'available', available
+         ) order by name)
+  into v_out_of_stock
+  from checkout_lines
+  where name is null or product_variant_id is null or requested > available;
+
+  if v_out_of_stock is not null then
+    raise exception 'Some items in your cart are out of stock'
+      using errcode = 'PT409', detail = v_out_of_stock::text, hint = 'out_of_stock';
+  end if;
+
+  if p_shipping_address_id is not null then
+    select * into v_address from public.user_addresses where id = p_shipping_address_id and user_id = v_user_id;
+    if v_address.id is null then
+      raise exception 'Address not found' using errcode = 'P0002';
+    end if;
+    v_shipping := jsonb_build_object(
+      'label', v_address.label,
+      'full_name', v_address.full_name,
+      'phone', v_address.phone,
+      'address_line', v_address.address_line,
+      'city', v_address.city,
+      'province', v_address.province,
+      'postal_code', v_address.postal_code
+    );
+  end if;
+
+  select sum(price * quantity) into v_subtotal from checkout_lines;
+  v_shipping_fee := public.shipping_fee_for(v_subtotal);
+
+  insert into public.orders (
+    user_id, subtotal, shipping_fee, discount_total, total, status, payment_status, payment_method, stock_deducted_at,
+    shipping_address_id, shipping_label, shipping_full_name, shipping_phone,
+    shipping_address_line, shipping_city, shipping_province, shipping_postal_code
+  ) values (
+    v_user_id, v_subtotal, v_shipping_fee, 0, v_subtotal + v_shipping_fee, 'processing', 'pending', p_payment_method, now(),
+    p_shipping_address_id, v_shipping ->> 'label', v_shipping ->> 'full_name', v_shipping ->> 'phone',
+    v_shipping ->> 'address_line', v_shipping ->> 'city', v_shipping ->> 'province', v_shipping ->> 'postal_code'
+  )
+  returning * into v_order;
+
+  insert into public.order_items (order_id, product_id, product_variant_id, quantity, price, name, color, size, img_url)
+  select v_order.id, product_id, product_variant_id, quantity, price, name, color, size, img_url
+  from checkout_lines;
+
+  update public.product_variants v
+  set stock = v.stock - l.qty
+  from (select product_variant_id, sum(quantity) as qty from checkout_lines group by product_variant_id) l
+  where v.id = l.product_variant_id;
+
+  perform public.recalc_product_stock(array(select distinct product_id from checkout_lines where product_id is not null));
+
+  insert into public.payments (order_id, amount, method, status)
+  values (v_order.id, v_order.total, p_payment_method, 'pending');
+
+  delete from public.cart_items where cart_id = p_cart_id;
+
+  return v_order;
+end;
+$$;
+
+revoke execute on function public.place_order(uuid, uuid, jsonb, text) from public, anon;
+grant execute on function public.place_order(uuid, uuid, jsonb, text) to authenticated;
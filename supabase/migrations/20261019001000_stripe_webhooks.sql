@@ -0,0 +1,22 @@
+-- Stripe webhook bookkeeping (server/stripeWebhook.cjs).
+--
+-- orders.payment_status / payments.status now follow Stripe:
+--   pending | paid | failed | partially_refunded | refunded | disputed | dispute_lost
+
+-- Every event id that has been handled, so redeliveries are acknowledged
+-- without being applied twice.
+create table if not exists public.stripe_events (
+  id text primary key,
+  type text not null,
+  livemode boolean not null default false,
+  received_at timestamptz not null default now(),
+  processed_at timestamptz
+);
+
+-- Server only.
+alter table public.stripe_events enable row level security;
+
+-- Running total refunded on the charge, as reported by charge.refunded
+alter table public.payments add column if not exists refunded_amount numeric(10, 2) not null default 0;
+
+create index if not exists payments_transaction_id_idx on public.payments (transaction_id);
@@ -0,0 +1,187 @@
+-- Refunds issued from the admin order view (server/refunds.cjs). Each refund
+-- is one row against the order's payment, with the items it covered; card
+-- refunds also carry the Stripe refund id.
+
+-- How much of each line has been refunded / put back on the shelf so far
+alter table public.order_items add column if not exists refunded_quantity integer not null default 0;
+alter table public.order_items add column if not exists restocked_quantity integer not null default 0;
+
+create table if not exists public.refunds (
+  id uuid primary key default gen_random_uuid(),
+  order_id uuid not null references public.orders (id) on delete cascade,
+  payment_id uuid not null references public.payments (id) on delete cascade,
+  amount numeric(10, 2) not null check (amount > 0),
+  reason text,
+  -- Stripe's refund status (pending | succeeded | failed); cash refunds are recorded as succeeded
+  status text not null default 'succeeded',
+  stripe_refund_id text unique,
+  restocked boolean not null default false,
+  created_by uuid references public.users (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists refunds_order_id_idx on public.refunds (order_id);
+create index if not exists refunds_payment_id_idx on public.refunds (payment_id);
+
+create table if not exists public.refund_items (
+  id uuid primary key default gen_random_uuid(),
+  refund_id uuid not null references public.refunds (id) on delete cascade,
+  order_item_id uuid not null references public.order_items (id) on delete cascade,
+  quantity integer not null check (quantity > 0),
+  amount numeric(10, 2) not null default 0
+);
+
+create index if not exists refund_items_refund_id_idx on public.refund_items (refund_id);
+
+-- Admins see every refund, customers the ones on their own orders; only the
+-- server writes them.
+alter table public.refunds enable row level security;
+drop policy if exists refunds_read on public.refunds;
+create policy refunds_read on public.refunds for select to authenticated
+  using (public.app_is_admin() or exists (select 1 from public.orders o where o.id = refunds.order_id and o.user_id = public.app_user_id()));
+
+alter table public.refund_items enable row level security;
+drop policy if exists refund_items_read on public.refund_items;
+create policy refund_items_read on public.refund_items for select to authenticated
+  using (exists (
+    select 1 from public.refunds r join public.orders o on o.id = r.order_id
+    where r.id = refund_items.refund_id and (public.app_is_admin() or o.user_id = public.app_user_id())
+  ));
+
+-- Records a refund the server has already issued (or, for cash, is about to
+-- hand over): the refund and item rows, the refunded quantities, the payment's
+-- refunded total and status, and optionally puts the items back in stock.
+-- p_items: [{ order_item_id, quantity, amount }]
+create or replace function public.record_refund(
+  p_order_id public.orders.id%type,
+  p_amount numeric,
+  p_items jsonb,
+  p_restock boolean,
+  p_reason text,
+  p_stripe_refund_id text,
+  p_status text,
+  p_created_by public.users.id%type
+) returns public.refunds
+language plpgsql security definer set search_path = public as $$
+declare
+  v_order public.orders;
+  v_payment public.payments;
+  v_refund public.refunds;
+  v_refunded numeric;
+  v_status text;
+begin
+  select * into v_order from public.orders where id = p_order_id for update;
+  if v_order.id is null then
+    raise exception 'Order not found' using errcode = 'P0002';
+  end if;
+  select * into v_payment from public.payments where order_id = p_order_id order by created_at limit 1 for update;
+  if v_payment.id is null then
+    raise exception 'This order has no payment to refund' using errcode = 'P0001';
+  end if;
+
+  create temporary table refund_lines on commit drop as
+    select (x ->> 'order_item_id')::uuid as order_item_id, (x ->> 'quantity')::integer as quantity, coalesce((x ->> 'amount')::numeric, 0) as amount
+    from jsonb_array_elements(coalesce(p_items, '[]'::jsonb)) x;
+
+  perform 1 from public.order_items where order_id = p_order_id order by id for update;
+  if exists (
+    select 1 from refund_lines l
+    left join public.order_items i on i.id = l.order_item_id and i.order_id = p_order_id
+    where i.id is null or l.quantity <= 0 or i.refunded_quantity + l.quantity > i.quantity
+  ) then
+    raise exception 'Refund quantities exceed what is left on the order' using errcode = 'P0001';
+  end if;
+
+  insert into public.refunds (order_id, payment_id, amount, reason, status, stripe_refund_id, restocked, created_by)
+  values (p_order_id, v_payment.id, p_amount, p_reason, coalesce(p_status, 'succeeded'), p_stripe_refund_id,
+          coalesce(p_restock, false) and v_order.stock_deducted_at is not null, p_created_by)
+  returning * into v_refund;
+
+  insert into public.refund_items (refund_id, order_item_id, quantity, amount)
+  select v_refund.id, order_item_id, quantity, amount from refund_lines;
+
+  update public.order_items i
+  set refunded_quantity = i.refunded_quantity + l.quantity
+  from refund_lines l
+  where i.id = l.order_item_id;
+
+  -- Only items that actually left stock (and haven't come back yet) are restocked
+  if v_refund.restocked then
+    create temporary table restock_lines on commit drop as
+      select i.id as order_item_id, i.product_id, i.product_variant_id, least(l.quantity, i.quantity - i.restocked_quantity) as qty
+      from refund_lines l
+      join public.order_items i on i.id = l.order_item_id
+      where i.quantity > i.restocked_quantity;
+
+    update public.product_variants v
+    set stock = coalesce(v.stock, 0) + r.qty
+    from (select product_variant_id, sum(qty) as qty from restock_lines where product_variant_id is not null group by product_variant_id) r
+    where v.id = r.product_variant_id;
+
+    update public.order_items i
+    set restocked_quantity = i.restocked_quantity + r.qty
+    from restock_lines r
+    where i.id = r.order_item_id;
+
+    perform public.recalc_product_stock(array(select distinct product_id from restock_lines where product_id is not null));
+  end if;
+
+  -- The webhook may already have recorded this refund's total from Stripe
+  select coalesce(sum(amount), 0) into v_refunded from public.refunds where payment_id = v_payment.id and status <> 'failed';
+  v_refunded := greatest(v_refunded, v_payment.refunded_amount);
+  v_status := case when v_refunded >= v_payment.amount then 'refunded' else 'partially_refunded' end;
+
+  update public.payments set refunded_amount = v_refunded, status = v_status where id = v_payment.id;
+  update public.orders set payment_status = v_status where id = p_order_id;
+
+  return v_refund;
+end;
+$$;
+
+revoke execute on function public.record_refund(uuid, numeric, jsonb, boolean, text, text, text, uuid) from public, anon, authenticated;
+
+-- cancel_order: items already put back by a refund are not restocked twice.
+create or replace function public.cancel_order(p_order_id public.orders.id%type) returns void
+language plpgsql security definer set search_path = public as $$
+declare
+  v_order public.orders;
+  v_admin boolean := public.app_is_admin();
+  v_status text;
+begin
+  select * into v_order from public.orders where id = p_order_id for update;
+  if v_order.id is null or (v_order.user_id is distinct from public.app_user_id() and not v_admin) then
+    raise exception 'Order not found' using errcode = 'P0002';
+  end if;
+
+  v_status := lower(coalesce(v_order.status, ''));
+  if v_status = 'cancelled' then
+    return;
+  end if;
+  if not v_admin and v_status in ('shipping', 'delivered') then
+    raise exception 'This order cannot be cancelled' using errcode = 'P0001';
+  end if;
+
+  -- Only orders that have not left the warehouse go back on the shelf
+  if v_order.stock_deducted_at is not null and v_status in ('pending', 'processing') then
+    update public.product_variants v
+    set stock = coalesce(v.stock, 0) + i.qty
+    from (
+      select product_variant_id, sum(quantity - restocked_quantity) as qty
+      from public.order_items where order_id = p_order_id and product_variant_id is not null
+      group by product_variant_id
+    ) i
+    where v.id = i.product_variant_id;
+
+    update public.order_items set restocked_quantity = quantity where order_id = p_order_id;
+
+    perform public.recalc_product_stock(array(
+      select distinct product_id from public.order_items where order_id = p_order_id and product_id is not null
+    ));
+  end if;
+
+  update public.orders
+  set status = 'cancelled',
+      stock_deducted_at = case when v_status in ('pending', 'processing') then null else stock_deducted_at end
+  where id = p_order_id;
+end;
+$$;
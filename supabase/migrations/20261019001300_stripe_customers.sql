@@ -0,0 +1,5 @@
+-- Saved cards: each shopper's Stripe Customer (server/paymentMethods.cjs).
+-- Only the server reads or writes it; the column is left out of the
+-- authenticated role's column grants on users.
+alter table public.users add column if not exists stripe_customer_id text;
+create unique index if not exists users_stripe_customer_id_key on public.users (stripe_customer_id);
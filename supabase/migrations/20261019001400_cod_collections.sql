@@ -0,0 +1,13 @@
+-- Cash on delivery: when the courier hands over the cash, an admin records
+-- how much came in and who collected it (server/codCollections.cjs). The
+-- payment becomes `paid`, or `short` when less than the order total arrived.
+alter table public.payments add column if not exists collected_amount numeric(10, 2);
+alter table public.payments add column if not exists collected_at timestamptz;
+-- Courier or staff member who took the cash
+alter table public.payments add column if not exists collected_by_name text;
+-- Admin who recorded it
+alter table public.payments add column if not exists collection_recorded_by uuid references public.users (id) on delete set null;
+alter table public.payments add column if not exists collection_note text;
+
+-- End-of-day remittance report: COD payments collected in a time range
+create index if not exists payments_cod_collected_at_idx on public.payments (collected_at) where method = 'cod';
@@ -0,0 +1,203 @@
+-- Selling in more than one currency. Catalog prices stay in the store's base
+-- currency; every other currency has an admin-managed rate (units per one
+-- base unit). An order is priced in the currency the shopper picked, at the
+-- rate of the moment, and keeps both, so everything after checkout (Stripe
+-- amounts, refunds, COD collection) works in the order's own currency.
+
+create table if not exists public.currencies (
+  code text primary key check (code ~ '^[A-Z]{3}$'),
+  name text not null,
+  -- Digits after the decimal point (2 for USD/PHP, 0 for JPY)
+  minor_units smallint not null default 2 check (minor_units between 0 and 3),
+  rate numeric(18, 6) not null check (rate > 0),
+  is_base boolean not null default false,
+  enabled boolean not null default true,
+  updated_at timestamptz not null default now(),
+  check (not is_base or rate = 1)
+);
+
+create unique index if not exists currencies_single_base on public.currencies (is_base) where is_base;
+
+-- Existing prices have always been shown and charged as USD
+insert into public.currencies (code, name, minor_units, rate, is_base) values
+  ('USD', 'US Dollar', 2, 1, true),
+  ('PHP', 'Philippine Peso', 2, 58, false)
+on conflict (code) do nothing;
+
+alter table public.currencies enable row level security;
+drop policy if exists currencies_read on public.currencies;
+create policy currencies_read on public.currencies for select to anon, authenticated
+  using (enabled or is_base or public.app_is_admin());
+drop policy if exists currencies_admin_write on public.currencies;
+create policy currencies_admin_write on public.currencies for all to authenticated
+  using (public.app_is_admin()) with check (public.app_is_admin());
+
+create or replace function public.base_currency() returns text
+language sql stable security definer set search_path = public as $$
+  select code from public.currencies where is_base
+$$;
+
+alter table public.orders add column if not exists currency text not null default 'USD';
+alter table public.orders add column if not exists exchange_rate numeric(18, 6) not null default 1;
+
+drop function if exists public.place_order(uuid, uuid, jsonb, text, text);
+
+-- As in 20261019001200, priced in the requested currency.
+create or replace function public.place_order(
+  p_cart_id public.cart.id%type,
+  p_shipping_address_id public.user_addresses.id%type default null,
+  -- Used when no saved address is picked: { full_name, phone, address_line, city, province, postal_code }
+  p_shipping jsonb default null,
+  p_payment_method text default 'cod',
+  -- One per checkout attempt; repeating it returns the order it created
+  p_idempotency_key text default null,
+  -- Currency the shopper is buying in; the store's base currency if null
+  p_currency text default null
+) returns public.orders
+language plpgsql security definer set search_path = public as $$
+declare
+  v_user_id uuid := public.app_user_id();
+  v_address public.user_addresses;
+  v_shipping jsonb := coalesce(p_shipping, '{}'::jsonb);
+  v_out_of_stock jsonb;
+  v_subtotal numeric;
+  v_shipping_fee numeric;
+  v_order public.orders;
+  v_currency public.currencies;
+begin
+  if v_user_id is null then
+    raise exception 'Not signed in' using errcode = '42501';
+  end if;
+  if not exists (select 1 from public.cart where id = p_cart_id and user_id = v_user_id) then
+    raise exception 'Cart not found' using errcode = 'P0002';
+  end if;
+  if not exists (select 1 from public.users where id = v_user_id and email_verified_at is not null) then
+    raise exception 'Please verify your email address before placing an order.' using errcode = 'P0001';
+  end if;
+  if p_payment_method not in ('cod', 'card') then
+    raise exception 'Unsupported payment method' using errcode = '22023';
+  end if;
+
+  -- A retried or double-submitted checkout waits for the first one to finish
+  -- and then gets its order back, without touching the cart or stock again.
+  if p_idempotency_key is not null then
+    if length(p_idempotency_key) > 255 then
+      raise exception 'Idempotency key too long' using errcode = '22023';
+    end if;
+    perform pg_advisory_xact_lock(hashtextextended(v_user_id::text || ':' || p_idempotency_key, 0));
+    select * into v_order from public.orders where user_id = v_user_id and idempotency_key = p_idempotency_key;
+    if v_order.id is not null then
+      return v_order;
+    end if;
+  end if;
+
+  select * into v_currency from public.currencies
+  where code = coalesce(upper(p_currency), public.base_currency()) and (enabled or is_base);
+  if v_currency.code is null then
+    raise exception 'Unsupported currency' using errcode = '22023';
+  end if;
+
+  -- Lock the variants being bought (in a fixed order, so concurrent checkouts
+  -- can't deadlock) before reading their stock.
+  perform 1
+  from public.product_variants v
+  where v.id in (select ci.product_variant_id from public.cart_items ci where ci.cart_id = p_cart_id)
+  order by v.id
+  for update;
+
+  create temporary table checkout_lines on commit drop as
+    select
+      ci.id as cart_item_id,
+      ci.product_id,
+      ci.product_variant_id,
+      ci.quantity,
+      p.name,
+      -- Catalog prices are in the base currency; the order is priced in the shopper's
+      round(coalesce(p.price, 0) * v_currency.rate, v_currency.minor_units) as price,
+      v.color,
+      v.size,
+      coalesce(nullif(v.img_url, ''), p.img_url) as img_url,
+      coalesce(v.stock, 0) as available,
+      sum(ci.quantity) over (partition by ci.product_variant_id) as requested
+    from public.cart_items ci
+    left join public.product_variants v on v.id = ci.product_variant_id
+    left join public.products p on p.id = coalesce(v.product_id, ci.product_id)
+    where ci.cart_id = p_cart_id;
+
+  if not exists (select 1 from checkout_lines) then
+    raise exception 'Your cart is empty' using errcode = 'P0001';
+  end if;
+
+  -- Everything short on stock (or no longer sold) is reported at once; the
+  -- PT409 code makes PostgREST answer 409 with the list in `details`.
+  select jsonb_agg(jsonb_build_object(
+           'cart_item_id', cart_item_id,
+           'product_id', product_id,
+           'product_variant_id', product_variant_id,
+           'name', name,
+           'color', color,
+           'size', size,
+           'requested', requested,
+           'available', available
+         ) order by name)
+  into v_out_of_stock
+  from checkout_lines
+  where name is null or product_variant_id is null or requested > available;
+
+  if v_out_of_stock is not null then
+    raise exception 'Some items in your cart are out of stock'
+      using errcode = 'PT409', detail = v_out_of_stock::text, hint = 'out_of_stock';
+  end if;
+
+  if p_shipping_address_id is not null then
+    select * into v_address from public.user_addresses where id = p_shipping_address_id and user_id = v_user_id;
+    if v_address.id is null then
+      raise exception 'Address not found' using errcode = 'P0002';
+    end if;
+    v_shipping := jsonb_build_object(
+      'label', v_address.label,
+      'full_name', v_address.full_name,
+      'phone', v_address.phone,
+      'address_line', v_address.address_line,
+      'city', v_address.city,
+      'province', v_address.province,
+      'postal_code', v_address.postal_code
+    );
+  end if;
+
+  select sum(price * quantity) into v_subtotal from checkout_lines;
+  v_shipping_fee := public.shipping_fee_for(v_subtotal);
+
+  insert into public.orders (
+    user_id, subtotal, shipping_fee, discount_total, total, status, payment_status, payment_method, stock_deducted_at, idempotency_key, currency, exchange_rate,
+    shipping_address_id, shipping_label, shipping_full_name, shipping_phone,
+    shipping_address_line, shipping_city, shipping_province, shipping_postal_code
+  ) values (
+    v_user_id, v_subtotal, v_shipping_fee, 0, v_subtotal + v_shipping_fee, 'processing', 'pending', p_payment_method, now(), p_idempotency_key, v_currency.code, v_currency.rate,
+    p_shipping_address_id, v_shipping ->> 'label', v_shipping ->> 'full_name', v_shipping ->> 'phone',
+    v_shipping ->> 'address_line', v_shipping ->> 'city', v_shipping ->> 'province', v_shipping ->> 'postal_code'
+  )
+  returning * into v_order;
+
+  insert into public.order_items (order_id, product_id, product_variant_id, quantity, price, name, color, size, img_url)
+  select v_order.id, product_id, product_variant_id, quantity, price, name, color, size, img_url
+  from checkout_lines;
+
+  update public.product_variants v
+  set stock = v.stock - l.qty
+  from (select product_variant_id, sum(quantity) as qty from checkout_lines group by product_variant_id) l
+  where v.id = l.product_variant_id;
+
+  perform public.recalc_product_stock(array(select distinct product_id from checkout_lines where product_id is not null));
+
+  insert into public.payments (order_id, amount, method, status)
+  values (v_order.id, v_order.total, p_payment_method, 'pending');
+
+  delete from public.cart_items where cart_id = p_cart_id;
+
+  return v_order;
+end;
+$$;
+
+revoke execute on function public.place_order(uuid, uuid, jsonb, text, text, text) from public, anon;
+grant execute on function public.place_order(uuid, uuid, jsonb, text, text, text) to authenticated;
@@ -0,0 +1,330 @@
+-- Stock held for a checkout. Opening checkout reserves the cart's variant
+-- quantities for a while (15 minutes, or the app.stock_reservation_minutes
+-- setting), so a shopper paying by card can't lose the items to someone else
+-- in the meantime. A hold counts only until it expires; nothing has to run
+-- to release it, and expired rows are cleared out on the next reservation.
+-- Other shoppers see, and can order, stock minus the active holds.
+
+create table if not exists public.stock_reservations (
+  cart_id uuid not null references public.cart (id) on delete cascade,
+  product_variant_id uuid not null references public.product_variants (id) on delete cascade,
+  user_id uuid not null references public.users (id) on delete cascade,
+  quantity integer not null check (quantity > 0),
+  expires_at timestamptz not null,
+  created_at timestamptz not null default now(),
+  primary key (cart_id, product_variant_id)
+);
+
+create index if not exists stock_reservations_variant_idx on public.stock_reservations (product_variant_id, expires_at);
+
+alter table public.stock_reservations enable row level security;
+drop policy if exists stock_reservations_read on public.stock_reservations;
+create policy stock_reservations_read on public.stock_reservations for select to authenticated
+  using (user_id = public.app_user_id() or public.app_is_admin());
+
+-- How long a checkout holds stock. Override per database with
+--   alter database postgres set app.stock_reservation_minutes = '20';
+create or replace function public.stock_reservation_minutes() returns integer
+language sql stable as $$
+  select coalesce(nullif(current_setting('app.stock_reservation_minutes', true), '')::integer, 15)
+$$;
+
+-- Units of each variant held by other shoppers' active checkouts (all of them
+-- for anonymous callers). Storefront stock is `stock` minus this.
+create or replace function public.held_stock(p_variant_ids uuid[])
+returns table (product_variant_id uuid, held bigint)
+language sql stable security definer set search_path = public as $$
+  select r.product_variant_id, sum(r.quantity)::bigint
+  from public.stock_reservations r
+  where r.product_variant_id = any(p_variant_ids)
+    and r.expires_at > now()
+    and r.user_id is distinct from public.app_user_id()
+  group by r.product_variant_id
+$$;
+
+-- Holds the caller's cart for stock_reservation_minutes() from now, replacing
+-- any earlier hold for it, and returns when the hold runs out. Reports every
+-- short item at once like place_order() (PT409 / out_of_stock) and holds
+-- nothing in that case.
+create or replace function public.reserve_cart(p_cart_id public.cart.id%type) returns timestamptz
+language plpgsql security definer set search_path = public as $$
+declare
+  v_user_id uuid := public.app_user_id();
+  v_expires_at timestamptz := now() + make_interval(mins => public.stock_reservation_minutes());
+  v_out_of_stock jsonb;
+begin
+  if v_user_id is null then
+    raise exception 'Not signed in' using errcode = '42501';
+  end if;
+  if not exists (select 1 from public.cart where id = p_cart_id and user_id = v_user_id) then
+    raise exception 'Cart not found' using errcode = 'P0002';
+  end if;
+
+  delete from public.stock_reservations where expires_at <= now();
+
+  -- Same lock order as place_order(), so the two can't deadlock
+  perform 1
+  from public.product_variants v
+  where v.id in (select ci.product_variant_id from public.cart_items ci where ci.cart_id = p_cart_id)
+  order by v.id
+  for update;
+
+  create temporary table reserve_lines on commit drop as
+    select
+      ci.id as cart_item_id,
+      ci.product_id,
+      ci.product_variant_id,
+      p.name,
+      v.color,
+      v.size,
+      coalesce(v.stock, 0) - coalesce((
+        select sum(h.quantity) from public.stock_reservations h
+        where h.product_variant_id = v.id and h.cart_id <> p_cart_id and h.expires_at > now()
+      ), 0) as available,
+      sum(ci.quantity) over (partition by ci.product_variant_id) as requested
+    from public.cart_items ci
+    left join public.product_variants v on v.id = ci.product_variant_id
+    left join public.products p on p.id = coalesce(v.product_id, ci.product_id)
+    where ci.cart_id = p_cart_id;
+
+  select jsonb_agg(jsonb_build_object(
+           'cart_item_id', cart_item_id,
+           'product_id', product_id,
+           'product_variant_id', product_variant_id,
+           'name', name,
+           'color', color,
+           'size', size,
+           'requested', requested,
+           'available', greatest(available, 0)
+         ) order by name)
+  into v_out_of_stock
+  from reserve_lines
+  where name is null or product_variant_id is null or requested > available;
+
+  if v_out_of_stock is not null then
+    raise exception 'Some items in your cart are out of stock'
+      using errcode = 'PT409', detail = v_out_of_stock::text, hint = 'out_of_stock';
+  end if;
+
+  delete from public.stock_reservations r
+  where r.cart_id = p_cart_id
+    and r.product_variant_id not in (select product_variant_id from reserve_lines);
+
+  insert into public.stock_reservations (cart_id, product_variant_id, user_id, quantity, expires_at)
+  select distinct p_cart_id, product_variant_id, v_user_id, requested, v_expires_at from reserve_lines
+  on conflict (cart_id, product_variant_id)
+  do update set quantity = excluded.quantity, expires_at = excluded.expires_at;
+
+  return v_expires_at;
+end;
+$$;
+
+-- Lets go of the caller's hold (checkout closed without ordering)
+create or replace function public.release_cart(p_cart_id public.cart.id%type) returns void
+language sql security definer set search_path = public as $$
+  delete from public.stock_reservations
+  where cart_id = p_cart_id and user_id = public.app_user_id()
+$$;
+
+revoke execute on function public.held_stock(uuid[]) from public;
+grant execute on function public.held_stock(uuid[]) to anon, authenticated;
+revoke execute on function public.reserve_cart(uuid) from public, anon;
+grant execute on function public.reserve_cart(uuid) to authenticated;
+revoke execute on function public.release_cart(uuid) from public, anon;
+grant execute on function public.release_cart(uuid) to authenticated;
+
+-- Same signature as 20261019001600; other shoppers' holds count against stock
+-- and the cart's own hold goes once the order is placed.
+create or replace function public.place_order(
+  p_cart_id public.cart.id%type,
+  p_shipping_address_id public.user_addresses.id%type default null,
+  -- Used when no saved address is picked: { full_name, phone, address_line, city, province, postal_code }
+  p_shipping jsonb default null,
+  p_payment_method text default 'cod',
+  -- One per checkout attempt; repeating it returns the order it created
+  p_idempotency_key text default null,
+  -- Currency the shopper is buying in; the store's base currency if null
+  p_currency text default null
+) returns public.orders
+language plpgsql security definer set search_path = public as $$
+declare
+  v_user_id uuid := public.app_user_id();
+  v_address public.user_addresses;
+  v_shipping jsonb := coalesce(p_shipping, '{}'::jsonb);
+  v_out_of_stock jsonb;
+  v_subtotal numeric;
+  v_shipping_fee numeric;
+  v_order public.orders;
+  v_currency public.currencies;
+  v_prices_include_tax boolean;
+  v_tax_total numeric;
+begin
+  if v_user_id is null then
+    raise exception 'Not signed in' using errcode = '42501';
+  end if;
+  if not exists (select 1 from public.cart where id = p_cart_id and user_id = v_user_id) then
+    raise exception 'Cart not found' using errcode = 'P0002';
+  end if;
+  if not exists (select 1 from public.users where id = v_user_id and email_verified_at is not null) then
+    raise exception 'Please verify your email address before placing an order.' using errcode = 'P0001';
+  end if;
+  if p_payment_method not in ('cod', 'card') then
+    raise exception 'Unsupported payment method' using errcode = '22023';
+  end if;
+
+  -- A retried or double-submitted checkout waits for the first one to finish
+  -- and then gets its order back, without touching the cart or stock again.
+  if p_idempotency_key is not null then
+    if length(p_idempotency_key) > 255 then
+      raise exception 'Idempotency key too long' using errcode = '22023';
+    end if;
+    perform pg_advisory_xact_lock(hashtextextended(v_user_id::text || ':' || p_idempotency_key, 0));
+    select * into v_order from public.orders where user_id = v_user_id and idempotency_key = p_idempotency_key;
+    if v_order.id is not null then
+      return v_order;
+    end if;
+  end if;
+
+  select * into v_currency from public.currencies
+  where code = coalesce(upper(p_currency), public.base_currency()) and (enabled or is_base);
+  if v_currency.code is null then
+    raise exception 'Unsupported currency' using errcode = '22023';
+  end if;
+
+  -- Lock the variants being bought (in a fixed order, so concurrent checkouts
+  -- can't deadlock) before reading their stock.
+  perform 1
+  from public.product_variants v
+  where v.id in (select ci.product_variant_id from public.cart_items ci where ci.cart_id = p_cart_id)
+  order by v.id
+  for update;
+
+  create temporary table checkout_lines on commit drop as
+    select
+      ci.id as cart_item_id,
+      ci.product_id,
+      ci.product_variant_id,
+      ci.quantity,
+      p.name,
+      -- Catalog prices are in the base currency; the order is priced in the shopper's
+      round(coalesce(p.price, 0) * v_currency.rate, v_currency.minor_units) as price,
+      v.color,
+      v.size,
+      coalesce(nullif(v.img_url, ''), p.img_url) as img_url,
+      -- Held for other shoppers' checkouts is not available to this one
+      coalesce(v.stock, 0) - coalesce((
+        select sum(h.quantity) from public.stock_reservations h
+        where h.product_variant_id = v.id and h.cart_id <> p_cart_id and h.expires_at > now()
+      ), 0) as available,
+      sum(ci.quantity) over (partition by ci.product_variant_id) as requested
+    from public.cart_items ci
+    left join public.product_variants v on v.id = ci.product_variant_id
+    left join public.products p on p.id = coalesce(v.product_id, ci.product_id)
+    where ci.cart_id = p_cart_id;
+
+  if not exists (select 1 from checkout_lines) then
+    raise exception 'Your cart is empty' using errcode = 'P0001';
+  end if;
+
+  -- Everything short on stock (or no longer sold) is reported at once; the
+  -- PT409 code makes PostgREST answer 409 with the list in `details`.
+  select jsonb_agg(jsonb_build_object(
+           'cart_item_id', cart_item_id,
+           'product_id', product_id,
+           'product_variant_id', product_variant_id,
+           'name', name,
+           'color', color,
+           'size', size,
+           'requested', requested,
+           'available', available
+         ) order by name)
+  into v_out_of_stock
+  from checkout_lines
+  where name is null or product_variant_id is null or requested > available;
+
+  if v_out_of_stock is not null then
+    raise exception 'Some items in your cart are out of stock'
+      using errcode = 'PT409', detail = v_out_of_stock::text, hint = 'out_of_stock';
+  end if;
+
+  if p_shipping_address_id is not null then
+    select * into v_address from public.user_addresses where id = p_shipping_address_id and user_id = v_user_id;
+    if v_address.id is null then
+      raise exception 'Address not found' using errcode = 'P0002';
+    end if;
+    v_shipping := jsonb_build_object(
+      'label', v_address.label,
+      'full_name', v_address.full_name,
+      'phone', v_address.phone,
+      'address_line', v_address.address_line,
+      'city', v_address.city,
+      'province', v_address.province,
+      'postal_code', v_address.postal_code
+    );
+  end if;
+
+  select sum(price * quantity) into v_subtotal from checkout_lines;
+  v_shipping_fee := public.shipping_fee_for(v_subtotal);
+
+  -- Tax per line and rate, rounded to the currency's decimals. Shipping is not
+  -- taxed. With tax-inclusive prices the tax is the part of the price that is
+  -- tax, so the total stays what the shopper saw.
+  v_prices_include_tax := coalesce((select prices_include_tax from public.tax_settings), false);
+  create temporary table checkout_taxes on commit drop as
+    select
+      l.cart_item_id,
+      r.name,
+      r.rate,
+      round(
+        l.price * l.quantity * r.rate
+          / case when v_prices_include_tax then 100 + sum(r.rate) over (partition by l.cart_item_id) else 100 end,
+        v_currency.minor_units
+      ) as amount
+    from checkout_lines l
+    cross join public.tax_rates_for(v_shipping ->> 'province') r;
+  select coalesce(sum(amount), 0) into v_tax_total from checkout_taxes;
+
+  insert into public.orders (
+    user_id, subtotal, shipping_fee, discount_total, tax_total, prices_include_tax, tax_lines, total, status, payment_status, payment_method, stock_deducted_at, idempotency_key, currency, exchange_rate,
+    shipping_address_id, shipping_label, shipping_full_name, shipping_phone,
+    shipping_address_line, shipping_city, shipping_province, shipping_postal_code
+  ) values (
+    v_user_id, v_subtotal, v_shipping_fee, 0, v_tax_total, v_prices_include_tax,
+    coalesce(
+      (select jsonb_agg(jsonb_build_object('name', name, 'rate', rate, 'amount', amount) order by name)
+       from (select name, rate, sum(amount) as amount from checkout_taxes group by name, rate) t),
+      '[]'::jsonb
+    ),
+    v_subtotal + v_shipping_fee + case when v_prices_include_tax then 0 else v_tax_total end, 'processing', 'pending', p_payment_method, now(), p_idempotency_key, v_currency.code, v_currency.rate,
+    p_shipping_address_id, v_shipping ->> 'label', v_shipping ->> 'full_name', v_shipping ->> 'phone',
+    v_shipping ->> 'address_line', v_shipping ->> 'city', v_shipping ->> 'province', v_shipping ->> 'postal_code'
+  )
+  returning * into v_order;
+
+  insert into public.order_items (order_id, product_id, product_variant_id, quantity, price, name, color, size, img_url, tax_rate, tax_amount)
+  select v_order.id, l.product_id, l.product_variant_id, l.quantity, l.price, l.name, l.color, l.size, l.img_url,
+    coalesce(t.rate, 0), coalesce(t.amount, 0)
+  from checkout_lines l
+  left join (
+    select cart_item_id, sum(rate) as rate, sum(amount) as amount from checkout_taxes group by cart_item_id
+  ) t on t.cart_item_id = l.cart_item_id;
+
+  update public.product_variants v
+  set stock = v.stock - l.qty
+  from (select product_variant_id, sum(quantity) as qty from checkout_lines group by product_variant_id) l
+  where v.id = l.product_variant_id;
+
+  perform public.recalc_product_stock(array(select distinct product_id from checkout_lines where product_id is not null));
+
+  insert into public.payments (order_id, amount, method, status)
+  values (v_order.id, v_order.total, p_payment_method, 'pending');
+
+  delete from public.cart_items where cart_id = p_cart_id;
+  delete from public.stock_reservations where cart_id = p_cart_id;
+
+  return v_order;
+end;
+$$;
+
+revoke execute on function public.place_order(uuid, uuid, jsonb, text, text, text) from public, anon;
+grant execute on function public.place_order(uuid, uuid, jsonb, text, text, text) to authenticated;
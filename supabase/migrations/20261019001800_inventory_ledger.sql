@@ -0,0 +1,513 @@
+-- Inventory ledger. Every change to a variant's stock is appended to
+-- inventory_movements by a trigger on product_variants, so nothing that
+-- writes stock (checkout, cancellations, refunds, the admin product form,
+-- manual adjustments) can skip it. Functions that change stock for a reason
+-- say so first with stock_movement_context(); anything else is recorded as a
+-- manual adjustment by the signed-in user. The ledger is never edited: a
+-- variant's stock always equals the sum of its movements (inventory_drift()
+-- lists any that don't).
+
+create table if not exists public.inventory_movements (
+  id uuid primary key default gen_random_uuid(),
+  -- Plain ids, not foreign keys, so history outlives deleted variants and orders
+  product_variant_id uuid not null,
+  product_id uuid,
+  delta integer not null check (delta <> 0),
+  stock_after integer not null,
+  reason text not null check (reason in ('opening', 'sale', 'cancel', 'restock', 'manual_adjust', 'return')),
+  order_id uuid,
+  actor_id uuid,
+  note text,
+  created_at timestamptz not null default clock_timestamp()
+);
+
+create index if not exists inventory_movements_variant_idx on public.inventory_movements (product_variant_id, created_at desc);
+create index if not exists inventory_movements_order_idx on public.inventory_movements (order_id) where order_id is not null;
+
+alter table public.inventory_movements enable row level security;
+drop policy if exists inventory_movements_admin_read on public.inventory_movements;
+create policy inventory_movements_admin_read on public.inventory_movements for select to authenticated
+  using (public.app_is_admin());
+
+create or replace function public.inventory_movements_append_only() returns trigger
+language plpgsql as $$
+begin
+  raise exception 'Inventory movements cannot be changed' using errcode = '42501';
+end;
+$$;
+
+drop trigger if exists inventory_movements_append_only on public.inventory_movements;
+create trigger inventory_movements_append_only
+  before update or delete on public.inventory_movements
+  for each row execute function public.inventory_movements_append_only();
+
+-- Why the stock changes that follow in this transaction happen. Actor
+-- defaults to the signed-in user (the server passes its admin explicitly).
+create or replace function public.stock_movement_context(
+  p_reason text,
+  p_order_id uuid default null,
+  p_actor_id uuid default null,
+  p_note text default null
+) returns void
+language sql as $$
+  select
+    set_config('app.stock_reason', coalesce(p_reason, ''), true),
+    set_config('app.stock_order_id', coalesce(p_order_id::text, ''), true),
+    set_config('app.stock_actor_id', coalesce(p_actor_id::text, ''), true),
+    set_config('app.stock_note', coalesce(p_note, ''), true)
+$$;
+revoke execute on function public.stock_movement_context(text, uuid, uuid, text) from public, anon, authenticated;
+
+create or replace function public.record_stock_movement() returns trigger
+language plpgsql security definer set search_path = public as $$
+declare
+  v_delta integer := coalesce(new.stock, 0) - case when tg_op = 'INSERT' then 0 else coalesce(old.stock, 0) end;
+begin
+  if v_delta <> 0 then
+    insert into public.inventory_movements (product_variant_id, product_id, delta, stock_after, reason, order_id, actor_id, note)
+    values (
+      new.id,
+      new.product_id,
+      v_delta,
+      coalesce(new.stock, 0),
+      coalesce(nullif(current_setting('app.stock_reason', true), ''), 'manual_adjust'),
+      nullif(current_setting('app.stock_order_id', true), '')::uuid,
+      coalesce(nullif(current_setting('app.stock_actor_id', true), '')::uuid, public.app_user_id()),
+      nullif(current_setting('app.stock_note', true), '')
+    );
+  end if;
+  return null;
+end;
+$$;
+
+drop trigger if exists product_variants_stock_movement on public.product_variants;
+create trigger product_variants_stock_movement
+  after insert or update of stock on public.product_variants
+  for each row execute function public.record_stock_movement();
+
+-- What stock was on hand before the ledger existed
+insert into public.inventory_movements (product_variant_id, product_id, delta, stock_after, reason, note)
+select v.id, v.product_id, v.stock, v.stock, 'opening', 'Stock on hand when the ledger started'
+from public.product_variants v
+where coalesce(v.stock, 0) <> 0
+  and not exists (select 1 from public.inventory_movements m where m.product_variant_id = v.id);
+
+-- Admin stock adjustment with a reason: restock (goods received), return or
+-- manual_adjust (count corrections, damage). Returns the variant's new stock.
+create or replace function public.adjust_stock(
+  p_variant_id public.product_variants.id%type,
+  p_delta integer,
+  p_reason text default 'manual_adjust',
+  p_note text default null
+) returns integer
+language plpgsql security definer set search_path = public as $$
+declare
+  v_variant public.product_variants;
+begin
+  if not public.app_is_admin() then
+    raise exception 'Admins only' using errcode = '42501';
+  end if;
+  if p_reason not in ('restock', 'manual_adjust', 'return') then
+    raise exception 'Unsupported reason' using errcode = '22023';
+  end if;
+  if coalesce(p_delta, 0) = 0 then
+    raise exception 'Enter a quantity to add or remove' using errcode = '22023';
+  end if;
+
+  select * into v_variant from public.product_variants where id = p_variant_id for update;
+  if v_variant.id is null then
+    raise exception 'Variant not found' using errcode = 'P0002';
+  end if;
+  if coalesce(v_variant.stock, 0) + p_delta < 0 then
+    raise exception 'Only % in stock', coalesce(v_variant.stock, 0) using errcode = 'P0001';
+  end if;
+
+  perform public.stock_movement_context(p_reason, null, null, nullif(trim(p_note), ''));
+  update public.product_variants set stock = coalesce(stock, 0) + p_delta where id = p_variant_id
+  returning stock into v_variant.stock;
+  perform public.recalc_product_stock(array[v_variant.product_id]);
+  return v_variant.stock;
+end;
+$$;
+revoke execute on function public.adjust_stock(uuid, integer, text, text) from public, anon;
+grant execute on function public.adjust_stock(uuid, integer, text, text) to authenticated;
+
+-- Variants whose stock doesn't match their ledger (admins only); empty when all is well
+create or replace function public.inventory_drift()
+returns table (product_variant_id uuid, stock integer, ledger_stock bigint)
+language plpgsql stable security definer set search_path = public as $$
+begin
+  if not public.app_is_admin() then
+    raise exception 'Admins only' using errcode = '42501';
+  end if;
+  return query
+    select v.id, coalesce(v.stock, 0), coalesce(sum(m.delta), 0)::bigint
+    from public.product_variants v
+    left join public.inventory_movements m on m.product_variant_id = v.id
+    group by v.id, v.stock
+    having coalesce(v.stock, 0) <> coalesce(sum(m.delta), 0);
+end;
+$$;
+revoke execute on function public.inventory_drift() from public, anon;
+grant execute on function public.inventory_drift() to authenticated;
+
+-- The functions that change stock, as before, each naming its reason.
+
+-- As in 20261019001700.
+create or replace function public.place_order(
+  p_cart_id public.cart.id%type,
+  p_shipping_address_id public.user_addresses.id%type default null,
+  -- Used when no saved address is picked: { full_name, phone, address_line, city, province, postal_code }
+  p_shipping jsonb default null,
+  p_payment_method text default 'cod',
+  -- One per checkout attempt; repeating it returns the order it created
+  p_idempotency_key text default null,
+  -- Currency the shopper is buying in; the store's base currency if null
+  p_currency text default null
+) returns public.orders
+language plpgsql security definer set search_path = public as $$
+declare
+  v_user_id uuid := public.app_user_id();
+  v_address public.user_addresses;
+  v_shipping jsonb := coalesce(p_shipping, '{}'::jsonb);
+  v_out_of_stock jsonb;
+  v_subtotal numeric;
+  v_shipping_fee numeric;
+  v_order public.orders;
+  v_currency public.currencies;
+  v_prices_include_tax boolean;
+  v_tax_total numeric;
+begin
+  if v_user_id is null then
+    raise exception 'Not signed in' using errcode = '42501';
+  end if;
+  if not exists (select 1 from public.cart where id = p_cart_id and user_id = v_user_id) then
+    raise exception 'Cart not found' using errcode = 'P0002';
+  end if;
+  if not exists (select 1 from public.users where id = v_user_id and email_verified_at is not null) then
+    raise exception 'Please verify your email address before placing an order.' using errcode = 'P0001';
+  end if;
+  if p_payment_method not in ('cod', 'card') then
+    raise exception 'Unsupported payment method' using errcode = '22023';
+  end if;
+
+  -- A retried or double-submitted checkout waits for the first one to finish
+  -- and then gets its order back, without touching the cart or stock again.
+  if p_idempotency_key is not null then
+    if length(p_idempotency_key) > 255 then
+      raise exception 'Idempotency key too long' using errcode = '22023';
+    end if;
+    perform pg_advisory_xact_lock(hashtextextended(v_user_id::text || ':' || p_idempotency_key, 0));
+    select * into v_order from public.orders where user_id = v_user_id and idempotency_key = p_idempotency_key;
+    if v_order.id is not null then
+      return v_order;
+    end if;
+  end if;
+
+  select * into v_currency from public.currencies
+  where code = coalesce(upper(p_currency), public.base_currency()) and (enabled or is_base);
+  if v_currency.code is null then
+    raise exception 'Unsupported currency' using errcode = '22023';
+  end if;
+
+  -- Lock the variants being bought (in a fixed order, so concurrent checkouts
+  -- can't deadlock) before reading their stock.
+  perform 1
+  from public.product_variants v
+  where v.id in (select ci.product_variant_id from public.cart_items ci where ci.cart_id = p_cart_id)
+  order by v.id
+  for update;
+
+  create temporary table checkout_lines on commit drop as
+    select
+      ci.id as cart_item_id,
+      ci.product_id,
+      ci.product_variant_id,
+      ci.quantity,
+      p.name,
+      -- Catalog prices are in the base currency; the order is priced in the shopper's
+      round(coalesce(p.price, 0) * v_currency.rate, v_currency.minor_units) as price,
+      v.color,
+      v.size,
+      coalesce(nullif(v.img_url, ''), p.img_url) as img_url,
+      -- Held for other shoppers' checkouts is not available to this one
+      coalesce(v.stock, 0) - coalesce((
+        select sum(h.quantity) from public.stock_reservations h
+        where h.product_variant_id = v.id and h.cart_id <> p_cart_id and h.expires_at > now()
+      ), 0) as available,
+      sum(ci.quantity) over (partition by ci.product_variant_id) as requested
+    from public.cart_items ci
+    left join public.product_variants v on v.id = ci.product_variant_id
+    left join public.products p on p.id = coalesce(v.product_id, ci.product_id)
+    where ci.cart_id = p_cart_id;
+
+  if not exists (select 1 from checkout_lines) then
+    raise exception 'Your cart is empty' using errcode = 'P0001';
+  end if;
+
+  -- Everything short on stock (or no longer sold) is reported at once; the
+  -- PT409 code makes PostgREST answer 409 with the list in `details`.
+  select jsonb_agg(jsonb_build_object(
+           'cart_item_id', cart_item_id,
+           'product_id', product_id,
+           'product_variant_id', product_variant_id,
+           'name', name,
+           'color', color,
+           'size', size,
+           'requested', requested,
+           'available', available
+         ) order by name)
+  into v_out_of_stock
+  from checkout_lines
+  where name is null or product_variant_id is null or requested > available;
+
+  if v_out_of_stock is not null then
+    raise exception 'Some items in your cart are out of stock'
+      using errcode = 'PT409', detail = v_out_of_stock::text, hint = 'out_of_stock';
+  end if;
+
+  if p_shipping_address_id is not null then
+    select * into v_address from public.user_addresses where id = p_shipping_address_id and user_id = v_user_id;
+    if v_address.id is null then
+      raise exception 'Address not found' using errcode = 'P0002';
+    end if;
+    v_shipping := jsonb_build_object(
+      'label', v_address.label,
+      'full_name', v_address.full_name,
+      'phone', v_address.phone,
+      'address_line', v_address.address_line,
+      'city', v_address.city,
+      'province', v_address.province,
+      'postal_code', v_address.postal_code
+    );
+  end if;
+
+  select sum(price * quantity) into v_subtotal from checkout_lines;
+  v_shipping_fee := public.shipping_fee_for(v_subtotal);
+
+  -- Tax per line and rate, rounded to the currency's decimals. Shipping is not
+  -- taxed. With tax-inclusive prices the tax is the part of the price that is
+  -- tax, so the total stays what the shopper saw.
+  v_prices_include_tax := coalesce((select prices_include_tax from public.tax_settings), false);
+  create temporary table checkout_taxes on commit drop as
+    select
+      l.cart_item_id,
+      r.name,
+      r.rate,
+      round(
+        l.price * l.quantity * r.rate
+          / case when v_prices_include_tax then 100 + sum(r.rate) over (partition by l.cart_item_id) else 100 end,
+        v_currency.minor_units
+      ) as amount
+    from checkout_lines l
+    cross join public.tax_rates_for(v_shipping ->> 'province') r;
+  select coalesce(sum(amount), 0) into v_tax_total from checkout_taxes;
+
+  insert into public.orders (
+    user_id, subtotal, shipping_fee, discount_total, tax_total, prices_include_tax, tax_lines, total, status, payment_status, payment_method, stock_deducted_at, idempotency_key, currency, exchange_rate,
+    shipping_address_id, shipping_label, shipping_full_name, shipping_phone,
+    shipping_address_line, shipping_city, shipping_province, shipping_postal_code
+  ) values (
+    v_user_id, v_subtotal, v_shipping_fee, 0, v_tax_total, v_prices_include_tax,
+    coalesce(
+      (select jsonb_agg(jsonb_build_object('name', name, 'rate', rate, 'amount', amount) order by name)
+       from (select name, rate, sum(amount) as amount from checkout_taxes group by name, rate) t),
+      '[]'::jsonb
+    ),
+    v_subtotal + v_shipping_fee + case when v_prices_include_tax then 0 else v_tax_total end, 'processing', 'pending', p_payment_method, now(), p_idempotency_key, v_currency.code, v_currency.rate,
+    p_shipping_address_id, v_shipping ->> 'label', v_shipping ->> 'full_name', v_shipping ->> 'phone',
+    v_shipping ->> 'address_line', v_shipping ->> 'city', v_shipping ->> 'province', v_shipping ->> 'postal_code'
+  )
+  returning * into v_order;
+
+  insert into public.order_items (order_id, product_id, product_variant_id, quantity, price, name, color, size, img_url, tax_rate, tax_amount)
+  select v_order.id, l.product_id, l.product_variant_id, l.quantity, l.price, l.name, l.color, l.size, l.img_url,
+    coalesce(t.rate, 0), coalesce(t.amount, 0)
+  from checkout_lines l
+  left join (
+    select cart_item_id, sum(rate) as rate, sum(amount) as amount from checkout_taxes group by cart_item_id
+  ) t on t.cart_item_id = l.cart_item_id;
+
+  perform public.stock_movement_context('sale', v_order.id);
+  update public.product_variants v
+  set stock = v.stock - l.qty
+  from (select product_variant_id, sum(quantity) as qty from checkout_lines group by product_variant_id) l
+  where v.id = l.product_variant_id;
+
+  perform public.recalc_product_stock(array(select distinct product_id from checkout_lines where product_id is not null));
+
+  insert into public.payments (order_id, amount, method, status)
+  values (v_order.id, v_order.total, p_payment_method, 'pending');
+
+  delete from public.cart_items where cart_id = p_cart_id;
+  delete from public.stock_reservations where cart_id = p_cart_id;
+
+  return v_order;
+end;
+$$;
+
+-- As in 20261019000700.
+create or replace function public.deduct_order_stock(p_order_id public.orders.id%type) returns void
+language plpgsql security definer set search_path = public as $$
+declare
+  v_order public.orders;
+begin
+  select * into v_order from public.orders where id = p_order_id for update;
+  if v_order.id is null or (v_order.user_id is distinct from public.app_user_id() and not public.app_is_admin()) then
+    raise exception 'Order not found' using errcode = 'P0002';
+  end if;
+  if v_order.stock_deducted_at is not null then
+    return;
+  end if;
+
+  perform public.stock_movement_context('sale', p_order_id);
+  update public.product_variants v
+  set stock = greatest(0, coalesce(v.stock, 0) - i.qty)
+  from (
+    select product_variant_id, sum(quantity) as qty
+    from public.order_items where order_id = p_order_id and product_variant_id is not null
+    group by product_variant_id
+  ) i
+  where v.id = i.product_variant_id;
+
+  perform public.recalc_product_stock(array(
+    select distinct product_id from public.order_items where order_id = p_order_id and product_id is not null
+  ));
+  update public.orders set stock_deducted_at = now() where id = p_order_id;
+end;
+$$;
+
+-- As in 20261019001100.
+create or replace function public.cancel_order(p_order_id public.orders.id%type) returns void
+language plpgsql security definer set search_path = public as $$
+declare
+  v_order public.orders;
+  v_admin boolean := public.app_is_admin();
+  v_status text;
+begin
+  select * into v_order from public.orders where id = p_order_id for update;
+  if v_order.id is null or (v_order.user_id is distinct from public.app_user_id() and not v_admin) then
+    raise exception 'Order not found' using errcode = 'P0002';
+  end if;
+
+  v_status := lower(coalesce(v_order.status, ''));
+  if v_status = 'cancelled' then
+    return;
+  end if;
+  if not v_admin and v_status in ('shipping', 'delivered') then
+    raise exception 'This order cannot be cancelled' using errcode = 'P0001';
+  end if;
+
+  -- Only orders that have not left the warehouse go back on the shelf
+  if v_order.stock_deducted_at is not null and v_status in ('pending', 'processing') then
+    perform public.stock_movement_context('cancel', p_order_id);
+    update public.product_variants v
+    set stock = coalesce(v.stock, 0) + i.qty
+    from (
+      select product_variant_id, sum(quantity - restocked_quantity) as qty
+      from public.order_items where order_id = p_order_id and product_variant_id is not null
+      group by product_variant_id
+    ) i
+    where v.id = i.product_variant_id;
+
+    update public.order_items set restocked_quantity = quantity where order_id = p_order_id;
+
+    perform public.recalc_product_stock(array(
+      select distinct product_id from public.order_items where order_id = p_order_id and product_id is not null
+    ));
+  end if;
+
+  update public.orders
+  set status = 'cancelled',
+      stock_deducted_at = case when v_status in ('pending', 'processing') then null else stock_deducted_at end
+  where id = p_order_id;
+end;
+$$;
+
+-- As in 20261019001100.
+create or replace function public.record_refund(
+  p_order_id public.orders.id%type,
+  p_amount numeric,
+  p_items jsonb,
+  p_restock boolean,
+  p_reason text,
+  p_stripe_refund_id text,
+  p_status text,
+  p_created_by public.users.id%type
+) returns public.refunds
+language plpgsql security definer set search_path = public as $$
+declare
+  v_order public.orders;
+  v_payment public.payments;
+  v_refund public.refunds;
+  v_refunded numeric;
+  v_status text;
+begin
+  select * into v_order from public.orders where id = p_order_id for update;
+  if v_order.id is null then
+    raise exception 'Order not found' using errcode = 'P0002';
+  end if;
+  select * into v_payment from public.payments where order_id = p_order_id order by created_at limit 1 for update;
+  if v_payment.id is null then
+    raise exception 'This order has no payment to refund' using errcode = 'P0001';
+  end if;
+
+  create temporary table refund_lines on commit drop as
+    select (x ->> 'order_item_id')::uuid as order_item_id, (x ->> 'quantity')::integer as quantity, coalesce((x ->> 'amount')::numeric, 0) as amount
+    from jsonb_array_elements(coalesce(p_items, '[]'::jsonb)) x;
+
+  perform 1 from public.order_items where order_id = p_order_id order by id for update;
+  if exists (
+    select 1 from refund_lines l
+    left join public.order_items i on i.id = l.order_item_id and i.order_id = p_order_id
+    where i.id is null or l.quantity <= 0 or i.refunded_quantity + l.quantity > i.quantity
+  ) then
+    raise exception 'Refund quantities exceed what is left on the order' using errcode = 'P0001';
+  end if;
+
+  insert into public.refunds (order_id, payment_id, amount, reason, status, stripe_refund_id, restocked, created_by)
+  values (p_order_id, v_payment.id, p_amount, p_reason, coalesce(p_status, 'succeeded'), p_stripe_refund_id,
+          coalesce(p_restock, false) and v_order.stock_deducted_at is not null, p_created_by)
+  returning * into v_refund;
+
+  insert into public.refund_items (refund_id, order_item_id, quantity, amount)
+  select v_refund.id, order_item_id, quantity, amount from refund_lines;
+
+  update public.order_items i
+  set refunded_quantity = i.refunded_quantity + l.quantity
+  from refund_lines l
+  where i.id = l.order_item_id;
+
+  -- Only items that actually left stock (and haven't come back yet) are restocked
+  if v_refund.restocked then
+    create temporary table restock_lines on commit drop as
+      select i.id as order_item_id, i.product_id, i.product_variant_id, least(l.quantity, i.quantity - i.restocked_quantity) as qty
+      from refund_lines l
+      join public.order_items i on i.id = l.order_item_id
+      where i.quantity > i.restocked_quantity;
+
+    perform public.stock_movement_context('return', p_order_id, p_created_by, p_reason);
+    update public.product_variants v
+    set stock = coalesce(v.stock, 0) + r.qty
+    from (select product_variant_id, sum(qty) as qty from restock_lines where product_variant_id is not null group by product_variant_id) r
+    where v.id = r.product_variant_id;
+
+    update public.order_items i
+    set restocked_quantity = i.restocked_quantity + r.qty
+    from restock_lines r
+    where i.id = r.order_item_id;
+
+    perform public.recalc_product_stock(array(select distinct product_id from restock_lines where product_id is not null));
+  end if;
+
+  -- The webhook may already have recorded this refund's total from Stripe
+  select coalesce(sum(amount), 0) into v_refunded from public.refunds where payment_id = v_payment.id and status <> 'failed';
+  v_refunded := greatest(v_refunded, v_payment.refunded_amount);
+  v_status := case when v_refunded >= v_payment.amount then 'refunded' else 'partially_refunded' end;
+
+  update public.payments set refunded_amount = v_refunded, status = v_status where id = v_payment.id;
+  update public.orders set payment_status = v_status where id = p_order_id;
+
+  return v_refund;
+end;
+$$;
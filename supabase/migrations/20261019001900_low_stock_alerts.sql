@@ -0,0 +1,61 @@
+-- Low-stock alerts. Each variant may have a reorder threshold; when a sale
+-- (place_order / deduct_order_stock, which set the 'sale' stock movement
+-- context) takes its stock below it, an alert is opened for the admins. One
+-- open alert per variant: further sales only update its stock figure. The
+-- alert clears itself once the variant is back at or above its threshold, or
+-- when an admin acknowledges it. emailed_at marks the ones already sent in a
+-- digest (server/lowStockAlerts.cjs).
+
+alter table public.product_variants
+  add column if not exists reorder_threshold integer check (reorder_threshold >= 0);
+
+create table if not exists public.low_stock_alerts (
+  id uuid primary key default gen_random_uuid(),
+  product_variant_id uuid not null references public.product_variants (id) on delete cascade,
+  product_id uuid,
+  stock integer not null,
+  threshold integer not null,
+  order_id uuid,
+  created_at timestamptz not null default now(),
+  emailed_at timestamptz,
+  cleared_at timestamptz,
+  cleared_by uuid
+);
+
+create unique index if not exists low_stock_alerts_open_idx on public.low_stock_alerts (product_variant_id) where cleared_at is null;
+create index if not exists low_stock_alerts_created_idx on public.low_stock_alerts (created_at desc);
+
+alter table public.low_stock_alerts enable row level security;
+drop policy if exists low_stock_alerts_admin_all on public.low_stock_alerts;
+create policy low_stock_alerts_admin_all on public.low_stock_alerts for all to authenticated
+  using (public.app_is_admin()) with check (public.app_is_admin());
+
+create or replace function public.track_low_stock() returns trigger
+language plpgsql security definer set search_path = public as $$
+begin
+  if new.reorder_threshold is null or coalesce(new.stock, 0) >= new.reorder_threshold then
+    update public.low_stock_alerts set cleared_at = now()
+    where product_variant_id = new.id and cleared_at is null;
+    return null;
+  end if;
+
+  if coalesce(current_setting('app.stock_reason', true), '') <> 'sale' or new.stock is not distinct from old.stock then
+    return null;
+  end if;
+
+  if coalesce(old.stock, 0) >= new.reorder_threshold then
+    insert into public.low_stock_alerts (product_variant_id, product_id, stock, threshold, order_id)
+    values (new.id, new.product_id, coalesce(new.stock, 0), new.reorder_threshold,
+            nullif(current_setting('app.stock_order_id', true), '')::uuid);
+  else
+    update public.low_stock_alerts set stock = coalesce(new.stock, 0)
+    where product_variant_id = new.id and cleared_at is null;
+  end if;
+  return null;
+end;
+$$;
+
+drop trigger if exists product_variants_low_stock on public.product_variants;
+create trigger product_variants_low_stock
+  after update of stock, reorder_threshold on public.product_variants
+  for each row execute function public.track_low_stock();
@@ -0,0 +1,94 @@
+-- Back-in-stock subscriptions. A customer can ask to be told when a sold-out
+-- variant returns ("Notify me"). When the variant's stock goes from 0 back
+-- above it — the admin product form, adjust_stock(), a cancellation or a
+-- restocking refund — a trigger queues an in-app notification for each
+-- subscriber and removes the subscriptions. The emails for queued
+-- notifications are sent by the API (server/notifications.cjs), which stamps
+-- emailed_at.
+
+create table if not exists public.stock_subscriptions (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  product_variant_id uuid not null references public.product_variants (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  unique (user_id, product_variant_id)
+);
+
+create index if not exists stock_subscriptions_variant_idx on public.stock_subscriptions (product_variant_id);
+
+-- Customers manage their own subscriptions, and only for variants that are sold out
+alter table public.stock_subscriptions enable row level security;
+drop policy if exists stock_subscriptions_owner on public.stock_subscriptions;
+create policy stock_subscriptions_owner on public.stock_subscriptions for all to authenticated
+  using (user_id = public.app_user_id())
+  with check (
+    user_id = public.app_user_id()
+    and exists (select 1 from public.product_variants v where v.id = product_variant_id and coalesce(v.stock, 0) <= 0)
+  );
+drop policy if exists stock_subscriptions_admin_read on public.stock_subscriptions;
+create policy stock_subscriptions_admin_read on public.stock_subscriptions for select to authenticated
+  using (public.app_is_admin());
+
+create table if not exists public.notifications (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  kind text not null check (kind in ('back_in_stock')),
+  title text not null,
+  body text,
+  product_id uuid,
+  product_variant_id uuid,
+  created_at timestamptz not null default now(),
+  read_at timestamptz,
+  emailed_at timestamptz
+);
+
+create index if not exists notifications_user_idx on public.notifications (user_id, created_at desc);
+create index if not exists notifications_unsent_idx on public.notifications (created_at) where emailed_at is null;
+
+-- Users read their own and may only mark them read
+alter table public.notifications enable row level security;
+drop policy if exists notifications_owner on public.notifications;
+create policy notifications_owner on public.notifications for all to authenticated
+  using (user_id = public.app_user_id()) with check (user_id = public.app_user_id());
+revoke all on public.notifications from anon, authenticated;
+grant select on public.notifications to authenticated;
+grant update (read_at) on public.notifications to authenticated;
+
+-- New notifications show up live (src/data/notifications.js subscribeToNotifications)
+do $$
+begin
+  if exists (select 1 from pg_publication where pubname = 'supabase_realtime')
+     and not exists (
+       select 1 from pg_publication_tables
+       where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'notifications'
+     ) then
+    alter publication supabase_realtime add table public.notifications;
+  end if;
+end;
+$$;
+
+create or replace function public.notify_back_in_stock() returns trigger
+language plpgsql security definer set search_path = public as $$
+begin
+  if coalesce(old.stock, 0) > 0 or coalesce(new.stock, 0) <= 0 then
+    return null;
+  end if;
+
+  insert into public.notifications (user_id, kind, title, body, product_id, product_variant_id)
+  select s.user_id, 'back_in_stock',
+         format('%s is back in stock', coalesce(p.name, 'An item you wanted')),
+         format('%s / %s is available again — order it before it sells out.', new.color, new.size),
+         new.product_id, new.id
+  from public.stock_subscriptions s
+  left join public.products p on p.id = new.product_id
+  where s.product_variant_id = new.id;
+
+  delete from public.stock_subscriptions where product_variant_id = new.id;
+  return null;
+end;
+$$;
+
+drop trigger if exists product_variants_back_in_stock on public.product_variants;
+create trigger product_variants_back_in_stock
+  after update of stock on public.product_variants
+  for each row execute function public.notify_back_in_stock();
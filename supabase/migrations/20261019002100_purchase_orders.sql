@@ -0,0 +1,240 @@
+-- Suppliers and purchase orders. A purchase order (PO) lists variants and
+-- quantities ordered from a supplier, with an expected arrival date. Goods
+-- are received against it, all at once or in parts, with
+-- receive_purchase_order(): each receipt is recorded, the variants' stock goes
+-- up as a 'restock' in the inventory ledger (noted with the PO reference) and
+-- the PO moves from open to partially_received to closed. close_purchase_order()
+-- closes a PO whose remainder is never coming. Admin only; POs and their lines
+-- are only written through these functions.
+
+create table if not exists public.suppliers (
+  id uuid primary key default gen_random_uuid(),
+  name text not null unique check (length(trim(name)) > 0),
+  contact_name text,
+  email text,
+  phone text,
+  notes text,
+  active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+alter table public.suppliers enable row level security;
+drop policy if exists suppliers_admin_all on public.suppliers;
+create policy suppliers_admin_all on public.suppliers for all to authenticated
+  using (public.app_is_admin()) with check (public.app_is_admin());
+
+create sequence if not exists public.purchase_order_number_seq;
+
+create table if not exists public.purchase_orders (
+  id uuid primary key default gen_random_uuid(),
+  reference text not null unique default ('PO-' || lpad(nextval('public.purchase_order_number_seq')::text, 5, '0')),
+  supplier_id uuid not null references public.suppliers (id),
+  status text not null default 'open' check (status in ('open', 'partially_received', 'closed')),
+  expected_at date,
+  notes text,
+  created_by uuid references public.users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  closed_at timestamptz
+);
+
+create index if not exists purchase_orders_status_idx on public.purchase_orders (status, expected_at);
+
+-- Name, color and size are copied so a PO still reads right once a variant is gone
+create table if not exists public.purchase_order_items (
+  id uuid primary key default gen_random_uuid(),
+  purchase_order_id uuid not null references public.purchase_orders (id) on delete cascade,
+  product_variant_id uuid references public.product_variants (id) on delete set null,
+  product_id uuid,
+  name text not null,
+  color text,
+  size text,
+  quantity_ordered integer not null check (quantity_ordered > 0),
+  quantity_received integer not null default 0 check (quantity_received >= 0 and quantity_received <= quantity_ordered),
+  unit_cost numeric(12, 2) check (unit_cost >= 0),
+  unique (purchase_order_id, product_variant_id)
+);
+
+create index if not exists purchase_order_items_po_idx on public.purchase_order_items (purchase_order_id);
+
+create table if not exists public.purchase_order_receipts (
+  id uuid primary key default gen_random_uuid(),
+  purchase_order_id uuid not null references public.purchase_orders (id) on delete cascade,
+  purchase_order_item_id uuid not null references public.purchase_order_items (id) on delete cascade,
+  quantity integer not null check (quantity > 0),
+  note text,
+  received_by uuid references public.users (id) on delete set null,
+  received_at timestamptz not null default clock_timestamp()
+);
+
+create index if not exists purchase_order_receipts_po_idx on public.purchase_order_receipts (purchase_order_id, received_at);
+
+alter table public.purchase_orders enable row level security;
+drop policy if exists purchase_orders_admin_read on public.purchase_orders;
+create policy purchase_orders_admin_read on public.purchase_orders for select to authenticated
+  using (public.app_is_admin());
+
+alter table public.purchase_order_items enable row level security;
+drop policy if exists purchase_order_items_admin_read on public.purchase_order_items;
+create policy purchase_order_items_admin_read on public.purchase_order_items for select to authenticated
+  using (public.app_is_admin());
+
+alter table public.purchase_order_receipts enable row level security;
+drop policy if exists purchase_order_receipts_admin_read on public.purchase_order_receipts;
+create policy purchase_order_receipts_admin_read on public.purchase_order_receipts for select to authenticated
+  using (public.app_is_admin());
+
+-- p_items: [{ product_variant_id, quantity, unit_cost? }]
+create or replace function public.create_purchase_order(
+  p_supplier_id public.suppliers.id%type,
+  p_expected_at date,
+  p_notes text,
+  p_items jsonb
+) returns public.purchase_orders
+language plpgsql security definer set search_path = public as $$
+declare
+  v_po public.purchase_orders;
+begin
+  if not public.app_is_admin() then
+    raise exception 'Admins only' using errcode = '42501';
+  end if;
+  if not exists (select 1 from public.suppliers where id = p_supplier_id and active) then
+    raise exception 'Choose an active supplier' using errcode = '22023';
+  end if;
+
+  create temporary table po_lines on commit drop as
+    select (x ->> 'product_variant_id')::uuid as product_variant_id,
+           (x ->> 'quantity')::integer as quantity,
+           nullif(x ->> 'unit_cost', '')::numeric as unit_cost
+    from jsonb_array_elements(coalesce(p_items, '[]'::jsonb)) x;
+
+  if not exists (select 1 from po_lines) then
+    raise exception 'Add at least one item' using errcode = '22023';
+  end if;
+  if exists (select 1 from po_lines where quantity is null or quantity <= 0 or unit_cost < 0) then
+    raise exception 'Quantities must be whole numbers above zero' using errcode = '22023';
+  end if;
+  if exists (select 1 from po_lines group by product_variant_id having count(*) > 1) then
+    raise exception 'Each variant can only be listed once' using errcode = '22023';
+  end if;
+  if exists (select 1 from po_lines l left join public.product_variants v on v.id = l.product_variant_id where v.id is null) then
+    raise exception 'Variant not found' using errcode = 'P0002';
+  end if;
+
+  insert into public.purchase_orders (supplier_id, expected_at, notes, created_by)
+  values (p_supplier_id, p_expected_at, nullif(trim(p_notes), ''), public.app_user_id())
+  returning * into v_po;
+
+  insert into public.purchase_order_items (purchase_order_id, product_variant_id, product_id, name, color, size, quantity_ordered, unit_cost)
+  select v_po.id, v.id, v.product_id, coalesce(p.name, 'Product'), v.color, v.size, l.quantity, l.unit_cost
+  from po_lines l
+  join public.product_variants v on v.id = l.product_variant_id
+  left join public.products p on p.id = v.product_id;
+
+  return v_po;
+end;
+$$;
+revoke execute on function public.create_purchase_order(uuid, date, text, jsonb) from public, anon;
+grant execute on function public.create_purchase_order(uuid, date, text, jsonb) to authenticated;
+
+-- Receives goods against a PO. p_items: [{ purchase_order_item_id, quantity }]
+create or replace function public.receive_purchase_order(
+  p_purchase_order_id public.purchase_orders.id%type,
+  p_items jsonb,
+  p_note text default null
+) returns public.purchase_orders
+language plpgsql security definer set search_path = public as $$
+declare
+  v_po public.purchase_orders;
+begin
+  if not public.app_is_admin() then
+    raise exception 'Admins only' using errcode = '42501';
+  end if;
+  select * into v_po from public.purchase_orders where id = p_purchase_order_id for update;
+  if v_po.id is null then
+    raise exception 'Purchase order not found' using errcode = 'P0002';
+  end if;
+  if v_po.status = 'closed' then
+    raise exception '% is closed', v_po.reference using errcode = 'P0001';
+  end if;
+
+  create temporary table receipt_lines on commit drop as
+    select (x ->> 'purchase_order_item_id')::uuid as item_id, (x ->> 'quantity')::integer as quantity
+    from jsonb_array_elements(coalesce(p_items, '[]'::jsonb)) x
+    where coalesce((x ->> 'quantity')::integer, 0) <> 0;
+
+  if not exists (select 1 from receipt_lines) then
+    raise exception 'Enter the quantities received' using errcode = '22023';
+  end if;
+
+  perform 1 from public.purchase_order_items where purchase_order_id = v_po.id order by id for update;
+  if exists (
+    select 1 from receipt_lines l
+    left join public.purchase_order_items i on i.id = l.item_id and i.purchase_order_id = v_po.id
+    where i.id is null or l.quantity < 0 or i.quantity_received + l.quantity > i.quantity_ordered
+  ) then
+    raise exception 'Received quantities exceed what is still due on %', v_po.reference using errcode = 'P0001';
+  end if;
+  if exists (
+    select 1 from receipt_lines l join public.purchase_order_items i on i.id = l.item_id where i.product_variant_id is null
+  ) then
+    raise exception 'A variant on % no longer exists', v_po.reference using errcode = 'P0001';
+  end if;
+
+  insert into public.purchase_order_receipts (purchase_order_id, purchase_order_item_id, quantity, note, received_by)
+  select v_po.id, item_id, quantity, nullif(trim(p_note), ''), public.app_user_id() from receipt_lines;
+
+  update public.purchase_order_items i
+  set quantity_received = i.quantity_received + l.quantity
+  from receipt_lines l
+  where i.id = l.item_id;
+
+  perform public.stock_movement_context('restock', null, null, concat_ws(': ', 'Received on ' || v_po.reference, nullif(trim(p_note), '')));
+  update public.product_variants v
+  set stock = coalesce(v.stock, 0) + r.qty
+  from (
+    select i.product_variant_id, sum(l.quantity) as qty
+    from receipt_lines l join public.purchase_order_items i on i.id = l.item_id
+    group by i.product_variant_id
+  ) r
+  where v.id = r.product_variant_id;
+
+  perform public.recalc_product_stock(array(
+    select distinct i.product_id from receipt_lines l join public.purchase_order_items i on i.id = l.item_id where i.product_id is not null
+  ));
+
+  update public.purchase_orders
+  set status = case
+        when exists (select 1 from public.purchase_order_items where purchase_order_id = v_po.id and quantity_received < quantity_ordered)
+        then 'partially_received' else 'closed' end,
+      closed_at = case
+        when exists (select 1 from public.purchase_order_items where purchase_order_id = v_po.id and quantity_received < quantity_ordered)
+        then null else now() end
+  where id = v_po.id
+  returning * into v_po;
+  return v_po;
+end;
+$$;
+revoke execute on function public.receive_purchase_order(uuid, jsonb, text) from public, anon;
+grant execute on function public.receive_purchase_order(uuid, jsonb, text) to authenticated;
+
+-- Closes a PO whose remaining quantities won't arrive (short shipment, cancelled order)
+create or replace function public.close_purchase_order(p_purchase_order_id public.purchase_orders.id%type)
+returns public.purchase_orders
+language plpgsql security definer set search_path = public as $$
+declare
+  v_po public.purchase_orders;
+begin
+  if not public.app_is_admin() then
+    raise exception 'Admins only' using errcode = '42501';
+  end if;
+  update public.purchase_orders set status = 'closed', closed_at = now()
+  where id = p_purchase_order_id and status <> 'closed'
+  returning * into v_po;
+  if v_po.id is null then
+    raise exception 'Purchase order not found or already closed' using errcode = 'P0002';
+  end if;
+  return v_po;
+end;
+$$;
+revoke execute on function public.close_purchase_order(uuid) from public, anon;
+grant execute on function public.close_purchase_order(uuid) to authenticated;
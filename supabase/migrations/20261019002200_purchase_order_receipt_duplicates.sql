@@ -0,0 +1,89 @@
+-- receive_purchase_order() checked each receipt line against what was still
+-- due on its own, so the same PO line listed twice could pass the check with
+-- both halves while the line only recorded one of them and stock got both.
+-- Each PO line may now appear at most once per receipt, as create_purchase_order()
+-- already requires of variants.
+
+-- Receives goods against a PO. p_items: [{ purchase_order_item_id, quantity }]
+create or replace function public.receive_purchase_order(
+  p_purchase_order_id public.purchase_orders.id%type,
+  p_items jsonb,
+  p_note text default null
+) returns public.purchase_orders
+language plpgsql security definer set search_path = public as $$
+declare
+  v_po public.purchase_orders;
+begin
+  if not public.app_is_admin() then
+    raise exception 'Admins only' using errcode = '42501';
+  end if;
+  select * into v_po from public.purchase_orders where id = p_purchase_order_id for update;
+  if v_po.id is null then
+    raise exception 'Purchase order not found' using errcode = 'P0002';
+  end if;
+  if v_po.status = 'closed' then
+    raise exception '% is closed', v_po.reference using errcode = 'P0001';
+  end if;
+
+  create temporary table receipt_lines on commit drop as
+    select (x ->> 'purchase_order_item_id')::uuid as item_id, (x ->> 'quantity')::integer as quantity
+    from jsonb_array_elements(coalesce(p_items, '[]'::jsonb)) x
+    where coalesce((x ->> 'quantity')::integer, 0) <> 0;
+
+  if not exists (select 1 from receipt_lines) then
+    raise exception 'Enter the quantities received' using errcode = '22023';
+  end if;
+  if exists (select 1 from receipt_lines group by item_id having count(*) > 1) then
+    raise exception 'Each line can only be received once per receipt' using errcode = '22023';
+  end if;
+
+  perform 1 from public.purchase_order_items where purchase_order_id = v_po.id order by id for update;
+  if exists (
+    select 1 from receipt_lines l
+    left join public.purchase_order_items i on i.id = l.item_id and i.purchase_order_id = v_po.id
+    where i.id is null or l.quantity < 0 or i.quantity_received + l.quantity > i.quantity_ordered
+  ) then
+    raise exception 'Received quantities exceed what is still due on %', v_po.reference using errcode = 'P0001';
+  end if;
+  if exists (
+    select 1 from receipt_lines l join public.purchase_order_items i on i.id = l.item_id where i.product_variant_id is null
+  ) then
+    raise exception 'A variant on % no longer exists', v_po.reference using errcode = 'P0001';
+  end if;
+
+  insert into public.purchase_order_receipts (purchase_order_id, purchase_order_item_id, quantity, note, received_by)
+  select v_po.id, item_id, quantity, nullif(trim(p_note), ''), public.app_user_id() from receipt_lines;
+
+  update public.purchase_order_items i
+  set quantity_received = i.quantity_received + l.quantity
+  from receipt_lines l
+  where i.id = l.item_id;
+
+  perform public.stock_movement_context('restock', null, null, concat_ws(': ', 'Received on ' || v_po.reference, nullif(trim(p_note), '')));
+  update public.product_variants v
+  set stock = coalesce(v.stock, 0) + r.qty
+  from (
+    select i.product_variant_id, sum(l.quantity) as qty
+    from receipt_lines l join public.purchase_order_items i on i.id = l.item_id
+    group by i.product_variant_id
+  ) r
+  where v.id = r.product_variant_id;
+
+  perform public.recalc_product_stock(array(
+    select distinct i.product_id from receipt_lines l join public.purchase_order_items i on i.id = l.item_id where i.product_id is not null
+  ));
+
+  update public.purchase_orders
+  set status = case
+        when exists (select 1 from public.purchase_order_items where purchase_order_id = v_po.id and quantity_received < quantity_ordered)
+        then 'partially_received' else 'closed' end,
+      closed_at = case
+        when exists (select 1 from public.purchase_order_items where purchase_order_id = v_po.id and quantity_received < quantity_ordered)
+        then null else now() end
+  where id = v_po.id
+  returning * into v_po;
+  return v_po;
+end;
+$$;
+revoke execute on function public.receive_purchase_order(uuid, jsonb, text) from public, anon;
+grant execute on function public.receive_purchase_order(uuid, jsonb, text) to authenticated;
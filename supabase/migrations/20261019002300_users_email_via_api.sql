@@ -0,0 +1,6 @@
+-- Users could change their own email straight through the data API, which
+-- kept email_verified_at from the old address and skipped the lower-casing
+-- login relies on. The email is now only changed by POST /auth/change-email,
+-- which resets verification and sends a new link.
+
+revoke update (email) on public.users from authenticated;
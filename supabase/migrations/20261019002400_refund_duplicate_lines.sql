@@ -0,0 +1,97 @@
+-- record_refund() checked each refund line against what was left on its item
+-- on its own, so the same order item listed twice could pass with both lines,
+-- refunding (and restocking) it twice while refunded_quantity only counted
+-- one. Each order item may now appear at most once per refund, as
+-- receive_purchase_order() already requires of PO lines.
+
+-- As in 20261019001800.
+create or replace function public.record_refund(
+  p_order_id public.orders.id%type,
+  p_amount numeric,
+  p_items jsonb,
+  p_restock boolean,
+  p_reason text,
+  p_stripe_refund_id text,
+  p_status text,
+  p_created_by public.users.id%type
+) returns public.refunds
+language plpgsql security definer set search_path = public as $$
+declare
+  v_order public.orders;
+  v_payment public.payments;
+  v_refund public.refunds;
+  v_refunded numeric;
+  v_status text;
+begin
+  select * into v_order from public.orders where id = p_order_id for update;
+  if v_order.id is null then
+    raise exception 'Order not found' using errcode = 'P0002';
+  end if;
+  select * into v_payment from public.payments where order_id = p_order_id order by created_at limit 1 for update;
+  if v_payment.id is null then
+    raise exception 'This order has no payment to refund' using errcode = 'P0001';
+  end if;
+
+  create temporary table refund_lines on commit drop as
+    select (x ->> 'order_item_id')::uuid as order_item_id, (x ->> 'quantity')::integer as quantity, coalesce((x ->> 'amount')::numeric, 0) as amount
+    from jsonb_array_elements(coalesce(p_items, '[]'::jsonb)) x;
+
+  if exists (select 1 from refund_lines group by order_item_id having count(*) > 1) then
+    raise exception 'Each item can only be listed once per refund' using errcode = 'P0001';
+  end if;
+
+  perform 1 from public.order_items where order_id = p_order_id order by id for update;
+  if exists (
+    select 1 from refund_lines l
+    left join public.order_items i on i.id = l.order_item_id and i.order_id = p_order_id
+    where i.id is null or l.quantity <= 0 or i.refunded_quantity + l.quantity > i.quantity
+  ) then
+    raise exception 'Refund quantities exceed what is left on the order' using errcode = 'P0001';
+  end if;
+
+  insert into public.refunds (order_id, payment_id, amount, reason, status, stripe_refund_id, restocked, created_by)
+  values (p_order_id, v_payment.id, p_amount, p_reason, coalesce(p_status, 'succeeded'), p_stripe_refund_id,
+          coalesce(p_restock, false) and v_order.stock_deducted_at is not null, p_created_by)
+  returning * into v_refund;
+
+  insert into public.refund_items (refund_id, order_item_id, quantity, amount)
+  select v_refund.id, order_item_id, quantity, amount from refund_lines;
+
+  update public.order_items i
+  set refunded_quantity = i.refunded_quantity + l.quantity
+  from refund_lines l
+  where i.id = l.order_item_id;
+
+  -- Only items that actually left stock (and haven't come back yet) are restocked
+  if v_refund.restocked then
+    create temporary table restock_lines on commit drop as
+      select i.id as order_item_id, i.product_id, i.product_variant_id, least(l.quantity, i.quantity - i.restocked_quantity) as qty
+      from refund_lines l
+      join public.order_items i on i.id = l.order_item_id
+      where i.quantity > i.restocked_quantity;
+
+    perform public.stock_movement_context('return', p_order_id, p_created_by, p_reason);
+    update public.product_variants v
+    set stock = coalesce(v.stock, 0) + r.qty
+    from (select product_variant_id, sum(qty) as qty from restock_lines where product_variant_id is not null group by product_variant_id) r
+    where v.id = r.product_variant_id;
+
+    update public.order_items i
+    set restocked_quantity = i.restocked_quantity + r.qty
+    from restock_lines r
+    where i.id = r.order_item_id;
+
+    perform public.recalc_product_stock(array(select distinct product_id from restock_lines where product_id is not null));
+  end if;
+
+  -- The webhook may already have recorded this refund's total from Stripe
+  select coalesce(sum(amount), 0) into v_refunded from public.refunds where payment_id = v_payment.id and status <> 'failed';
+  v_refunded := greatest(v_refunded, v_payment.refunded_amount);
+  v_status := case when v_refunded >= v_payment.amount then 'refunded' else 'partially_refunded' end;
+
+  update public.payments set refunded_amount = v_refunded, status = v_status where id = v_payment.id;
+  update public.orders set payment_status = v_status where id = p_order_id;
+
+  return v_refund;
+end;
+$$;
@@ -0,0 +1,87 @@
+-- Cash-on-delivery collections as an append-only list. Each hand-over of cash
+-- used to overwrite payments.collected_amount / collected_at, so recording the
+-- rest of a `short` payment replaced the first amount and moved it to the
+-- second day, and that first day's remittance report lost the cash.
+--
+-- Every hand-over is now its own cod_collections row. The payment is `paid`
+-- once the rows add up to its amount and `short` until then;
+-- payments.collected_amount / collected_at keep the running total and the
+-- latest hand-over for display. The remittance report reads the rows.
+
+create table if not exists public.cod_collections (
+  id uuid primary key default gen_random_uuid(),
+  payment_id uuid not null references public.payments (id) on delete cascade,
+  order_id uuid not null references public.orders (id) on delete cascade,
+  amount numeric(10, 2) not null check (amount > 0),
+  collected_at timestamptz not null default clock_timestamp(),
+  -- Courier or staff member who took the cash
+  collected_by text not null,
+  -- Admin who recorded it
+  recorded_by uuid references public.users (id) on delete set null,
+  note text
+);
+
+create index if not exists cod_collections_payment_idx on public.cod_collections (payment_id, collected_at);
+create index if not exists cod_collections_collected_at_idx on public.cod_collections (collected_at);
+drop index if exists public.payments_cod_collected_at_idx;
+
+-- Admins read them; rows are only written by record_cod_collection()
+alter table public.cod_collections enable row level security;
+drop policy if exists cod_collections_admin_read on public.cod_collections;
+create policy cod_collections_admin_read on public.cod_collections for select to authenticated
+  using (public.app_is_admin());
+revoke all on public.cod_collections from anon, authenticated;
+grant select on public.cod_collections to authenticated;
+
+-- Collections recorded before, one row each
+insert into public.cod_collections (payment_id, order_id, amount, collected_at, collected_by, recorded_by, note)
+select p.id, p.order_id, p.collected_amount, p.collected_at, coalesce(p.collected_by_name, 'Unknown'), p.collection_recorded_by, p.collection_note
+from public.payments p
+where p.method = 'cod' and p.collected_at is not null and p.collected_amount > 0
+  and not exists (select 1 from public.cod_collections c where c.payment_id = p.id);
+
+-- Records one hand-over of cash for a COD payment that is still `pending` or
+-- `short`, and moves the payment (and its order) to `paid` or `short` by the
+-- total handed over so far. Server only (server/codCollections.cjs).
+create or replace function public.record_cod_collection(
+  p_payment_id public.payments.id%type,
+  p_amount numeric,
+  p_collected_by text,
+  p_note text,
+  p_recorded_by public.users.id%type
+) returns public.cod_collections
+language plpgsql security definer set search_path = public as $$
+declare
+  v_payment public.payments;
+  v_collection public.cod_collections;
+  v_total numeric;
+  v_status text;
+begin
+  select * into v_payment from public.payments where id = p_payment_id for update;
+  if v_payment.id is null or v_payment.method <> 'cod' then
+    raise exception 'This order is not cash on delivery' using errcode = 'P0002';
+  end if;
+  if v_payment.status not in ('pending', 'short') then
+    raise exception 'This payment is already %', v_payment.status using errcode = 'P0001';
+  end if;
+  if p_amount is null or p_amount <= 0 then
+    raise exception 'Enter the amount of cash received' using errcode = '22023';
+  end if;
+
+  insert into public.cod_collections (payment_id, order_id, amount, collected_by, recorded_by, note)
+  values (p_payment_id, v_payment.order_id, p_amount, p_collected_by, p_recorded_by, nullif(trim(p_note), ''))
+  returning * into v_collection;
+
+  select sum(amount) into v_total from public.cod_collections where payment_id = p_payment_id;
+  v_status := case when v_total >= v_payment.amount then 'paid' else 'short' end;
+
+  update public.payments
+  set status = v_status, collected_amount = v_total, collected_at = v_collection.collected_at,
+      collected_by_name = v_collection.collected_by, collection_recorded_by = p_recorded_by, collection_note = v_collection.note
+  where id = p_payment_id;
+  update public.orders set payment_status = v_status where id = v_payment.order_id;
+
+  return v_collection;
+end;
+$$;
+revoke execute on function public.record_cod_collection(uuid, numeric, text, text, uuid) from public, anon, authenticated;
@@ -0,0 +1,59 @@
+-- Sample data for local development. Loaded by `supabase db reset` and by
+-- `npm run db:seed`. Safe to run more than once.
+--
+-- Accounts (password for both: password123):
+--   admin@capsua.local     admin (sign-in asks you to set up 2FA first)
+--   customer@capsua.local  customer
+
+insert into public.users (id, full_name, email, password_hash, phone, address, role, agreed_terms, email_verified_at)
+values
+  ('00000000-0000-4000-8000-000000000001', 'Store Admin', 'admin@capsua.local',
+   '$2b$10$wU.SgLDuKFSF.o1cTmcUvucUccSJiYxHnCLhT.7VED6MjgTSOrnrG', '09170000001', null, 'admin', true, now()),
+  ('00000000-0000-4000-8000-000000000002', 'Juan Dela Cruz', 'customer@capsua.local',
+   '$2b$10$wU.SgLDuKFSF.o1cTmcUvucUccSJiYxHnCLhT.7VED6MjgTSOrnrG', '09170000002', '123 Rizal St, Quezon City', 'customer', true, now())
+on conflict (email) do nothing;
+
+insert into public.user_addresses (id, user_id, label, full_name, phone, address_line, city, province, postal_code)
+values
+  ('00000000-0000-4000-8000-000000000101', '00000000-0000-4000-8000-000000000002', 'Home', 'Juan Dela Cruz',
+   '09170000002', '123 Rizal St, Brgy. Central', 'Quezon City', 'Metro Manila', '1100')
+on conflict (id) do nothing;
+
+insert into public.products (id, name, description, price, category, img_url, created_at)
+values
+  ('00000000-0000-4000-8000-000000001001', 'Classic Dad Cap', 'Washed cotton twill, curved brim, adjustable strap.', 499, 'latest',
+   'https://placehold.co/600x600?text=Dad+Cap', now() - interval '4 days'),
+  ('00000000-0000-4000-8000-000000001002', 'Street Snapback', 'Flat brim, structured crown, plastic snap closure.', 650, 'fashion',
+   'https://placehold.co/600x600?text=Snapback', now() - interval '3 days'),
+  ('00000000-0000-4000-8000-000000001003', 'Everyday Trucker', 'Foam front with breathable mesh back.', 550, 'casual',
+   'https://placehold.co/600x600?text=Trucker', now() - interval '2 days'),
+  ('00000000-0000-4000-8000-000000001004', 'Dri-Fit Runner Cap', 'Lightweight quick-dry fabric with a reflective trim.', 799, 'sports',
+   'https://placehold.co/600x600?text=Runner+Cap', now() - interval '1 day')
+on conflict (id) do nothing;
+
+insert into public.product_variants (id, product_id, color, size, stock, img_url)
+values
+  ('00000000-0000-4000-8000-000000002001', '00000000-0000-4000-8000-000000001001', 'Black', 'All Fit', 25, 'https://placehold.co/600x600?text=Dad+Cap+Black'),
+  ('00000000-0000-4000-8000-000000002002', '00000000-0000-4000-8000-000000001001', 'White', 'All Fit', 15, 'https://placehold.co/600x600?text=Dad+Cap+White'),
+  ('00000000-0000-4000-8000-000000002003', '00000000-0000-4000-8000-000000001001', 'Blue', 'Kids', 10, 'https://placehold.co/600x600?text=Dad+Cap+Blue'),
+  ('00000000-0000-4000-8000-000000002004', '00000000-0000-4000-8000-000000001002', 'Black', 'All Fit', 20, 'https://placehold.co/600x600?text=Snapback+Black'),
+  ('00000000-0000-4000-8000-000000002005', '00000000-0000-4000-8000-000000001002', 'Red', 'All Fit', 8, 'https://placehold.co/600x600?text=Snapback+Red'),
+  ('00000000-0000-4000-8000-000000002006', '00000000-0000-4000-8000-000000001003', 'Gray', 'All Fit', 12, 'https://placehold.co/600x600?text=Trucker+Gray'),
+  ('00000000-0000-4000-8000-000000002007', '00000000-0000-4000-8000-000000001003', 'Green', 'Kids', 6, 'https://placehold.co/600x600?text=Trucker+Green'),
+  ('00000000-0000-4000-8000-000000002008', '00000000-0000-4000-8000-000000001004', 'White', 'All Fit', 18, 'https://placehold.co/600x600?text=Runner+White'),
+  ('00000000-0000-4000-8000-000000002009', '00000000-0000-4000-8000-000000001004', 'Black', 'All Fit', 0, 'https://placehold.co/600x600?text=Runner+Black')
+on conflict (id) do nothing;
+
+-- products.stock mirrors the sum of its variants
+update public.products p
+set stock = coalesce((select sum(v.stock) from public.product_variants v where v.product_id = p.id), 0)
+where p.id in (
+  '00000000-0000-4000-8000-000000001001', '00000000-0000-4000-8000-000000001002',
+  '00000000-0000-4000-8000-000000001003', '00000000-0000-4000-8000-000000001004'
+);
+
+insert into public.product_reviews (id, product_id, user_id, rating, comment)
+values
+  ('00000000-0000-4000-8000-000000003001', '00000000-0000-4000-8000-000000001001', '00000000-0000-4000-8000-000000000002', 5, 'Fits great and the color hasn''t faded.'),
+  ('00000000-0000-4000-8000-000000003002', '00000000-0000-4000-8000-000000001003', '00000000-0000-4000-8000-000000000002', 4, 'Comfortable, mesh keeps it cool.')
+on conflict (id) do nothing;